@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom"
 import { AuthProvider } from "./context/AuthContext"
 import { CartProvider } from "./context/CartContext"
 import { WishlistProvider } from "./context/WishlistContext"
+import { CompareProvider } from "./context/CompareContext"
 import { ToastProvider } from "./context/ToastContext"
 
 // Import components
@@ -10,20 +11,27 @@ import Footer from "./components/Footer"
 import ProtectedRoute from "./components/ProtectedRoute"
 import AdminRoute from "./components/AdminRoute"
 import ScrollToTop from "./components/ScrollToTop";
+import CompareTray from "./components/CompareTray"
 
 // Import pages
 import Home from "./pages/Home"
 import Shop from "./pages/Shop"
 import ProductDetails from "./pages/ProductDetails"
+import Compare from "./pages/Compare"
 import Cart from "./pages/Cart"
 import Checkout from "./pages/Checkout"
 import Login from "./pages/Login"
+import ForgotPassword from "./pages/ForgotPassword"
+import ResetPassword from "./pages/ResetPassword"
+import ConfirmEmailChange from "./pages/ConfirmEmailChange"
 import Register from "./pages/Register"
 import EmailVerification from "./pages/EmailVerification"
 import Profile from "./pages/Profile"
 import UserOrders from "./pages/UserOrders"
+import PaymentResult from "./pages/PaymentResult"
 import Wishlist from "./pages/Wishlist"
 import TrackOrder from "./pages/TrackOrder"
+import CartRestore from "./pages/CartRestore"
 import About from "./pages/About"
 import BlogList from "./pages/BlogList"
 import BlogPost from "./pages/BlogPost"
@@ -85,6 +93,10 @@ import OnTheWay from "./pages/admin/OnTheWay"
 import Delivered from "./pages/admin/Delivered"
 import OnHold from "./pages/admin/OnHold"
 import Rejected from "./pages/admin/Rejected"
+import ReturnRequests from "./pages/admin/ReturnRequests"
+import AbandonedCarts from "./pages/admin/AbandonedCarts"
+import AuditLog from "./pages/admin/AuditLog"
+import AdminSecurity from "./pages/admin/AdminSecurity"
 import OnlineOrders from "./pages/admin/OnlineOrders"
 import TrashCategories from "./pages/admin/TrashCategories"
 
@@ -94,136 +106,146 @@ function App() {
       <AuthProvider>
         <CartProvider>
           <WishlistProvider>
-            <Router>
-              <ScrollToTop />
-              <div className="App">
-                <Routes>
-                  {/* Admin Routes */}
-                  <Route path="/admin/login" element={<AdminLogin />} />
-                  <Route
-                    path="/admin/*"
-                    element={
-                      <AdminRoute>
-                        <Routes>
-                          <Route path="dashboard" element={<AdminDashboard />} />
-                          <Route path="products" element={<AdminProducts />} />
-                          <Route path="products/add" element={<AddProduct />} />
-                          <Route path="products/bulk-add" element={<AddBulkProducts />} />
-                          <Route path="orders" element={<AdminOrders />} />
-                          <Route path="orders/received" element={<ReceivedOrders />} />
-                          <Route path="orders/in-progress" element={<InprogressOrders />} />
-                          <Route path="orders/ready-for-shipment" element={<ReadyForShipment />} />
-                          <Route path="orders/on-the-way" element={<OnTheWay />} />
-                          <Route path="orders/delivered" element={<Delivered />} />
-                          <Route path="orders/on-hold" element={<OnHold />} />
-                          <Route path="orders/rejected" element={<Rejected />} />
-                          <Route path="orders/online" element={<OnlineOrders />} />
-                          <Route path="users" element={<AdminUsers />} />
-                          <Route path="categories" element={<AdminCategories />} />
-                          <Route path="categories/add" element={<AddCategory />} />
-                          <Route path="categories/trash" element={<TrashCategories />} />
-                          <Route path="subcategories" element={<AdminSubCategories />} />
-                          <Route path="subcategories/add" element={<AddSubCategory />} />
-                          <Route path="brands" element={<AdminBrands />} />
-                          <Route path="brands/add" element={<AddBrand />} />
-                          <Route path="edit-brand/:id" element={<AddBrand />} />
-                          <Route path="colors" element={<AdminColors />} />
-                          <Route path="colors/add" element={<AddColor />} />
-                          <Route path="sizes" element={<AdminSizes />} />
-                          <Route path="sizes/add" element={<AddSize />} />
-                          <Route path="units" element={<AdminUnits />} />
-                          <Route path="units/add" element={<AddUnit />} />
-                          <Route path="volumes" element={<AdminVolumes />} />
-                          <Route path="volumes/add" element={<AddVolume />} />
-                          <Route path="warranty" element={<AdminWarranty />} />
-                          <Route path="warranty/add" element={<AddWarranty />} />
-                          <Route path="tax" element={<AdminTax />} />
-                          <Route path="tax/add" element={<AddTax />} />
-                          <Route path="coupons" element={<AdminCoupons />} />
-                          <Route path="coupons/all" element={<AllCoupons />} />
-                          <Route path="banners" element={<AdminBanners />} />
-                          <Route path="delivery-charges" element={<AdminDeliveryCharges />} />
-                          <Route path="delivery-charges/add" element={<AddDeliveryCharge />} />
-                          <Route path="settings" element={<AdminSettings />} />
-                          <Route path="blogs" element={<AdminBlogs />} />
-                          <Route path="blogs/add" element={<AddBlog />} />
-                          <Route path="blogs/edit/:id" element={<EditBlog />} />
-                          <Route path="blogs/categories" element={<BlogCategories />} />
-                          <Route path="blogs/categories/add" element={<AddBlogCategory />} />
-                          <Route path="blogs/topics" element={<BlogTopics />} />
-                          <Route path="blogs/topics/add" element={<AddBlogTopic />} />
-                          <Route path="blogs/rating" element={<BlogRating />} />
-                          <Route path="request-callbacks" element={<AdminRequestCallbacks />} />
-                        </Routes>
-                      </AdminRoute>
-                    }
-                  />
+            <CompareProvider>
+              <Router>
+                <ScrollToTop />
+                <div className="App">
+                  <Routes>
+                    {/* Admin Routes */}
+                    <Route path="/admin/login" element={<AdminLogin />} />
+                    <Route
+                      path="/admin/*"
+                      element={
+                        <AdminRoute>
+                          <Routes>
+                            <Route path="dashboard" element={<AdminDashboard />} />
+                            <Route path="products" element={<AdminProducts />} />
+                            <Route path="products/add" element={<AddProduct />} />
+                            <Route path="products/bulk-add" element={<AddBulkProducts />} />
+                            <Route path="orders" element={<AdminOrders />} />
+                            <Route path="orders/received" element={<ReceivedOrders />} />
+                            <Route path="orders/in-progress" element={<InprogressOrders />} />
+                            <Route path="orders/ready-for-shipment" element={<ReadyForShipment />} />
+                            <Route path="orders/on-the-way" element={<OnTheWay />} />
+                            <Route path="orders/delivered" element={<Delivered />} />
+                            <Route path="orders/on-hold" element={<OnHold />} />
+                            <Route path="orders/rejected" element={<Rejected />} />
+                            <Route path="orders/returns" element={<ReturnRequests />} />
+                            <Route path="orders/abandoned-carts" element={<AbandonedCarts />} />
+                            <Route path="orders/online" element={<OnlineOrders />} />
+                            <Route path="users" element={<AdminUsers />} />
+                            <Route path="audit-log" element={<AuditLog />} />
+                            <Route path="security" element={<AdminSecurity />} />
+                            <Route path="categories" element={<AdminCategories />} />
+                            <Route path="categories/add" element={<AddCategory />} />
+                            <Route path="edit-category/:id" element={<AddCategory />} />
+                            <Route path="categories/trash" element={<TrashCategories />} />
+                            <Route path="subcategories" element={<AdminSubCategories />} />
+                            <Route path="subcategories/add" element={<AddSubCategory />} />
+                            <Route path="subcategories/edit/:id" element={<AddSubCategory />} />
+                            <Route path="brands" element={<AdminBrands />} />
+                            <Route path="brands/add" element={<AddBrand />} />
+                            <Route path="edit-brand/:id" element={<AddBrand />} />
+                            <Route path="colors" element={<AdminColors />} />
+                            <Route path="colors/add" element={<AddColor />} />
+                            <Route path="sizes" element={<AdminSizes />} />
+                            <Route path="sizes/add" element={<AddSize />} />
+                            <Route path="units" element={<AdminUnits />} />
+                            <Route path="units/add" element={<AddUnit />} />
+                            <Route path="volumes" element={<AdminVolumes />} />
+                            <Route path="volumes/add" element={<AddVolume />} />
+                            <Route path="warranty" element={<AdminWarranty />} />
+                            <Route path="warranty/add" element={<AddWarranty />} />
+                            <Route path="tax" element={<AdminTax />} />
+                            <Route path="tax/add" element={<AddTax />} />
+                            <Route path="coupons" element={<AdminCoupons />} />
+                            <Route path="coupons/all" element={<AllCoupons />} />
+                            <Route path="banners" element={<AdminBanners />} />
+                            <Route path="delivery-charges" element={<AdminDeliveryCharges />} />
+                            <Route path="delivery-charges/add" element={<AddDeliveryCharge />} />
+                            <Route path="settings" element={<AdminSettings />} />
+                            <Route path="blogs" element={<AdminBlogs />} />
+                            <Route path="blogs/add" element={<AddBlog />} />
+                            <Route path="blogs/edit/:id" element={<EditBlog />} />
+                            <Route path="blogs/categories" element={<BlogCategories />} />
+                            <Route path="blogs/categories/add" element={<AddBlogCategory />} />
+                            <Route path="blogs/topics" element={<BlogTopics />} />
+                            <Route path="blogs/topics/add" element={<AddBlogTopic />} />
+                            <Route path="blogs/rating" element={<BlogRating />} />
+                            <Route path="request-callbacks" element={<AdminRequestCallbacks />} />
+                          </Routes>
+                        </AdminRoute>
+                      }
+                    />
 
-                  {/* Public Routes */}
-                  <Route
-                    path="/*"
-                    element={
-                      <>
-                        <Navbar />
-                        <Routes>
-                          <Route path="/" element={<Home />} />
-                          <Route path="/shop" element={<Shop />} />
-                          <Route path="/product/:slug" element={<ProductDetails />} />
-                          <Route path="/cart" element={<Cart />} />
-                          <Route path="/login" element={<Login />} />
-                          <Route path="/register" element={<Register />} />
-                          <Route path="/verify-email" element={<EmailVerification />} />
-                          <Route path="/track-order" element={<TrackOrder />} />
-                          <Route path="/about" element={<About />} />
-                          <Route path="/blogs" element={<BlogList />} />
-                          <Route path="/blog/:id" element={<BlogPost />} />
-                          <Route path="/privacy-policy" element={<PrivacyAndPolicy />} />
-                          <Route path="/terms-conditions" element={<TermAndCondition />} />
-                          <Route path="/refund-return" element={<RefundAndReturn />} />
-                          <Route path="/cookies-policy" element={<CookiesAndPolicy />} />
-                          <Route path="/bulk-purchase" element={<ReqBulkPurchase />} />
+                    {/* Public Routes */}
+                    <Route
+                      path="/*"
+                      element={
+                        <>
+                          <Navbar />
+                          <Routes>
+                            <Route path="/" element={<Home />} />
+                            <Route path="/shop" element={<Shop />} />
+                            <Route path="/product/:slug" element={<ProductDetails />} />
+                            <Route path="/compare" element={<Compare />} />
+                            <Route path="/cart" element={<Cart />} />
+                            <Route path="/cart/restore" element={<CartRestore />} />
+                            <Route path="/login" element={<Login />} />
+                            <Route path="/forgot-password" element={<ForgotPassword />} />
+                            <Route path="/reset-password" element={<ResetPassword />} />
+                            <Route path="/confirm-email" element={<ConfirmEmailChange />} />
+                            <Route path="/register" element={<Register />} />
+                            <Route path="/verify-email" element={<EmailVerification />} />
+                            <Route path="/track-order" element={<TrackOrder />} />
+                            <Route path="/about" element={<About />} />
+                            <Route path="/blogs" element={<BlogList />} />
+                            <Route path="/blog/:id" element={<BlogPost />} />
+                            <Route path="/privacy-policy" element={<PrivacyAndPolicy />} />
+                            <Route path="/terms-conditions" element={<TermAndCondition />} />
+                            <Route path="/refund-return" element={<RefundAndReturn />} />
+                            <Route path="/cookies-policy" element={<CookiesAndPolicy />} />
+                            <Route path="/bulk-purchase" element={<ReqBulkPurchase />} />
 
-                          {/* Protected Routes */}
-                          <Route
-                            path="/checkout"
-                            element={
-                              <ProtectedRoute>
-                                <Checkout />
-                              </ProtectedRoute>
-                            }
-                          />
-                          <Route
-                            path="/profile"
-                            element={
-                              <ProtectedRoute>
-                                <Profile />
-                              </ProtectedRoute>
-                            }
-                          />
-                          <Route
-                            path="/orders"
-                            element={
-                              <ProtectedRoute>
-                                <UserOrders />
-                              </ProtectedRoute>
-                            }
-                          />
-                          <Route
-                            path="/wishlist"
-                            element={
-                              <ProtectedRoute>
-                                <Wishlist />
-                              </ProtectedRoute>
-                            }
-                          />
-                        </Routes>
-                        <Footer />
-                      </>
-                    }
-                  />
-                </Routes>
-              </div>
-            </Router>
+                            {/* Checkout and payment results are open to guests */}
+                            <Route path="/checkout" element={<Checkout />} />
+                            <Route path="/payment/result" element={<PaymentResult />} />
+
+                            {/* Protected Routes */}
+                            <Route
+                              path="/profile"
+                              element={
+                                <ProtectedRoute>
+                                  <Profile />
+                                </ProtectedRoute>
+                              }
+                            />
+                            <Route
+                              path="/orders"
+                              element={
+                                <ProtectedRoute>
+                                  <UserOrders />
+                                </ProtectedRoute>
+                              }
+                            />
+                            <Route
+                              path="/wishlist"
+                              element={
+                                <ProtectedRoute>
+                                  <Wishlist />
+                                </ProtectedRoute>
+                              }
+                            />
+                          </Routes>
+                          <Footer />
+                          <CompareTray />
+                        </>
+                      }
+                    />
+                  </Routes>
+                </div>
+              </Router>
+            </CompareProvider>
           </WishlistProvider>
         </CartProvider>
       </AuthProvider>
@@ -0,0 +1,26 @@
+"use client"
+
+import { useCompare } from "../context/CompareContext"
+
+// "Compare" tick box on product cards, adds the product to the compare tray
+const CompareToggle = ({ product, className = "" }) => {
+  const { isInCompare, toggleCompare } = useCompare()
+
+  return (
+    <label
+      className={`inline-flex items-center gap-1 text-xs text-gray-600 cursor-pointer select-none ${className}`}
+      // Ticking must not reach card click handlers that open the product
+      onClick={(e) => e.stopPropagation()}
+    >
+      <input
+        type="checkbox"
+        checked={isInCompare(product._id)}
+        onChange={() => toggleCompare(product)}
+        className="h-3 w-3 accent-lime-500"
+      />
+      Compare
+    </label>
+  )
+}
+
+export default CompareToggle
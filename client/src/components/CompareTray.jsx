@@ -0,0 +1,78 @@
+"use client"
+
+import { Link, useLocation } from "react-router-dom"
+import { X, GitCompare } from "lucide-react"
+
+import { useCompare, MAX_COMPARE_ITEMS } from "../context/CompareContext"
+
+// Compare link for the products picked, in the order they were picked
+export const compareUrl = (items) => `/compare?ids=${items.map((item) => item._id).join(",")}`
+
+// Bar along the bottom of the shop with the products picked for comparison
+const CompareTray = () => {
+  const location = useLocation()
+  const { compareItems, removeFromCompare, clearCompare } = useCompare()
+
+  if (compareItems.length === 0 || location.pathname === "/compare") return null
+
+  return (
+    <>
+      {/* Room below the footer so the tray does not cover it */}
+      <div className="h-20" aria-hidden="true" />
+      <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t border-gray-200 shadow-[0_-4px_12px_rgba(0,0,0,0.08)]">
+        <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-4">
+          <div className="flex-1 flex items-center gap-3 overflow-x-auto">
+            {Array.from({ length: MAX_COMPARE_ITEMS }, (_, index) => compareItems[index]).map((item, index) =>
+              item ? (
+                <div
+                  key={item._id}
+                  className="relative flex items-center gap-2 border border-gray-200 rounded-lg p-2 w-48 flex-shrink-0"
+                >
+                  <img
+                    src={item.image || "/placeholder.svg?height=40&width=40"}
+                    alt=""
+                    className="w-10 h-10 object-contain flex-shrink-0"
+                  />
+                  <span className="text-xs text-gray-800 line-clamp-2">{item.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => removeFromCompare(item._id)}
+                    className="absolute -top-2 -right-2 bg-white border border-gray-200 rounded-full p-0.5 text-gray-500 hover:text-red-600"
+                    aria-label={`Remove ${item.name} from compare`}
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ) : (
+                <div
+                  key={`empty-${index}`}
+                  className="hidden md:flex items-center justify-center border border-dashed border-gray-300 rounded-lg w-48 h-[58px] flex-shrink-0 text-xs text-gray-400"
+                >
+                  Add a product
+                </div>
+              ),
+            )}
+          </div>
+          <div className="flex items-center gap-3 flex-shrink-0">
+            <button type="button" onClick={clearCompare} className="text-sm text-gray-500 hover:text-gray-800">
+              Clear
+            </button>
+            {compareItems.length > 1 ? (
+              <Link
+                to={compareUrl(compareItems)}
+                className="inline-flex items-center gap-2 px-4 py-2 bg-lime-500 hover:bg-lime-600 text-white rounded-lg font-semibold"
+              >
+                <GitCompare size={16} />
+                Compare ({compareItems.length})
+              </Link>
+            ) : (
+              <span className="text-sm text-gray-500">Pick one more to compare</span>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default CompareTray
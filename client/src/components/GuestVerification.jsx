@@ -0,0 +1,135 @@
+"use client"
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { Mail, Phone, ShieldCheck } from "lucide-react"
+import { sendGuestCode, confirmGuestCode } from "../services/guestCheckout"
+
+// Guest checkout: confirm the email or phone of the order with a one time code before placing it
+const GuestVerification = ({ email, phone, onVerified }) => {
+  const [channel, setChannel] = useState(email ? "email" : "phone")
+  const [code, setCode] = useState("")
+  const [codeSent, setCodeSent] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [verifying, setVerifying] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  const value = channel === "email" ? email : phone
+
+  const handleChannelChange = (nextChannel) => {
+    setChannel(nextChannel)
+    setCodeSent(false)
+    setCode("")
+    setMessage(null)
+    setError(null)
+  }
+
+  const handleSendCode = async () => {
+    try {
+      setSending(true)
+      setError(null)
+      const data = await sendGuestCode(channel, value)
+      setCodeSent(true)
+      setMessage(data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send the verification code")
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true)
+      setError(null)
+      const data = await confirmGuestCode(channel, value, code.trim())
+      onVerified(data)
+    } catch (err) {
+      setError(err.response?.data?.message || "Invalid or expired verification code")
+    } finally {
+      setVerifying(false)
+    }
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <ShieldCheck className="h-5 w-5 text-lime-600" />
+        <span className="font-semibold text-gray-900">Checking out as a guest</span>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Confirm your email or phone with a one time code to place your order, or{" "}
+        <Link to="/login" className="text-lime-600 hover:underline">
+          log in
+        </Link>{" "}
+        to use your account.
+      </p>
+
+      <div className="flex gap-2 mb-4">
+        {[
+          { id: "email", label: "Email", icon: Mail, target: email },
+          { id: "phone", label: "Phone", icon: Phone, target: phone },
+        ].map(({ id, label, icon: Icon, target }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => handleChannelChange(id)}
+            disabled={!target}
+            className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm border disabled:opacity-50 ${
+              channel === id ? "border-lime-500 bg-lime-50 text-lime-700" : "border-gray-300 text-gray-700"
+            }`}
+          >
+            <Icon size={16} />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {value ? (
+        <p className="text-sm text-gray-700 mb-3">
+          Code will be sent to <span className="font-medium">{value}</span>
+        </p>
+      ) : (
+        <p className="text-sm text-red-600 mb-3">Add your {channel} in the delivery details first.</p>
+      )}
+
+      {message && <p className="text-sm text-green-600 mb-3">{message}</p>}
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        {codeSent && (
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+            placeholder="6 digit code"
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm w-36 tracking-widest"
+          />
+        )}
+        {codeSent && (
+          <button
+            type="button"
+            onClick={handleVerify}
+            disabled={verifying || code.length !== 6}
+            className="bg-lime-500 hover:bg-lime-600 text-white rounded-md px-4 py-2 text-sm disabled:opacity-50"
+          >
+            {verifying ? "Verifying..." : "Verify"}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleSendCode}
+          disabled={sending || !value}
+          className="border border-gray-300 text-gray-700 hover:bg-gray-50 rounded-md px-4 py-2 text-sm disabled:opacity-50"
+        >
+          {sending ? "Sending..." : codeSent ? "Resend code" : "Send code"}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default GuestVerification
@@ -0,0 +1,26 @@
+"use client"
+
+// Text with the [start, end] ranges from a product search marked, e.g. searchHighlights from /api/products
+const HighlightedText = ({ text, ranges = [] }) => {
+  if (!text || ranges.length === 0) return text || null
+
+  const parts = []
+  let position = 0
+  ;[...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start < position) return
+      if (start > position) parts.push(text.slice(position, start))
+      parts.push(
+        <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+          {text.slice(start, end)}
+        </mark>,
+      )
+      position = end
+    })
+  if (position < text.length) parts.push(text.slice(position))
+
+  return <>{parts}</>
+}
+
+export default HighlightedText
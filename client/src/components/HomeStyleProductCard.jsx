@@ -2,6 +2,8 @@ import { Link } from "react-router-dom"
 import { Heart, Star } from "lucide-react"
 import { useWishlist } from "../context/WishlistContext"
 import { useToast } from "../context/ToastContext"
+import HighlightedText from "./HighlightedText"
+import CompareToggle from "./CompareToggle"
 
 const getStatusColor = (status) => {
   if (status === "Available Product" || status === "Available") return "bg-green-600"
@@ -21,6 +23,9 @@ const HomeStyleProductCard = ({ product }) => {
   const rating = product.rating || 0
   const numReviews = product.numReviews || 0
   const categoryName = product.category?.name || "Unknown"
+  // Search results say where the search words were found
+  const nameHighlight = product.searchHighlights?.find((highlight) => highlight.field === "name")
+  const otherHighlight = product.searchHighlights?.find((highlight) => highlight.field !== "name")
 
   return (
     <div className="bg-white border rounded-lg p-3 mx-1 hover:shadow-md transition-shadow min-h-[340px] max-h-[360px] min-w-[210px] max-w-[220px] flex flex-col justify-between">
@@ -59,9 +64,17 @@ const HomeStyleProductCard = ({ product }) => {
         )}
       </div>
       <Link to={`/product/${product.slug || product._id}`}>
-        <h3 className="text-sm font-medium text-gray-900 mb-2 line-clamp-2 hover:text-blue-600">{product.name}</h3>
+        <h3 className="text-sm font-medium text-gray-900 mb-2 line-clamp-2 hover:text-blue-600">
+          <HighlightedText text={product.name} ranges={nameHighlight?.ranges} />
+        </h3>
       </Link>
-      {product.category && <div className="text-xs text-gray-500 mb-1">Category: {categoryName}</div>}
+      {otherHighlight ? (
+        <div className="text-xs text-gray-500 mb-1 truncate">
+          {otherHighlight.label}: <HighlightedText text={otherHighlight.text} ranges={otherHighlight.ranges} />
+        </div>
+      ) : (
+        product.category && <div className="text-xs text-gray-500 mb-1">Category: {categoryName}</div>
+      )}
       <div className="text-xs text-gray-500 mb-2">Inclusive VAT</div>
       <div className="mb-2 flex items-center gap-2">
         <div className="text-red-600 font-bold text-base md:text-lg">
@@ -82,6 +95,7 @@ const HomeStyleProductCard = ({ product }) => {
           />
         ))}
         <span className="text-xs text-gray-500 ml-1">({numReviews})</span>
+        <CompareToggle product={product} className="ml-auto" />
       </div>
     </div>
   )
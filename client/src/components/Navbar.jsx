@@ -24,6 +24,7 @@ import {
   Truck,
 } from "lucide-react"
 import axios from "axios"
+import SearchAutocomplete from "./SearchAutocomplete"
 
 const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth()
@@ -32,7 +33,6 @@ const Navbar = () => {
   const navigate = useNavigate()
   const location = useLocation()
   const [isProfileOpen, setIsProfileOpen] = useState(false)
-  const [searchQuery, setSearchQuery] = useState("")
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
   const [categories, setCategories] = useState([])
   const [subCategories, setSubCategories] = useState([])
@@ -86,14 +86,6 @@ const Navbar = () => {
     setIsProfileOpen(false)
   }
 
-  const handleSearch = (e) => {
-    e.preventDefault()
-    if (searchQuery.trim()) {
-      navigate(`/shop?search=${encodeURIComponent(searchQuery.trim())}`)
-      setSearchQuery("")
-    }
-  }
-
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen)
     setExpandedMobileCategory(null) // Reset expanded category when menu closes
@@ -126,23 +118,12 @@ const Navbar = () => {
 
             {/* Search Bar - Exact Grabatoz Style */}
             <div className="flex-1 max-w-3xl justify-center items-center" style={{ paddingLeft: "140px" }}>
-              <form onSubmit={handleSearch} className="relative">
-                <div className="">
-                  <div className="flex items-center gap-2 m-1">
-                    <input
-                      type="text"
-                      placeholder="Search"
-                      value={searchQuery}
-                      onChange={(e) => setSearchQuery(e.target.value)}
-                      className="pl-4 pr-4 py-3 border border-gray-300 focus:outline-none focus:border-lime-500"
-                      style={{ width: "80%" }}
-                    />
-                    <button type="submit" className="px-4 py-4 bg-lime-500 text-white hover:bg-green-600">
-                      <Search size={18} />
-                    </button>
-                  </div>
-                </div>
-              </form>
+              <SearchAutocomplete
+                formClassName="flex items-center gap-2 m-1"
+                inputClassName="pl-4 pr-4 py-3 border border-gray-300 focus:outline-none focus:border-lime-500"
+                inputStyle={{ width: "80%" }}
+                buttonClassName="px-4 py-4 bg-lime-500 text-white hover:bg-green-600"
+              />
             </div>
 
             {/* Right Side Icons - Exact Grabatoz Style */}
@@ -308,19 +289,14 @@ const Navbar = () => {
       {isMobileSearchOpen && (
         <div className="fixed inset-0 z-50 flex items-start justify-center bg-black bg-opacity-50">
           <div className="w-full bg-white p-4 flex items-center gap-2 shadow-md relative">
-            <form onSubmit={(e) => { handleSearch(e); handleMobileSearchClose(); }} className="flex-1 flex items-center gap-2">
-              <input
-                type="text"
-                placeholder="Search products..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="flex-1 px-4 py-2 border border-gray-300 rounded focus:outline-none focus:border-lime-500"
-                autoFocus
-              />
-              <button type="submit" className="px-4 py-2 bg-lime-500 text-white rounded hover:bg-green-600">
-                <Search size={18} />
-              </button>
-            </form>
+            <SearchAutocomplete
+              placeholder="Search products..."
+              formClassName="flex-1 flex items-center gap-2"
+              inputClassName="flex-1 px-4 py-2 border border-gray-300 rounded focus:outline-none focus:border-lime-500"
+              buttonClassName="px-4 py-2 bg-lime-500 text-white rounded hover:bg-green-600"
+              autoFocus
+              onSearch={handleMobileSearchClose}
+            />
             <button onClick={handleMobileSearchClose} className="ml-2 p-2" aria-label="Close search">
               <X size={24} className="text-gray-600" />
             </button>
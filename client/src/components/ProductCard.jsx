@@ -1,19 +1,26 @@
 "use client"
 
-import { Link } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 import { useCart } from "../context/CartContext"
 import { ShoppingCart, Heart } from "lucide-react"
 import { useWishlist } from "../context/WishlistContext"
 import { useToast } from "../context/ToastContext"
+import CompareToggle from "./CompareToggle"
 
 const ProductCard = ({ product }) => {
   const { addToCart } = useCart()
   const { addToWishlist, removeFromWishlist, isInWishlist } = useWishlist()
   const { showToast } = useToast()
+  const navigate = useNavigate()
 
   const handleAddToCart = (e) => {
     e.preventDefault()
     e.stopPropagation()
+    // Products with variants need their options picked on the details page
+    if (product.variants?.some((variant) => variant.isActive !== false)) {
+      navigate(productUrl)
+      return
+    }
     addToCart(product)
     showToast && showToast("Added to cart", "success")
   }
@@ -89,6 +96,9 @@ const ProductCard = ({ product }) => {
           <div className="text-xs text-gray-500 mb-1">Inclusive VAT</div>
         </div>
       </Link>
+      <div className="px-4 pb-4">
+        <CompareToggle product={product} />
+      </div>
     </div>
   )
 }
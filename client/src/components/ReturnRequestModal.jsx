@@ -0,0 +1,231 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import axios from "axios"
+import { X, Upload } from "lucide-react"
+
+import config from "../config/config"
+import { getOrderNumber } from "../services/orderNumber"
+
+const MAX_PHOTOS = 5
+
+// Lets a customer pick delivered items of an order to send back, with a reason and photos
+const ReturnRequestModal = ({ order, onClose, onSubmitted }) => {
+  const [items, setItems] = useState([])
+  const [reasons, setReasons] = useState([])
+  const [deadline, setDeadline] = useState(null)
+  const [quantities, setQuantities] = useState({})
+  const [reason, setReason] = useState("")
+  const [comment, setComment] = useState("")
+  const [photos, setPhotos] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [uploading, setUploading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem("token")}` }
+
+  useEffect(() => {
+    const fetchReturnable = async () => {
+      try {
+        const { data } = await axios.get(`${config.API_URL}/api/returns/order/${order._id}`, { headers })
+        setItems(data.items)
+        setReasons(data.reasons)
+        setDeadline(data.deadline)
+      } catch (err) {
+        setError(err.response?.data?.message || "Could not load the items of this order")
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchReturnable()
+  }, [order._id])
+
+  const handlePhotoUpload = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - photos.length)
+    if (files.length === 0) return
+
+    const formData = new FormData()
+    files.forEach((file) => formData.append("images", file))
+
+    try {
+      setUploading(true)
+      const { data } = await axios.post(`${config.API_URL}/api/returns/photos`, formData, { headers })
+      setPhotos([...photos, ...data.urls])
+    } catch (err) {
+      setError(err.response?.data?.message || "Photo upload failed")
+    } finally {
+      setUploading(false)
+      e.target.value = ""
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const selectedItems = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }))
+
+    if (selectedItems.length === 0) {
+      setError("Select at least one item to return")
+      return
+    }
+    if (!reason) {
+      setError("Please select a reason for the return")
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      setError(null)
+      const { data } = await axios.post(
+        `${config.API_URL}/api/returns`,
+        { orderId: order._id, items: selectedItems, reason, comment: comment.trim() || undefined, photos },
+        { headers },
+      )
+      onSubmitted(data)
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not submit the return request")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-auto">
+        <div className="p-6 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-900">Return items from order #{getOrderNumber(order)}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+            <X size={20} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-lime-500"></div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-5">
+            {error && <div className="p-3 bg-red-50 text-red-600 rounded-md text-sm">{error}</div>}
+
+            {items.length === 0 ? (
+              <p className="text-gray-600">None of the items in this order can be returned anymore.</p>
+            ) : (
+              <>
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900 mb-2">Items</h3>
+                  <ul className="divide-y divide-gray-200">
+                    {items.map((item) => (
+                      <li key={item.itemId} className="py-3 flex items-center gap-3">
+                        <img
+                          src={item.image || "/placeholder.svg"}
+                          alt={item.name}
+                          className="w-12 h-12 rounded-md object-cover"
+                        />
+                        <div className="flex-1 text-sm text-gray-700">{item.name}</div>
+                        <select
+                          value={quantities[item.itemId] || 0}
+                          onChange={(e) => setQuantities({ ...quantities, [item.itemId]: Number(e.target.value) })}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        >
+                          {Array.from({ length: item.available + 1 }, (_, quantity) => (
+                            <option key={quantity} value={quantity}>
+                              {quantity}
+                            </option>
+                          ))}
+                        </select>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-900 mb-1">Reason</label>
+                  <select
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  >
+                    <option value="">Select a reason</option>
+                    {reasons.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-900 mb-1">Details (optional)</label>
+                  <textarea
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    maxLength={1000}
+                    rows={3}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-900 mb-1">
+                    Photos ({photos.length}/{MAX_PHOTOS})
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {photos.map((url) => (
+                      <div key={url} className="relative">
+                        <img src={url} alt="Return item" className="w-16 h-16 rounded-md object-cover" />
+                        <button
+                          type="button"
+                          onClick={() => setPhotos(photos.filter((photo) => photo !== url))}
+                          className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500"
+                        >
+                          <X size={12} />
+                        </button>
+                      </div>
+                    ))}
+                    {photos.length < MAX_PHOTOS && (
+                      <label className="w-16 h-16 border-2 border-dashed border-gray-300 rounded-md flex items-center justify-center cursor-pointer text-gray-400 hover:border-lime-500">
+                        {uploading ? (
+                          <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-lime-500"></div>
+                        ) : (
+                          <Upload size={18} />
+                        )}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          onChange={handlePhotoUpload}
+                          disabled={uploading}
+                          className="hidden"
+                        />
+                      </label>
+                    )}
+                  </div>
+                </div>
+
+                {deadline && (
+                  <p className="text-xs text-gray-500">
+                    Returns for this order can be requested until {new Date(deadline).toLocaleDateString()}.
+                  </p>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={submitting || uploading}
+                  className="w-full bg-lime-500 hover:bg-lime-600 text-white rounded-lg px-6 py-3 font-medium disabled:opacity-50"
+                >
+                  {submitting ? "Submitting..." : "Request Return"}
+                </button>
+              </>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReturnRequestModal
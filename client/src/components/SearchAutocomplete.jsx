@@ -0,0 +1,245 @@
+"use client"
+
+import { useState, useEffect, useId, useRef } from "react"
+import { useNavigate } from "react-router-dom"
+import axios from "axios"
+import { Search, TrendingUp, Package, Grid3X3, Tag, BookOpen } from "lucide-react"
+
+import config from "../config/config"
+import HighlightedText from "./HighlightedText"
+
+const SUGGEST_DELAY_MS = 200
+
+const SECTIONS = [
+  { key: "popular", title: "Popular searches", icon: TrendingUp },
+  { key: "products", title: "Products", icon: Package },
+  { key: "categories", title: "Categories", icon: Grid3X3 },
+  { key: "brands", title: "Brands", icon: Tag },
+  { key: "blogs", title: "Blog", icon: BookOpen },
+]
+
+// Suggestions from /api/search/suggest as one list in display order, so arrow keys can walk it
+const toItems = (suggestions) => {
+  if (!suggestions) return []
+  const shopLink = (params) => `/shop?${new URLSearchParams(params).toString()}`
+
+  return [
+    ...suggestions.popular.map((popular, index) => ({
+      section: "popular",
+      id: `popular-${index}`,
+      label: popular.query,
+      to: shopLink({ search: popular.query }),
+      searchQuery: popular.query,
+    })),
+    ...suggestions.products.map((product) => ({
+      section: "products",
+      id: `product-${product._id}`,
+      label: product.name,
+      ranges: product.highlights,
+      image: product.image,
+      price: Number(product.offerPrice) > 0 ? product.offerPrice : product.price,
+      to: `/product/${product.slug || product._id}`,
+    })),
+    ...suggestions.categories.map((category) => ({
+      section: "categories",
+      id: `category-${category._id}`,
+      label: category.name,
+      to: shopLink({ parent_category: category.name }),
+    })),
+    ...suggestions.subCategories.map((subCategory) => ({
+      section: "categories",
+      id: `subcategory-${subCategory._id}`,
+      label: subCategory.name,
+      detail: subCategory.category?.name,
+      to: subCategory.category
+        ? shopLink({ parent_category: subCategory.category.name, category: subCategory.name })
+        : shopLink({ category: subCategory.name }),
+    })),
+    ...suggestions.brands.map((brand) => ({
+      section: "brands",
+      id: `brand-${brand._id}`,
+      label: brand.name,
+      to: shopLink({ brand: brand.name }),
+    })),
+    ...suggestions.blogs.map((blog) => ({
+      section: "blogs",
+      id: `blog-${blog._id}`,
+      label: blog.title,
+      to: `/blog/${blog.slug}`,
+    })),
+  ]
+}
+
+// Search box with type-ahead suggestions. Arrow keys move through them, Enter opens one, Escape closes.
+const SearchAutocomplete = ({
+  placeholder = "Search",
+  formClassName = "",
+  inputClassName = "",
+  inputStyle,
+  buttonClassName = "",
+  autoFocus = false,
+  onSearch,
+}) => {
+  const navigate = useNavigate()
+  const [query, setQuery] = useState("")
+  const [suggestions, setSuggestions] = useState(null)
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const latestRequest = useRef(0)
+  // The navbar has a desktop and a mobile search box, ids must not clash
+  const listId = useId()
+  const optionId = (item) => `${listId}-${item.id}`
+
+  const items = toItems(suggestions)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    // Only the answer to the latest keystroke is shown, slower earlier ones are dropped
+    const requestId = ++latestRequest.current
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await axios.get(`${config.API_URL}/api/search/suggest`, { params: { q: query.trim() } })
+        if (requestId === latestRequest.current) {
+          setSuggestions(data)
+          setActiveIndex(-1)
+        }
+      } catch (error) {
+        console.error("Error fetching search suggestions:", error)
+      }
+    }, SUGGEST_DELAY_MS)
+
+    return () => clearTimeout(timer)
+  }, [query, isOpen])
+
+  // Counted for popular searches, a failure must not get in the way of the search itself
+  const recordSearch = (searchQuery) => {
+    axios.post(`${config.API_URL}/api/search/queries`, { query: searchQuery }).catch(() => {})
+  }
+
+  const finish = (to, searchQuery) => {
+    if (searchQuery) recordSearch(searchQuery)
+    navigate(to)
+    setQuery("")
+    setIsOpen(false)
+    setSuggestions(null)
+    if (onSearch) onSearch()
+  }
+
+  const selectItem = (item) => finish(item.to, item.searchQuery || query.trim())
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (activeIndex >= 0 && items[activeIndex]) {
+      selectItem(items[activeIndex])
+    } else if (query.trim()) {
+      finish(`/shop?search=${encodeURIComponent(query.trim())}`, query.trim())
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && items.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex((prev) => (prev + 1 >= items.length ? -1 : prev + 1))
+    } else if (e.key === "ArrowUp" && items.length > 0) {
+      e.preventDefault()
+      setActiveIndex((prev) => (prev <= -1 ? items.length - 1 : prev - 1))
+    } else if (e.key === "Escape") {
+      setIsOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
+  const showDropdown = isOpen && items.length > 0
+
+  return (
+    <form onSubmit={handleSubmit} className={`relative ${formClassName}`} role="search">
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setIsOpen(true)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        className={inputClassName}
+        style={inputStyle}
+        autoFocus={autoFocus}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 && items[activeIndex] ? optionId(items[activeIndex]) : undefined}
+      />
+      <button type="submit" className={buttonClassName} aria-label="Search">
+        <Search size={18} />
+      </button>
+
+      {showDropdown && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 shadow-lg z-50 max-h-[28rem] overflow-y-auto text-left"
+        >
+          {SECTIONS.map((section) => {
+            const sectionItems = items.filter((item) => item.section === section.key)
+            if (sectionItems.length === 0) return null
+
+            return (
+              <li key={section.key} role="presentation">
+                <div className="flex items-center gap-2 px-4 pt-3 pb-1 text-xs font-semibold uppercase text-gray-500">
+                  <section.icon size={14} />
+                  {section.title}
+                </div>
+                <ul role="presentation">
+                  {sectionItems.map((item) => {
+                    const index = items.indexOf(item)
+                    return (
+                      <li
+                        key={item.id}
+                        id={optionId(item)}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        // Keeps the input focused so the click lands before the dropdown closes
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => selectItem(item)}
+                        onMouseEnter={() => setActiveIndex(index)}
+                        className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${
+                          index === activeIndex ? "bg-lime-50" : "hover:bg-gray-50"
+                        }`}
+                      >
+                        {item.section === "products" && (
+                          <img
+                            src={item.image || "/placeholder.svg?height=40&width=40"}
+                            alt=""
+                            className="w-10 h-10 object-contain flex-shrink-0"
+                          />
+                        )}
+                        <span className="flex-1 min-w-0 truncate text-gray-800">
+                          <HighlightedText text={item.label} ranges={item.ranges} />
+                          {item.detail && <span className="text-gray-400"> in {item.detail}</span>}
+                        </span>
+                        {item.price !== undefined && (
+                          <span className="text-red-600 font-semibold whitespace-nowrap">
+                            {Number(item.price).toLocaleString(undefined, { minimumFractionDigits: 2 })}AED
+                          </span>
+                        )}
+                      </li>
+                    )
+                  })}
+                </ul>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </form>
+  )
+}
+
+export default SearchAutocomplete
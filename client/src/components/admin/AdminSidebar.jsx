@@ -23,12 +23,14 @@ import {
   BookOpen,
   Truck,
   Phone,
+  History,
+  Lock,
 } from "lucide-react"
 
 const AdminSidebar = () => {
   const location = useLocation()
   const navigate = useNavigate()
-  const { adminLogout } = useAuth()
+  const { adminLogout, hasAdminPermission } = useAuth()
   const [openDropdowns, setOpenDropdowns] = useState({
     productSystem: false,
     products: false,
@@ -150,8 +152,8 @@ const AdminSidebar = () => {
     setOpenDropdowns(newOpenDropdowns)
   }, [location.pathname])
 
-  const handleLogout = () => {
-    adminLogout()
+  const handleLogout = async () => {
+    await adminLogout()
     navigate("/admin/login")
   }
 
@@ -173,11 +175,13 @@ const AdminSidebar = () => {
       title: "Dashboard",
       icon: LayoutDashboard,
       path: "/admin/dashboard",
+      permission: "dashboard.view",
     },
     {
       title: "Product System",
       icon: Layers,
       dropdown: "productSystem",
+      permission: "catalog.manage",
       items: [
         {
           title: "Products",
@@ -266,6 +270,7 @@ const AdminSidebar = () => {
           icon: Calculator,
           dropdown: "tax",
           section: "tax",
+          permission: "settings.manage",
           items: [
             { title: "List Tax", path: "/admin/tax" },
             { title: "Add Tax", path: "/admin/tax/add" },
@@ -287,6 +292,7 @@ const AdminSidebar = () => {
       title: "Delivery Charges",
       icon: Truck,
       dropdown: "deliveryCharges",
+      permission: "settings.manage",
       items: [
         { title: "List Delivery Charges", path: "/admin/delivery-charges" },
         { title: "Add Delivery Charge", path: "/admin/delivery-charges/add" },
@@ -297,25 +303,29 @@ const AdminSidebar = () => {
       icon: ShoppingCart,
       dropdown: "orders",
       items: [
-        { title: "Online Orders", path: "/admin/orders/online" },
-        { title: "Received Orders", path: "/admin/orders/received" },
-        { title: "Inprogress Orders", path: "/admin/orders/in-progress" },
-        { title: "Ready for Shipment", path: "/admin/orders/ready-for-shipment" },
-        { title: "On the Way", path: "/admin/orders/on-the-way" },
-        { title: "Delivered", path: "/admin/orders/delivered" },
-        { title: "On Hold", path: "/admin/orders/on-hold" },
-        { title: "Rejected", path: "/admin/orders/rejected" },
+        { title: "Online Orders", path: "/admin/orders/online", permission: "orders.view" },
+        { title: "Received Orders", path: "/admin/orders/received", permission: "orders.view" },
+        { title: "Inprogress Orders", path: "/admin/orders/in-progress", permission: "orders.view" },
+        { title: "Ready for Shipment", path: "/admin/orders/ready-for-shipment", permission: "orders.view" },
+        { title: "On the Way", path: "/admin/orders/on-the-way", permission: "orders.view" },
+        { title: "Delivered", path: "/admin/orders/delivered", permission: "orders.view" },
+        { title: "On Hold", path: "/admin/orders/on-hold", permission: "orders.view" },
+        { title: "Rejected", path: "/admin/orders/rejected", permission: "orders.view" },
+        { title: "Return Requests", path: "/admin/orders/returns", permission: "orders.view" },
+        { title: "Abandoned Carts", path: "/admin/orders/abandoned-carts", permission: "marketing.manage" },
       ],
     },
     {
       title: "Request Callbacks",
       icon: Phone,
       path: "/admin/request-callbacks",
+      permission: "callbacks.manage",
     },
     {
       title: "Blogs",
       icon: BookOpen,
       dropdown: "blogs",
+      permission: "blog.manage",
       items: [
         { title: "Blogs", path: "/admin/blogs" },
         { title: "Add Blog", path: "/admin/blogs/add" },
@@ -330,16 +340,30 @@ const AdminSidebar = () => {
       title: "Users",
       icon: Users,
       path: "/admin/users",
+      permission: "users.view",
+    },
+    {
+      title: "Audit Log",
+      icon: History,
+      path: "/admin/audit-log",
+      permission: "audit.view",
+    },
+    {
+      title: "Security",
+      icon: Lock,
+      path: "/admin/security",
     },
     {
       title: "Banners",
       icon: ImageIcon,
       path: "/admin/banners",
+      permission: "marketing.manage",
     },
     {
       title: "Coupons",
       icon: Percent,
       dropdown: "coupons",
+      permission: "coupons.manage",
       items: [
         { title: "All Coupons", path: "/admin/coupons/all" },
       ],
@@ -351,6 +375,13 @@ const AdminSidebar = () => {
     // },
   ]
 
+  // Only what the admin's role allows, dropdowns left with nothing in them go too
+  const filterMenuItems = (items) =>
+    items
+      .filter((item) => !item.permission || hasAdminPermission(item.permission))
+      .map((item) => (item.items ? { ...item, items: filterMenuItems(item.items) } : item))
+      .filter((item) => !item.items || item.items.length > 0)
+
   const renderMenuItem = (item, level = 0) => {
     const paddingLeft = level === 0 ? "px-6" : level === 1 ? "px-8" : "px-12"
     const textSize = level === 0 ? "font-medium" : level === 1 ? "text-sm font-medium" : "text-sm"
@@ -421,7 +452,7 @@ const AdminSidebar = () => {
       </div>
 
       <nav className="mt-6 pb-6">
-        {menuItems.map((item, index) => (
+        {filterMenuItems(menuItems).map((item, index) => (
           <div key={index}>
             {item.dropdown ? (
               renderMenuItem(item)
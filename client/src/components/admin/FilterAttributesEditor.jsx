@@ -0,0 +1,234 @@
+"use client"
+
+import { useState, useEffect, useId } from "react"
+import axios from "axios"
+import { Plus, X, SlidersHorizontal } from "lucide-react"
+
+import config from "../../config/config"
+
+const emptyAttribute = {
+  key: "",
+  label: "",
+  type: "text",
+  unit: "",
+  aliases: "",
+  values: "",
+}
+
+// The form edits aliases and values as comma separated text
+export const normalizeFilterAttributes = (attributes = []) =>
+  attributes.map((attribute) => ({
+    ...emptyAttribute,
+    ...attribute,
+    label: attribute.label === attribute.key ? "" : attribute.label || "",
+    unit: attribute.unit || "",
+    aliases: (attribute.aliases || []).join(", "),
+    values: (attribute.values || []).join(", "),
+  }))
+
+// Shape the attributes the way the category APIs expect them
+export const serializeFilterAttributes = (attributes = []) =>
+  attributes
+    .filter((attribute) => attribute.key.trim())
+    .map((attribute, index) => ({
+      key: attribute.key.trim(),
+      label: attribute.label.trim() || attribute.key.trim(),
+      type: attribute.type,
+      unit: attribute.type === "number" ? attribute.unit.trim() : "",
+      aliases: attribute.aliases.split(",").map((alias) => alias.trim()).filter(Boolean),
+      values: attribute.type === "text" ? attribute.values.split(",").map((value) => value.trim()).filter(Boolean) : [],
+      sortOrder: index,
+    }))
+
+// Filterable specifications of a category or subcategory. specKeysUrl lists the keys its products use, for picking.
+const FilterAttributesEditor = ({ attributes, onChange, specKeysUrl, inherited = [] }) => {
+  const [specKeys, setSpecKeys] = useState([])
+  const specKeysListId = useId()
+
+  useEffect(() => {
+    if (!specKeysUrl) return
+
+    const fetchSpecKeys = async () => {
+      try {
+        const token = localStorage.getItem("adminToken")
+        const { data } = await axios.get(specKeysUrl, { headers: { Authorization: `Bearer ${token}` } })
+        setSpecKeys(data)
+      } catch (error) {
+        console.error("Error fetching specification keys:", error)
+      }
+    }
+
+    fetchSpecKeys()
+  }, [specKeysUrl])
+
+  const updateAttribute = (index, field, value) => {
+    onChange(attributes.map((attribute, i) => (i === index ? { ...attribute, [field]: value } : attribute)))
+  }
+
+  const addAttribute = (key = "") => {
+    onChange([...attributes, { ...emptyAttribute, key }])
+  }
+
+  const removeAttribute = (index) => {
+    onChange(attributes.filter((_, i) => i !== index))
+  }
+
+  const moveAttribute = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= attributes.length) return
+    const reordered = [...attributes]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    onChange(reordered)
+  }
+
+  const usedKeys = new Set([...attributes, ...inherited].map((attribute) => attribute.key.trim().toLowerCase()))
+  const unusedSpecKeys = specKeys.filter((specKey) => !usedKeys.has(specKey.key.trim().toLowerCase()))
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <SlidersHorizontal size={18} />
+            Shop Filters
+          </h2>
+          <p className="text-sm text-gray-500">
+            Specifications shoppers can filter by. Number values are converted to the unit, so "1TB" and "1024 GB"
+            match.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => addAttribute()}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 shadow-sm"
+        >
+          <Plus size={18} className="mr-2" />
+          Add Filter
+        </button>
+      </div>
+
+      {inherited.length > 0 && (
+        <p className="text-sm text-gray-500">
+          From the category: {inherited.map((attribute) => attribute.label || attribute.key).join(", ")}. Add the same
+          key here to change it for this subcategory.
+        </p>
+      )}
+
+      {attributes.length > 0 ? (
+        <div className="space-y-4">
+          {attributes.map((attribute, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <input
+                  type="text"
+                  value={attribute.key}
+                  onChange={(e) => updateAttribute(index, "key", e.target.value)}
+                  placeholder="Specification key, e.g. RAM"
+                  list={specKeysListId}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+                <input
+                  type="text"
+                  value={attribute.label}
+                  onChange={(e) => updateAttribute(index, "label", e.target.value)}
+                  placeholder="Shown as (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={attribute.type}
+                  onChange={(e) => updateAttribute(index, "type", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="text">Text</option>
+                  <option value="number">Number with unit</option>
+                </select>
+                {attribute.type === "number" ? (
+                  <input
+                    type="text"
+                    value={attribute.unit}
+                    onChange={(e) => updateAttribute(index, "unit", e.target.value)}
+                    placeholder="Unit, e.g. GB or inch"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={attribute.values}
+                    onChange={(e) => updateAttribute(index, "values", e.target.value)}
+                    placeholder="Values as they should read"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                )}
+              </div>
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={attribute.aliases}
+                  onChange={(e) => updateAttribute(index, "aliases", e.target.value)}
+                  placeholder="Other keys for the same thing, comma separated, e.g. Memory, RAM Size"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => moveAttribute(index, -1)}
+                  disabled={index === 0}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveAttribute(index, 1)}
+                  disabled={index === attributes.length - 1}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeAttribute(index)}
+                  className="text-red-600 hover:text-red-900 p-2 rounded-md hover:bg-red-50"
+                  aria-label="Remove filter"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No shop filters yet.</p>
+      )}
+
+      {unusedSpecKeys.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase mb-2">Specifications on these products</p>
+          <div className="flex flex-wrap gap-2">
+            {unusedSpecKeys.slice(0, 20).map((specKey) => (
+              <button
+                key={specKey.key}
+                type="button"
+                onClick={() => addAttribute(specKey.key)}
+                title={`e.g. ${specKey.example}`}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-full text-gray-700 hover:bg-gray-50"
+              >
+                + {specKey.key} <span className="text-gray-400">({specKey.count})</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <datalist id={specKeysListId}>
+        {specKeys.map((specKey) => (
+          <option key={specKey.key} value={specKey.key} />
+        ))}
+      </datalist>
+    </div>
+  )
+}
+
+export default FilterAttributesEditor
@@ -4,6 +4,7 @@ import { useState, useEffect } from "react"
 import axios from "axios"
 import ImageUpload from "../ImageUpload"
 import TipTapEditor from "../TipTapEditor"
+import VariantEditor, { normalizeVariants, serializeVariants } from "./VariantEditor"
 import { Plus, X } from "lucide-react"
 
 import config from "../../config/config"
@@ -38,6 +39,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
     tax: "0",
     tags: "",
     specifications: [],
+    variants: [],
     isActive: true,
     canPurchase: true,
     showStockOut: true,
@@ -92,6 +94,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
         tax: product.tax || "0",
         tags: Array.isArray(product.tags) ? product.tags.join(", ") : "",
         specifications: product.specifications || [],
+        variants: normalizeVariants(product.variants),
         isActive: product.isActive !== undefined ? product.isActive : true,
         canPurchase: product.canPurchase !== undefined ? product.canPurchase : true,
         showStockOut: product.showStockOut !== undefined ? product.showStockOut : true,
@@ -271,6 +274,7 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
         tags: formData.tags ? formData.tags.split(",").map((tag) => tag.trim()) : [],
         galleryImages: formData.galleryImages.filter((img) => img !== ""),
         specifications: formData.specifications.filter((spec) => spec.key && spec.value),
+        variants: serializeVariants(formData.variants),
         stockStatus: formData.stockStatus,
       }
       await onSubmit(productData)
@@ -625,6 +629,13 @@ const ProductForm = ({ product, onSubmit, onCancel }) => {
           </div>
         </div>
 
+        {/* Variants Section */}
+        <VariantEditor
+          variants={formData.variants}
+          onChange={(variants) => setFormData((prev) => ({ ...prev, variants }))}
+          baseSku={formData.sku}
+        />
+
         {/* Product Specifications Section */}
         <div className="bg-gray-50 rounded-lg p-6 border border-gray-200">
           <div className="flex items-center justify-between mb-6">
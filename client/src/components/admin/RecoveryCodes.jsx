@@ -0,0 +1,60 @@
+"use client"
+
+import { useState } from "react"
+import { Copy, Download } from "lucide-react"
+
+// New recovery codes, shown once. Each one signs in a single time when the phone is not at hand.
+const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false)
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"))
+      setCopied(true)
+    } catch (error) {
+      console.error("Could not copy the recovery codes:", error)
+    }
+  }
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([codes.join("\n")], { type: "text/plain" }))
+    const link = document.createElement("a")
+    link.href = url
+    link.download = "admin-recovery-codes.txt"
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-600">
+        Keep these somewhere safe. Each code works once if you lose your phone, and they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-slate-50 border border-slate-200 rounded-xl font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex-1 inline-flex items-center justify-center gap-2 py-2 border border-slate-200 rounded-lg text-sm text-slate-700 hover:bg-slate-50"
+        >
+          <Copy className="w-4 h-4" />
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="flex-1 inline-flex items-center justify-center gap-2 py-2 border border-slate-200 rounded-lg text-sm text-slate-700 hover:bg-slate-50"
+        >
+          <Download className="w-4 h-4" />
+          Download
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RecoveryCodes
@@ -0,0 +1,83 @@
+"use client"
+
+import { useState } from "react"
+import { Copy, Smartphone } from "lucide-react"
+
+// Adding the secret to an authenticator app and confirming the first code.
+// setup is { secret, otpauthUrl } from the setup route, onConfirm gets the six digit code.
+const TwoFactorSetup = ({ setup, onConfirm, loading, confirmLabel = "Turn on two-factor" }) => {
+  const [code, setCode] = useState("")
+  const [copied, setCopied] = useState(false)
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(setup.secret)
+      setCopied(true)
+    } catch (error) {
+      console.error("Could not copy the setup key:", error)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onConfirm(code.replace(/\s/g, ""))
+  }
+
+  return (
+    <div className="space-y-5">
+      <ol className="list-decimal list-inside space-y-2 text-sm text-slate-600">
+        <li>Open an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.</li>
+        <li>Add an account and enter the setup key below, or open the link on the phone the app is on.</li>
+        <li>Type the six digit code the app shows.</li>
+      </ol>
+
+      <div>
+        <label className="block text-slate-700 text-sm font-medium mb-2">Setup key</label>
+        <div className="flex items-center gap-2">
+          <code className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg font-mono text-sm break-all">
+            {setup.secret.match(/.{1,4}/g).join(" ")}
+          </code>
+          <button
+            type="button"
+            onClick={copySecret}
+            className="p-2 text-slate-500 hover:text-slate-700 border border-slate-200 rounded-lg"
+            title="Copy setup key"
+          >
+            <Copy className="w-4 h-4" />
+          </button>
+        </div>
+        {copied && <p className="text-xs text-lime-600 mt-1">Copied</p>}
+        <a href={setup.otpauthUrl} className="inline-flex items-center gap-1 text-sm text-lime-600 hover:text-lime-700 mt-2">
+          <Smartphone className="w-4 h-4" />
+          Open in authenticator app
+        </a>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-slate-700 text-sm font-medium mb-2">Code from the app</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 text-slate-900 tracking-widest"
+            placeholder="123456"
+            maxLength={7}
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading || code.replace(/\s/g, "").length !== 6}
+          className="w-full bg-lime-500 hover:bg-lime-600 text-white font-semibold py-3 px-6 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? "Checking..." : confirmLabel}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default TwoFactorSetup
@@ -0,0 +1,282 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import axios from "axios"
+import { Plus, X, Layers } from "lucide-react"
+
+import config from "../../config/config"
+
+const OPTION_KEYS = ["color", "size", "volume"]
+
+const emptyVariant = {
+  color: "",
+  size: "",
+  volume: "",
+  sku: "",
+  barcode: "",
+  price: "",
+  offerPrice: "",
+  countInStock: "",
+  image: "",
+  isActive: true,
+}
+
+// Variants may come back with populated option documents, the form works with ids
+export const normalizeVariants = (variants = []) =>
+  variants.map((variant) => ({
+    ...emptyVariant,
+    ...variant,
+    color: variant.color?._id || variant.color || "",
+    size: variant.size?._id || variant.size || "",
+    volume: variant.volume?._id || variant.volume || "",
+    price: variant.price || "",
+    offerPrice: variant.offerPrice || "",
+    countInStock: variant.countInStock ?? "",
+    image: variant.image || "",
+  }))
+
+// Shape the variants the way the product API expects them
+export const serializeVariants = (variants = []) =>
+  variants
+    .filter((variant) => OPTION_KEYS.some((key) => variant[key]))
+    .map((variant) => ({
+      ...(variant._id ? { _id: variant._id } : {}),
+      color: variant.color || undefined,
+      size: variant.size || undefined,
+      volume: variant.volume || undefined,
+      sku: variant.sku,
+      barcode: variant.barcode,
+      price: Number.parseFloat(variant.price) || 0,
+      offerPrice: Number.parseFloat(variant.offerPrice) || 0,
+      countInStock: Number.parseInt(variant.countInStock) || 0,
+      image: variant.image,
+      isActive: variant.isActive !== false,
+    }))
+
+const VariantEditor = ({ variants, onChange, baseSku = "", selectedColors = [], selectedSizes = [], selectedVolume = "" }) => {
+  const [colors, setColors] = useState([])
+  const [sizes, setSizes] = useState([])
+  const [volumes, setVolumes] = useState([])
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [colorsRes, sizesRes, volumesRes] = await Promise.all([
+          axios.get(`${config.API_URL}/api/colors`),
+          axios.get(`${config.API_URL}/api/sizes`),
+          axios.get(`${config.API_URL}/api/volumes`),
+        ])
+        setColors(colorsRes.data.filter((color) => color.isActive !== false))
+        setSizes(sizesRes.data.filter((size) => size.isActive !== false))
+        setVolumes(volumesRes.data.filter((volume) => volume.isActive !== false))
+      } catch (error) {
+        console.error("Error fetching variant options:", error)
+      }
+    }
+
+    fetchOptions()
+  }, [])
+
+  const optionName = (list, id) => list.find((item) => item._id === id)?.name || ""
+
+  const updateVariant = (index, field, value) => {
+    onChange(variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)))
+  }
+
+  const addVariant = () => {
+    onChange([...variants, { ...emptyVariant }])
+  }
+
+  const removeVariant = (index) => {
+    onChange(variants.filter((_, i) => i !== index))
+  }
+
+  // Build every color x size x volume combination from the options ticked on the product
+  const generateVariants = () => {
+    const colorIds = selectedColors.length > 0 ? selectedColors : [""]
+    const sizeIds = selectedSizes.length > 0 ? selectedSizes : [""]
+    const volumeIds = selectedVolume ? [selectedVolume] : [""]
+
+    const existingKeys = new Set(variants.map((variant) => OPTION_KEYS.map((key) => variant[key] || "").join("|")))
+    const generated = []
+
+    colorIds.forEach((color) => {
+      sizeIds.forEach((size) => {
+        volumeIds.forEach((volume) => {
+          const key = [color, size, volume].join("|")
+          if (key === "||" || existingKeys.has(key)) return
+
+          const skuSuffix = [optionName(colors, color), optionName(sizes, size), optionName(volumes, volume)]
+            .filter(Boolean)
+            .join("-")
+            .toUpperCase()
+            .replace(/\s+/g, "")
+
+          generated.push({
+            ...emptyVariant,
+            color,
+            size,
+            volume,
+            sku: baseSku ? `${baseSku}-${skuSuffix}` : "",
+          })
+        })
+      })
+    })
+
+    onChange([...variants, ...generated])
+  }
+
+  const canGenerate = selectedColors.length > 0 || selectedSizes.length > 0 || Boolean(selectedVolume)
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-gray-900">Variants</h2>
+        <div className="flex space-x-2">
+          {canGenerate && (
+            <button
+              type="button"
+              onClick={generateVariants}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200"
+            >
+              <Layers size={18} className="mr-2" />
+              Generate from options
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={addVariant}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 shadow-sm"
+          >
+            <Plus size={18} className="mr-2" />
+            Add Variant
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Each variant is a color / size / volume combination with its own SKU and stock. Leave the price empty to use
+        the product price.
+      </p>
+
+      {variants.length > 0 ? (
+        <div className="space-y-4">
+          {variants.map((variant, index) => (
+            <div key={variant._id || index} className="border border-gray-200 rounded-lg p-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <select
+                  value={variant.color}
+                  onChange={(e) => updateVariant(index, "color", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">No color</option>
+                  {colors.map((color) => (
+                    <option key={color._id} value={color._id}>
+                      {color.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={variant.size}
+                  onChange={(e) => updateVariant(index, "size", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">No size</option>
+                  {sizes.map((size) => (
+                    <option key={size._id} value={size._id}>
+                      {size.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={variant.volume}
+                  onChange={(e) => updateVariant(index, "volume", e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">No volume</option>
+                  {volumes.map((volume) => (
+                    <option key={volume._id} value={volume._id}>
+                      {volume.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-4 items-center">
+                <input
+                  type="text"
+                  value={variant.sku}
+                  onChange={(e) => updateVariant(index, "sku", e.target.value)}
+                  placeholder="SKU"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  value={variant.barcode}
+                  onChange={(e) => updateVariant(index, "barcode", e.target.value)}
+                  placeholder="Barcode"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={variant.price}
+                  onChange={(e) => updateVariant(index, "price", e.target.value)}
+                  placeholder="Price"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={variant.offerPrice}
+                  onChange={(e) => updateVariant(index, "offerPrice", e.target.value)}
+                  placeholder="Offer price"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={variant.countInStock}
+                  onChange={(e) => updateVariant(index, "countInStock", e.target.value)}
+                  placeholder="Stock"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={variant.isActive !== false}
+                      onChange={(e) => updateVariant(index, "isActive", e.target.checked)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                    />
+                    Active
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => removeVariant(index)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+              <input
+                type="text"
+                value={variant.image}
+                onChange={(e) => updateVariant(index, "image", e.target.value)}
+                placeholder="Variant image URL (optional)"
+                className="mt-4 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-gray-500 text-center py-4">
+          No variants. The product is sold as a single item using the price and stock above.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VariantEditor
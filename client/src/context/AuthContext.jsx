@@ -1,8 +1,9 @@
 "use client"
 
-import { createContext, useContext, useReducer, useEffect } from "react"
+import { createContext, useContext, useReducer, useEffect, useState } from "react"
 import { authAPI } from "../services/api"
 import { adminAPI } from "../services/api"
+import { SESSION_ENDED_EVENT } from "../services/authSession"
 
 // Initial state
 const initialState = {
@@ -111,6 +112,8 @@ const AuthContext = createContext()
 // Auth provider component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState)
+  // Logged in admin panel user with their role and permissions, separate from the shop user
+  const [adminUser, setAdminUser] = useState(null)
 
   // Check if user is logged in on app start
   useEffect(() => {
@@ -143,6 +146,29 @@ export const AuthProvider = ({ children }) => {
     checkAuth()
   }, [])
 
+  useEffect(() => {
+    if (!localStorage.getItem("adminToken")) return
+
+    adminAPI
+      .getProfile()
+      .then(setAdminUser)
+      .catch((error) => console.error("Error loading admin profile:", error))
+  }, [])
+
+  // The refresh cookie was rejected (expired, or logged out from another device)
+  useEffect(() => {
+    const handleSessionEnded = (event) => {
+      if (event.detail?.scope === "user") {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT })
+      } else if (event.detail?.scope === "admin") {
+        setAdminUser(null)
+      }
+    }
+
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded)
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded)
+  }, [])
+
   // Login function
   const login = async (credentials) => {
     dispatch({ type: AUTH_ACTIONS.LOGIN_START })
@@ -217,8 +243,20 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  // Logout function
-  const logout = () => {
+  // Logout function: ends the session on the server so the refresh cookie stops working
+  const logout = async () => {
+    try {
+      await authAPI.logout()
+    } catch (error) {
+      console.error("Logout request failed:", error)
+    }
+    localStorage.removeItem("token")
+    dispatch({ type: AUTH_ACTIONS.LOGOUT })
+  }
+
+  // Log out every device, this one included
+  const logoutAllDevices = async () => {
+    await authAPI.logoutAllDevices()
     localStorage.removeItem("token")
     dispatch({ type: AUTH_ACTIONS.LOGOUT })
   }
@@ -242,24 +280,58 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR })
   }
 
-  const adminLogin = async (credentials) => {
+  // Each admin sign in step either finishes the login (a token) or says which step is next
+  const handleAdminLoginStep = async (request) => {
     try {
-      const data = await adminAPI.login(credentials)
-      localStorage.setItem("adminToken", data.token)
+      const data = await request()
+      if (data.token) {
+        localStorage.setItem("adminToken", data.token)
+        setAdminUser(data)
+      }
       return { ...data, success: true }
     } catch (error) {
       return { success: false, message: error.message }
     }
   }
 
+  // Resolves with twoFactorRequired or twoFactorSetupRequired and a challengeToken when a code is still needed
+  const adminLogin = (credentials) => handleAdminLoginStep(() => adminAPI.login(credentials))
+
+  // { challengeToken, code } or { challengeToken, recoveryCode }
+  const adminVerifyTwoFactor = (data) => handleAdminLoginStep(() => adminAPI.verifyTwoFactorLogin(data))
+
+  // Resolves with recoveryCodes as well, to show before going on to the dashboard
+  const adminEnableTwoFactor = (challengeToken, code) =>
+    handleAdminLoginStep(() => adminAPI.enableTwoFactorLogin(challengeToken, code))
+
+  const adminLogout = async () => {
+    try {
+      await adminAPI.logout()
+    } catch (error) {
+      console.error("Admin logout request failed:", error)
+    }
+    localStorage.removeItem("adminToken")
+    setAdminUser(null)
+  }
+
+  // Whether the admin's role has at least one of the permissions, e.g. hasAdminPermission("orders.view")
+  const hasAdminPermission = (...permissions) =>
+    permissions.some((permission) => adminUser?.permissions?.includes(permission))
+
   const value = {
     ...state,
     login,
     adminLogin,
+    adminVerifyTwoFactor,
+    adminEnableTwoFactor,
     register,
     verifyEmail,
     resendVerification,
     logout,
+    logoutAllDevices,
+    adminLogout,
+    adminUser,
+    hasAdminPermission,
     updateProfile,
     clearError,
   }
@@ -1,11 +1,31 @@
 
 "use client"
 
-import { createContext, useState, useEffect, useContext } from "react"
+import { createContext, useState, useEffect, useContext, useRef } from "react"
+import axios from "axios"
 import { useToast } from "./ToastContext"
+import { useAuth } from "./AuthContext"
+
+import config from "../config/config"
 
 const CartContext = createContext()
 
+// Cart lines are keyed by product, or by product and variant for products with options
+const getCartKey = (item) => item.cartKey || item._id
+
+const getCartHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem("token")}` })
+
+// Lines of the server cart (/api/cart) look like the browser ones, keyed by product id
+const fromServerItem = (item) => ({
+  ...item,
+  _id: item.product,
+  cartItemId: item._id,
+  cartKey: item.variant ? `${item.product}-${item.variant}` : item.product,
+  variantId: item.variant,
+})
+
+const toServerLine = (item) => ({ product: item._id, variant: item.variantId, quantity: item.quantity })
+
 export const useCart = () => useContext(CartContext)
 
 export const CartProvider = ({ children }) => {
@@ -21,10 +41,68 @@ export const CartProvider = ({ children }) => {
   const [coupon, setCoupon] = useState(null)
   const [couponDiscount, setCouponDiscount] = useState(0)
   const { showToast } = useToast()
+  const { isAuthenticated, loading: authLoading } = useAuth()
+  const wasAuthenticated = useRef(false)
+
+  const applyServerCart = (cart) => setCartItems(cart.items.map(fromServerItem))
+
+  // Re-read the saved cart: prices and stock are checked again and problems flagged per line
+  const refreshCart = async () => {
+    if (!isAuthenticated) return
+    try {
+      const { data } = await axios.get(`${config.API_URL}/api/cart`, { headers: getCartHeaders() })
+      applyServerCart(data)
+    } catch (error) {
+      console.error("Error loading cart:", error)
+    }
+  }
 
+  // Send a change to the saved cart and show what the server made of it
+  const syncCart = async (request) => {
+    try {
+      const { data } = await request()
+      applyServerCart(data)
+    } catch (error) {
+      showToast(error.response?.data?.message || "Could not update your cart", "error")
+      refreshCart()
+    }
+  }
+
+  // Logged in carts live on the server. The cart built before logging in is merged into it once.
   useEffect(() => {
-    // Update localStorage when cart changes
-    localStorage.setItem("cart", JSON.stringify(cartItems))
+    if (authLoading) return
+
+    if (isAuthenticated) {
+      wasAuthenticated.current = true
+      const storedCart = JSON.parse(localStorage.getItem("cart") || "[]")
+
+      const request =
+        storedCart.length > 0
+          ? axios.post(
+              `${config.API_URL}/api/cart/merge`,
+              { items: storedCart.map(toServerLine) },
+              { headers: getCartHeaders() },
+            )
+          : axios.get(`${config.API_URL}/api/cart`, { headers: getCartHeaders() })
+
+      request
+        .then(({ data }) => {
+          localStorage.removeItem("cart")
+          applyServerCart(data)
+        })
+        .catch((error) => console.error("Error loading cart:", error))
+    } else if (wasAuthenticated.current) {
+      // Logged out, the cart stays with the account
+      wasAuthenticated.current = false
+      setCartItems([])
+    }
+  }, [isAuthenticated, authLoading])
+
+  useEffect(() => {
+    // Guest carts are kept in localStorage until the shopper logs in
+    if (!isAuthenticated) {
+      localStorage.setItem("cart", JSON.stringify(cartItems))
+    }
 
     // Update cart count
     const count = cartItems.reduce((total, item) => total + item.quantity, 0)
@@ -39,9 +117,38 @@ export const CartProvider = ({ children }) => {
     setCartTotal(total)
   }, [cartItems])
 
-  const addToCart = (product, quantity = 1) => {
+  const addToCart = (product, quantity = 1, variant = null) => {
+    const cartItem = variant
+      ? {
+          ...product,
+          cartKey: `${product._id}-${variant._id}`,
+          variantId: variant._id,
+          variantLabel: variant.label,
+          sku: variant.sku || product.sku,
+          price: variant.price > 0 ? variant.price : product.price,
+          offerPrice: variant.price > 0 ? variant.offerPrice : product.offerPrice,
+          image: variant.image || product.image,
+          countInStock: variant.countInStock,
+        }
+      : product
+    const cartKey = getCartKey(cartItem)
+
+    if (isAuthenticated) {
+      const exists = cartItems.some((item) => getCartKey(item) === cartKey)
+      syncCart(async () => {
+        const response = await axios.post(
+          `${config.API_URL}/api/cart/items`,
+          { productId: product._id, variantId: variant?._id, quantity },
+          { headers: getCartHeaders() },
+        )
+        showToast(exists ? `Updated ${product.name} quantity in cart` : `Added ${product.name} to cart`, "success")
+        return response
+      })
+      return
+    }
+
     setCartItems((prevItems) => {
-      const existingItemIndex = prevItems.findIndex((item) => item._id === product._id)
+      const existingItemIndex = prevItems.findIndex((item) => getCartKey(item) === cartKey)
 
       if (existingItemIndex > -1) {
         // Item exists, update quantity
@@ -55,38 +162,77 @@ export const CartProvider = ({ children }) => {
       } else {
         // Item doesn't exist, add new item
         showToast(`Added ${product.name} to cart`, "success")
-        return [...prevItems, { ...product, quantity }]
+        return [...prevItems, { ...cartItem, quantity }]
       }
     })
   }
 
-  const removeFromCart = (productId) => {
-    const product = cartItems.find((item) => item._id === productId)
-    setCartItems((prevItems) => prevItems.filter((item) => item._id !== productId))
+  const removeFromCart = (cartKey) => {
+    const product = cartItems.find((item) => getCartKey(item) === cartKey)
+    setCartItems((prevItems) => prevItems.filter((item) => getCartKey(item) !== cartKey))
     if (product) {
       showToast(`Removed ${product.name} from cart`, "success")
     }
+
+    if (isAuthenticated && product?.cartItemId) {
+      syncCart(() =>
+        axios.delete(`${config.API_URL}/api/cart/items/${product.cartItemId}`, { headers: getCartHeaders() }),
+      )
+    }
   }
 
-  const updateQuantity = (productId, quantity) => {
+  const updateQuantity = (cartKey, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId)
+      removeFromCart(cartKey)
       return
     }
 
-    const product = cartItems.find((item) => item._id === productId)
-    setCartItems((prevItems) => prevItems.map((item) => (item._id === productId ? { ...item, quantity } : item)))
+    const product = cartItems.find((item) => getCartKey(item) === cartKey)
+    setCartItems((prevItems) =>
+      prevItems.map((item) => (getCartKey(item) === cartKey ? { ...item, quantity } : item)),
+    )
     if (product) {
       showToast(`Updated ${product.name} quantity`, "success")
     }
+
+    if (isAuthenticated && product?.cartItemId) {
+      syncCart(() =>
+        axios.put(
+          `${config.API_URL}/api/cart/items/${product.cartItemId}`,
+          { quantity },
+          { headers: getCartHeaders() },
+        ),
+      )
+    }
   }
 
   const clearCart = () => {
     setCartItems([])
     localStorage.removeItem("cart")
     showToast("Cart cleared", "success")
+
+    if (isAuthenticated) {
+      syncCart(() => axios.delete(`${config.API_URL}/api/cart`, { headers: getCartHeaders() }))
+    }
+  }
+
+  // Cart reopened from a reminder email: logged in it is already saved on the server, otherwise
+  // it becomes the browser cart and is merged on login
+  const restoreCart = async (cart) => {
+    if (isAuthenticated) {
+      await refreshCart()
+      return
+    }
+    setCartItems(
+      cart.items
+        .filter((item) => !item.issues?.some((issue) => issue.type === "unavailable"))
+        .map((item) => ({ ...fromServerItem(item), issues: undefined, cartItemId: undefined })),
+    )
   }
 
+  // Lines the server flagged: sold out, not enough stock, price changed or no longer sold
+  const cartIssues = cartItems.filter((item) => item.issues?.length > 0)
+
   // Calculate final total with delivery charges
   const calculateFinalTotal = (deliveryCharge = 0) => {
     return cartTotal + deliveryCharge - couponDiscount
@@ -102,6 +248,9 @@ export const CartProvider = ({ children }) => {
         removeFromCart,
         updateQuantity,
         clearCart,
+        refreshCart,
+        restoreCart,
+        cartIssues,
         deliveryOptions,
         setDeliveryOptions,
         selectedDelivery,
@@ -0,0 +1,82 @@
+"use client"
+
+import { createContext, useContext, useEffect, useState } from "react"
+import { useToast } from "./ToastContext"
+
+export const MAX_COMPARE_ITEMS = 4
+const STORAGE_KEY = "compare"
+
+const CompareContext = createContext()
+
+export const useCompare = () => useContext(CompareContext)
+
+const loadItems = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(stored) ? stored.slice(0, MAX_COMPARE_ITEMS) : []
+  } catch (error) {
+    return []
+  }
+}
+
+// Products picked for the compare page, kept across visits. Only what the tray shows is stored.
+export const CompareProvider = ({ children }) => {
+  const { showToast } = useToast()
+  const [compareItems, setCompareItems] = useState(loadItems)
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(compareItems))
+  }, [compareItems])
+
+  const isInCompare = (productId) => compareItems.some((item) => item._id === productId)
+
+  const addToCompare = (product) => {
+    if (isInCompare(product._id)) return
+    if (compareItems.length >= MAX_COMPARE_ITEMS) {
+      showToast(`You can compare up to ${MAX_COMPARE_ITEMS} products, remove one first`, "error")
+      return
+    }
+
+    setCompareItems((prev) => [
+      ...prev,
+      { _id: product._id, name: product.name, slug: product.slug, image: product.image },
+    ])
+    showToast("Added to compare", "success")
+  }
+
+  const removeFromCompare = (productId) => {
+    setCompareItems((prev) => prev.filter((item) => item._id !== productId))
+  }
+
+  const toggleCompare = (product) => {
+    if (isInCompare(product._id)) removeFromCompare(product._id)
+    else addToCompare(product)
+  }
+
+  const clearCompare = () => setCompareItems([])
+
+  // The compare page opened from a shared link becomes the tray's selection
+  const replaceCompare = (products) => {
+    setCompareItems(
+      products
+        .slice(0, MAX_COMPARE_ITEMS)
+        .map((product) => ({ _id: product._id, name: product.name, slug: product.slug, image: product.image })),
+    )
+  }
+
+  return (
+    <CompareContext.Provider
+      value={{
+        compareItems,
+        isInCompare,
+        addToCompare,
+        removeFromCompare,
+        toggleCompare,
+        clearCompare,
+        replaceCompare,
+      }}
+    >
+      {children}
+    </CompareContext.Provider>
+  )
+}
@@ -1,12 +1,13 @@
 "use client"
 
-import { Link } from "react-router-dom"
+import { Link, useSearchParams } from "react-router-dom"
 import { useCart } from "../context/CartContext"
-import { Trash2, Minus, Plus, ShoppingBag } from "lucide-react"
+import { Trash2, Minus, Plus, ShoppingBag, AlertTriangle } from "lucide-react"
 import { useEffect, useState } from "react"
 import axios from "axios"
 
 import config from "../config/config"
+import { getOrderHeaders } from "../services/guestCheckout"
 
 const Cart = () => {
   const {
@@ -14,6 +15,8 @@ const Cart = () => {
     cartTotal,
     removeFromCart,
     updateQuantity,
+    refreshCart,
+    cartIssues,
     deliveryOptions,
     setDeliveryOptions,
     selectedDelivery,
@@ -25,7 +28,9 @@ const Cart = () => {
     couponDiscount,
     setCouponDiscount,
   } = useCart()
-  const [couponInput, setCouponInput] = useState("")
+  const [searchParams] = useSearchParams()
+  // Reminder emails link here with their coupon filled in
+  const [couponInput, setCouponInput] = useState(searchParams.get("coupon") || "")
   const [couponLoading, setCouponLoading] = useState(false)
   const [couponError, setCouponError] = useState("")
 
@@ -54,10 +59,11 @@ const Cart = () => {
     }
     fetchDeliveryOptions()
     fetchTax()
+    refreshCart()
   }, [])
 
-  const handleQuantityChange = (productId, newQuantity) => {
-    updateQuantity(productId, newQuantity)
+  const handleQuantityChange = (cartKey, newQuantity) => {
+    updateQuantity(cartKey, newQuantity)
   }
 
   // Delivery charge (free if cartTotal > 600)
@@ -78,11 +84,12 @@ const Cart = () => {
     setCouponLoading(true)
     setCouponError("")
     try {
-      const cartApiItems = cartItems.map(item => ({ product: item._id, qty: item.quantity }))
-      const { data } = await axios.post(`${config.API_URL}/api/coupons/validate`, {
-        code: couponInput,
-        cartItems: cartApiItems,
-      })
+      const cartApiItems = cartItems.map(item => ({ product: item._id, variant: item.variantId, qty: item.quantity }))
+      const { data } = await axios.post(
+        `${config.API_URL}/api/coupons/validate`,
+        { code: couponInput, cartItems: cartApiItems },
+        { headers: getOrderHeaders() },
+      )
       setCoupon(data.coupon)
       setCouponDiscount(data.discountAmount)
       setCouponError("")
@@ -118,10 +125,18 @@ const Cart = () => {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Cart Items */}
           <div className="lg:col-span-2">
+            {cartIssues.length > 0 && (
+              <div className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-lg flex items-start text-amber-800">
+                <AlertTriangle size={20} className="mr-3 flex-shrink-0" />
+                <p className="text-sm">
+                  Some items in your cart have changed since you added them. Please review them before checking out.
+                </p>
+              </div>
+            )}
             <div className="bg-white  rounded-lg shadow-sm overflow-hidden">
               <ul className="divide-y divide-gray-200">
                 {cartItems.map((item) => (
-                  <li key={item._id} className="p-6">
+                  <li key={item.cartKey || item._id} className="p-6">
                     {/* Mobile Card */}
                     <div className="block sm:hidden">
                       <div className="flex flex-row items-center">
@@ -133,12 +148,18 @@ const Cart = () => {
                             {item.name.length > 50 ? item.name.slice(0, 20) + "..." : item.name}
                           </h3>
                           <p className="mt-1 text-sm text-gray-500">{item.brand?.name || 'N/A'}</p>
+                          {item.variantLabel && <p className="text-sm text-gray-500">{item.variantLabel}</p>}
+                          {item.issues?.map((issue) => (
+                            <p key={issue.type} className="mt-1 text-xs text-amber-600">
+                              {issue.message}
+                            </p>
+                          ))}
                         </div>
                       </div>
                       <div className="flex flex-row items-center justify-between m-1 ">
                         <div className="flex items-center border rounded-md w-max">
                           <button
-                            onClick={() => handleQuantityChange(item._id, item.quantity - 1)}
+                            onClick={() => handleQuantityChange(item.cartKey || item._id, item.quantity - 1)}
                             className="px-3 py-1 text-gray-600 hover:text-blue-600"
                             disabled={item.quantity === 1}
                           >
@@ -146,8 +167,9 @@ const Cart = () => {
                           </button>
                           <span className="px-4 py-1 border-l border-r">{item.quantity}</span>
                           <button
-                            onClick={() => handleQuantityChange(item._id, item.quantity + 1)}
+                            onClick={() => handleQuantityChange(item.cartKey || item._id, item.quantity + 1)}
                             className="px-3 py-1 text-gray-600 hover:text-blue-600"
+                            disabled={item.quantity >= (item.maxPurchaseQty || 10)}
                           >
                             <Plus size={16} />
                           </button>
@@ -156,7 +178,7 @@ const Cart = () => {
                           {formatPrice(item.price * item.quantity)}
                         </p>
                         <button
-                          onClick={() => removeFromCart(item._id)}
+                          onClick={() => removeFromCart(item.cartKey || item._id)}
                           className="text-red-500 hover:text-red-700 flex items-center justify-center"
                         >
                           <Trash2 size={18} className="mr-2x  " />
@@ -180,6 +202,12 @@ const Cart = () => {
                               {item.name.length > 50 ? item.name.slice(0, 50) + "..." : item.name}
                             </h3>
                             <p className="mt-1 text-sm text-gray-500">{item.brand?.name || 'N/A'}</p>
+                            {item.variantLabel && <p className="text-sm text-gray-500">{item.variantLabel}</p>}
+                            {item.issues?.map((issue) => (
+                              <p key={issue.type} className="mt-1 text-sm text-amber-600">
+                                {issue.message}
+                              </p>
+                            ))}
                           </div>
                           {/* <p className="text-lg font-medium text-gray-900">
                             {formatPrice(item.price * item.quantity)}
@@ -188,7 +216,7 @@ const Cart = () => {
                         <div className="flex items-center justify-between mt-1 px-10 mx-10">
                           <div className="flex items-center border rounded-md">
                             <button
-                              onClick={() => handleQuantityChange(item._id, item.quantity - 1)}
+                              onClick={() => handleQuantityChange(item.cartKey || item._id, item.quantity - 1)}
                               className="px-3 py-1 text-gray-600 hover:text-blue-600"
                               disabled={item.quantity === 1}
                             >
@@ -196,8 +224,9 @@ const Cart = () => {
                             </button>
                             <span className="px-4 py-1 border-l border-r">{item.quantity}</span>
                             <button
-                              onClick={() => handleQuantityChange(item._id, item.quantity + 1)}
+                              onClick={() => handleQuantityChange(item.cartKey || item._id, item.quantity + 1)}
                               className="px-3 py-1 text-gray-600 hover:text-blue-600"
+                              disabled={item.quantity >= (item.maxPurchaseQty || 10)}
                             >
                               <Plus size={16} />
                             </button>
@@ -206,7 +235,7 @@ const Cart = () => {
                             {formatPrice(item.price * item.quantity)}
                           </p>
                           <button
-                            onClick={() => removeFromCart(item._id)}
+                            onClick={() => removeFromCart(item.cartKey || item._id)}
                             className="text-red-500   hover:text-red-700 flex items-center"
                           >
                             <Trash2 size={18} className="mr-1x  " />
@@ -0,0 +1,56 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import axios from "axios"
+import { ShoppingBag } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { useCart } from "../context/CartContext"
+
+import config from "../config/config"
+
+// Landing page of the restore link in abandoned cart emails
+const CartRestore = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { loading: authLoading } = useAuth()
+  const { restoreCart } = useCart()
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    if (authLoading) return
+
+    const restore = async () => {
+      try {
+        const { data } = await axios.post(`${config.API_URL}/api/cart/restore`, { token: searchParams.get("token") })
+        await restoreCart(data.cart)
+        navigate(data.couponCode ? `/cart?coupon=${encodeURIComponent(data.couponCode)}` : "/cart", { replace: true })
+      } catch (err) {
+        setError(err.response?.data?.message || "We could not restore your cart")
+      }
+    }
+
+    restore()
+  }, [authLoading])
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center">
+      {error ? (
+        <>
+          <ShoppingBag size={64} className="mx-auto text-gray-300 mb-4" />
+          <h1 className="text-xl font-medium text-gray-900 mb-2">{error}</h1>
+          <p className="text-gray-600 mb-6">Your saved items are in your cart once you log in.</p>
+          <Link to="/cart" className="btn-primary">
+            Go to Cart
+          </Link>
+        </>
+      ) : (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-lime-500"></div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CartRestore
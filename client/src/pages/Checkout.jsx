@@ -10,6 +10,11 @@ import { Dialog } from "@headlessui/react"
 import { Fragment } from "react"
 
 import config from "../config/config"
+import GuestVerification from "../components/GuestVerification"
+import { getOrderHeaders } from "../services/guestCheckout"
+// Wait for the shopper to stop typing the address before asking the server for a new total
+const QUOTE_DELAY_MS = 400
+
 const UAE_STATES = ["Abu Dhabi", "Ajman", "Al Ain", "Dubai", "Fujairah", "Ras Al Khaimah", "Sharjah", "Umm al-Qaywain"]
 
 const STORES = [
@@ -75,7 +80,7 @@ const PAYMENT_METHODS = [
     color: "bg-purple-50 border-purple-200",
   },
   {
-    id: "card",
+    id: "ngenius",
     name: "Pay By Card",
     description: "Credit/Debit card payment",
     icon: "💳",
@@ -88,6 +93,13 @@ const PAYMENT_METHODS = [
     icon: "💵",
     color: "bg-yellow-50 border-yellow-200",
   },
+  {
+    id: "bank_transfer",
+    name: "Bank Transfer",
+    description: "Transfer the amount to our bank account",
+    icon: "🏦",
+    color: "bg-gray-50 border-gray-200",
+  },
 ]
 
 const bounceKeyframes = `
@@ -104,7 +116,7 @@ if (typeof document !== 'undefined' && !document.getElementById('bounce-keyframe
 
 const Checkout = () => {
   const navigate = useNavigate()
-  const { cartItems, cartTotal, clearCart, calculateFinalTotal } = useCart()
+  const { cartItems, cartTotal, clearCart, calculateFinalTotal, coupon, selectedDelivery } = useCart()
   const { user } = useAuth()
 
   const [formData, setFormData] = useState({
@@ -139,6 +151,8 @@ const Checkout = () => {
   const [step, setStep] = useState(1)
   const [showAllItems, setShowAllItems] = useState(false)
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState("")
+  // Order already saved for an online payment, reused when the shopper retries the payment
+  const [pendingOrder, setPendingOrder] = useState(null)
   const [cardDetails, setCardDetails] = useState({
     cardNumber: "",
     expiryDate: "",
@@ -146,10 +160,61 @@ const Checkout = () => {
     cardholderName: "",
   })
   const [customerNotes, setCustomerNotes] = useState("")
+  const [pricing, setPricing] = useState(null)
+  // Verified email or phone when checking out without an account
+  const [guestVerification, setGuestVerification] = useState(null)
+
+  // Totals come from the server quote, cart total is only a fallback while it loads
+  const deliveryCharge = pricing ? pricing.shippingPrice : 0
+  const finalTotal = pricing ? pricing.totalPrice : cartTotal
+
+  const buildOrderItems = () =>
+    cartItems.map((item) => ({
+      product: item._id,
+      variant: item.variantId,
+      name: item.name,
+      image: item.image,
+      price: item.price,
+      quantity: item.quantity,
+    }))
 
-  // Use cart total from context, don't recalculate
-  const deliveryCharge = 0 // Delivery charges already included in cart total
-  const finalTotal = cartTotal // Use cart total directly, no additional charges
+  const buildPricingRequest = () => ({
+    orderItems: buildOrderItems(),
+    deliveryType,
+    shippingAddress: deliveryType === "home" ? { city: formData.city, state: formData.state } : undefined,
+    deliveryChargeId: deliveryType === "home" ? selectedDelivery?._id : undefined,
+    couponCode: coupon?.code,
+  })
+
+  useEffect(() => {
+    if (cartItems.length === 0) return
+
+    // Answers to a superseded request are dropped, they could arrive after the latest one
+    let cancelled = false
+    const fetchQuote = async () => {
+      try {
+        const { data } = await axios.post(`${config.API_URL}/api/orders/quote`, buildPricingRequest(), {
+          headers: getOrderHeaders(),
+        })
+        if (!cancelled) setPricing(data)
+      } catch (error) {
+        if (cancelled) return
+        setPricing(null)
+        setError(error.response?.data?.message || "Failed to calculate order total")
+      }
+    }
+
+    const timer = setTimeout(fetchQuote, QUOTE_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [cartItems, deliveryType, coupon, selectedDelivery, formData.city, formData.state])
+
+  // A saved but unpaid order no longer matches once the cart or delivery changes
+  useEffect(() => {
+    setPendingOrder(null)
+  }, [cartItems, deliveryType, coupon, selectedDelivery])
 
   const formatPrice = (price) => {
     return `AED ${price.toLocaleString()}`
@@ -203,194 +268,24 @@ const Checkout = () => {
     return true
   }
 
+  // Every payment method goes the same way: save the order, then open a payment session for it.
+  // The server charges the amount of the saved order.
   const processPayment = async (orderData) => {
-    try {
-      switch (selectedPaymentMethod) {
-        case "tamara":
-          return await processTamaraPayment(orderData)
-        case "tabby":
-          return await processTabbyPayment(orderData)
-        case "card":
-          return await processCardPayment(orderData)
-        case "cod":
-          return await processCODPayment(orderData)
-        default:
-          throw new Error("Invalid payment method")
-      }
-    } catch (error) {
-      console.error("Payment processing error:", error)
-      throw error
-    }
-  }
-
-  const processTamaraPayment = async (orderData) => {
-    const tamaraPayload = {
-      total_amount: {
-        amount: finalTotal,
-        currency: "AED",
-      },
-      shipping_amount: {
-        amount: 0,
-        currency: "AED",
-      },
-      tax_amount: {
-        amount: 0,
-        currency: "AED",
-      },
-      order_reference_id: `ORDER_${Date.now()}`,
-      order_number: `ORD_${Date.now()}`,
-      consumer: {
-        first_name: formData.name.split(" ")[0] || "Customer",
-        last_name: formData.name.split(" ")[1] || "",
-        phone_number: `+971${formData.phone}`,
-        email: formData.email,
-      },
-      shipping_address: {
-        first_name: formData.name.split(" ")[0] || "Customer",
-        last_name: formData.name.split(" ")[1] || "",
-        line1: formData.address,
-        city: formData.city,
-        country_code: "AE",
-      },
-      items: cartItems.map((item) => ({
-        name: item.name,
-        type: "Physical",
-        reference_id: item._id,
-        sku: item._id,
-        quantity: item.quantity,
-        unit_price: {
-          amount: item.price,
-          currency: "AED",
-        },
-        total_amount: {
-          amount: item.price * item.quantity,
-          currency: "AED",
-        },
-      })),
-      merchant_url: {
-        success: `${window.location.origin}/orders?success=true`,
-        failure: `${window.location.origin}/checkout?error=payment_failed`,
-        cancel: `${window.location.origin}/checkout`,
-        notification: `${window.location.origin}/api/webhooks/tamara`,
-      },
-    }
-
-    const response = await axios.post("/api/payments/tamara/checkout", tamaraPayload)
-    return response.data
-  }
+    const headers = getOrderHeaders()
 
-  const processTabbyPayment = async (orderData) => {
-    const tabbyPayload = {
-      payment: {
-        amount: finalTotal.toString(),
-        currency: "AED",
-        description: `Order payment for ${cartItems.length} items`,
-        buyer: {
-          phone: `+971${formData.phone}`,
-          email: formData.email,
-          name: formData.name,
-        },
-        shipping_address: {
-          city: formData.city,
-          address: formData.address,
-          zip: formData.zipCode,
-        },
-        order: {
-          tax_amount: "0.00",
-          shipping_amount: "0.00",
-          discount_amount: "0.00",
-          updated_at: new Date().toISOString(),
-          reference_id: `ORDER_${Date.now()}`,
-          items: cartItems.map((item) => ({
-            title: item.name,
-            description: item.description || item.name,
-            quantity: item.quantity,
-            unit_price: item.price.toString(),
-            discount_amount: "0.00",
-            reference_id: item._id,
-            image_url: item.image,
-            product_url: `${window.location.origin}/product/${item.slug || item._id}`,
-            category: item.category || "Electronics",
-          })),
-        },
-        order_history: [],
-        meta: {
-          order_id: `ORDER_${Date.now()}`,
-          customer: formData.email,
-        },
-      },
-      lang: "en",
-      merchant_code: process.env.REACT_APP_TABBY_MERCHANT_CODE,
-      merchant_urls: {
-        success: `${window.location.origin}/orders?success=true`,
-        cancel: `${window.location.origin}/checkout`,
-        failure: `${window.location.origin}/checkout?error=payment_failed`,
-      },
+    let order = pendingOrder
+    if (!order) {
+      const response = await axios.post(`${config.API_URL}/api/orders`, orderData, { headers })
+      order = response.data
+      setPendingOrder(order)
     }
 
-    const response = await axios.post("/api/payments/tabby/checkout", tabbyPayload)
-    return response.data
-  }
-
-  const processCardPayment = async (orderData) => {
-    // Call backend to create N-Genius order
-    const response = await axios.post(
-      "/api/payments/ngenius/orders",
-      {
-        action: "PURCHASE",
-        amount: {
-          currencyCode: "AED",
-          value: Math.round(finalTotal * 100), // N-Genius expects amount in minor units
-        },
-        merchantOrderReference: `ORDER_${Date.now()}`,
-        emailAddress: formData.email,
-        billingAddress: {
-          firstName: formData.name.split(" ")[0] || "Customer",
-          lastName: formData.name.split(" ")[1] || "",
-          address1: formData.address,
-          city: formData.city,
-          countryCode: "AE",
-        },
-        // Add any other required fields for N-Genius here
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem("userToken")}`,
-        },
-      }
+    const { data } = await axios.post(
+      `${config.API_URL}/api/payment/${selectedPaymentMethod}/session`,
+      { orderId: order._id },
+      { headers },
     )
-    // Redirect user to N-Genius payment page
-    const paymentUrl = response.data?._links?.payment?.href
-    if (paymentUrl) {
-      window.location.href = paymentUrl
-    } else {
-      throw new Error("Payment URL not received from N-Genius")
-    }
-  }
-
-  const processCODPayment = async (orderData) => {
-    const token = localStorage.getItem("token");
-    console.log("[Checkout] Using token:", token);
-    console.log("[Checkout] Sending orderData:", orderData);
-    try {
-      const response = await axios.post(
-        `${config.API_URL}/api/orders`,
-        {
-          ...orderData,
-          paymentMethod: "cod",
-          paymentStatus: "pending",
-          isPaid: false,
-        },
-        {
-          headers: { Authorization: `Bearer ${token}` },
-        }
-      );
-      console.log("[Checkout] Order response:", response);
-      return { success: true, order: response.data };
-    } catch (error) {
-      console.error("[Checkout] Order error:", error, error.response?.data);
-      throw error;
-    }
+    return { ...data, order }
   }
 
   const handleSubmit = async (e) => {
@@ -424,25 +319,17 @@ const Checkout = () => {
       setLoading(true)
       setError(null)
 
-      const token = localStorage.getItem("token")
-      if (!token) {
-        console.log('[Checkout] Early return: no token in localStorage');
-        setError("Please log in to place an order")
+      if (!user && !guestVerification) {
+        console.log('[Checkout] Early return: guest has not verified email or phone');
+        setError("Please verify your email or phone to check out as a guest")
         return
       }
 
       const orderData = {
-        orderItems: cartItems.map((item) => ({
-          product: item._id,
-          name: item.name,
-          image: item.image,
-          price: item.price,
-          quantity: item.quantity,
-        })),
-        itemsPrice: cartTotal,
-        shippingPrice: 0,
-        totalPrice: cartTotal,
-        deliveryType: deliveryType,
+        ...buildPricingRequest(),
+        itemsPrice: pricing?.itemsPrice,
+        shippingPrice: pricing?.shippingPrice,
+        totalPrice: finalTotal,
         paymentMethod: selectedPaymentMethod,
         customerNotes: customerNotes.trim() || undefined, // Only include if not empty
       }
@@ -457,8 +344,8 @@ const Checkout = () => {
           state: formData.state,
           zipCode: formData.zipCode,
         }
-        // For COD, billing address is same as shipping
-        if (selectedPaymentMethod === "cod") {
+        // Without a card payment, billing address is same as shipping
+        if (selectedPaymentMethod === "cod" || selectedPaymentMethod === "bank_transfer") {
           orderData.billingAddress = { ...orderData.shippingAddress }
         }
       } else if (deliveryType === "pickup") {
@@ -475,22 +362,28 @@ const Checkout = () => {
       // Process payment
       const paymentResult = await processPayment(orderData)
 
-      if (selectedPaymentMethod === "cod") {
-        // For COD, order is created directly
+      if (paymentResult.checkout_url) {
+        // Online payments continue on the provider page
+        window.location.href = paymentResult.checkout_url
+      } else if (paymentResult.instructions) {
+        // Bank transfer, show the account details to pay to
         clearCart()
-        navigate(`/orders?success=true&orderId=${paymentResult.order._id}`)
+        navigate(`/payment/result?orderId=${paymentResult.order._id}`)
+      } else if (!user) {
+        // Guests have no order history, the tracking page shows the order they just placed
+        clearCart()
+        navigate(`/track-order?token=${encodeURIComponent(paymentResult.order.trackingToken)}&placed=true`)
       } else {
-        // For other payment methods, redirect to payment gateway
-        if (paymentResult.checkout_url || paymentResult.payment_url || paymentResult._links?.payment?.href) {
-          const paymentUrl =
-            paymentResult.checkout_url || paymentResult.payment_url || paymentResult._links?.payment?.href
-          window.location.href = paymentUrl
-        } else {
-          throw new Error("Payment URL not received")
-        }
+        // Cash on delivery, nothing more to do
+        clearCart()
+        navigate(`/orders?success=true&orderId=${paymentResult.order._id}`)
       }
     } catch (error) {
       console.error("Error processing order:", error)
+      // Server re-priced the cart, show the new totals so the customer can confirm
+      if (error.response?.status === 409 && error.response.data?.pricing) {
+        setPricing(error.response.data.pricing)
+      }
       setError(error.response?.data?.message || error.message || "Failed to process order. Please try again.")
     } finally {
       setLoading(false)
@@ -957,6 +850,19 @@ const Checkout = () => {
                   </div>
                 )}
 
+                {selectedPaymentMethod === "bank_transfer" && (
+                  <div className="bg-gray-50 border border-gray-200 p-4 rounded-lg mb-6">
+                    <div className="flex items-center gap-2 mb-2">
+                      <Banknote className="h-5 w-5 text-gray-600" />
+                      <span className="font-semibold text-gray-800">Bank Transfer</span>
+                    </div>
+                    <p className="text-sm text-gray-700">
+                      After placing the order you will get our bank details and a payment reference. Your order is
+                      processed once the transfer is received.
+                    </p>
+                  </div>
+                )}
+
                 {(selectedPaymentMethod === "tamara" || selectedPaymentMethod === "tabby") && (
                   <div className="bg-blue-50 border border-blue-200 p-4 rounded-lg mb-6">
                     <div className="flex items-center gap-2 mb-2">
@@ -971,6 +877,20 @@ const Checkout = () => {
                   </div>
                 )}
 
+                {!user &&
+                  (guestVerification ? (
+                    <div className="bg-lime-50 border border-lime-200 p-4 rounded-lg mb-6 text-sm text-lime-800">
+                      Verified {guestVerification.email || guestVerification.phone}. You can place your order as a
+                      guest.
+                    </div>
+                  ) : (
+                    <GuestVerification
+                      email={formData.email}
+                      phone={deliveryType === "home" ? formData.phone : pickupDetails.phone}
+                      onVerified={setGuestVerification}
+                    />
+                  ))}
+
                 <div className="flex gap-4">
                   <button
                     onClick={() => setStep(2)}
@@ -980,7 +900,7 @@ const Checkout = () => {
                   </button>
                   <button
                     onClick={handleSubmit}
-                    disabled={loading || !selectedPaymentMethod}
+                    disabled={loading || !selectedPaymentMethod || (!user && !guestVerification)}
                     className="bg-lime-500 hover:bg-lime-600 text-white rounded-lg px-8 py-3 disabled:opacity-50 flex items-center gap-2"
                   >
                     {loading ? (
@@ -1013,7 +933,7 @@ const Checkout = () => {
 
             <div className="space-y-3 mb-6">
               {itemsToShow.map((item) => (
-                <div key={item._id} className="flex items-center justify-between py-2 border-b border-gray-100">
+                <div key={item.cartKey || item._id} className="flex items-center justify-between py-2 border-b border-gray-100">
                   <div className="flex items-center">
                     <div className="h-12 w-12 flex-shrink-0 overflow-hidden rounded-lg">
                       <img
@@ -1024,6 +944,7 @@ const Checkout = () => {
                     </div>
                     <div className="ml-3">
                       <h3 className="text-sm font-medium text-gray-900 truncate max-w-32">{item.name}</h3>
+                      {item.variantLabel && <p className="text-xs text-gray-500">{item.variantLabel}</p>}
                       <p className="text-xs text-gray-500">Qty: {item.quantity}</p>
                     </div>
                   </div>
@@ -1054,18 +975,28 @@ const Checkout = () => {
             <div className="space-y-3">
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Subtotal</span>
-                <span className="text-gray-900">{formatPrice(cartTotal)}</span>
+                <span className="text-gray-900">{formatPrice(pricing ? pricing.itemsPrice : cartTotal)}</span>
               </div>
 
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Delivery Charge</span>
-                <span className="text-gray-900">Included</span>
+                <span className="text-gray-900">{deliveryCharge === 0 ? "Free" : formatPrice(deliveryCharge)}</span>
               </div>
 
+              {pricing?.discountAmount > 0 && (
+                <div className="flex justify-between text-sm text-green-600">
+                  <span>Coupon{pricing.couponCode ? ` (${pricing.couponCode})` : ""}</span>
+                  <span>-{formatPrice(pricing.discountAmount)}</span>
+                </div>
+              )}
+
               <div className="border-t pt-3 flex justify-between font-medium">
                 <span className="text-gray-900">Total</span>
                 <span className="text-lime-600 text-lg">{formatPrice(finalTotal)}</span>
               </div>
+              {pricing?.taxPrice > 0 && (
+                <div className="text-xs text-gray-500 text-right">(includes {formatPrice(pricing.taxPrice)} VAT)</div>
+              )}
             </div>
 
             <div className="mt-6 bg-gray-50 p-4 rounded-lg">
@@ -0,0 +1,245 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Link, useLocation, useNavigate } from "react-router-dom"
+import axios from "axios"
+import { X, Star, Link2, GitCompare } from "lucide-react"
+
+import config from "../config/config"
+import { useCompare } from "../context/CompareContext"
+import { useToast } from "../context/ToastContext"
+import { compareUrl } from "../components/CompareTray"
+
+const formatPrice = (price) => `${Number(price).toLocaleString(undefined, { minimumFractionDigits: 2 })}AED`
+
+// Products side by side, from /compare?ids=a,b,c so the page can be shared
+const Compare = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { showToast } = useToast()
+  const { compareItems, replaceCompare } = useCompare()
+  const [comparison, setComparison] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [onlyDifferences, setOnlyDifferences] = useState(false)
+
+  const idsParam = new URLSearchParams(location.search).get("ids") || ""
+  const ids = idsParam.split(",").filter(Boolean)
+
+  useEffect(() => {
+    // Opened from the navbar or an old bookmark, show what is in the tray
+    if (ids.length === 0) {
+      if (compareItems.length > 0) navigate(compareUrl(compareItems), { replace: true })
+      else setLoading(false)
+      return
+    }
+
+    const fetchComparison = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const { data } = await axios.get(`${config.API_URL}/api/products/compare`, { params: { ids: idsParam } })
+        setComparison(data)
+        // A shared link replaces what was in the tray
+        const trayIds = compareItems.map((item) => item._id).join(",")
+        if (trayIds !== data.products.map((product) => product._id).join(",")) replaceCompare(data.products)
+      } catch (err) {
+        console.error("Error comparing products:", err)
+        setError(err.response?.data?.message || "Error comparing products")
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchComparison()
+  }, [idsParam])
+
+  const removeProduct = (productId) => {
+    const remaining = comparison.products.filter((product) => product._id !== productId)
+    replaceCompare(remaining)
+    navigate(remaining.length > 0 ? compareUrl(remaining) : "/compare", { replace: true })
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      showToast("Compare link copied", "success")
+    } catch (err) {
+      console.error("Could not copy the compare link:", err)
+      showToast("Could not copy the link", "error")
+    }
+  }
+
+  const renderValue = (row, index) => {
+    const product = comparison.products[index]
+    const value = row.values[index]
+
+    if (row.key === "price") {
+      const hasOffer = Number(product.offerPrice) > 0 && Number(product.offerPrice) < Number(product.price)
+      return (
+        <div>
+          <span className="text-red-600 font-bold">{formatPrice(value)}</span>
+          {hasOffer && <span className="block text-gray-400 line-through text-xs">{formatPrice(product.price)}</span>}
+        </div>
+      )
+    }
+    if (row.key === "rating" && value !== null) {
+      return (
+        <div className="flex items-center">
+          {[...Array(5)].map((_, i) => (
+            <Star
+              key={i}
+              size={14}
+              className={i < Math.round(product.rating) ? "text-yellow-400 fill-current" : "text-gray-300"}
+            />
+          ))}
+          <span className="text-xs text-gray-500 ml-1">({product.numReviews})</span>
+        </div>
+      )
+    }
+    return value ?? <span className="text-gray-300">—</span>
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-lime-500"></div>
+      </div>
+    )
+  }
+
+  if (error || !comparison || comparison.products.length === 0) {
+    return (
+      <div className="min-h-[60vh] flex flex-col items-center justify-center text-center px-4">
+        <GitCompare size={48} className="text-gray-300 mb-4" />
+        <p className="text-xl font-semibold text-gray-900 mb-2">{error || "Nothing to compare yet"}</p>
+        <p className="text-gray-500 mb-6">Tick "Compare" on up to four products to see them side by side.</p>
+        <Link to="/shop" className="px-6 py-2 bg-lime-500 hover:bg-lime-600 text-white rounded-lg font-semibold">
+          Go to the shop
+        </Link>
+      </div>
+    )
+  }
+
+  const { products, rows, missing } = comparison
+  const visibleRows = onlyDifferences ? rows.filter((row) => row.different) : rows
+  const groups = [
+    { key: "overview", title: "Overview" },
+    { key: "specifications", title: "Specifications" },
+  ]
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Compare Products</h1>
+            {missing.length > 0 && (
+              <p className="text-sm text-gray-500 mt-1">
+                {missing.length === 1 ? "One product is" : `${missing.length} products are`} no longer available.
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={onlyDifferences}
+                onChange={(e) => setOnlyDifferences(e.target.checked)}
+                className="mr-2"
+              />
+              Only show differences
+            </label>
+            <button
+              type="button"
+              onClick={copyLink}
+              className="inline-flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100"
+            >
+              <Link2 size={16} />
+              Copy link
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+          <table className="w-full table-fixed min-w-[640px]">
+            <colgroup>
+              <col className="w-40" />
+              {products.map((product) => (
+                <col key={product._id} />
+              ))}
+            </colgroup>
+            <thead>
+              <tr className="border-b">
+                <th className="sticky left-0 bg-white"></th>
+                {products.map((product) => (
+                  <th key={product._id} className="p-4 align-top text-left font-normal">
+                    <div className="relative">
+                      <button
+                        type="button"
+                        onClick={() => removeProduct(product._id)}
+                        className="absolute top-0 right-0 text-gray-400 hover:text-red-600"
+                        aria-label={`Remove ${product.name} from compare`}
+                      >
+                        <X size={16} />
+                      </button>
+                      <Link to={`/product/${product.slug || product._id}`} className="block">
+                        <img
+                          src={product.image || "/placeholder.svg?height=150&width=150"}
+                          alt={product.name}
+                          className="h-32 w-full object-contain mb-3"
+                        />
+                        <span className="text-sm font-medium text-gray-900 hover:text-blue-600 line-clamp-2">
+                          {product.name}
+                        </span>
+                      </Link>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            {groups.map((group) => {
+              const groupRows = visibleRows.filter((row) => row.group === group.key)
+              if (groupRows.length === 0) return null
+
+              return (
+                <tbody key={group.key}>
+                  <tr className="bg-gray-100">
+                    <th
+                      colSpan={products.length + 1}
+                      className="sticky left-0 px-4 py-2 text-left text-xs font-semibold uppercase text-gray-500"
+                    >
+                      {group.title}
+                    </th>
+                  </tr>
+                  {groupRows.map((row) => (
+                    <tr key={row.key} className={`border-b ${row.different ? "bg-lime-50" : ""}`}>
+                      <th
+                        scope="row"
+                        className={`sticky left-0 px-4 py-3 text-left text-sm font-medium text-gray-700 ${
+                          row.different ? "bg-lime-50" : "bg-white"
+                        }`}
+                      >
+                        {row.label}
+                      </th>
+                      {products.map((product, index) => (
+                        <td key={product._id} className="px-4 py-3 text-sm text-gray-800 break-words">
+                          {renderValue(row, index)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              )
+            })}
+          </table>
+        </div>
+        {products.length > 1 && (
+          <p className="text-xs text-gray-500 mt-3">Rows where the products differ are highlighted.</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Compare
@@ -0,0 +1,66 @@
+"use client"
+
+import { useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import axios from "axios"
+import { Mail } from "lucide-react"
+
+import config from "../config/config"
+
+// Opened from the link sent to a new account email address
+const ConfirmEmailChange = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("token")
+
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(token ? "" : "This confirmation link is invalid.")
+  const [confirmedEmail, setConfirmedEmail] = useState("")
+
+  // Confirmed with a click rather than on load, mail scanners that open links must not change the address
+  const handleConfirm = async () => {
+    try {
+      setLoading(true)
+      setError("")
+      const { data } = await axios.post(`${config.API_URL}/api/users/confirm-email-change`, { token })
+      setConfirmedEmail(data.email)
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not change your email address. Please try again.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl border border-gray-200 text-center">
+        <Mail size={48} className="mx-auto text-lime-500" />
+        <h2 className="text-3xl font-extrabold text-gray-900 tracking-tight">Confirm your new email</h2>
+
+        {error && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-sm border border-red-100">{error}</div>}
+
+        {confirmedEmail ? (
+          <>
+            <p className="text-gray-600">
+              Your account now uses <strong>{confirmedEmail}</strong>. Use it the next time you log in.
+            </p>
+            <Link to="/profile" className="btn-primary inline-block">
+              Go to Profile
+            </Link>
+          </>
+        ) : (
+          token && (
+            <button
+              onClick={handleConfirm}
+              className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-lime-500 hover:bg-lime-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-900 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading}
+            >
+              {loading ? "Confirming..." : "Use this email address"}
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ConfirmEmailChange
@@ -0,0 +1,88 @@
+"use client"
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import axios from "axios"
+import { Mail } from "lucide-react"
+
+import config from "../config/config"
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("")
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+  const [message, setMessage] = useState("")
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setLoading(true)
+      setError("")
+      const { data } = await axios.post(`${config.API_URL}/api/users/forgot-password`, { email })
+      setMessage(data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || "Something went wrong. Please try again.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl border border-gray-200">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900 tracking-tight">Forgot your password?</h2>
+          <p className="mt-2 text-sm text-gray-600">Enter your email and we will send you a link to reset it.</p>
+        </div>
+
+        {error && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-sm border border-red-100">{error}</div>}
+
+        {message ? (
+          <div className="p-4 bg-green-50 text-green-700 rounded-lg text-sm border border-green-100">{message}</div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                Email address
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="appearance-none block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-900 focus:border-gray-900 transition-colors"
+                  placeholder="Enter your email"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-lime-500 hover:bg-lime-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-900 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading}
+            >
+              {loading ? "Sending..." : "Send reset link"}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-600">
+          Remembered it?{" "}
+          <Link to="/login" className="font-semibold text-gray-900 hover:text-gray-700 transition-colors">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
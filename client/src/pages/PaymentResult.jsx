@@ -0,0 +1,168 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Link, useLocation } from "react-router-dom"
+import axios from "axios"
+import { CheckCircle, Clock, XCircle } from "lucide-react"
+import { useCart } from "../context/CartContext"
+
+import config from "../config/config"
+import { getOrderHeaders } from "../services/guestCheckout"
+
+// Webhooks can arrive a little after the shopper is redirected back, so keep asking for a while
+const POLL_INTERVAL = 3000
+const MAX_ATTEMPTS = 10
+
+const PaymentResult = () => {
+  const location = useLocation()
+  const { clearCart } = useCart()
+  const [payment, setPayment] = useState(null)
+  const [error, setError] = useState(null)
+  const [attempts, setAttempts] = useState(0)
+
+  const params = new URLSearchParams(location.search)
+  const orderId = params.get("orderId")
+  const redirectResult = params.get("result")
+
+  useEffect(() => {
+    if (!orderId) {
+      setError("Missing order reference")
+      return
+    }
+
+    let timer
+    let cancelled = false
+
+    const fetchStatus = async (attempt) => {
+      try {
+        const { data } = await axios.get(`${config.API_URL}/api/payment/${orderId}/status`, {
+          headers: getOrderHeaders(),
+        })
+        if (cancelled) return
+
+        setPayment(data)
+        setAttempts(attempt)
+
+        if (data.paymentStatus === "paid" || data.paymentStatus === "authorized") {
+          clearCart()
+          return
+        }
+        // Bank transfers are confirmed by hand, nothing to wait for
+        if (data.paymentStatus === "pending" && !data.instructions && attempt < MAX_ATTEMPTS) {
+          timer = setTimeout(() => fetchStatus(attempt + 1), POLL_INTERVAL)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || "Could not load the payment status")
+      }
+    }
+
+    fetchStatus(1)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [orderId])
+
+  const isPaid = payment && (payment.paymentStatus === "paid" || payment.paymentStatus === "authorized")
+  const isFailed =
+    payment && (payment.paymentStatus === "failed" || payment.paymentStatus === "cancelled" || redirectResult === "cancel")
+  const instructions = !isPaid && !isFailed ? payment?.instructions : null
+  const orderNumber = payment?.orderNumber || orderId?.slice(-6)
+  const isWaiting = !error && !isPaid && !isFailed && !instructions
+
+  return (
+    <div className="max-w-xl mx-auto px-4 py-16 text-center">
+      {error && (
+        <>
+          <XCircle className="mx-auto h-16 w-16 text-red-500 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Something went wrong</h1>
+          <p className="text-gray-600 mb-8">{error}</p>
+        </>
+      )}
+
+      {isPaid && (
+        <>
+          <CheckCircle className="mx-auto h-16 w-16 text-lime-500 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment successful</h1>
+          <p className="text-gray-600 mb-8">
+            Thank you! Your payment for order #{orderNumber} has been received.
+          </p>
+        </>
+      )}
+
+      {isFailed && !isPaid && (
+        <>
+          <XCircle className="mx-auto h-16 w-16 text-red-500 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment not completed</h1>
+          <p className="text-gray-600 mb-8">
+            Your payment for order #{orderNumber} was not completed. You have not been charged, you can try
+            again from checkout.
+          </p>
+        </>
+      )}
+
+      {instructions && (
+        <>
+          <Clock className="mx-auto h-16 w-16 text-yellow-500 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Order placed, awaiting your transfer</h1>
+          <p className="text-gray-600 mb-6">
+            Please transfer the amount below and use the reference so we can match your payment. Your order is
+            processed once the transfer is received.
+          </p>
+          <dl className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-8 text-left text-sm space-y-2">
+            {[
+              ["Account name", instructions.accountName],
+              ["Bank", instructions.bankName],
+              ["IBAN", instructions.iban],
+              ["SWIFT", instructions.swift],
+              ["Amount", `${instructions.currency || "AED"} ${Number(instructions.amount || 0).toFixed(2)}`],
+              ["Reference", instructions.reference],
+            ]
+              .filter(([, value]) => value)
+              .map(([label, value]) => (
+                <div key={label} className="flex justify-between gap-4">
+                  <dt className="text-gray-500">{label}</dt>
+                  <dd className="font-medium text-gray-900 break-all">{value}</dd>
+                </div>
+              ))}
+          </dl>
+        </>
+      )}
+
+      {isWaiting && (
+        <>
+          <Clock className="mx-auto h-16 w-16 text-yellow-500 mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Confirming your payment</h1>
+          <p className="text-gray-600 mb-8">
+            {attempts < MAX_ATTEMPTS
+              ? "We are waiting for the payment provider to confirm your payment. This usually takes a few seconds."
+              : "The payment provider has not confirmed your payment yet. We will update your order as soon as it does."}
+          </p>
+        </>
+      )}
+
+      <div className="flex justify-center gap-4">
+        {payment?.trackingToken ? (
+          <Link
+            to={`/track-order?token=${encodeURIComponent(payment.trackingToken)}`}
+            className="bg-lime-500 hover:bg-lime-600 text-white rounded-lg px-6 py-3 font-medium"
+          >
+            Track My Order
+          </Link>
+        ) : (
+          <Link to="/orders" className="bg-lime-500 hover:bg-lime-600 text-white rounded-lg px-6 py-3 font-medium">
+            View My Orders
+          </Link>
+        )}
+        {isFailed && !isPaid && (
+          <Link to="/checkout" className="border border-gray-300 hover:bg-gray-50 rounded-lg px-6 py-3 font-medium">
+            Back to Checkout
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PaymentResult
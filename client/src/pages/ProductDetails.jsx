@@ -7,6 +7,7 @@ import { useCart } from "../context/CartContext"
 import { useAuth } from "../context/AuthContext"
 import { useToast } from "../context/ToastContext"
 import { useWishlist } from "../context/WishlistContext"
+import { useCompare } from "../context/CompareContext"
 import {
   Star,
   Minus,
@@ -25,6 +26,7 @@ import {
   Truck,
   RotateCcw,
   Award,
+  GitCompare,
 } from "lucide-react"
 import { productsAPI } from "../services/api.js"
 
@@ -32,6 +34,20 @@ import config from "../config/config"
 
 const WHATSAPP_NUMBER = '971501234567'; // Replace with your WhatsApp number
 
+// Option dimensions a product variant can be built from
+const VARIANT_OPTIONS = [
+  { key: "color", label: "Color" },
+  { key: "size", label: "Size" },
+  { key: "volume", label: "Volume" },
+]
+
+const getActiveVariants = (product) => (product?.variants || []).filter((variant) => variant.isActive !== false)
+
+const getVariantLabel = (variant) =>
+  VARIANT_OPTIONS.map(({ key }) => variant[key]?.name)
+    .filter(Boolean)
+    .join(" / ")
+
 const ProductDetails = () => {
   const { slug } = useParams()
   const navigate = useNavigate()
@@ -39,11 +55,13 @@ const ProductDetails = () => {
   const { user } = useAuth()
   const { showToast } = useToast()
   const { addToWishlist, removeFromWishlist, isInWishlist } = useWishlist()
+  const { isInCompare, toggleCompare } = useCompare()
   const [product, setProduct] = useState(null)
   const [relatedProducts, setRelatedProducts] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [quantity, setQuantity] = useState(1)
+  const [selectedOptions, setSelectedOptions] = useState({})
   const [selectedImage, setSelectedImage] = useState(0)
   const [activeTab, setActiveTab] = useState("description")
   const [showImageModal, setShowImageModal] = useState(false)
@@ -110,6 +128,22 @@ const ProductDetails = () => {
     }
   }, [product])
 
+  // Preselect the first variant that is in stock
+  useEffect(() => {
+    const variants = getActiveVariants(product)
+    const initialVariant = variants.find((variant) => variant.countInStock > 0) || variants[0]
+    if (initialVariant) {
+      setSelectedOptions(
+        VARIANT_OPTIONS.reduce((options, { key }) => {
+          if (initialVariant[key]) options[key] = initialVariant[key]._id
+          return options
+        }, {}),
+      )
+    } else {
+      setSelectedOptions({})
+    }
+  }, [product?._id])
+
   const fetchProduct = async () => {
     try {
       console.log('Fetching product for slug:', slug)
@@ -154,14 +188,33 @@ const ProductDetails = () => {
   const handleAddToCart = () => {
     if (product.stockStatus === "Out of Stock") {
       showToast("Product is out of stock", "error")
-      return
+      return false
+    }
+    if (hasVariants) {
+      if (!selectedVariant) {
+        showToast("Please select the product options", "error")
+        return false
+      }
+      if (selectedVariant.countInStock <= 0) {
+        showToast("Selected option is out of stock", "error")
+        return false
+      }
+      addToCart(product, quantity, { ...selectedVariant, label: getVariantLabel(selectedVariant) })
+      return true
     }
     addToCart(product, quantity)
+    return true
+  }
+
+  const handleOptionSelect = (key, optionId) => {
+    setSelectedOptions((prev) => ({ ...prev, [key]: optionId }))
+    setSelectedImage(0)
   }
 
   const handleBuyNow = () => {
-    handleAddToCart();
-    navigate('/checkout');
+    if (handleAddToCart()) {
+      navigate('/checkout');
+    }
   };
 
   const handleImageClick = (index) => {
@@ -298,10 +351,51 @@ const ProductDetails = () => {
     )
   }
 
-  const productImages =
+  const activeVariants = getActiveVariants(product)
+  const hasVariants = activeVariants.length > 0
+
+  // Each option dimension lists the distinct values used by active variants
+  const variantOptions = VARIANT_OPTIONS.map(({ key, label }) => {
+    const values = []
+    activeVariants.forEach((variant) => {
+      const option = variant[key]
+      if (option && !values.some((value) => value._id === option._id)) values.push(option)
+    })
+    return { key, label, values }
+  }).filter((dimension) => dimension.values.length > 0)
+
+  const selectedVariant = hasVariants
+    ? activeVariants.find((variant) =>
+        variantOptions.every(({ key }) => (variant[key]?._id || null) === (selectedOptions[key] || null)),
+      ) || null
+    : null
+
+  // Is there an active variant with this option combined with the other current selections?
+  const isOptionAvailable = (key, optionId) =>
+    activeVariants.some(
+      (variant) =>
+        variant[key]?._id === optionId &&
+        variant.countInStock > 0 &&
+        variantOptions.every(
+          (dimension) =>
+            dimension.key === key ||
+            !selectedOptions[dimension.key] ||
+            variant[dimension.key]?._id === selectedOptions[dimension.key],
+        ),
+    )
+
+  // Variants without their own price sell at the product price
+  const priceSource = selectedVariant && selectedVariant.price > 0 ? selectedVariant : product
+  const isOutOfStock =
+    product.stockStatus === "Out of Stock" || (hasVariants && (!selectedVariant || selectedVariant.countInStock <= 0))
+
+  const baseImages =
     product.galleryImages && product.galleryImages.length > 0
       ? [product.image, ...product.galleryImages.filter((img) => img)]
       : [product.image]
+  const productImages = selectedVariant?.image
+    ? [selectedVariant.image, ...baseImages.filter((img) => img !== selectedVariant.image)]
+    : baseImages
 
   const getStockBadge = () => {
     switch (product.stockStatus) {
@@ -485,13 +579,13 @@ const ProductDetails = () => {
               {/* Price */}
               <div className="mb-6">
                 <div className="flex items-center space-x-3 mb-2">
-                  {product.offerPrice > 0 && product.offerPrice < product.price ? (
+                  {priceSource.offerPrice > 0 && priceSource.offerPrice < priceSource.price ? (
                     <>
-                      <div className="text-3xl font-bold text-red-600">{formatPrice(product.offerPrice)}</div>
-                      <div className="text-xl text-gray-500 line-through">{formatPrice(product.price)}</div>
+                      <div className="text-3xl font-bold text-red-600">{formatPrice(priceSource.offerPrice)}</div>
+                      <div className="text-xl text-gray-500 line-through">{formatPrice(priceSource.price)}</div>
                     </>
                   ) : (
-                    <div className="text-3xl font-bold text-red-600">{formatPrice(product.price)}</div>
+                    <div className="text-3xl font-bold text-red-600">{formatPrice(priceSource.price)}</div>
                   )}
                 </div>
                 <div className="text-sm text-gray-600">Including VAT</div>
@@ -514,8 +608,59 @@ const ProductDetails = () => {
                   {product.stockStatus === "Out of Stock" && "Currently out of stock"}
                   {product.stockStatus === "PreOrder" && "Available for pre-order"}
                 </div>
+                {hasVariants && product.stockStatus !== "Out of Stock" && (
+                  <div className={`text-sm mt-1 ${isOutOfStock ? "text-red-600" : "text-gray-600"}`}>
+                    {!selectedVariant
+                      ? "This combination is not available"
+                      : selectedVariant.countInStock > 0
+                        ? `${selectedVariant.countInStock} left for ${getVariantLabel(selectedVariant)}`
+                        : `${getVariantLabel(selectedVariant)} is out of stock`}
+                  </div>
+                )}
               </div>
 
+              {/* Variant Options */}
+              {variantOptions.length > 0 && (
+                <div className="mb-6 space-y-4">
+                  {variantOptions.map(({ key, label, values }) => (
+                    <div key={key}>
+                      <h3 className="font-bold text-gray-900 mb-2">
+                        {label}:{" "}
+                        <span className="font-normal text-gray-600">
+                          {values.find((value) => value._id === selectedOptions[key])?.name || "Select"}
+                        </span>
+                      </h3>
+                      <div className="flex flex-wrap gap-2">
+                        {values.map((value) => {
+                          const isSelected = selectedOptions[key] === value._id
+                          const isAvailable = isOptionAvailable(key, value._id)
+                          return (
+                            <button
+                              key={value._id}
+                              type="button"
+                              onClick={() => handleOptionSelect(key, value._id)}
+                              className={`flex items-center px-3 py-2 rounded-lg border-2 text-sm transition-colors ${
+                                isSelected
+                                  ? "border-lime-500 bg-lime-50 text-gray-900"
+                                  : "border-gray-300 text-gray-700 hover:border-lime-400"
+                              } ${isAvailable ? "" : "opacity-50 line-through"}`}
+                            >
+                              {key === "color" && value.hexCode && (
+                                <span
+                                  className="w-4 h-4 rounded-full border border-gray-300 mr-2"
+                                  style={{ backgroundColor: value.hexCode }}
+                                />
+                              )}
+                              {value.name}
+                            </button>
+                          )
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Key Features */}
               {product.shortDescription && (
                 <div className="mb-6">
@@ -553,7 +698,7 @@ const ProductDetails = () => {
                   <div className="flex items-center  w-full ">
                     <button
                       onClick={handleAddToCart}
-                      disabled={product.stockStatus === "Out of Stock"}
+                      disabled={isOutOfStock}
                       className=" bg-lime-500 hover:bg-lime-600 disabled:bg-gray-400 text-white py-3 px-9 rounded-lg font-medium transition-colors"
                     >
 
@@ -569,7 +714,19 @@ const ProductDetails = () => {
                       <span className="">{isInWishlist(product._id) ? "" : ""}</span>
                     </button>
                     <button
-                      disabled={product.stockStatus === "Out of Stock"}
+                      onClick={() => toggleCompare(product)}
+                      className={`ml-1 flex items-center px-4 py-3 rounded-lg border transition-colors ${
+                        isInCompare(product._id)
+                          ? "border-lime-500 bg-lime-50 text-lime-700"
+                          : "border-gray-300 bg-white text-gray-600 hover:bg-gray-50"
+                      }`}
+                      aria-pressed={isInCompare(product._id)}
+                      title={isInCompare(product._id) ? "Remove from compare" : "Add to compare"}
+                    >
+                      <GitCompare size={20} />
+                    </button>
+                    <button
+                      disabled={isOutOfStock}
                       className="hidden sm:block w-full ml-1 bg-orange-600 hover:bg-orange-700 disabled:bg-gray-400 text-white px-3 py-3 rounded-lg font-medium transition-colors"
                       onClick={handleBuyNow}
                     >
@@ -579,7 +736,7 @@ const ProductDetails = () => {
                 </div>
 
                 <button
-                  disabled={product.stockStatus === "Out of Stock"}
+                  disabled={isOutOfStock}
                   className=" md:hidden lg:hidden w-full ml-1 bg-orange-600 hover:bg-orange-700 disabled:bg-gray-400 text-white px-3 py-3 rounded-lg font-medium transition-colors"
                   onClick={handleBuyNow}
                 >
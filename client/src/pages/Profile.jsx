@@ -1,16 +1,50 @@
+import { useEffect, useState } from "react"
 import { useAuth } from "../context/AuthContext"
+import { useToast } from "../context/ToastContext"
 import { useNavigate } from "react-router-dom"
-import { User, Mail, Phone, LogOut } from "lucide-react"
+import { User, Mail, Phone, LogOut, Monitor } from "lucide-react"
+import { authAPI } from "../services/api"
 
 const Profile = () => {
-  const { user, logout } = useAuth()
+  const { user, logout, logoutAllDevices } = useAuth()
+  const { showToast } = useToast()
   const navigate = useNavigate()
+  const [sessions, setSessions] = useState([])
 
-  const handleLogout = () => {
-    logout()
+  useEffect(() => {
+    authAPI
+      .getSessions()
+      .then(setSessions)
+      .catch((error) => console.error("Error loading sessions:", error))
+  }, [])
+
+  const handleLogout = async () => {
+    await logout()
     navigate("/")
   }
 
+  const handleRevokeSession = async (session) => {
+    try {
+      await authAPI.revokeSession(session._id)
+      setSessions(sessions.filter((entry) => entry._id !== session._id))
+      showToast(`Logged out ${session.device}`, "success")
+    } catch (error) {
+      showToast(error.message || "Could not log out that device", "error")
+    }
+  }
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of all devices, including this one?")) return
+
+    try {
+      await logoutAllDevices()
+      showToast("Logged out of all devices", "success")
+      navigate("/login")
+    } catch (error) {
+      showToast(error.message || "Could not log out of all devices", "error")
+    }
+  }
+
   return (
     <div className="max-w-2xl mx-auto px-4 py-8">
       <div className="bg-white rounded-lg shadow-md overflow-hidden">
@@ -72,6 +106,49 @@ const Profile = () => {
             </button>
           </div>
 
+          {/* Logged in devices */}
+          <div className="mt-8 space-y-4">
+            <h2 className="text-lg font-semibold mb-4">Where You're Logged In</h2>
+            <ul className="divide-y divide-gray-200 border rounded-lg">
+              {sessions.map((session) => (
+                <li key={session._id} className="flex items-center justify-between px-4 py-3">
+                  <div className="flex items-center space-x-3">
+                    <Monitor size={20} className="text-gray-500" />
+                    <div>
+                      <p className="font-medium text-sm">
+                        {session.device}
+                        {session.scope === "admin" && <span className="text-gray-500"> · Admin panel</span>}
+                        {session.current && (
+                          <span className="ml-2 px-2 py-0.5 text-xs bg-lime-100 text-lime-800 rounded-full">
+                            This device
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Last used {new Date(session.lastUsedAt).toLocaleString()}
+                        {session.ip && ` · ${session.ip}`}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => handleRevokeSession(session)}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Log out
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={handleLogoutAll}
+              className="w-full text-left px-4 py-3 bg-gray-50 hover:bg-gray-100 rounded-lg transition-colors text-red-600"
+            >
+              Log out of all devices
+            </button>
+          </div>
+
           {/* Logout Button */}
           <div className="mt-8 pt-6 border-t">
             <button
@@ -0,0 +1,136 @@
+"use client"
+
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import axios from "axios"
+import { Eye, EyeOff, Lock } from "lucide-react"
+import { useToast } from "../context/ToastContext"
+
+import config from "../config/config"
+
+// Opened from the link in the password reset email
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { showToast } = useToast()
+  const token = searchParams.get("token")
+
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" })
+  const [showPassword, setShowPassword] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (formData.password.length < 6) {
+      setError("Password must be at least 6 characters")
+      return
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match")
+      return
+    }
+
+    try {
+      setLoading(true)
+      setError("")
+      const { data } = await axios.post(`${config.API_URL}/api/users/reset-password`, {
+        token,
+        password: formData.password,
+      })
+      showToast(data.message, "success")
+      navigate("/login")
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset your password. Please try again.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const inputClassName =
+    "appearance-none block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-900 focus:border-gray-900 transition-colors"
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-br from-gray-50 to-gray-100">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl border border-gray-200">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900 tracking-tight">Choose a new password</h2>
+        </div>
+
+        {!token ? (
+          <div className="p-4 bg-red-50 text-red-600 rounded-lg text-sm border border-red-100">
+            This password reset link is invalid.{" "}
+            <Link to="/forgot-password" className="font-semibold underline">
+              Request a new one
+            </Link>
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="p-4 bg-red-50 text-red-600 rounded-lg text-sm border border-red-100">
+                {error}{" "}
+                {error.includes("expired") && (
+                  <Link to="/forgot-password" className="font-semibold underline">
+                    Request a new link
+                  </Link>
+                )}
+              </div>
+            )}
+
+            <form className="mt-8 space-y-5" onSubmit={handleSubmit}>
+              {[
+                { name: "password", label: "New password", placeholder: "Enter a new password" },
+                { name: "confirmPassword", label: "Confirm password", placeholder: "Enter it again" },
+              ].map((field) => (
+                <div key={field.name}>
+                  <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label}
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id={field.name}
+                      name={field.name}
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      required
+                      value={formData[field.name]}
+                      onChange={handleChange}
+                      className={inputClassName}
+                      placeholder={field.placeholder}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600 transition-colors"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <button
+                type="submit"
+                className="w-full flex justify-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-lime-500 hover:bg-lime-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-900 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={loading}
+              >
+                {loading ? "Saving..." : "Reset password"}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
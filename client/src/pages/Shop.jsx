@@ -1,7 +1,7 @@
 "use client"
 
-import { useState, useEffect } from "react"
-import { Search, ChevronDown, Minus } from "lucide-react"
+import { useState, useEffect, useRef } from "react"
+import { Search, ChevronDown, Minus, Star } from "lucide-react"
 import axios from "axios"
 import { useNavigate, useLocation } from "react-router-dom"
 import { useCart } from "../context/CartContext"
@@ -13,6 +13,25 @@ import Slider from 'rc-slider';
 
 const API_BASE_URL = `${config.API_URL}`
 
+const PAGE_SIZE = 20
+const SEARCH_DELAY_MS = 300
+
+const STOCK_OPTIONS = [
+  { key: "inStock", param: "in", facet: "in", label: "In stock" },
+  { key: "outOfStock", param: "out", facet: "out", label: "Out of stock" },
+  { key: "preOrder", param: "preorder", facet: "preorder", label: "Pre-order" },
+]
+
+const EMPTY_FACETS = {
+  brands: [],
+  subCategories: [],
+  stock: {},
+  onSale: 0,
+  ratings: [],
+  price: { min: 0, max: 0 },
+  attributes: [],
+}
+
 // Define the exact parent categories to show in filters
 const PARENT_CATEGORIES = [
   "All In One",
@@ -122,41 +141,78 @@ const Shop = () => {
   const location = useLocation()
   const { addToCart } = useCart()
   const [products, setProducts] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [facets, setFacets] = useState(EMPTY_FACETS)
   const [categories, setCategories] = useState([])
   const [brands, setBrands] = useState([])
   const [banners, setBanners] = useState([])
   const [loading, setLoading] = useState(true)
+  const [fetching, setFetching] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
   const [searchQuery, setSearchQuery] = useState("")
+  const [debouncedSearch, setDebouncedSearch] = useState("")
   const [selectedCategory, setSelectedCategory] = useState("all")
   const [selectedBrands, setSelectedBrands] = useState([])
-  const [priceRange, setPriceRange] = useState([0, 10000])
-  const [maxPrice, setMaxPrice] = useState(10000)
+  // null until the shopper narrows it, so new products above the old maximum are not left out
+  const [priceRange, setPriceRange] = useState(null)
   const [sortBy, setSortBy] = useState("newest")
   const [brandSearch, setBrandSearch] = useState("")
   const [subCategories, setSubCategories] = useState([])
   const [selectedSubCategories, setSelectedSubCategories] = useState([])
-  const [stockFilters, setStockFilters] = useState({ inStock: false, outOfStock: false, onSale: false })
+  const [stockFilters, setStockFilters] = useState({ inStock: false, outOfStock: false, preOrder: false, onSale: false })
+  const [selectedRating, setSelectedRating] = useState(null)
+  // Values ticked per filter attribute of the category, e.g. { RAM: ["16 GB"] }
+  const [selectedSpecs, setSelectedSpecs] = useState({})
 
   // Filter panel states
   const [showPriceFilter, setShowPriceFilter] = useState(true)
   const [showCategoryFilter, setShowCategoryFilter] = useState(true)
   const [showBrandFilter, setShowBrandFilter] = useState(true)
+  const [showRatingFilter, setShowRatingFilter] = useState(true)
 
-  const [productsToShow, setProductsToShow] = useState(20)
+  // Only the answer to the latest filters is shown, slower earlier ones are dropped
+  const latestRequest = useRef(0)
+  // Subcategory named in the URL, selected once the subcategories of its category are loaded
+  const pendingSubCategory = useRef(null)
 
   // Fetch categories and brands on mount
   useEffect(() => {
     fetchCategories()
     fetchBrands()
     fetchBanners()
-    fetchProducts()
   }, [])
 
-  // Fetch products when filters change
+  // Search as the shopper types, without a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), SEARCH_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [searchQuery])
+
+  // Fetch the first page when filters change
   useEffect(() => {
     fetchProducts()
-  }, [selectedCategory, selectedBrands, searchQuery, priceRange, selectedSubCategories, stockFilters])
+  }, [
+    selectedCategory,
+    selectedBrands,
+    debouncedSearch,
+    priceRange,
+    selectedSubCategories,
+    stockFilters,
+    selectedRating,
+    selectedSpecs,
+    sortBy,
+  ])
+
+  // Searches come back best match first, switch to that order while searching
+  useEffect(() => {
+    if (debouncedSearch) {
+      setSortBy("relevance")
+    } else {
+      setSortBy((prev) => (prev === "relevance" ? "newest" : prev))
+    }
+  }, [debouncedSearch])
 
   // Fetch subcategories when selectedCategory changes
   useEffect(() => {
@@ -168,41 +224,46 @@ const Shop = () => {
     }
   }, [selectedCategory, categories])
 
-  // Sync selectedCategory and filters with URL
+  // Sync selectedCategory and filters with URL.
+  // Navbar links send parent_category with an optional subcategory name in category, older links the category alone.
   useEffect(() => {
     const params = new URLSearchParams(location.search)
+    const parentCategoryParam = params.get("parent_category")
     const categoryParam = params.get("category")
-    const brandParam = params.get("brand")
     const searchParam = params.get("search")
 
-    if (categoryParam) {
-      setSelectedCategory(categoryParam)
-      setSelectedSubCategories([])
-      setSelectedBrands([])
-    } else {
-      setSelectedCategory("all")
-      setSelectedSubCategories([])
-      setSelectedBrands([])
-    }
-
-    if (brandParam) {
-      // Find brand by name and set it
-      brands.forEach((brand) => {
-        if (brand.name.toLowerCase() === brandParam.toLowerCase()) {
-          setSelectedBrands([brand._id])
-        }
-      })
-    }
+    setSelectedCategory(parentCategoryParam || categoryParam || "all")
+    pendingSubCategory.current = parentCategoryParam ? categoryParam : null
+    setSelectedSubCategories([])
+    setSelectedBrands([])
+    setSelectedSpecs({})
 
     if (searchParam) {
       setSearchQuery(searchParam)
+      setDebouncedSearch(searchParam.trim())
     }
+  }, [location.search])
+
+  // Brands in the URL are names, select them once the brand list is in
+  useEffect(() => {
+    const brandParam = new URLSearchParams(location.search).get("brand")
+    if (!brandParam) return
+
+    const brand = brands.find((b) => b.name.toLowerCase() === brandParam.toLowerCase())
+    if (brand) setSelectedBrands([brand._id])
   }, [location.search, brands])
 
-  // Reset productsToShow when filters change or products are refetched
   useEffect(() => {
-    setProductsToShow(20)
-  }, [selectedCategory, selectedBrands, searchQuery, priceRange, selectedSubCategories, stockFilters, products.length])
+    if (!pendingSubCategory.current) return
+
+    const subCategory = subCategories.find(
+      (sub) => sub.name.toLowerCase() === pendingSubCategory.current.toLowerCase(),
+    )
+    if (subCategory) {
+      pendingSubCategory.current = null
+      setSelectedSubCategories([subCategory._id])
+    }
+  }, [subCategories])
 
   const fetchCategories = async () => {
     try {
@@ -296,71 +357,74 @@ const Shop = () => {
     }
   }
 
-  const fetchProducts = async () => {
+  // First page for the current filters, or the page after cursor for Load More
+  const fetchProducts = async (cursor) => {
+    const requestId = ++latestRequest.current
     try {
-      setLoading(true)
+      if (cursor) setLoadingMore(true)
+      else setFetching(true)
+
       const params = new URLSearchParams()
+      if (cursor) params.append("cursor", cursor)
+      else params.append("page", "1")
+      params.append("limit", PAGE_SIZE)
+      params.append("sort", sortBy)
 
       if (selectedCategory && selectedCategory !== "all") {
-        params.append("category", selectedCategory)
+        params.append("parent_category", selectedCategory)
       }
       if (selectedBrands.length > 0) {
         selectedBrands.forEach((brand) => params.append("brand", brand))
       }
-      if (searchQuery) {
-        params.append("search", searchQuery)
+      if (debouncedSearch) {
+        params.append("search", debouncedSearch)
       }
       if (selectedSubCategories.length > 0) {
         selectedSubCategories.forEach((subcat) => params.append("subcategory", subcat))
       }
-      if (stockFilters.inStock) params.append("stock", "in")
-      if (stockFilters.outOfStock) params.append("stock", "out")
+      STOCK_OPTIONS.forEach((option) => {
+        if (stockFilters[option.key]) params.append("stock", option.param)
+      })
       if (stockFilters.onSale) params.append("onSale", "true")
-
-      console.log("Fetching products with params:", params.toString())
-      const { data } = await axios.get(`${API_BASE_URL}/api/products?${params.toString()}`)
-
-      if (data.length > 0) {
-        const max = Math.max(...data.map((p) => p.price))
-        setMaxPrice(max)
-        if (priceRange[1] === 10000) {
-          setPriceRange([0, max])
-        }
-      }
-
-      // Sort products
-      const sortedProducts = [...data]
-      switch (sortBy) {
-        case "price-low":
-          sortedProducts.sort((a, b) => (a.price || 0) - (b.price || 0))
-          break
-        case "price-high":
-          sortedProducts.sort((a, b) => (b.price || 0) - (a.price || 0))
-          break
-        case "name":
-          sortedProducts.sort((a, b) => (a.name || "").localeCompare(b.name || ""))
-          break
-        default:
-          // newest - already sorted by default
-          break
+      if (selectedRating) params.append("rating", selectedRating)
+      Object.entries(selectedSpecs).forEach(([key, values]) => {
+        values.forEach((value) => params.append(`spec[${key}]`, value))
+      })
+      if (priceRange) {
+        params.append("minPrice", priceRange[0])
+        params.append("maxPrice", priceRange[1])
       }
 
-      // Filter by price range
-      const filteredProducts = sortedProducts.filter((product) => {
-        const price = product.price || 0
-        return price >= priceRange[0] && price <= priceRange[1]
-      })
+      const { data } = await axios.get(`${API_BASE_URL}/api/products?${params.toString()}`)
+      if (requestId !== latestRequest.current) return
 
-      console.log("Products fetched and filtered:", filteredProducts.length)
-      setProducts(filteredProducts)
-      setLoading(false)
+      setProducts((prev) => (cursor ? [...prev, ...data.products] : data.products))
+      setTotal(data.total)
+      setNextCursor(data.nextCursor)
+      setFacets(data.facets)
     } catch (err) {
+      if (requestId !== latestRequest.current) return
       console.error("Error fetching products:", err)
       setError(err.response?.data?.message || "Error fetching products")
-      setLoading(false)
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false)
+        setFetching(false)
+        setLoadingMore(false)
+      }
     }
   }
 
+  // Price slider bounds from the products the other filters leave
+  const maxPrice = Math.max(Math.ceil(facets.price.max), priceRange ? priceRange[1] : 0)
+  const brandCounts = new Map(facets.brands.map((brand) => [brand._id, brand.count]))
+  const subCategoryCounts = new Map(facets.subCategories.map((subcat) => [subcat._id, subcat.count]))
+
+  const handlePriceApply = (range) => {
+    // The whole range is no filter at all
+    setPriceRange(range[0] <= 0 && range[1] >= maxPrice ? null : range)
+  }
+
   const filteredBrands = brands.filter((brand) => brand.name.toLowerCase().includes(brandSearch.toLowerCase()))
 
   const handleCategoryChange = (categoryName) => {
@@ -368,7 +432,7 @@ const Shop = () => {
     setSelectedSubCategories([])
     const params = new URLSearchParams()
     if (categoryName !== "all") {
-      params.set("category", categoryName)
+      params.set("parent_category", categoryName)
     }
     navigate({
       pathname: location.pathname,
@@ -384,8 +448,27 @@ const Shop = () => {
     setSelectedSubCategories((prev) =>
       prev.includes(subCatId) ? prev.filter((id) => id !== subCatId) : [...prev, subCatId],
     )
+    // Subcategories can bring their own filter attributes, ticked values may not apply anymore
+    setSelectedSpecs({})
+  }
+
+  const handleSpecChange = (key, value) => {
+    setSelectedSpecs((prev) => {
+      const values = prev[key] || []
+      const next = values.includes(value) ? values.filter((v) => v !== value) : [...values, value]
+      const { [key]: _, ...rest } = prev
+      return next.length > 0 ? { ...rest, [key]: next } : rest
+    })
   }
 
+  // Ticked values stay listed when other filters leave no products with them, so they can be unticked
+  const specValues = (attribute) => [
+    ...attribute.values,
+    ...(selectedSpecs[attribute.key] || [])
+      .filter((value) => !attribute.values.some((option) => option.value === value))
+      .map((value) => ({ value, count: 0 })),
+  ]
+
   const handleStockFilterChange = (key) => {
     setStockFilters((prev) => ({ ...prev, [key]: !prev[key] }))
   }
@@ -394,12 +477,16 @@ const Shop = () => {
     setSelectedCategory("all")
     setSelectedBrands([])
     setSelectedSubCategories([])
-    setPriceRange([0, maxPrice])
+    setPriceRange(null)
     setSearchQuery("")
-    setStockFilters({ inStock: false, outOfStock: false, onSale: false })
+    setDebouncedSearch("")
+    setStockFilters({ inStock: false, outOfStock: false, preOrder: false, onSale: false })
+    setSelectedRating(null)
+    setSelectedSpecs({})
     navigate({ pathname: location.pathname, search: "" })
   }
 
+  // Full page loader on the first load only, the filters stay put while later pages load
   if (loading) {
     return (
       <div className="flex justify-center items-center h-96">
@@ -452,10 +539,12 @@ const Shop = () => {
                 {showPriceFilter && (
                   <div className="mt-4 space-y-4">
                     <PriceFilter
+                      // Starts over when the bounds change with other filters
+                      key={maxPrice}
                       min={0}
                       max={maxPrice}
-                      initialRange={priceRange}
-                      onApply={(range) => setPriceRange(range)}
+                      initialRange={priceRange || [0, maxPrice]}
+                      onApply={handlePriceApply}
                     />
                   </div>
                 )}
@@ -513,7 +602,8 @@ const Shop = () => {
                           onChange={() => handleSubCategoryChange(subcat._id)}
                           className="mr-2"
                         />
-                        <span className="text-sm text-gray-700">{subcat.name}</span>
+                        <span className="text-sm text-gray-700 flex-1">{subcat.name}</span>
+                        <span className="text-xs text-gray-400">{subCategoryCounts.get(subcat._id) || 0}</span>
                       </label>
                     ))}
                   </div>
@@ -547,14 +637,20 @@ const Shop = () => {
                       </div>
                       <div className="max-h-48 overflow-y-auto space-y-2">
                         {filteredBrands.map((brand) => (
-                          <label key={brand._id} className="flex items-center">
+                          <label
+                            key={brand._id}
+                            className={`flex items-center ${
+                              brandCounts.has(brand._id) || selectedBrands.includes(brand._id) ? "" : "opacity-50"
+                            }`}
+                          >
                             <input
                               type="checkbox"
                               checked={selectedBrands.includes(brand._id)}
                               onChange={() => handleBrandChange(brand._id)}
                               className="mr-2 text-green-600 focus:ring-green-500"
                             />
-                            <span className="text-sm text-gray-700">{brand.name}</span>
+                            <span className="text-sm text-gray-700 flex-1">{brand.name}</span>
+                            <span className="text-xs text-gray-400 pr-2">{brandCounts.get(brand._id) || 0}</span>
                           </label>
                         ))}
                       </div>
@@ -563,6 +659,29 @@ const Shop = () => {
                 </div>
               )}
 
+              {/* Specification Filters of the category */}
+              {facets.attributes.map((attribute) => (
+                <div key={attribute.key} className="border-b pb-4">
+                  <button className="flex items-center justify-between w-full text-left font-medium text-gray-900">
+                    {attribute.label}
+                  </button>
+                  <div className="mt-4 max-h-48 overflow-y-auto space-y-2">
+                    {specValues(attribute).map((option) => (
+                      <label key={option.value} className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={(selectedSpecs[attribute.key] || []).includes(option.value)}
+                          onChange={() => handleSpecChange(attribute.key, option.value)}
+                          className="mr-2"
+                        />
+                        <span className="text-sm text-gray-700 flex-1">{option.value}</span>
+                        <span className="text-xs text-gray-400 pr-2">{option.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
               {/* Stock/On Sale Filter */}
               <div className="border-b pb-4">
                 <button className="flex items-center justify-between w-full text-left font-medium text-gray-900">
@@ -576,29 +695,71 @@ const Shop = () => {
                       onChange={() => handleStockFilterChange("onSale")}
                       className="mr-2"
                     />
-                    <span className="text-sm text-gray-700">On sale</span>
-                  </label>
-                  <label className="flex items-center">
-                    <input
-                      type="checkbox"
-                      checked={stockFilters.inStock}
-                      onChange={() => handleStockFilterChange("inStock")}
-                      className="mr-2"
-                    />
-                    <span className="text-sm text-gray-700">In stock</span>
-                  </label>
-                  <label className="flex items-center">
-                    <input
-                      type="checkbox"
-                      checked={stockFilters.outOfStock}
-                      onChange={() => handleStockFilterChange("outOfStock")}
-                      className="mr-2"
-                    />
-                    <span className="text-sm text-gray-700">Out of stock</span>
+                    <span className="text-sm text-gray-700 flex-1">On sale</span>
+                    <span className="text-xs text-gray-400">{facets.onSale}</span>
                   </label>
+                  {STOCK_OPTIONS.map((option) => (
+                    <label key={option.key} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={stockFilters[option.key]}
+                        onChange={() => handleStockFilterChange(option.key)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-700 flex-1">{option.label}</span>
+                      <span className="text-xs text-gray-400">{facets.stock[option.facet] || 0}</span>
+                    </label>
+                  ))}
                 </div>
               </div>
 
+              {/* Rating Filter */}
+              <div className="border-b pb-4">
+                <button
+                  onClick={() => setShowRatingFilter(!showRatingFilter)}
+                  className="flex items-center justify-between w-full text-left font-medium text-gray-900"
+                >
+                  Customer Rating
+                  {showRatingFilter ? <Minus size={16} /> : <ChevronDown size={16} />}
+                </button>
+                {showRatingFilter && (
+                  <div className="mt-4 space-y-2">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="rating"
+                        checked={selectedRating === null}
+                        onChange={() => setSelectedRating(null)}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-700">Any rating</span>
+                    </label>
+                    {facets.ratings.map((rating) => (
+                      <label key={rating.min} className="flex items-center">
+                        <input
+                          type="radio"
+                          name="rating"
+                          checked={selectedRating === rating.min}
+                          onChange={() => setSelectedRating(rating.min)}
+                          className="mr-2"
+                        />
+                        <span className="flex items-center gap-0.5 flex-1 text-sm text-gray-700">
+                          {[1, 2, 3, 4, 5].map((star) => (
+                            <Star
+                              key={star}
+                              size={14}
+                              className={star <= rating.min ? "text-yellow-400 fill-current" : "text-gray-300"}
+                            />
+                          ))}
+                          <span className="ml-1">&amp; up</span>
+                        </span>
+                        <span className="text-xs text-gray-400">{rating.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               {/* Clear Filters Button */}
               <div className="pt-4">
                 <button
@@ -645,7 +806,7 @@ const Shop = () => {
                       </p>
                       <div className="flex items-center space-x-4">
                         <span className="bg-white text-blue-600 px-4 py-2 rounded-full font-semibold">
-                          {products.length} Products Available
+                          {total} Products Available
                         </span>
                       </div>
                     </div>
@@ -669,7 +830,7 @@ const Shop = () => {
                 <h1 className="text-2xl font-bold text-gray-900">
                   {selectedCategory === "all" ? "All Products" : selectedCategory}
                 </h1>
-                <p className="text-gray-600 mt-1">{products.length} products found</p>
+                <p className="text-gray-600 mt-1">{total} products found</p>
               </div>
 
               {/* Sort Dropdown */}
@@ -679,10 +840,12 @@ const Shop = () => {
                   onChange={(e) => setSortBy(e.target.value)}
                   className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
                 >
+                  {debouncedSearch && <option value="relevance">Best Match</option>}
                   <option value="newest">Newest First</option>
                   <option value="price-low">Price: Low to High</option>
                   <option value="price-high">Price: High to Low</option>
                   <option value="name">Name: A to Z</option>
+                  <option value="rating">Top Rated</option>
                 </select>
               </div>
             </div>
@@ -690,18 +853,23 @@ const Shop = () => {
             {/* Products Grid */}
             {products.length > 0 ? (
               <>
-                <div className="grid grid-cols-2 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                  {products.slice(0, productsToShow).map((product) => (
+                <div
+                  className={`grid grid-cols-2 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 transition-opacity ${
+                    fetching ? "opacity-50" : ""
+                  }`}
+                >
+                  {products.map((product) => (
                     <HomeStyleProductCard key={product._id} product={product} />
                   ))}
                 </div>
-                {productsToShow < products.length && (
+                {nextCursor && (
                   <div className="flex justify-center mt-8">
                     <button
-                      onClick={() => setProductsToShow((prev) => prev + 20)}
-                      className="px-6 py-2 bg-green-600 text-white rounded-lg shadow hover:bg-green-700 transition-colors font-semibold"
+                      onClick={() => fetchProducts(nextCursor)}
+                      disabled={loadingMore}
+                      className="px-6 py-2 bg-green-600 text-white rounded-lg shadow hover:bg-green-700 transition-colors font-semibold disabled:opacity-60"
                     >
-                      Load More
+                      {loadingMore ? "Loading..." : `Load More (${products.length} of ${total})`}
                     </button>
                   </div>
                 )}
@@ -1,6 +1,8 @@
 "use client"
 
-import { useState } from "react"
+import { useState, useEffect } from "react"
+import { Link, useSearchParams } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
 import { useToast } from "../context/ToastContext"
 import { Package, Truck, CheckCircle, Clock, AlertCircle, Search } from "lucide-react"
 import axios from "axios"
@@ -9,8 +11,12 @@ import config from "../config/config"
 
 const TrackOrder = () => {
   const { showToast } = useToast()
+  const { isAuthenticated } = useAuth()
+  const [searchParams] = useSearchParams()
+  // Just placed through guest checkout
+  const [justPlaced] = useState(searchParams.get("placed") === "true")
   const [formData, setFormData] = useState({
-    email: "",
+    contact: "",
     orderId: "",
   })
   const [loading, setLoading] = useState(false)
@@ -25,17 +31,13 @@ const TrackOrder = () => {
     }))
   }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
+  const trackOrder = async (details) => {
     setLoading(true)
     setError("")
     setOrderData(null)
 
     try {
-      const { data } = await axios.post(`${config.API_URL}/api/orders/track`, {
-        email: formData.email,
-        orderId: formData.orderId,
-      })
+      const { data } = await axios.post(`${config.API_URL}/api/orders/track`, details)
 
       setOrderData(data)
       showToast("Order found successfully!", "success")
@@ -49,6 +51,24 @@ const TrackOrder = () => {
     }
   }
 
+  // Signed link from the order emails, opens the order without asking for details
+  useEffect(() => {
+    const token = searchParams.get("token")
+    if (token) {
+      trackOrder({ token })
+    }
+  }, [])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    const contact = formData.contact.trim()
+    trackOrder({
+      orderId: formData.orderId.trim(),
+      ...(contact.includes("@") ? { email: contact } : { phone: contact }),
+    })
+  }
+
   const getStatusIcon = (status) => {
     switch (status.toLowerCase()) {
       case "pending":
@@ -131,7 +151,7 @@ const TrackOrder = () => {
       <div className="max-w-4xl w-full mx-auto px-4">
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Track Your Order</h1>
-          <p className="text-gray-600">Enter your email and order ID to track your order status</p>
+          <p className="text-gray-600">Enter your order number and the email or phone used to place it</p>
         </div>
 
         {/* Track Order Form */}
@@ -139,26 +159,26 @@ const TrackOrder = () => {
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Email Address</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email or Phone</label>
                 <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
+                  type="text"
+                  name="contact"
+                  value={formData.contact}
                   onChange={handleInputChange}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                  placeholder="Enter your email address"
+                  placeholder="Enter your email address or phone number"
                   required
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Order ID</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Order Number</label>
                 <input
                   type="text"
                   name="orderId"
                   value={formData.orderId}
                   onChange={handleInputChange}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
-                  placeholder="Enter your order ID"
+                  placeholder="e.g. GZ-2026-000123"
                   required
                 />
               </div>
@@ -186,6 +206,19 @@ const TrackOrder = () => {
           </div>
         )}
 
+        {justPlaced && orderData && !isAuthenticated && (
+          <div className="bg-lime-50 border border-lime-200 rounded-lg p-4 mb-8 text-sm text-lime-800">
+            <p className="font-semibold mb-1">Thank you, your order has been placed!</p>
+            <p>
+              Bookmark this page or use the link in your confirmation email to follow it.{" "}
+              <Link to="/register" className="underline font-medium">
+                Create an account
+              </Link>{" "}
+              with the same email and, once it is verified, your guest orders show up in your order history.
+            </p>
+          </div>
+        )}
+
         {/* Order Details */}
         {orderData && (
           <div className="space-y-6 overflow-x-auto">
@@ -203,7 +236,7 @@ const TrackOrder = () => {
                   <h3 className="font-semibold text-gray-900 mb-2">Order Information</h3>
                   <div className="space-y-1 text-sm">
                     <p>
-                      <span className="font-medium">Order ID:</span> {orderData._id}
+                      <span className="font-medium">Order Number:</span> {orderData.orderNumber || orderData._id}
                     </p>
                     <p>
                       <span className="font-medium">Order Date:</span>{" "}
@@ -228,13 +261,13 @@ const TrackOrder = () => {
                         <p>{orderData.shippingAddress.name}</p>
                         <p>{orderData.shippingAddress.address}</p>
                         <p>
-                          {orderData.shippingAddress.city}, {orderData.shippingAddress.postalCode}
+                          {[orderData.shippingAddress.city, orderData.shippingAddress.state, orderData.shippingAddress.zipCode]
+                            .filter(Boolean)
+                            .join(", ")}
                         </p>
-                        <p>{orderData.shippingAddress.country}</p>
-                        <p>Phone: {orderData.shippingAddress.phone}</p>
                       </>
                     ) : (
-                      <p>No shipping address available.</p>
+                      <p>{orderData.deliveryType === "pickup" ? "Store pickup" : "No shipping address available."}</p>
                     )}
                   </div>
                 </div>
@@ -317,11 +350,11 @@ const TrackOrder = () => {
                     />
                     <div className="flex-1 min-w-0">
                       <h3 className="font-medium text-gray-900">{item.name}</h3>
-                      <p className="text-sm text-gray-600">Quantity: {item.qty}</p>
+                      <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
                       <p className="text-sm font-medium text-gray-900">{formatPrice(item.price)} each</p>
                     </div>
                     <div className="text-right">
-                      <p className="font-bold text-gray-900">{formatPrice(item.price * item.qty)}</p>
+                      <p className="font-bold text-gray-900">{formatPrice(item.price * item.quantity)}</p>
                     </div>
                   </div>
                 ))}
@@ -4,9 +4,11 @@ import { useState, useEffect } from "react"
 import { Link, useLocation, useNavigate } from "react-router-dom"
 import axios from "axios"
 import { useAuth } from "../context/AuthContext"
-import { CheckCircle, Clock, Package, Truck, AlertTriangle } from "lucide-react"
+import { CheckCircle, Clock, Package, Truck, AlertTriangle, RotateCcw } from "lucide-react"
+import ReturnRequestModal from "../components/ReturnRequestModal"
 
 import config from "../config/config"
+import { getOrderNumber } from "../services/orderNumber"
 const UserOrders = () => {
   const location = useLocation()
   const navigate = useNavigate()
@@ -15,6 +17,9 @@ const UserOrders = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [successMessage, setSuccessMessage] = useState("")
+  const [placedOrderId, setPlacedOrderId] = useState(null)
+  const [returnRequests, setReturnRequests] = useState([])
+  const [returnOrder, setReturnOrder] = useState(null)
 
   // Check for success message from URL params
   useEffect(() => {
@@ -23,11 +28,11 @@ const UserOrders = () => {
     const orderId = params.get("orderId")
 
     if (success === "true" && orderId) {
-      setSuccessMessage(`Order #${orderId.slice(-6)} has been placed successfully!`)
+      setPlacedOrderId(orderId)
 
       // Clear success message after 5 seconds
       const timer = setTimeout(() => {
-        setSuccessMessage("")
+        setPlacedOrderId(null)
       }, 5000)
 
       return () => clearTimeout(timer)
@@ -49,12 +54,20 @@ const UserOrders = () => {
           return
         }
 
-        const { data } = await axios.get(`${config.API_URL}/api/orders/myorders`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        })
+        const [{ data }, { data: returns }] = await Promise.all([
+          axios.get(`${config.API_URL}/api/orders/myorders`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }),
+          axios.get(`${config.API_URL}/api/returns/my`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          }),
+        ])
         setOrders(data)
+        setReturnRequests(returns)
         setLoading(false)
       } catch (error) {
         console.error("Error fetching orders:", error)
@@ -81,6 +94,12 @@ const UserOrders = () => {
     }
   }
 
+  const handleReturnSubmitted = (returnRequest) => {
+    setReturnRequests([returnRequest, ...returnRequests])
+    setReturnOrder(null)
+    setSuccessMessage("Your return request has been sent. We will get back to you shortly.")
+  }
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-96">
@@ -93,6 +112,14 @@ const UserOrders = () => {
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-2xl font-bold text-gray-900 mb-8">My Orders</h1>
 
+      {placedOrderId && (
+        <div className="mb-6 p-4 bg-green-50 text-green-600 rounded-md flex items-center">
+          <CheckCircle className="h-5 w-5 mr-2" />
+          Order #{getOrderNumber(orders.find((order) => order._id === placedOrderId) || { _id: placedOrderId })} has been
+          placed successfully!
+        </div>
+      )}
+
       {successMessage && (
         <div className="mb-6 p-4 bg-green-50 text-green-600 rounded-md flex items-center">
           <CheckCircle className="h-5 w-5 mr-2" />
@@ -118,7 +145,7 @@ const UserOrders = () => {
               <div className="p-6 border-b">
                 <div className="flex flex-col sm:flex-row sm:items-center justify-between">
                   <div>
-                    <h2 className="text-lg font-medium text-gray-900">Order #{order._id.slice(-6)}</h2>
+                    <h2 className="text-lg font-medium text-gray-900">Order #{getOrderNumber(order)}</h2>
                     <p className="text-sm text-gray-500">Placed on {new Date(order.createdAt).toLocaleDateString()}</p>
                   </div>
                   <div className="mt-2 sm:mt-0 flex items-center">
@@ -163,11 +190,37 @@ const UserOrders = () => {
                     <span className="text-gray-600">{order.trackingId}</span>
                   </div>
                 )}
+                {returnRequests
+                  .filter((request) => request.order === order._id)
+                  .map((request) => (
+                    <div key={request._id} className="mt-2 text-sm text-gray-600">
+                      <span className="font-medium text-gray-900">Return: </span>
+                      {request.items.map((item) => `${item.name} × ${item.quantity}`).join(", ")}
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-white border text-xs">{request.status}</span>
+                    </div>
+                  ))}
+                {order.status === "Delivered" && (
+                  <button
+                    onClick={() => setReturnOrder(order)}
+                    className="mt-3 inline-flex items-center gap-1 text-sm font-medium text-lime-600 hover:text-lime-700"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    Return items
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {returnOrder && (
+        <ReturnRequestModal
+          order={returnOrder}
+          onClose={() => setReturnOrder(null)}
+          onSubmitted={handleReturnSubmitted}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,255 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import axios from "axios"
+import AdminSidebar from "../../components/admin/AdminSidebar"
+import { RefreshCw, ShoppingCart, Mail, DollarSign, TrendingUp, Ticket } from "lucide-react"
+
+import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
+
+const STATUS_STYLES = {
+  active: "bg-yellow-100 text-yellow-800",
+  recovered: "bg-green-100 text-green-800",
+  expired: "bg-gray-100 text-gray-800",
+}
+
+const toDateInput = (date) => date.toISOString().slice(0, 10)
+
+// Reminders sent for abandoned carts and the orders they brought back
+const AbandonedCarts = () => {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [from, setFrom] = useState(toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)))
+  const [to, setTo] = useState(toDateInput(new Date()))
+
+  const formatPrice = (price) => {
+    return `AED ${Number(price || 0).toLocaleString()}`
+  }
+
+  const getHeaders = () => {
+    const token =
+      localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
+    return { Authorization: `Bearer ${token}` }
+  }
+
+  useEffect(() => {
+    fetchReport()
+  }, [from, to])
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const { data } = await axios.get(`${config.API_URL}/api/admin/abandoned-carts/report`, {
+        headers: getHeaders(),
+        params: { from, to },
+      })
+      setReport(data)
+      setError(null)
+    } catch (error) {
+      console.error("Error fetching abandoned cart report:", error)
+      setError("Failed to load the abandoned cart report. Please try again later.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const summary = report?.summary
+
+  const stats = summary
+    ? [
+        { title: "Carts Reminded", value: summary.remindedCarts, icon: ShoppingCart, color: "bg-blue-500" },
+        { title: "Reminders Sent", value: summary.remindersSent, icon: Mail, color: "bg-purple-500" },
+        {
+          title: "Recovered Revenue",
+          value: formatPrice(summary.recoveredRevenue),
+          icon: DollarSign,
+          color: "bg-green-500",
+        },
+        {
+          title: "Recovery Rate",
+          value: `${summary.recoveryRate}% (${summary.recoveredCarts})`,
+          icon: TrendingUp,
+          color: "bg-lime-500",
+        },
+        {
+          title: "Coupons Redeemed",
+          value: `${summary.couponsRedeemed} / ${summary.couponsIssued}`,
+          icon: Ticket,
+          color: "bg-orange-500",
+        },
+      ]
+    : []
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <AdminSidebar />
+
+      <div className="ml-64 p-8">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Abandoned Carts</h1>
+            <p className="text-gray-600 mt-1">Cart reminder emails and the revenue they recovered</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <button
+              onClick={fetchReport}
+              className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors"
+              disabled={loading}
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-md">{error}</div>}
+
+        {loading && !report ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          report && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-5 gap-4 mb-8">
+                {stats.map((stat) => (
+                  <div key={stat.title} className="bg-white rounded-lg shadow-sm p-5 flex items-center">
+                    <div className={`${stat.color} p-3 rounded-full text-white mr-4`}>
+                      <stat.icon size={20} />
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-500">{stat.title}</p>
+                      <p className="text-lg font-semibold text-gray-900">{stat.value}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">By Reminder</h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {report.byStep.map((step) => (
+                    <div key={step.step} className="border rounded-md p-4">
+                      <p className="text-sm font-medium text-gray-900">
+                        Reminder {step.step} <span className="text-gray-500">after {step.hours}h</span>
+                      </p>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {step.sent} sent, {step.recovered} recovered after it
+                      </p>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">
+                  Carts left worth {formatPrice(summary.abandonedValue)} in this period, {summary.clickedCarts} reopened
+                  from an email.
+                </p>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Customer
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Cart
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Reminders
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Coupon
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Recovered Order
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {report.recoveries.length === 0 ? (
+                        <tr>
+                          <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                            No abandoned carts in this period
+                          </td>
+                        </tr>
+                      ) : (
+                        report.recoveries.map((recovery) => (
+                          <tr key={recovery._id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm text-gray-900">{recovery.user?.name}</div>
+                              <div className="text-sm text-gray-500">{recovery.user?.email}</div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {formatPrice(recovery.cartValue)}
+                              <div className="text-xs text-gray-500">{recovery.itemCount} item(s)</div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {recovery.remindersSent}
+                              {recovery.lastReminderAt && (
+                                <div className="text-xs text-gray-500">
+                                  last {new Date(recovery.lastReminderAt).toLocaleString()}
+                                </div>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {recovery.couponCode || "-"}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <span
+                                className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[recovery.status]}`}
+                              >
+                                {recovery.status}
+                              </span>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              {recovery.recoveredOrder ? (
+                                <>
+                                  <div className="font-medium text-blue-600">
+                                    #{getOrderNumber(recovery.recoveredOrder)}
+                                  </div>
+                                  <div className="text-gray-500">
+                                    {formatPrice(recovery.recoveredRevenue)} · {recovery.recoveredOrder.status}
+                                  </div>
+                                </>
+                              ) : (
+                                <span className="text-gray-400">-</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AbandonedCarts
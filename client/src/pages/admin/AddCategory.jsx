@@ -5,6 +5,10 @@ import { useNavigate, useParams } from "react-router-dom"
 import { useToast } from "../../context/ToastContext"
 import AdminSidebar from "../../components/admin/AdminSidebar"
 import ImageUpload from "../../components/ImageUpload"
+import FilterAttributesEditor, {
+  normalizeFilterAttributes,
+  serializeFilterAttributes,
+} from "../../components/admin/FilterAttributesEditor"
 import { ArrowLeft } from "lucide-react"
 import axios from "axios"
 
@@ -21,6 +25,7 @@ const AddCategory = () => {
     isActive: true,
     sortOrder: 0,
   })
+  const [filterAttributes, setFilterAttributes] = useState([])
   const [isEdit, setIsEdit] = useState(false)
 
   useEffect(() => {
@@ -44,6 +49,7 @@ const AddCategory = () => {
             isActive: data.isActive !== undefined ? data.isActive : true,
             sortOrder: data.sortOrder || 0,
           })
+          setFilterAttributes(normalizeFilterAttributes(data.filterAttributes))
         })
         .catch((err) => {
           showToast("Failed to load category", "error")
@@ -72,8 +78,9 @@ const AddCategory = () => {
     setLoading(true)
     try {
       const token = localStorage.getItem("adminToken")
+      const payload = { ...formData, filterAttributes: serializeFilterAttributes(filterAttributes) }
       if (isEdit) {
-        await axios.put(`${config.API_URL}/api/categories/${id}`, formData, {
+        await axios.put(`${config.API_URL}/api/categories/${id}`, payload, {
           headers: {
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
@@ -81,7 +88,7 @@ const AddCategory = () => {
         })
         showToast("Category updated successfully!", "success")
       } else {
-        await axios.post(`${config.API_URL}/api/categories`, formData, {
+        await axios.post(`${config.API_URL}/api/categories`, payload, {
           headers: {
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
@@ -120,7 +127,7 @@ const AddCategory = () => {
           </div>
 
           {/* Form */}
-          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 max-w-2xl">
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 max-w-4xl">
             <form onSubmit={handleSubmit} className="space-y-6">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div>
@@ -178,6 +185,14 @@ const AddCategory = () => {
                 <label className="ml-2 block text-sm text-gray-700">Active Category</label>
               </div>
 
+              <div className="border-t pt-6">
+                <FilterAttributesEditor
+                  attributes={filterAttributes}
+                  onChange={setFilterAttributes}
+                  specKeysUrl={isEdit ? `${config.API_URL}/api/categories/${id}/spec-keys` : null}
+                />
+              </div>
+
               <div className="flex justify-end gap-4 pt-6">
                 <button
                   type="button"
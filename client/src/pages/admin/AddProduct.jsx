@@ -6,6 +6,7 @@ import { useToast } from "../../context/ToastContext"
 import AdminSidebar from "../../components/admin/AdminSidebar"
 import ImageUpload from "../../components/ImageUpload"
 import TipTapEditor from "../../components/TipTapEditor"
+import VariantEditor, { serializeVariants } from "../../components/admin/VariantEditor"
 import { ArrowLeft, Plus, X } from "lucide-react"
 import axios from "axios"
 
@@ -49,6 +50,7 @@ const AddProduct = () => {
     volume: "",
     selectedColors: [],
     selectedSizes: [],
+    variants: [],
     weight: "",
     tags: "",
     shortDescription: "",
@@ -378,6 +380,7 @@ const AddProduct = () => {
         volume: formData.volume,
         colors: formData.selectedColors,
         sizes: formData.selectedSizes,
+        variants: serializeVariants(formData.variants),
         weight: Number.parseFloat(formData.weight) || 0,
         tags: formData.tags ? formData.tags.split(",").map((tag) => tag.trim()) : [],
         shortDescription: formData.shortDescription,
@@ -860,6 +863,16 @@ const AddProduct = () => {
               )}
             </div>
 
+            {/* Variants */}
+            <VariantEditor
+              variants={formData.variants}
+              onChange={(variants) => setFormData((prev) => ({ ...prev, variants }))}
+              baseSku={formData.sku}
+              selectedColors={formData.selectedColors}
+              selectedSizes={formData.selectedSizes}
+              selectedVolume={formData.volume}
+            />
+
             {/* Product Specifications */}
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
               <div className="flex items-center justify-between mb-6">
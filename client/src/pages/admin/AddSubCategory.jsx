@@ -1,16 +1,22 @@
 "use client"
 
 import { useState, useEffect } from "react"
-import { useNavigate } from "react-router-dom"
+import { useNavigate, useParams } from "react-router-dom"
 import { useToast } from "../../context/ToastContext"
 import AdminSidebar from "../../components/admin/AdminSidebar"
 import ImageUpload from "../../components/ImageUpload"
+import FilterAttributesEditor, {
+  normalizeFilterAttributes,
+  serializeFilterAttributes,
+} from "../../components/admin/FilterAttributesEditor"
 import { ArrowLeft } from "lucide-react"
 import axios from "axios"
 
 import config from "../../config/config"
 const AddSubCategory = () => {
   const navigate = useNavigate()
+  const { id } = useParams()
+  const isEdit = Boolean(id)
   const { showToast } = useToast()
   const [loading, setLoading] = useState(false)
   const [categories, setCategories] = useState([])
@@ -22,11 +28,42 @@ const AddSubCategory = () => {
     isActive: true,
     sortOrder: 0,
   })
+  const [filterAttributes, setFilterAttributes] = useState([])
 
   useEffect(() => {
     fetchCategories()
   }, [])
 
+  useEffect(() => {
+    if (!id) return
+
+    const fetchSubCategory = async () => {
+      setLoading(true)
+      try {
+        const token = localStorage.getItem("adminToken")
+        const { data } = await axios.get(`${config.API_URL}/api/subcategories/admin/${id}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        })
+        setFormData({
+          name: data.name || "",
+          description: data.description || "",
+          image: data.image || "",
+          category: data.category?._id || data.category || "",
+          isActive: data.isActive !== undefined ? data.isActive : true,
+          sortOrder: data.sortOrder || 0,
+        })
+        setFilterAttributes(normalizeFilterAttributes(data.filterAttributes))
+      } catch (error) {
+        console.error("Error fetching subcategory:", error)
+        showToast("Failed to load subcategory", "error")
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchSubCategory()
+  }, [id])
+
   const fetchCategories = async () => {
     try {
       const token = localStorage.getItem("adminToken")
@@ -61,18 +98,22 @@ const AddSubCategory = () => {
 
     try {
       const token = localStorage.getItem("adminToken")
-      await axios.post(`${config.API_URL}/api/subcategories`, formData, {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-      })
-
-      showToast("Sub Category added successfully!", "success")
+      const payload = { ...formData, filterAttributes: serializeFilterAttributes(filterAttributes) }
+      const headers = {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      }
+      if (isEdit) {
+        await axios.put(`${config.API_URL}/api/subcategories/${id}`, payload, { headers })
+        showToast("Sub Category updated successfully!", "success")
+      } else {
+        await axios.post(`${config.API_URL}/api/subcategories`, payload, { headers })
+        showToast("Sub Category added successfully!", "success")
+      }
       navigate("/admin/subcategories")
     } catch (error) {
-      console.error("Error adding subcategory:", error)
-      showToast(error.response?.data?.message || "Failed to add subcategory", "error")
+      console.error("Error saving subcategory:", error)
+      showToast(error.response?.data?.message || `Failed to ${isEdit ? "update" : "add"} subcategory`, "error")
     } finally {
       setLoading(false)
     }
@@ -94,13 +135,13 @@ const AddSubCategory = () => {
                 Sub Categories
               </button>
               <span>/</span>
-              <span className="text-gray-900">Add Sub Category</span>
+              <span className="text-gray-900">{isEdit ? "Edit Sub Category" : "Add Sub Category"}</span>
             </div>
-            <h1 className="text-3xl font-bold text-gray-900">Add New Sub Category</h1>
+            <h1 className="text-3xl font-bold text-gray-900">{isEdit ? "Edit Sub Category" : "Add New Sub Category"}</h1>
           </div>
 
           {/* Form */}
-          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 max-w-2xl">
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 max-w-4xl">
             <form onSubmit={handleSubmit} className="space-y-6">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div>
@@ -178,6 +219,15 @@ const AddSubCategory = () => {
                 <label className="ml-2 block text-sm text-gray-700">Active Sub Category</label>
               </div>
 
+              <div className="border-t pt-6">
+                <FilterAttributesEditor
+                  attributes={filterAttributes}
+                  onChange={setFilterAttributes}
+                  specKeysUrl={isEdit ? `${config.API_URL}/api/subcategories/${id}/spec-keys` : null}
+                  inherited={categories.find((category) => category._id === formData.category)?.filterAttributes || []}
+                />
+              </div>
+
               <div className="flex justify-end gap-4 pt-6">
                 <button
                   type="button"
@@ -191,7 +241,7 @@ const AddSubCategory = () => {
                   disabled={loading}
                   className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
                 >
-                  {loading ? "Adding..." : "Add Sub Category"}
+                  {loading ? (isEdit ? "Saving..." : "Adding...") : isEdit ? "Save Changes" : "Add Sub Category"}
                 </button>
               </div>
             </form>
@@ -7,6 +7,7 @@ import { useAuth } from "../../context/AuthContext"
 import AdminSidebar from "../../components/admin/AdminSidebar"
 import { ShoppingBag, Users, DollarSign, TrendingUp } from "lucide-react"
 import { adminAPI } from "../../services/api"
+import { getOrderNumber } from "../../services/orderNumber"
 
 const AdminDashboard = () => {
   const { admin } = useAuth()
@@ -178,7 +179,7 @@ const AdminDashboard = () => {
                   <tr key={order._id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-blue-600">
-                        <Link to={`/admin/orders/${order._id}`}>#{order._id.slice(-6)}</Link>
+                        <Link to={`/admin/orders/${order._id}`}>#{getOrderNumber(order)}</Link>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
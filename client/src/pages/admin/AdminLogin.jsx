@@ -1,9 +1,19 @@
 "use client"
 
 import { useState } from "react"
-import { Eye, EyeOff, Mail, Lock, Shield } from "lucide-react"
+import { Eye, EyeOff, Mail, Lock, Shield, KeyRound } from "lucide-react"
 import { useAuth } from "../../context/AuthContext"
 import { useNavigate } from "react-router-dom"
+import { adminAPI } from "../../services/api"
+import TwoFactorSetup from "../../components/admin/TwoFactorSetup"
+import RecoveryCodes from "../../components/admin/RecoveryCodes"
+
+const STEP_SUBTITLES = {
+  credentials: "Sign in to your account",
+  code: "Enter the code from your authenticator app",
+  setup: "Two-factor authentication is required for staff accounts, set it up to continue",
+  recoveryCodes: "Two-factor authentication is on",
+}
 
 const AdminLogin = () => {
   const [formData, setFormData] = useState({
@@ -14,7 +24,14 @@ const AdminLogin = () => {
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState("")
-  const { adminLogin } = useAuth()
+  // credentials -> code, or credentials -> setup -> recoveryCodes when staff must turn two-factor on
+  const [step, setStep] = useState("credentials")
+  const [challengeToken, setChallengeToken] = useState("")
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState("")
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const { adminLogin, adminVerifyTwoFactor, adminEnableTwoFactor } = useAuth()
   const navigate = useNavigate()
 
   const handleChange = (e) => {
@@ -35,18 +52,68 @@ const AdminLogin = () => {
       setLoading(true)
       setError("")
       const result = await adminLogin(formData)
+      if (!result.success) {
+        setError(result.message || "Invalid credentials. Please try again.")
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken)
+        setStep("code")
+      } else if (result.twoFactorSetupRequired) {
+        setChallengeToken(result.challengeToken)
+        setSetup(await adminAPI.startTwoFactorLoginSetup(result.challengeToken))
+        setStep("setup")
+      } else {
+        navigate("/admin/dashboard")
+      }
+    } catch (error) {
+      setError(error.message || "An unexpected error occurred. Please try again.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setLoading(true)
+      setError("")
+      const result = await adminVerifyTwoFactor(
+        useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code: code.replace(/\s/g, "") },
+      )
       if (result.success) {
         navigate("/admin/dashboard")
       } else {
-        setError(result.message || "Invalid credentials. Please try again.")
+        setError(result.message || "That code is not right. Please try again.")
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleEnable = async (setupCode) => {
+    try {
+      setLoading(true)
+      setError("")
+      const result = await adminEnableTwoFactor(challengeToken, setupCode)
+      if (result.success) {
+        setRecoveryCodes(result.recoveryCodes)
+        setStep("recoveryCodes")
+      } else {
+        setError(result.message || "That code is not right. Please try again.")
       }
-    } catch (error) {
-      setError("An unexpected error occurred. Please try again.")
     } finally {
       setLoading(false)
     }
   }
 
+  const startOver = () => {
+    setStep("credentials")
+    setChallengeToken("")
+    setSetup(null)
+    setCode("")
+    setUseRecoveryCode(false)
+    setError("")
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-lime-50 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -56,7 +123,7 @@ const AdminLogin = () => {
             <Shield className="w-8 h-8 text-white" />
           </div>
           <h1 className="text-3xl font-bold text-slate-900 mb-2">Admin Portal</h1>
-          <p className="text-slate-600">Sign in to your account</p>
+          <p className="text-slate-600">{STEP_SUBTITLES[step]}</p>
         </div>
 
         {/* Login Card */}
@@ -67,71 +134,148 @@ const AdminLogin = () => {
             </div>
           )}
 
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {/* Email Field */}
-            <div>
-              <label className="block text-slate-700 text-sm font-medium mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 transition-all duration-200 text-slate-900"
-                  placeholder="Enter your email"
-                  required
-                />
+          {step === "code" && (
+            <form className="space-y-6" onSubmit={handleCodeSubmit}>
+              <div>
+                <label className="block text-slate-700 text-sm font-medium mb-2">
+                  {useRecoveryCode ? "Recovery code" : "Authentication code"}
+                </label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
+                  <input
+                    type="text"
+                    inputMode={useRecoveryCode ? "text" : "numeric"}
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 transition-all duration-200 text-slate-900 tracking-widest"
+                    placeholder={useRecoveryCode ? "xxxx-xxxx-xxxx" : "123456"}
+                    autoFocus
+                    required
+                  />
+                </div>
               </div>
-            </div>
 
-            {/* Password Field */}
-            <div>
-              <label className="block text-slate-700 text-sm font-medium mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
-                <input
-                  type={showPassword ? "text" : "password"}
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="w-full pl-10 pr-12 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 transition-all duration-200 text-slate-900"
-                  placeholder="Enter your password"
-                  required
-                />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-lime-500 hover:bg-lime-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? "Verifying..." : "Verify"}
+              </button>
+
+              <div className="flex justify-between text-sm">
                 <button
                   type="button"
-                  onClick={togglePasswordVisibility}
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-slate-600 transition-colors"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setCode("")
+                    setError("")
+                  }}
+                  className="text-lime-600 hover:text-lime-700"
                 >
-                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  {useRecoveryCode ? "Use the authenticator app" : "Use a recovery code"}
+                </button>
+                <button type="button" onClick={startOver} className="text-slate-500 hover:text-slate-700">
+                  Back to sign in
                 </button>
               </div>
+            </form>
+          )}
+
+          {step === "setup" && setup && (
+            <>
+              <TwoFactorSetup setup={setup} onConfirm={handleEnable} loading={loading} confirmLabel="Turn on and sign in" />
+              <button
+                type="button"
+                onClick={startOver}
+                className="w-full mt-4 text-sm text-slate-500 hover:text-slate-700"
+              >
+                Back to sign in
+              </button>
+            </>
+          )}
+
+          {step === "recoveryCodes" && (
+            <div className="space-y-6">
+              <RecoveryCodes codes={recoveryCodes} />
+              <button
+                type="button"
+                onClick={() => navigate("/admin/dashboard")}
+                className="w-full bg-lime-500 hover:bg-lime-600 text-white font-semibold py-3 px-6 rounded-xl transition-colors"
+              >
+                I have saved my codes, continue
+              </button>
             </div>
+          )}
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-lime-500 hover:bg-lime-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 transform hover:scale-[1.02] active:scale-[0.98] shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
-            >
-              {loading ? (
-                <div className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Signing In...
+          {step === "credentials" && (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {/* Email Field */}
+              <div>
+                <label className="block text-slate-700 text-sm font-medium mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
+                  <input
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="w-full pl-10 pr-4 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 transition-all duration-200 text-slate-900"
+                    placeholder="Enter your email"
+                    required
+                  />
                 </div>
-              ) : (
-                "Sign In"
-              )}
-            </button>
-          </form>
+              </div>
+
+              {/* Password Field */}
+              <div>
+                <label className="block text-slate-700 text-sm font-medium mb-2">
+                  Password
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="w-full pl-10 pr-12 py-3 bg-slate-50 border border-slate-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-lime-500 transition-all duration-200 text-slate-900"
+                    placeholder="Enter your password"
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={togglePasswordVisibility}
+                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-slate-400 hover:text-slate-600 transition-colors"
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-lime-500 hover:bg-lime-600 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 transform hover:scale-[1.02] active:scale-[0.98] shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+              >
+                {loading ? (
+                  <div className="flex items-center justify-center">
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Signing In...
+                  </div>
+                ) : (
+                  "Sign In"
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Footer */}
           <div className="mt-8 text-center">
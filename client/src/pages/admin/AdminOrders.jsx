@@ -6,6 +6,8 @@ import AdminSidebar from "../../components/admin/AdminSidebar"
 import { Search, Eye, Mail, ChevronDown, RefreshCw } from "lucide-react"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
+import { askStatusReason, fetchOrderStatuses, getNextStatuses } from "../../services/orderStatus"
 const AdminOrders = () => {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -16,18 +18,22 @@ const AdminOrders = () => {
   const [filterStatus, setFilterStatus] = useState("all")
   const [showStatusDropdown, setShowStatusDropdown] = useState({})
   const [showPaymentDropdown, setShowPaymentDropdown] = useState({})
+  const [orderStatuses, setOrderStatuses] = useState(null)
 
   const statusOptions = [
     { value: "all", label: "All Orders" },
     { value: "Processing", label: "Processing" },
     { value: "Confirmed", label: "Confirmed" },
+    { value: "Ready for Shipment", label: "Ready for Shipment" },
     { value: "Shipped", label: "Shipped" },
     { value: "Out for Delivery", label: "Out for Delivery" },
     { value: "Delivered", label: "Delivered" },
+    { value: "On Hold", label: "On Hold" },
     { value: "Cancelled", label: "Cancelled" },
+    { value: "Rejected", label: "Rejected" },
+    { value: "Returned", label: "Returned" },
   ]
 
-  const orderStatusOptions = ["Processing", "Confirmed", "Shipped", "Out for Delivery", "Delivered", "Cancelled"]
   const paymentStatusOptions = ["Paid", "Unpaid"]
 
   const formatPrice = (price) => {
@@ -36,6 +42,9 @@ const AdminOrders = () => {
 
   useEffect(() => {
     fetchOrders()
+    fetchOrderStatuses()
+      .then(setOrderStatuses)
+      .catch(() => setError("Failed to load order statuses."))
   }, [])
 
   const fetchOrders = async () => {
@@ -59,20 +68,23 @@ const AdminOrders = () => {
   }
 
   const handleUpdateStatus = async (orderId, status) => {
+    const reason = askStatusReason(orderStatuses, status)
+    if (reason === null) return
+
     try {
       setProcessingAction(true)
-      await axios.put(`${config.API_URL}/api/admin/orders/${orderId}/status`, { status })
+      const { data } = await axios.put(`${config.API_URL}/api/admin/orders/${orderId}/status`, { status, reason })
 
-      setOrders(orders.map((order) => (order._id === orderId ? { ...order, status } : order)))
+      setOrders(orders.map((order) => (order._id === orderId ? { ...order, ...data, user: order.user } : order)))
 
       if (selectedOrder && selectedOrder._id === orderId) {
-        setSelectedOrder({ ...selectedOrder, status })
+        setSelectedOrder({ ...selectedOrder, ...data, user: selectedOrder.user })
       }
 
       setShowStatusDropdown({})
       setProcessingAction(false)
     } catch (error) {
-      setError("Failed to update order status. Please try again.")
+      setError(error.response?.data?.message || "Failed to update order status. Please try again.")
       setProcessingAction(false)
     }
   }
@@ -133,6 +145,7 @@ const AdminOrders = () => {
   const filteredOrders = orders.filter((order) => {
     const matchesSearch =
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.email.toLowerCase().includes(searchTerm.toLowerCase())
 
@@ -240,7 +253,7 @@ const AdminOrders = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -285,7 +298,7 @@ const AdminOrders = () => {
                   {filteredOrders.map((order) => (
                     <tr key={order._id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-blue-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
@@ -333,7 +346,7 @@ const AdminOrders = () => {
 
                           {showStatusDropdown[order._id] && (
                             <div className="absolute top-full left-0 mt-1 w-48 bg-white border border-gray-200 rounded-md shadow-lg z-20">
-                              {orderStatusOptions.map((status) => (
+                              {getNextStatuses(orderStatuses, order.status).map((status) => (
                                 <button
                                   key={status}
                                   onClick={(e) => {
@@ -417,7 +430,7 @@ const AdminOrders = () => {
           <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
             <div className="p-6 border-b">
               <div className="flex justify-between items-center">
-                <h2 className="text-xl font-bold text-gray-900">Order #{selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
                 <button onClick={handleCloseModal} className="text-gray-400 hover:text-gray-500 text-2xl">
                   ×
                 </button>
@@ -528,7 +541,7 @@ const AdminOrders = () => {
                         className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                         disabled={processingAction}
                       >
-                        {orderStatusOptions.map((status) => (
+                        {getNextStatuses(orderStatuses, selectedOrder.status).map((status) => (
                           <option key={status} value={status}>
                             {status}
                           </option>
@@ -536,6 +549,22 @@ const AdminOrders = () => {
                       </select>
                     </div>
 
+                    {selectedOrder.statusHistory?.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Status History</label>
+                        <ul className="text-sm text-gray-600 space-y-1">
+                          {selectedOrder.statusHistory.map((entry) => (
+                            <li key={entry._id}>
+                              {new Date(entry.createdAt).toLocaleString()}:{" "}
+                              <span className="font-medium">{entry.status}</span>
+                              {entry.changedByName && ` by ${entry.changedByName}`}
+                              {entry.reason && ` (${entry.reason})`}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Tracking ID</label>
                       <input
@@ -0,0 +1,247 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { ShieldCheck, ShieldOff } from "lucide-react"
+import AdminSidebar from "../../components/admin/AdminSidebar"
+import TwoFactorSetup from "../../components/admin/TwoFactorSetup"
+import RecoveryCodes from "../../components/admin/RecoveryCodes"
+import { useAuth } from "../../context/AuthContext"
+import { useToast } from "../../context/ToastContext"
+import { adminAPI } from "../../services/api"
+
+// Two-factor authentication for the logged in staff account, and the store wide requirement
+const AdminSecurity = () => {
+  const { hasAdminPermission } = useAuth()
+  const { showToast } = useToast()
+
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [setup, setSetup] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const [regenerateCode, setRegenerateCode] = useState("")
+  const [disableForm, setDisableForm] = useState({ password: "", code: "" })
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true)
+      setStatus(await adminAPI.getTwoFactorStatus())
+    } catch (error) {
+      showToast(error.message || "Failed to load two-factor status", "error")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Runs one request with the saving flag and error toast, resolves with its data or null
+  const save = async (request) => {
+    try {
+      setSaving(true)
+      return await request()
+    } catch (error) {
+      showToast(error.message || "Something went wrong", "error")
+      return null
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStartSetup = async () => {
+    const data = await save(() => adminAPI.startTwoFactorSetup())
+    if (data) setSetup(data)
+  }
+
+  const handleEnable = async (code) => {
+    const data = await save(() => adminAPI.enableTwoFactor(code))
+    if (!data) return
+    const { recoveryCodes: codes, ...nextStatus } = data
+    setStatus(nextStatus)
+    setSetup(null)
+    setRecoveryCodes(codes)
+    showToast("Two-factor authentication is on", "success")
+  }
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault()
+    const data = await save(() => adminAPI.regenerateRecoveryCodes(regenerateCode.replace(/\s/g, "")))
+    if (!data) return
+    const { recoveryCodes: codes, ...nextStatus } = data
+    setStatus(nextStatus)
+    setRecoveryCodes(codes)
+    setRegenerateCode("")
+    showToast("New recovery codes created, the old ones no longer work", "success")
+  }
+
+  const handleDisable = async (e) => {
+    e.preventDefault()
+    if (!window.confirm("Turn off two-factor authentication? Your password alone will sign you in.")) return
+
+    const data = await save(() =>
+      adminAPI.disableTwoFactor({ password: disableForm.password, code: disableForm.code.replace(/\s/g, "") }),
+    )
+    if (!data) return
+    setStatus(data)
+    setRecoveryCodes([])
+    setDisableForm({ password: "", code: "" })
+    showToast("Two-factor authentication is off", "success")
+  }
+
+  const handleRequirementChange = async (required) => {
+    const data = await save(() => adminAPI.setTwoFactorRequirement(required))
+    if (!data) return
+    setStatus((prev) => ({ ...prev, required: data.required }))
+    showToast(
+      data.required ? "Two-factor is now required for all staff" : "Two-factor is no longer required for staff",
+      "success",
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <AdminSidebar />
+
+      <div className="ml-64 p-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">Security</h1>
+          <p className="text-gray-600 mt-1">Protect your admin account with a code from your phone</p>
+        </div>
+
+        {loading || !status ? (
+          <div className="bg-white rounded-lg shadow-sm p-6 text-gray-500">Loading...</div>
+        ) : (
+          <div className="max-w-2xl space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center space-x-3 mb-4">
+                {status.enabled ? (
+                  <ShieldCheck className="w-8 h-8 text-lime-500" />
+                ) : (
+                  <ShieldOff className="w-8 h-8 text-gray-400" />
+                )}
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+                  <p className="text-sm text-gray-600">
+                    {status.enabled
+                      ? `On since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesLeft} recovery code(s) left`
+                      : "Off, your password alone signs you in"}
+                  </p>
+                </div>
+              </div>
+
+              {!status.enabled && !setup && (
+                <button
+                  onClick={handleStartSetup}
+                  disabled={saving}
+                  className="bg-lime-500 hover:bg-lime-600 text-white px-4 py-2 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Set up two-factor
+                </button>
+              )}
+
+              {!status.enabled && setup && <TwoFactorSetup setup={setup} onConfirm={handleEnable} loading={saving} />}
+
+              {recoveryCodes.length > 0 && (
+                <div className="mt-4">
+                  <RecoveryCodes codes={recoveryCodes} />
+                  <button onClick={() => setRecoveryCodes([])} className="mt-3 text-sm text-gray-500 hover:text-gray-700">
+                    I have saved my codes
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {status.enabled && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">Recovery codes</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  Lost your codes or used most of them? Create new ones with a code from your authenticator app.
+                </p>
+                <form onSubmit={handleRegenerate} className="flex gap-2">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={regenerateCode}
+                    onChange={(e) => setRegenerateCode(e.target.value)}
+                    placeholder="123456"
+                    maxLength={7}
+                    className="flex-1 border border-gray-300 rounded-md px-3 py-2"
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors disabled:opacity-50"
+                  >
+                    New codes
+                  </button>
+                </form>
+              </div>
+            )}
+
+            {status.enabled && !status.required && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">Turn off two-factor</h2>
+                <p className="text-sm text-gray-600 mb-4">Confirm with your password and a current code.</p>
+                <form onSubmit={handleDisable} className="space-y-3">
+                  <input
+                    type="password"
+                    value={disableForm.password}
+                    onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    required
+                  />
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={disableForm.code}
+                    onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                    placeholder="Code from your authenticator app"
+                    maxLength={7}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2"
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md transition-colors disabled:opacity-50"
+                  >
+                    Turn off
+                  </button>
+                </form>
+              </div>
+            )}
+
+            {hasAdminPermission("settings.manage") && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <label className="flex items-start space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={status.required}
+                    onChange={(e) => handleRequirementChange(e.target.checked)}
+                    disabled={saving || (!status.enabled && !status.required)}
+                    className="mt-1 h-4 w-4"
+                  />
+                  <span>
+                    <span className="block font-semibold text-gray-900">Require two-factor for all staff</span>
+                    <span className="block text-sm text-gray-600">
+                      Staff without it set it up at their next login. Turn it on for your own account first.
+                    </span>
+                  </span>
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AdminSecurity
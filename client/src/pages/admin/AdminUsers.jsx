@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from "react"
 import { adminAPI } from "../../services/api"
+import { useAuth } from "../../context/AuthContext"
+import { useToast } from "../../context/ToastContext"
 import AdminSidebar from "../../components/admin/AdminSidebar"
 import { Search, Mail, Calendar, User, Shield } from "lucide-react"
 
@@ -10,11 +12,30 @@ const AdminUsers = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState("")
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState([])
+  const [savingRoleFor, setSavingRoleFor] = useState(null)
+  const { adminUser, hasAdminPermission } = useAuth()
+  const { showToast } = useToast()
+
+  const canManageRoles = hasAdminPermission("roles.manage")
 
   useEffect(() => {
     fetchUsers()
   }, [])
 
+  useEffect(() => {
+    if (!canManageRoles) return
+
+    adminAPI
+      .getRoles()
+      .then((data) => {
+        setRoles(data.roles)
+        setPermissions(data.permissions)
+      })
+      .catch((error) => console.error("Error loading roles:", error))
+  }, [canManageRoles])
+
   const fetchUsers = async () => {
     try {
       setLoading(true)
@@ -27,6 +48,27 @@ const AdminUsers = () => {
     }
   }
 
+  const getRoleLabel = (user) => {
+    if (!user.isAdmin) return "Customer"
+    return roles.find((role) => role.key === user.role)?.label || user.role?.replace("_", " ") || "Admin"
+  }
+
+  const handleRoleChange = async (user, role) => {
+    const label = roles.find((entry) => entry.key === role)?.label || "Customer"
+    if (!window.confirm(`Change ${user.name}'s role to ${label}?`)) return
+
+    try {
+      setSavingRoleFor(user._id)
+      const updated = await adminAPI.updateUserRole(user._id, role || null)
+      setUsers(users.map((entry) => (entry._id === user._id ? { ...entry, ...updated } : entry)))
+      showToast(`${user.name} is now ${label}`, "success")
+    } catch (error) {
+      showToast(error.message || "Failed to change role", "error")
+    } finally {
+      setSavingRoleFor(null)
+    }
+  }
+
   const filteredUsers = users.filter(
     (user) =>
       user.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -106,16 +148,36 @@ const AdminUsers = () => {
                             <Mail className="h-4 w-4 text-gray-400 mr-2" />
                             <div className="text-sm text-gray-900">{user.email}</div>
                           </div>
+                          {user.pendingEmail && (
+                            <div className="text-xs text-amber-600 mt-1 ml-6">Changing to {user.pendingEmail}</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <span
-                            className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                              user.isAdmin ? "bg-purple-100 text-purple-800" : "bg-blue-100 text-blue-800"
-                            }`}
-                          >
-                            <Shield className="h-3 w-3 mr-1" />
-                            {user.isAdmin ? "Admin" : "Customer"}
-                          </span>
+                          {canManageRoles && roles.length > 0 ? (
+                            <select
+                              value={user.isAdmin ? user.role || "" : ""}
+                              onChange={(e) => handleRoleChange(user, e.target.value)}
+                              disabled={savingRoleFor === user._id || user._id === adminUser?._id}
+                              title={user._id === adminUser?._id ? "You cannot change your own role" : undefined}
+                              className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="">Customer</option>
+                              {roles.map((role) => (
+                                <option key={role.key} value={role.key}>
+                                  {role.label}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            <span
+                              className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${
+                                user.isAdmin ? "bg-purple-100 text-purple-800" : "bg-blue-100 text-blue-800"
+                              }`}
+                            >
+                              <Shield className="h-3 w-3 mr-1" />
+                              {getRoleLabel(user)}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="flex items-center">
@@ -142,6 +204,28 @@ const AdminUsers = () => {
             </div>
           </div>
         )}
+
+        {canManageRoles && roles.length > 0 && (
+          <div className="mt-8 bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">What Each Role Can Do</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {roles.map((role) => (
+                <div key={role.key} className="border rounded-md p-4">
+                  <p className="text-sm font-medium text-gray-900 mb-2">{role.label}</p>
+                  <ul className="space-y-1">
+                    {permissions
+                      .filter((permission) => role.permissions.includes(permission.key))
+                      .map((permission) => (
+                        <li key={permission.key} className="text-xs text-gray-600">
+                          {permission.description}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   )
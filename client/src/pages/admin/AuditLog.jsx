@@ -0,0 +1,270 @@
+"use client"
+
+import { Fragment, useState, useEffect } from "react"
+import axios from "axios"
+import AdminSidebar from "../../components/admin/AdminSidebar"
+import { Search, RefreshCw, ChevronDown, ChevronRight } from "lucide-react"
+
+import config from "../../config/config"
+
+const ACTION_STYLES = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  delete: "bg-red-100 text-red-800",
+}
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === "") return "—"
+  return typeof value === "object" ? JSON.stringify(value) : String(value)
+}
+
+// Who changed what in the admin panel, with the fields each change touched
+const AuditLog = () => {
+  const [result, setResult] = useState({ logs: [], total: 0, page: 1, pages: 0, entities: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [searchInput, setSearchInput] = useState("")
+  const [filters, setFilters] = useState({ search: "", entity: "", action: "", from: "", to: "" })
+  const [page, setPage] = useState(1)
+  const [expanded, setExpanded] = useState(null)
+
+  const getHeaders = () => {
+    const token =
+      localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
+    return { Authorization: `Bearer ${token}` }
+  }
+
+  useEffect(() => {
+    fetchLogs()
+  }, [filters, page])
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true)
+      const params = Object.fromEntries(Object.entries({ ...filters, page }).filter(([, value]) => value))
+      const { data } = await axios.get(`${config.API_URL}/api/admin/audit-logs`, { headers: getHeaders(), params })
+      setResult(data)
+      setError(null)
+    } catch (error) {
+      console.error("Error fetching audit log:", error)
+      setError("Failed to load the audit log. Please try again later.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    updateFilter("search", searchInput.trim())
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <AdminSidebar />
+
+      <div className="ml-64 p-8">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+            <p className="text-gray-600 mt-1">Every change made in the admin panel, newest first</p>
+          </div>
+          <button
+            onClick={fetchLogs}
+            className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors"
+            disabled={loading}
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6 flex flex-wrap items-center gap-3">
+          <form onSubmit={handleSearch} className="relative flex-1 min-w-[16rem]">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              placeholder="Search by staff, record, field or route..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="pl-10 pr-4 py-2 w-full border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </form>
+          <select
+            value={filters.entity}
+            onChange={(e) => updateFilter("entity", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All records</option>
+            {result.entities.map((entity) => (
+              <option key={entity} value={entity}>
+                {entity}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.action}
+            onChange={(e) => updateFilter("action", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All actions</option>
+            <option value="create">Created</option>
+            <option value="update">Updated</option>
+            <option value="delete">Deleted</option>
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilter("from", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilter("to", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+
+        {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-md">{error}</div>}
+
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    When
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Who
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Record
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Changes
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {!loading && result.logs.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                      No changes match these filters
+                    </td>
+                  </tr>
+                ) : (
+                  result.logs.map((log) => (
+                    <Fragment key={log._id}>
+                      <tr
+                        onClick={() => setExpanded(expanded === log._id ? null : log._id)}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(log.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">{log.actorName || "Unknown"}</div>
+                          <div className="text-xs text-gray-500">{log.actorEmail}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span
+                            className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${ACTION_STYLES[log.action]}`}
+                          >
+                            {log.action}
+                          </span>
+                          <div className="text-xs text-gray-500 mt-1">
+                            {log.method} {log.route}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">{log.entity}</div>
+                          <div className="text-xs text-gray-500">{log.entityLabel || log.entityId}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <span className="flex items-center">
+                            {expanded === log._id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                            <span className="ml-1">{log.changes.length} field(s)</span>
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{log.ip}</td>
+                      </tr>
+                      {expanded === log._id && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={6} className="px-6 py-4">
+                            {log.changes.length === 0 ? (
+                              <p className="text-sm text-gray-500">No fields changed</p>
+                            ) : (
+                              <table className="min-w-full text-sm">
+                                <thead>
+                                  <tr className="text-left text-xs text-gray-500 uppercase">
+                                    <th className="py-1 pr-4">Field</th>
+                                    <th className="py-1 pr-4">Before</th>
+                                    <th className="py-1">After</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {log.changes.map((change) => (
+                                    <tr key={change.field} className="align-top">
+                                      <td className="py-1 pr-4 font-mono text-xs text-gray-700">{change.field}</td>
+                                      <td className="py-1 pr-4 text-red-700 break-all">{formatValue(change.before)}</td>
+                                      <td className="py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {result.pages > 1 && (
+            <div className="flex justify-between items-center px-6 py-3 border-t">
+              <p className="text-sm text-gray-600">
+                Page {result.page} of {result.pages} · {result.total} change(s)
+              </p>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1 || loading}
+                  className="px-3 py-1 border rounded-md text-sm disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= result.pages || loading}
+                  className="px-3 py-1 border rounded-md text-sm disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AuditLog
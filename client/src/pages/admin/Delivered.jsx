@@ -7,6 +7,7 @@ import { Search, Eye, RefreshCw, CheckCircle2, Star } from "lucide-react"
 import { useToast } from "../../context/ToastContext"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
 const Delivered = () => {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -91,6 +92,7 @@ const Delivered = () => {
   const filteredOrders = orders.filter(
     (order) =>
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.email.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -122,7 +124,7 @@ const Delivered = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -167,7 +169,7 @@ const Delivered = () => {
                   {filteredOrders.map((order) => (
                     <tr key={order._id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-blue-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">{order.shippingAddress.name}</div>
@@ -223,7 +225,7 @@ const Delivered = () => {
           <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
             <div className="p-6 border-b">
               <div className="flex justify-between items-center">
-                <h2 className="text-xl font-bold text-gray-900">Order #{selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
                 <button onClick={handleCloseModal} className="text-gray-400 hover:text-gray-500 text-2xl">
                   &times;
                 </button>
@@ -7,6 +7,7 @@ import { Search, Eye, Mail, RefreshCw, Truck } from "lucide-react"
 import { useToast } from "../../context/ToastContext"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
 const InprogressOrders = () => {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -106,7 +107,7 @@ const InprogressOrders = () => {
       setProcessingAction(false)
     } catch (error) {
       console.error("Error updating status:", error)
-      showToast("Failed to update order status", "error")
+      showToast(error.response?.data?.message || "Failed to update order status", "error")
       setProcessingAction(false)
     }
   }
@@ -122,6 +123,7 @@ const InprogressOrders = () => {
   const filteredOrders = orders.filter(
     (order) =>
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.email.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -153,7 +155,7 @@ const InprogressOrders = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -201,7 +203,7 @@ const InprogressOrders = () => {
                   {filteredOrders.map((order) => (
                     <tr key={order._id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-blue-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         {order.deliveryType === 'pickup' ? (
@@ -278,7 +280,7 @@ const InprogressOrders = () => {
           <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
             <div className="p-6 border-b">
               <div className="flex justify-between items-center">
-                <h2 className="text-xl font-bold text-gray-900">Order #{selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
                 <button onClick={handleCloseModal} className="text-gray-400 hover:text-gray-500 text-2xl">
                   &times;
                 </button>
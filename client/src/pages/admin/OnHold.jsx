@@ -7,6 +7,7 @@ import { Search, Eye, RefreshCw, Pause, Play } from "lucide-react"
 import { useToast } from "../../context/ToastContext"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
 const OnHold = () => {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -44,7 +45,7 @@ const OnHold = () => {
         },
       })
 
-      const onHoldOrders = data.filter((order) => order.status === "On Hold" || order.status === "Paused")
+      const onHoldOrders = data.filter((order) => order.status === "On Hold")
       setOrders(onHoldOrders)
       setLoading(false)
     } catch (error) {
@@ -54,7 +55,11 @@ const OnHold = () => {
     }
   }
 
-  const handleResumeOrder = async (orderId) => {
+  // Latest move to On Hold, with the reason and the step the order was at
+  const getHoldEntry = (order) => [...(order.statusHistory || [])].reverse().find((entry) => entry.status === "On Hold")
+
+  const handleResumeOrder = async (order) => {
+    const orderId = order._id
     try {
       setProcessingAction(true)
       const token =
@@ -62,7 +67,7 @@ const OnHold = () => {
 
       await axios.put(
         `${config.API_URL}/api/admin/orders/${orderId}/status`,
-        { status: "Processing" },
+        { status: getHoldEntry(order)?.previousStatus || "Processing" },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -76,7 +81,7 @@ const OnHold = () => {
       setProcessingAction(false)
     } catch (error) {
       console.error("Error resuming order:", error)
-      showToast("Failed to resume order", "error")
+      showToast(error.response?.data?.message || "Failed to resume order", "error")
       setProcessingAction(false)
     }
   }
@@ -92,6 +97,7 @@ const OnHold = () => {
   const filteredOrders = orders.filter(
     (order) =>
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.email.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -104,7 +110,7 @@ const OnHold = () => {
         <div className="flex justify-between items-center mb-8">
           <div>
             <h1 className="text-2xl font-bold text-gray-900">On Hold Orders</h1>
-            <p className="text-gray-600 mt-1">Orders temporarily paused or on hold</p>
+            <p className="text-gray-600 mt-1">Orders put on hold, resumed at the step they were paused at</p>
           </div>
           <button
             onClick={fetchOrders}
@@ -123,7 +129,7 @@ const OnHold = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -171,7 +177,7 @@ const OnHold = () => {
                   {filteredOrders.map((order) => (
                     <tr key={order._id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-blue-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">{order.shippingAddress.name}</div>
@@ -182,7 +188,7 @@ const OnHold = () => {
                         <div className="text-sm text-gray-500">{new Date(order.updatedAt).toLocaleTimeString()}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">{order.holdReason || "Payment Issue"}</div>
+                        <div className="text-sm text-gray-900">{getHoldEntry(order)?.reason || "Not given"}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">{order.orderItems.length} items</div>
@@ -199,7 +205,7 @@ const OnHold = () => {
                           <Eye size={18} />
                         </button>
                         <button
-                          onClick={() => handleResumeOrder(order._id)}
+                          onClick={() => handleResumeOrder(order)}
                           className="text-green-600 hover:text-green-900"
                           disabled={processingAction}
                           title="Resume Order"
@@ -230,7 +236,7 @@ const OnHold = () => {
           <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
             <div className="p-6 border-b">
               <div className="flex justify-between items-center">
-                <h2 className="text-xl font-bold text-gray-900">Order #{selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
                 <button onClick={handleCloseModal} className="text-gray-400 hover:text-gray-500 text-2xl">
                   &times;
                 </button>
@@ -251,7 +257,7 @@ const OnHold = () => {
                     <span className="font-medium">Phone:</span> {selectedOrder.shippingAddress.phone}
                   </p>
                   <p className="text-gray-600">
-                    <span className="font-medium">Hold Reason:</span> {selectedOrder.holdReason || "Payment Issue"}
+                    <span className="font-medium">Hold Reason:</span> {getHoldEntry(selectedOrder)?.reason || "Not given"}
                   </p>
                 </div>
 
@@ -259,7 +265,7 @@ const OnHold = () => {
                   <h3 className="text-lg font-medium text-gray-900 mb-2">Hold Actions</h3>
                   <div className="space-y-3">
                     <button
-                      onClick={() => handleResumeOrder(selectedOrder._id)}
+                      onClick={() => handleResumeOrder(selectedOrder)}
                       className="w-full bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-md flex items-center justify-center"
                       disabled={processingAction}
                     >
@@ -20,6 +20,8 @@ import {
 } from "lucide-react"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
+import { askStatusReason, fetchOrderStatuses, getNextStatuses } from "../../services/orderStatus"
 // Invoice Component for Printing - Using forwardRef
 const InvoiceComponent = forwardRef(({ order }, ref) => {
   const formatPrice = (price) => {
@@ -63,7 +65,7 @@ const InvoiceComponent = forwardRef(({ order }, ref) => {
           </div>
           <div className="text-right bg-white/10 p-6 rounded-xl backdrop-blur-sm">
             <h2 className="text-2xl font-bold mb-2">INVOICE</h2>
-            <div className="text-lg font-semibold mb-1">Order: #{order._id.slice(-6)}</div>
+            <div className="text-lg font-semibold mb-1">Order: #{getOrderNumber(order)}</div>
             <div className="text-sm">📅 Date: {orderDate}</div>
             <div className="text-xs mt-2 opacity-80">🖨️ Printed: {currentDate}</div>
           </div>
@@ -256,7 +258,7 @@ const OnlineOrders = () => {
   // Print ref - FIXED
   const printComponentRef = useRef(null)
 
-  const orderStatusOptions = ["Processing", "Confirmed", "Shipped", "Out for Delivery", "Delivered", "Cancelled"]
+  const [orderStatuses, setOrderStatuses] = useState(null)
   const paymentStatusOptions = ["Paid", "Unpaid"]
 
   const formatPrice = (price) => {
@@ -270,7 +272,7 @@ const OnlineOrders = () => {
   // Print handler - FIXED
   const handlePrint = useReactToPrint({
     contentRef: printComponentRef,
-    documentTitle: `Invoice-${selectedOrder?._id.slice(-6)}`,
+    documentTitle: `Invoice-${getOrderNumber(selectedOrder)}`,
     pageStyle: `
       @page {
         size: A4;
@@ -293,6 +295,9 @@ const OnlineOrders = () => {
 
   useEffect(() => {
     fetchOrders()
+    fetchOrderStatuses()
+      .then(setOrderStatuses)
+      .catch(() => setError("Failed to load order statuses"))
   }, [])
 
   const fetchOrders = async () => {
@@ -342,14 +347,17 @@ const OnlineOrders = () => {
   }
 
   const handleUpdateStatus = async (orderId, status) => {
+    const reason = askStatusReason(orderStatuses, status)
+    if (reason === null) return
+
     try {
       setProcessingAction(true)
       const token =
         localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
 
-      await axios.put(
+      const { data } = await axios.put(
         `${config.API_URL}/api/admin/orders/${orderId}/status`,
-        { status },
+        { status, reason },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -358,10 +366,10 @@ const OnlineOrders = () => {
         },
       )
 
-      setOrders(orders.map((order) => (order._id === orderId ? { ...order, status } : order)))
+      setOrders(orders.map((order) => (order._id === orderId ? { ...order, ...data, user: order.user } : order)))
 
       if (selectedOrder && selectedOrder._id === orderId) {
-        setSelectedOrder({ ...selectedOrder, status })
+        setSelectedOrder({ ...selectedOrder, ...data, user: selectedOrder.user })
       }
 
       setShowStatusDropdown({})
@@ -369,7 +377,7 @@ const OnlineOrders = () => {
       setProcessingAction(false)
     } catch (error) {
       console.error("Error updating status:", error)
-      setError("Failed to update order status")
+      setError(error.response?.data?.message || "Failed to update order status")
       setProcessingAction(false)
     }
   }
@@ -509,16 +517,20 @@ const OnlineOrders = () => {
       return
     }
 
+    const reason = askStatusReason(orderStatuses, bulkStatus)
+    if (reason === null) return
+
     try {
       setProcessingAction(true)
       const token =
         localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
 
-      await Promise.all(
+      // Orders that cannot make this move are refused one by one, the rest still go through
+      const results = await Promise.allSettled(
         selectedOrders.map((orderId) =>
           axios.put(
             `${config.API_URL}/api/admin/orders/${orderId}/status`,
-            { status: bulkStatus },
+            { status: bulkStatus, reason },
             {
               headers: {
                 Authorization: `Bearer ${token}`,
@@ -529,7 +541,15 @@ const OnlineOrders = () => {
         ),
       )
 
-      setOrders(orders.map((order) => (selectedOrders.includes(order._id) ? { ...order, status: bulkStatus } : order)))
+      const updated = results.filter((result) => result.status === "fulfilled").map((result) => result.value.data)
+      const failed = results.filter((result) => result.status === "rejected")
+
+      setOrders(
+        orders.map((order) => {
+          const updatedOrder = updated.find((entry) => entry._id === order._id)
+          return updatedOrder ? { ...order, ...updatedOrder, user: order.user } : order
+        }),
+      )
 
       setSelectedOrders([])
       setSelectAll(false)
@@ -537,7 +557,14 @@ const OnlineOrders = () => {
       setShowBulkActions(false)
       setProcessingAction(false)
 
-      alert(`Successfully updated ${selectedOrders.length} orders to ${bulkStatus}`)
+      if (failed.length > 0) {
+        setError(
+          `${failed.length} of ${results.length} orders could not be moved to ${bulkStatus}: ${
+            failed[0].reason.response?.data?.message || failed[0].reason.message
+          }`,
+        )
+      }
+      alert(`Successfully updated ${updated.length} orders to ${bulkStatus}`)
     } catch (error) {
       console.error("Error updating bulk status:", error)
       setError("Failed to update orders")
@@ -548,6 +575,7 @@ const OnlineOrders = () => {
   const filteredOrders = orders.filter(
     (order) =>
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress?.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress?.email?.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -626,7 +654,7 @@ const OnlineOrders = () => {
                     className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-lime-500"
                   >
                     <option value="">Select Status</option>
-                    {orderStatusOptions.map((status) => (
+                    {(orderStatuses?.statuses || []).map((status) => (
                       <option key={status} value={status}>
                         {status}
                       </option>
@@ -660,7 +688,7 @@ const OnlineOrders = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-transparent"
@@ -727,7 +755,7 @@ const OnlineOrders = () => {
                         />
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-lime-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-lime-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         {order.deliveryType === 'pickup' ? (
@@ -776,7 +804,7 @@ const OnlineOrders = () => {
 
                           {showStatusDropdown[order._id] && (
                             <div className="absolute top-full left-0 mt-1 w-48 bg-white border border-gray-200 rounded-md shadow-lg z-20">
-                              {orderStatusOptions.map((status) => (
+                              {getNextStatuses(orderStatuses, order.status || "Processing").map((status) => (
                                 <button
                                   key={status}
                                   onClick={(e) => {
@@ -878,7 +906,7 @@ const OnlineOrders = () => {
                   <span>/</span>
                   <span className="text-lime-600">View</span>
                 </div>
-                <h2 className="text-2xl font-bold text-gray-900">Order ID: {selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-2xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
               </div>
               <button
                 onClick={handleCloseModal}
@@ -942,7 +970,7 @@ const OnlineOrders = () => {
                     className="border border-gray-300 rounded-md px-4 py-2 focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-transparent"
                     disabled={processingAction}
                   >
-                    {orderStatusOptions.map((status) => (
+                    {getNextStatuses(orderStatuses, selectedOrder.status || "Processing").map((status) => (
                       <option key={status} value={status}>
                         {status}
                       </option>
@@ -968,6 +996,18 @@ const OnlineOrders = () => {
                     {selectedOrder.status || "Processing"}
                   </span>
                 </div>
+                {selectedOrder.statusHistory?.length > 0 && (
+                  <ul className="mt-4 text-sm text-gray-600 space-y-1">
+                    {selectedOrder.statusHistory.map((entry) => (
+                      <li key={entry._id}>
+                        {new Date(entry.createdAt).toLocaleString()}:{" "}
+                        <span className="font-medium">{entry.status}</span>
+                        {entry.changedByName && ` by ${entry.changedByName}`}
+                        {entry.reason && ` (${entry.reason})`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               {/* Order Items */}
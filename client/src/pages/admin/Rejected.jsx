@@ -7,6 +7,7 @@ import { Search, Eye, RefreshCw, XCircle, DollarSign } from "lucide-react"
 import { useToast } from "../../context/ToastContext"
 
 import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
 const Rejected = () => {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
@@ -14,12 +15,18 @@ const Rejected = () => {
   const [searchTerm, setSearchTerm] = useState("")
   const [selectedOrder, setSelectedOrder] = useState(null)
   const [processingAction, setProcessingAction] = useState(false)
+  const [refundQuantities, setRefundQuantities] = useState({})
+  const [refundShipping, setRefundShipping] = useState(false)
+  const [refundReason, setRefundReason] = useState("")
   const { showToast } = useToast()
 
   const formatPrice = (price) => {
     return `AED ${price.toLocaleString()}`
   }
 
+  const getRefundable = (order) => Math.max(order.totalPrice - (order.refundedAmount || 0), 0)
+  const isFullyRefunded = (order) => order.isPaid && getRefundable(order) <= 0
+
   useEffect(() => {
     fetchOrders()
     const interval = setInterval(fetchOrders, 30000)
@@ -45,7 +52,7 @@ const Rejected = () => {
       })
 
       const rejectedOrders = data.filter(
-        (order) => order.status === "Rejected" || order.status === "Cancelled" || order.status === "Refunded",
+        (order) => order.status === "Rejected" || order.status === "Cancelled" || order.status === "Returned",
       )
       setOrders(rejectedOrders)
       setLoading(false)
@@ -56,39 +63,52 @@ const Rejected = () => {
     }
   }
 
-  const handleProcessRefund = async (orderId) => {
+  // Without items the server refunds everything that is left
+  const handleProcessRefund = async (orderId, refundRequest = {}) => {
     try {
       setProcessingAction(true)
       const token =
         localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
 
-      await axios.post(
-        `${config.API_URL}/api/admin/orders/${orderId}/refund`,
-        {},
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
+      const { data } = await axios.post(`${config.API_URL}/api/admin/orders/${orderId}/refund`, refundRequest, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
         },
-      )
+      })
 
-      // Update order status to refunded
-      setOrders(
-        orders.map((order) => (order._id === orderId ? { ...order, status: "Refunded", isRefunded: true } : order)),
-      )
+      setOrders(orders.map((order) => (order._id === orderId ? data.order : order)))
+      if (selectedOrder?._id === orderId) {
+        handleViewOrder(data.order)
+      }
 
-      showToast("Refund processed successfully!", "success")
+      showToast(`Refunded ${formatPrice(data.refund.amount)}`, "success")
       setProcessingAction(false)
     } catch (error) {
       console.error("Error processing refund:", error)
-      showToast("Failed to process refund", "error")
+      showToast(error.response?.data?.message || "Failed to process refund", "error")
       setProcessingAction(false)
     }
   }
 
+  const handleRefundSelected = () => {
+    const items = Object.entries(refundQuantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }))
+
+    if (items.length === 0 && !refundShipping) {
+      showToast("Select the items to refund", "error")
+      return
+    }
+
+    handleProcessRefund(selectedOrder._id, { items, includeShipping: refundShipping, reason: refundReason.trim() })
+  }
+
   const handleViewOrder = (order) => {
     setSelectedOrder(order)
+    setRefundQuantities({})
+    setRefundShipping(false)
+    setRefundReason("")
   }
 
   const handleCloseModal = () => {
@@ -98,6 +118,7 @@ const Rejected = () => {
   const filteredOrders = orders.filter(
     (order) =>
       order._id.includes(searchTerm) ||
+      order.orderNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       order.shippingAddress.email.toLowerCase().includes(searchTerm.toLowerCase()),
   )
@@ -110,7 +131,7 @@ const Rejected = () => {
         <div className="flex justify-between items-center mb-8">
           <div>
             <h1 className="text-2xl font-bold text-gray-900">Rejected Orders</h1>
-            <p className="text-gray-600 mt-1">Cancelled, rejected, and refunded orders</p>
+            <p className="text-gray-600 mt-1">Cancelled, rejected and returned orders, with their refunds</p>
           </div>
           <button
             onClick={fetchOrders}
@@ -129,7 +150,7 @@ const Rejected = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
             <input
               type="text"
-              placeholder="Search orders by ID, customer name, or email..."
+              placeholder="Search orders by number, ID, customer name, or email..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -177,7 +198,7 @@ const Rejected = () => {
                   {filteredOrders.map((order) => (
                     <tr key={order._id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm font-medium text-blue-600">#{order._id.slice(-6)}</div>
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(order)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">{order.shippingAddress.name}</div>
@@ -190,14 +211,19 @@ const Rejected = () => {
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span
                           className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                            order.status === "Refunded" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                            isFullyRefunded(order) ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
                           }`}
                         >
-                          {order.status}
+                          {isFullyRefunded(order) ? "Refunded" : order.status}
                         </span>
+                        {order.refundedAmount > 0 && !isFullyRefunded(order) && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {formatPrice(order.refundedAmount)} refunded
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">{order.rejectionReason || "Customer Cancelled"}</div>
+                        <div className="text-sm text-gray-900">{order.cancelReason || "Customer Cancelled"}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {formatPrice(order.totalPrice)}
@@ -210,9 +236,9 @@ const Rejected = () => {
                         >
                           <Eye size={18} />
                         </button>
-                        {order.status !== "Refunded" && order.isPaid && (
+                        {order.isPaid && !isFullyRefunded(order) && (
                           <button
-                            onClick={() => handleProcessRefund(order._id)}
+                            onClick={() => handleViewOrder(order)}
                             className="text-green-600 hover:text-green-900"
                             disabled={processingAction}
                             title="Process Refund"
@@ -244,7 +270,7 @@ const Rejected = () => {
           <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
             <div className="p-6 border-b">
               <div className="flex justify-between items-center">
-                <h2 className="text-xl font-bold text-gray-900">Order #{selectedOrder._id.slice(-6)}</h2>
+                <h2 className="text-xl font-bold text-gray-900">Order #{getOrderNumber(selectedOrder)}</h2>
                 <button onClick={handleCloseModal} className="text-gray-400 hover:text-gray-500 text-2xl">
                   &times;
                 </button>
@@ -266,31 +292,119 @@ const Rejected = () => {
                   </p>
                   <p className="text-gray-600">
                     <span className="font-medium">Rejection Reason:</span>{" "}
-                    {selectedOrder.rejectionReason || "Customer Cancelled"}
+                    {selectedOrder.cancelReason || "Customer Cancelled"}
                   </p>
                 </div>
 
                 <div>
                   <h3 className="text-lg font-medium text-gray-900 mb-2">Refund Actions</h3>
-                  <div className="space-y-3">
-                    {selectedOrder.status !== "Refunded" && selectedOrder.isPaid && (
+                  <p className="text-gray-600 mb-3">
+                    <span className="font-medium">Paid:</span> {formatPrice(selectedOrder.totalPrice)} ·{" "}
+                    <span className="font-medium">Refunded:</span> {formatPrice(selectedOrder.refundedAmount || 0)}
+                  </p>
+                  {!selectedOrder.isPaid && (
+                    <div className="w-full bg-gray-100 text-gray-700 py-2 px-4 rounded-md text-center">
+                      Order was not paid, nothing to refund
+                    </div>
+                  )}
+                  {isFullyRefunded(selectedOrder) && (
+                    <div className="w-full bg-green-100 text-green-800 font-medium py-2 px-4 rounded-md text-center">
+                      Refund Processed
+                    </div>
+                  )}
+                  {selectedOrder.isPaid && !isFullyRefunded(selectedOrder) && (
+                    <div className="space-y-3">
+                      {selectedOrder.orderItems.map((item) => {
+                        const available = item.quantity - (item.refundedQuantity || 0)
+                        return (
+                          <div key={item._id} className="flex items-center justify-between gap-3 text-sm">
+                            <div className="text-gray-700">
+                              {item.name}
+                              <div className="text-xs text-gray-500">
+                                {formatPrice(item.price)} × {item.quantity}
+                                {item.refundedQuantity > 0 && `, ${item.refundedQuantity} refunded`}
+                              </div>
+                            </div>
+                            <input
+                              type="number"
+                              min="0"
+                              max={available}
+                              disabled={available === 0}
+                              value={refundQuantities[item._id] || 0}
+                              onChange={(e) =>
+                                setRefundQuantities({
+                                  ...refundQuantities,
+                                  [item._id]: Math.min(Math.max(Number.parseInt(e.target.value) || 0, 0), available),
+                                })
+                              }
+                              className="w-20 border border-gray-300 rounded-md px-2 py-1"
+                            />
+                          </div>
+                        )
+                      })}
+                      {selectedOrder.shippingPrice > 0 && (
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={refundShipping}
+                            onChange={(e) => setRefundShipping(e.target.checked)}
+                          />
+                          Refund shipping ({formatPrice(selectedOrder.shippingPrice)})
+                        </label>
+                      )}
+                      <input
+                        type="text"
+                        placeholder="Reason (sent to the customer)"
+                        value={refundReason}
+                        onChange={(e) => setRefundReason(e.target.value)}
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
                       <button
-                        onClick={() => handleProcessRefund(selectedOrder._id)}
+                        onClick={handleRefundSelected}
+                        className="w-full border border-green-600 text-green-700 hover:bg-green-50 font-medium py-2 px-4 rounded-md"
+                        disabled={processingAction}
+                      >
+                        Refund Selected Items
+                      </button>
+                      <button
+                        onClick={() => handleProcessRefund(selectedOrder._id, { reason: refundReason.trim() })}
                         className="w-full bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-md flex items-center justify-center"
                         disabled={processingAction}
                       >
                         <DollarSign size={18} className="mr-2" />
-                        Process Refund
+                        Refund {formatPrice(getRefundable(selectedOrder))}
                       </button>
-                    )}
-                    {selectedOrder.status === "Refunded" && (
-                      <div className="w-full bg-green-100 text-green-800 font-medium py-2 px-4 rounded-md text-center">
-                        Refund Processed
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {selectedOrder.refunds?.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Refund History</h3>
+                  <div className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                    {selectedOrder.refunds.map((refund) => (
+                      <div key={refund._id} className="p-3 text-sm flex justify-between gap-4">
+                        <div>
+                          <div className="font-medium text-gray-900">
+                            {refund.type === "full" ? "Full" : "Partial"} refund, {formatPrice(refund.amount)}
+                          </div>
+                          <div className="text-gray-500">
+                            {refund.items.map((item) => `${item.name} × ${item.quantity}`).join(", ")}
+                            {refund.shippingAmount > 0 && " + shipping"}
+                          </div>
+                          {refund.reason && <div className="text-gray-500">Reason: {refund.reason}</div>}
+                          {refund.note && <div className="text-yellow-700">{refund.note}</div>}
+                        </div>
+                        <div className="text-right text-gray-500 whitespace-nowrap">
+                          <div>{new Date(refund.createdAt).toLocaleDateString()}</div>
+                          <div>{refund.method === "manual" ? "Manual" : refund.provider}</div>
+                        </div>
                       </div>
-                    )}
+                    ))}
                   </div>
                 </div>
-              </div>
+              )}
 
               <div className="flex justify-end">
                 <button
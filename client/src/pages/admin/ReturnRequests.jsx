@@ -0,0 +1,402 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import axios from "axios"
+import AdminSidebar from "../../components/admin/AdminSidebar"
+import { Search, Eye, RefreshCw, RotateCcw, Check, X, PackageCheck, DollarSign } from "lucide-react"
+import { useToast } from "../../context/ToastContext"
+import { useAuth } from "../../context/AuthContext"
+
+import config from "../../config/config"
+import { getOrderNumber } from "../../services/orderNumber"
+
+const STATUS_TABS = ["Requested", "Approved", "Received", "Refunded", "Rejected", "All"]
+
+const STATUS_STYLES = {
+  Requested: "bg-yellow-100 text-yellow-800",
+  Approved: "bg-blue-100 text-blue-800",
+  Received: "bg-purple-100 text-purple-800",
+  Refunded: "bg-green-100 text-green-800",
+  Rejected: "bg-red-100 text-red-800",
+}
+
+const ReturnRequests = () => {
+  const [requests, setRequests] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState("Requested")
+  const [searchTerm, setSearchTerm] = useState("")
+  const [selectedRequest, setSelectedRequest] = useState(null)
+  const [note, setNote] = useState("")
+  const [restock, setRestock] = useState(true)
+  const [processingAction, setProcessingAction] = useState(false)
+  const { showToast } = useToast()
+  const { hasAdminPermission } = useAuth()
+
+  const formatPrice = (price) => {
+    return `AED ${Number(price || 0).toLocaleString()}`
+  }
+
+  const getHeaders = () => {
+    const token =
+      localStorage.getItem("adminToken") || localStorage.getItem("token") || localStorage.getItem("authToken")
+    return { Authorization: `Bearer ${token}`, "Content-Type": "application/json" }
+  }
+
+  useEffect(() => {
+    fetchRequests()
+  }, [statusFilter])
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true)
+      const { data } = await axios.get(`${config.API_URL}/api/returns`, {
+        headers: getHeaders(),
+        params: statusFilter === "All" ? {} : { status: statusFilter },
+      })
+      setRequests(data)
+      setError(null)
+    } catch (error) {
+      console.error("Error fetching return requests:", error)
+      setError("Failed to load return requests. Please try again later.")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleViewRequest = (request) => {
+    setSelectedRequest(request)
+    setNote("")
+    setRestock(true)
+  }
+
+  const handleUpdateStatus = async (status) => {
+    try {
+      setProcessingAction(true)
+      const { data } = await axios.put(
+        `${config.API_URL}/api/returns/${selectedRequest._id}/status`,
+        { status, note: note.trim() || undefined, restock },
+        { headers: getHeaders() },
+      )
+
+      const updated = { ...selectedRequest, ...data, user: selectedRequest.user, order: selectedRequest.order }
+      setRequests(requests.map((request) => (request._id === updated._id ? updated : request)))
+      setSelectedRequest(updated)
+      setNote("")
+      showToast(`Return ${status.toLowerCase()}`, "success")
+    } catch (error) {
+      console.error("Error updating return request:", error)
+      showToast(error.response?.data?.message || "Failed to update the return request", "error")
+    } finally {
+      setProcessingAction(false)
+    }
+  }
+
+  const getReturnValue = (request) => request.items.reduce((acc, item) => acc + (item.price || 0) * item.quantity, 0)
+
+  const filteredRequests = requests.filter((request) => {
+    const term = searchTerm.toLowerCase()
+    return (
+      request._id.includes(searchTerm) ||
+      request.order?._id?.includes(searchTerm) ||
+      request.order?.orderNumber?.toLowerCase().includes(term) ||
+      request.user?.name?.toLowerCase().includes(term) ||
+      request.user?.email?.toLowerCase().includes(term)
+    )
+  })
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <AdminSidebar />
+
+      <div className="ml-64 p-8">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Return Requests</h1>
+            <p className="text-gray-600 mt-1">Review, receive and refund items sent back by customers</p>
+          </div>
+          <button
+            onClick={fetchRequests}
+            className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors"
+            disabled={loading}
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-md">{error}</div>}
+
+        <div className="mb-4 flex gap-2">
+          {STATUS_TABS.map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-4 py-2 rounded-md text-sm font-medium ${
+                statusFilter === status ? "bg-lime-500 text-white" : "bg-white text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+
+        <div className="mb-6 relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+          <input
+            type="text"
+            placeholder="Search by request ID, order number, customer name, or email..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="pl-10 pr-4 py-2 w-full md:w-96 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Order
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Customer
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Items
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reason
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Requested
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredRequests.map((request) => (
+                    <tr key={request._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-blue-600">#{getOrderNumber(request.order)}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{request.user?.name}</div>
+                        <div className="text-sm text-gray-500">{request.user?.email}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {request.items.map((item) => `${item.name} × ${item.quantity}`).join(", ")}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{request.reason}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {new Date(request.createdAt).toLocaleDateString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span
+                          className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[request.status]}`}
+                        >
+                          {request.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => handleViewRequest(request)}
+                          className="text-blue-600 hover:text-blue-900"
+                          title="Review"
+                        >
+                          <Eye size={18} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {filteredRequests.length === 0 && !loading && (
+          <div className="text-center py-12">
+            <RotateCcw className="mx-auto h-12 w-12 text-gray-400" />
+            <div className="text-gray-500 text-lg mt-4">No return requests</div>
+            <p className="text-gray-400 mt-2">Returns requested by customers will appear here</p>
+          </div>
+        )}
+      </div>
+
+      {/* Return Request Modal */}
+      {selectedRequest && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-auto">
+            <div className="p-6 border-b">
+              <div className="flex justify-between items-center">
+                <h2 className="text-xl font-bold text-gray-900">
+                  Return for order #{getOrderNumber(selectedRequest.order)}
+                </h2>
+                <button onClick={() => setSelectedRequest(null)} className="text-gray-400 hover:text-gray-500 text-2xl">
+                  &times;
+                </button>
+              </div>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Customer</h3>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Name:</span> {selectedRequest.user?.name}
+                  </p>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Email:</span> {selectedRequest.user?.email}
+                  </p>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Reason:</span> {selectedRequest.reason}
+                  </p>
+                  {selectedRequest.comment && (
+                    <p className="text-gray-600">
+                      <span className="font-medium">Details:</span> {selectedRequest.comment}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Order</h3>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Payment:</span> {selectedRequest.order?.paymentMethod}
+                    {selectedRequest.order?.isPaid ? " (paid)" : " (not paid)"}
+                  </p>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Order total:</span> {formatPrice(selectedRequest.order?.totalPrice)}
+                  </p>
+                  <p className="text-gray-600">
+                    <span className="font-medium">Items value:</span> {formatPrice(getReturnValue(selectedRequest))}
+                  </p>
+                  {selectedRequest.refundAmount > 0 && (
+                    <p className="text-gray-600">
+                      <span className="font-medium">Refunded:</span> {formatPrice(selectedRequest.refundAmount)}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Items</h3>
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                  {selectedRequest.items.map((item) => (
+                    <li key={item._id} className="p-3 flex items-center gap-3 text-sm">
+                      <img src={item.image || "/placeholder.svg"} alt={item.name} className="w-12 h-12 rounded object-cover" />
+                      <div className="flex-1 text-gray-900">{item.name}</div>
+                      <div className="text-gray-600">
+                        {formatPrice(item.price)} × {item.quantity}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {selectedRequest.photos?.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Photos</h3>
+                  <div className="flex flex-wrap gap-3">
+                    {selectedRequest.photos.map((url) => (
+                      <a key={url} href={url} target="_blank" rel="noreferrer">
+                        <img src={url} alt="Returned item" className="w-24 h-24 rounded-md object-cover border" />
+                      </a>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">History</h3>
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {selectedRequest.statusHistory.map((entry) => (
+                    <li key={entry._id}>
+                      {new Date(entry.createdAt).toLocaleString()}: <span className="font-medium">{entry.status}</span>
+                      {entry.note && ` (${entry.note})`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {["Requested", "Approved", "Received"].includes(selectedRequest.status) && (
+                <div className="border-t pt-6 space-y-3">
+                  <input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+
+                  {selectedRequest.status === "Approved" && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input type="checkbox" checked={restock} onChange={(e) => setRestock(e.target.checked)} />
+                      Put the items back into stock
+                    </label>
+                  )}
+
+                  <div className="flex flex-wrap gap-3">
+                    {selectedRequest.status === "Requested" && (
+                      <button
+                        onClick={() => handleUpdateStatus("Approved")}
+                        disabled={processingAction}
+                        className="flex items-center bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md"
+                      >
+                        <Check size={18} className="mr-2" />
+                        Approve
+                      </button>
+                    )}
+                    {selectedRequest.status === "Approved" && (
+                      <button
+                        onClick={() => handleUpdateStatus("Received")}
+                        disabled={processingAction}
+                        className="flex items-center bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 rounded-md"
+                      >
+                        <PackageCheck size={18} className="mr-2" />
+                        Mark Received
+                      </button>
+                    )}
+                    {selectedRequest.status === "Received" && hasAdminPermission("orders.refund") && (
+                      <button
+                        onClick={() => handleUpdateStatus("Refunded")}
+                        disabled={processingAction}
+                        className="flex items-center bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-md"
+                      >
+                        <DollarSign size={18} className="mr-2" />
+                        Refund Items
+                      </button>
+                    )}
+                    {["Requested", "Approved"].includes(selectedRequest.status) && (
+                      <button
+                        onClick={() => handleUpdateStatus("Rejected")}
+                        disabled={processingAction}
+                        className="flex items-center border border-red-600 text-red-600 hover:bg-red-50 font-medium py-2 px-4 rounded-md"
+                      >
+                        <X size={18} className="mr-2" />
+                        Reject
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReturnRequests
@@ -1,4 +1,5 @@
 import config from "../config/config.js"
+import { getFreshToken } from "./authSession.js"
 
 const API_URL = config.API_URL
 
@@ -27,9 +28,21 @@ const apiRequest = async (endpoint, options = {}) => {
     ...options,
     headers,
     body,
+    // Login and logout set and clear the refresh token cookie
+    credentials: "include",
   };
   try {
     const response = await fetch(url, config);
+
+    // Expired access token: retry once with a new one from the refresh cookie
+    if (response.status === 401 && headers.Authorization && !options.retried) {
+      const token = await getFreshToken(headers.Authorization).catch(() => null);
+      if (token) {
+        const retryHeaders = { ...options.headers, Authorization: `Bearer ${token}` };
+        return apiRequest(endpoint, { ...options, headers: retryHeaders, retried: true });
+      }
+    }
+
     const data = await response.json();
     if (!response.ok) {
       throw new Error(data.message || 'Something went wrong');
@@ -69,6 +82,14 @@ export const authAPI = {
 
   getProfile: () => apiRequest("/api/users/profile"),
 
+  logout: () => apiRequest("/api/users/logout", { method: "POST" }),
+
+  logoutAllDevices: () => apiRequest("/api/users/logout-all", { method: "POST" }),
+
+  getSessions: () => apiRequest("/api/users/sessions"),
+
+  revokeSession: (id) => apiRequest(`/api/users/sessions/${id}`, { method: "DELETE" }),
+
   updateProfile: (profileData) =>
     apiRequest("/api/users/profile", {
       method: "PUT",
@@ -192,6 +213,60 @@ export const adminAPI = {
       method: "POST",
       body: JSON.stringify(credentials),
     }),
+  logout: () => apiRequest("/api/admin/logout", { method: "POST" }),
+  // Second login step, with the challengeToken from login
+  verifyTwoFactorLogin: (data) =>
+    apiRequest("/api/admin/login/2fa", {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+  startTwoFactorLoginSetup: (challengeToken) =>
+    apiRequest("/api/admin/login/2fa/setup", {
+      method: "POST",
+      body: JSON.stringify({ challengeToken }),
+    }),
+  enableTwoFactorLogin: (challengeToken, code) =>
+    apiRequest("/api/admin/login/2fa/enable", {
+      method: "POST",
+      body: JSON.stringify({ challengeToken, code }),
+    }),
+  getTwoFactorStatus: () =>
+    apiRequest("/api/admin/2fa", {
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+    }),
+  startTwoFactorSetup: () =>
+    apiRequest("/api/admin/2fa/setup", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+    }),
+  enableTwoFactor: (code) =>
+    apiRequest("/api/admin/2fa/enable", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+      body: JSON.stringify({ code }),
+    }),
+  regenerateRecoveryCodes: (code) =>
+    apiRequest("/api/admin/2fa/recovery-codes", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+      body: JSON.stringify({ code }),
+    }),
+  disableTwoFactor: (data) =>
+    apiRequest("/api/admin/2fa/disable", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+      body: JSON.stringify(data),
+    }),
+  setTwoFactorRequirement: (required) =>
+    apiRequest("/api/admin/2fa/requirement", {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+      body: JSON.stringify({ required }),
+    }),
+  getProfile: () =>
+    apiRequest("/api/admin/profile", {
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+    }),
   getDashboardStats: () =>
     apiRequest("/api/admin/stats", {
       headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
@@ -211,6 +286,16 @@ export const adminAPI = {
       method: "DELETE",
       headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
     }),
+  getRoles: () =>
+    apiRequest("/api/admin/roles", {
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+    }),
+  updateUserRole: (id, role) =>
+    apiRequest(`/api/admin/users/${id}/role`, {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
+      body: JSON.stringify({ role }),
+    }),
   getRecentOrders: () =>
     apiRequest("/api/admin/orders/recent", {
       headers: { Authorization: `Bearer ${localStorage.getItem("adminToken")}` },
@@ -0,0 +1,81 @@
+import axios from "axios"
+import config from "../config/config.js"
+
+// Access tokens live for minutes, the httpOnly refresh cookie gets new ones. The shop and the
+// admin panel keep separate sessions.
+const SCOPES = {
+  user: { storageKey: "token", refreshPath: "/api/users/refresh" },
+  admin: { storageKey: "adminToken", refreshPath: "/api/admin/refresh" },
+}
+
+export const SESSION_ENDED_EVENT = "session-ended"
+
+const refreshRequests = {}
+// Tokens replaced by the last refresh, requests sent with them just before are still ours
+const previousTokens = {}
+
+// One refresh at a time per scope, parallel requests that hit a 401 wait for the same one
+const refreshAccessToken = (scope = "user") => {
+  if (!refreshRequests[scope]) {
+    const { storageKey, refreshPath } = SCOPES[scope]
+
+    refreshRequests[scope] = axios
+      .post(`${config.API_URL}${refreshPath}`, {}, { withCredentials: true, skipAuthRefresh: true })
+      .then(({ data }) => {
+        previousTokens[scope] = localStorage.getItem(storageKey)
+        localStorage.setItem(storageKey, data.token)
+        return data.token
+      })
+      .catch((error) => {
+        localStorage.removeItem(storageKey)
+        window.dispatchEvent(new CustomEvent(SESSION_ENDED_EVENT, { detail: { scope } }))
+        throw error
+      })
+      .finally(() => {
+        delete refreshRequests[scope]
+      })
+  }
+  return refreshRequests[scope]
+}
+
+// Which session an Authorization header belongs to
+const getTokenScope = (authorization) => {
+  const token = authorization?.replace(/^Bearer\s+/i, "")
+  if (!token) return null
+  return (
+    Object.keys(SCOPES).find(
+      (scope) => token === localStorage.getItem(SCOPES[scope].storageKey) || token === previousTokens[scope],
+    ) || null
+  )
+}
+
+// A fresh access token for a request that was turned away with this one
+const getRetryToken = async (scope, authorization) => {
+  const current = localStorage.getItem(SCOPES[scope].storageKey)
+  if (current && authorization !== `Bearer ${current}`) return current
+  return refreshAccessToken(scope)
+}
+
+// New access token to retry a request that got a 401 with this Authorization header,
+// null when the header is not one of our sessions
+export const getFreshToken = async (authorization) => {
+  const scope = getTokenScope(authorization)
+  return scope ? getRetryToken(scope, authorization) : null
+}
+
+// Retry requests that failed on an expired access token once, with a fresh one
+export const installAuthRefresh = () => {
+  axios.interceptors.response.use(undefined, async (error) => {
+    const request = error.config
+    if (error.response?.status !== 401 || !request || request._retried || request.skipAuthRefresh) {
+      throw error
+    }
+
+    const token = await getFreshToken(request.headers?.Authorization || request.headers?.authorization)
+    if (!token) throw error
+
+    request._retried = true
+    request.headers.Authorization = `Bearer ${token}`
+    return axios(request)
+  })
+}
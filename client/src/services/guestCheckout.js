@@ -0,0 +1,33 @@
+import axios from "axios"
+import config from "../config/config.js"
+
+// Kept for the browser tab only, so a guest can come back from the payment page
+const GUEST_TOKEN_KEY = "guestToken"
+
+export const getGuestToken = () => sessionStorage.getItem(GUEST_TOKEN_KEY)
+
+export const clearGuestToken = () => sessionStorage.removeItem(GUEST_TOKEN_KEY)
+
+// Headers for order and payment calls: the logged in user, or the verified guest
+export const getOrderHeaders = () => {
+  const token = localStorage.getItem("token")
+  if (token) return { Authorization: `Bearer ${token}` }
+
+  const guestToken = getGuestToken()
+  return guestToken ? { "X-Guest-Token": guestToken } : {}
+}
+
+export const sendGuestCode = async (channel, value) => {
+  const { data } = await axios.post(`${config.API_URL}/api/guest-checkout/verification`, { channel, value })
+  return data
+}
+
+export const confirmGuestCode = async (channel, value, code) => {
+  const { data } = await axios.post(`${config.API_URL}/api/guest-checkout/verification/confirm`, {
+    channel,
+    value,
+    code,
+  })
+  sessionStorage.setItem(GUEST_TOKEN_KEY, data.guestToken)
+  return data
+}
@@ -0,0 +1,2 @@
+// Number shown for an order, e.g. GZ-2026-000123. Orders placed before numbering show their short id.
+export const getOrderNumber = (order) => order?.orderNumber || order?._id?.slice(-6) || ""
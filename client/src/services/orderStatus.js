@@ -0,0 +1,37 @@
+import axios from "axios"
+import config from "../config/config.js"
+
+let statusesRequest = null
+
+const getAdminHeaders = () => {
+  const token = localStorage.getItem("adminToken") || localStorage.getItem("token")
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// Order statuses and the moves the server allows between them, loaded once per page load
+export const fetchOrderStatuses = () => {
+  if (!statusesRequest) {
+    statusesRequest = axios
+      .get(`${config.API_URL}/api/admin/orders/statuses`, { headers: getAdminHeaders() })
+      .then(({ data }) => data)
+      .catch((error) => {
+        statusesRequest = null
+        throw error
+      })
+  }
+  return statusesRequest
+}
+
+// Statuses an order can be moved to next, the current one first
+export const getNextStatuses = (orderStatuses, currentStatus) => [
+  currentStatus,
+  ...(orderStatuses?.transitions?.[currentStatus] || []),
+]
+
+// Asks the admin why, for moves that need a reason. Returns null when cancelled.
+export const askStatusReason = (orderStatuses, status) => {
+  if (!orderStatuses?.reasonRequired?.includes(status)) return ""
+
+  const reason = window.prompt(`Reason for moving the order to ${status}:`)
+  return reason && reason.trim() ? reason.trim() : null
+}
@@ -12,6 +12,20 @@ const config = {
 
   // JWT Configuration
   JWT_SECRET: process.env.JWT_SECRET,
+  // Access tokens are short lived, the refresh token in an httpOnly cookie gets new ones
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+  REFRESH_TOKEN_EXPIRES_DAYS: Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  // The shop and the API live on different sites in production, so the cookie has to be cross-site there
+  REFRESH_COOKIE_SAME_SITE:
+    process.env.REFRESH_COOKIE_SAME_SITE || (process.env.NODE_ENV === "production" ? "none" : "lax"),
+
+  // Admin two-factor authentication: name shown in authenticator apps, key that encrypts the
+  // stored TOTP secrets, and how long the step between password and code may take. The token of that step has a
+  // key of its own, a leaked one must not verify as an access token.
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || "Graba2z Admin",
+  TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "10m",
+  TWO_FACTOR_CHALLENGE_SECRET: process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:admin-2fa`,
 
   // Email Configuration
   EMAIL_USER: process.env.EMAIL_USER,
@@ -21,12 +35,16 @@ const config = {
   // Frontend URL
   FRONTEND_URL: process.env.FRONTEND_URL || "http://localhost:3000",
 
+  // Public URL of this API, used for payment provider callbacks
+  BACKEND_URL: process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`,
+
   // Payment Gateway Configuration
   TAMARA_API_KEY: process.env.TAMARA_API_KEY,
   TAMARA_API_URL: process.env.TAMARA_API_URL || "https://api.tamara.co",
 
   TABBY_SECRET_KEY: process.env.TABBY_SECRET_KEY,
   TABBY_API_URL: process.env.TABBY_API_URL || "https://api.tabby.ai",
+  TABBY_MERCHANT_CODE: process.env.TABBY_MERCHANT_CODE,
 
   NGENIUS_API_URL: process.env.NGENIUS_API_URL,
   NGENIUS_REALM: process.env.NGENIUS_REALM,
@@ -34,6 +52,63 @@ const config = {
   NGENIUS_API_SECRET: process.env.NGENIUS_API_SECRET,
   NGENIUS_OUTLET_ID: process.env.NGENIUS_OUTLET_ID,
 
+  // Payment webhook verification
+  TAMARA_NOTIFICATION_TOKEN: process.env.TAMARA_NOTIFICATION_TOKEN,
+  TABBY_WEBHOOK_HEADER: process.env.TABBY_WEBHOOK_HEADER || "X-Webhook-Secret",
+  TABBY_WEBHOOK_SECRET: process.env.TABBY_WEBHOOK_SECRET,
+  NGENIUS_WEBHOOK_HEADER: process.env.NGENIUS_WEBHOOK_HEADER || "X-Webhook-Secret",
+  NGENIUS_WEBHOOK_SECRET: process.env.NGENIUS_WEBHOOK_SECRET,
+
+  // Bank transfer details shown to shoppers paying by transfer
+  BANK_TRANSFER_ACCOUNT_NAME: process.env.BANK_TRANSFER_ACCOUNT_NAME,
+  BANK_TRANSFER_BANK_NAME: process.env.BANK_TRANSFER_BANK_NAME,
+  BANK_TRANSFER_IBAN: process.env.BANK_TRANSFER_IBAN,
+  BANK_TRANSFER_SWIFT: process.env.BANK_TRANSFER_SWIFT,
+
+  // Local fake payment provider, never enabled in production
+  FAKE_PAYMENTS_ENABLED: process.env.FAKE_PAYMENTS_ENABLED === "true" && process.env.NODE_ENV !== "production",
+  FAKE_PAYMENT_WEBHOOK_SECRET: process.env.FAKE_PAYMENT_WEBHOOK_SECRET || "fake-payment-secret",
+
+  // Prefix of the sequential order numbers, e.g. GZ-2026-000123
+  ORDER_NUMBER_PREFIX: process.env.ORDER_NUMBER_PREFIX || "GZ",
+
+  // Orders paid online hold their stock while the shopper is at the provider. Minutes until an unpaid one
+  // is cancelled and the stock goes back, and between runs of that job (0 to run it from cron instead)
+  PENDING_PAYMENT_EXPIRES_MINUTES: Number(process.env.PENDING_PAYMENT_EXPIRES_MINUTES) || 60,
+  PENDING_PAYMENT_JOB_INTERVAL_MINUTES: Number(process.env.PENDING_PAYMENT_JOB_INTERVAL_MINUTES ?? 5),
+
+  // Signed order tracking links emailed to customers
+  TRACKING_TOKEN_SECRET: process.env.TRACKING_TOKEN_SECRET || process.env.JWT_SECRET,
+  TRACKING_LINK_EXPIRES_IN: process.env.TRACKING_LINK_EXPIRES_IN || "90d",
+
+  // Guest checkout: verified guests get a short lived token to place and pay for orders
+  GUEST_TOKEN_SECRET: process.env.GUEST_TOKEN_SECRET || process.env.JWT_SECRET,
+  GUEST_TOKEN_EXPIRES_IN: process.env.GUEST_TOKEN_EXPIRES_IN || "2h",
+
+  // SMS (Twilio) for phone verification codes
+  TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+  TWILIO_FROM_NUMBER: process.env.TWILIO_FROM_NUMBER,
+
+  // Set when running behind a proxy or load balancer so rate limits see the client IP
+  TRUST_PROXY: process.env.TRUST_PROXY,
+
+  // Abandoned cart reminders: hours of cart inactivity before each email of the sequence,
+  // which email (1-based, 0 for none) carries a single-use coupon, and how long after a
+  // reminder an order still counts as recovered
+  ABANDONED_CART_REMINDER_HOURS: process.env.ABANDONED_CART_REMINDER_HOURS || "1,24,72",
+  ABANDONED_CART_COUPON_STEP: Number(process.env.ABANDONED_CART_COUPON_STEP ?? 3),
+  ABANDONED_CART_COUPON_PERCENT: Number(process.env.ABANDONED_CART_COUPON_PERCENT) || 10,
+  ABANDONED_CART_COUPON_VALID_DAYS: Number(process.env.ABANDONED_CART_COUPON_VALID_DAYS) || 7,
+  ABANDONED_CART_ATTRIBUTION_DAYS: Number(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7,
+  // Minutes between runs of the reminder job inside the API process, 0 to run it from cron instead
+  ABANDONED_CART_JOB_INTERVAL_MINUTES: Number(process.env.ABANDONED_CART_JOB_INTERVAL_MINUTES ?? 15),
+  CART_RESTORE_TOKEN_SECRET: process.env.CART_RESTORE_TOKEN_SECRET || process.env.JWT_SECRET,
+  CART_RESTORE_LINK_EXPIRES_IN: process.env.CART_RESTORE_LINK_EXPIRES_IN || "30d",
+
+  // Days after delivery during which customers can ask to return items
+  RETURN_WINDOW_DAYS: Number(process.env.RETURN_WINDOW_DAYS) || 15,
+
   // Cloudinary Configuration
   CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
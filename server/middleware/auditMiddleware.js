@@ -0,0 +1,60 @@
+import { recordAdminChange } from "../utils/auditLog.js"
+
+// Record an admin change in the audit log, after protect and authorize on mutating routes:
+//   router.put("/:id", protect, authorize("catalog.manage"), audit(Product), ...)
+// The record is read before and after the handler runs and the log keeps the fields that changed.
+// Options: getId(req) when the id is not req.params.id, findEntity(req) for records without one
+// (e.g. the settings singleton). Pass a name instead of a model for things that are not documents.
+// Bulk creates put the new ids on res.locals.auditIds and get one entry per record.
+export const audit =
+  (model, { getId = (req) => req.params.id, findEntity } = {}) =>
+  async (req, res, next) => {
+    const entity = typeof model === "string" ? model : model.modelName
+    const canLoad = typeof model !== "string"
+    const load = (id) => (findEntity ? findEntity(req) : model.findById(id)).lean()
+
+    const id = getId(req)
+    let before = null
+    if (canLoad && (id || findEntity)) {
+      try {
+        before = await load(id)
+      } catch (error) {
+        // Malformed ids are the handler's to answer
+        before = null
+      }
+    }
+
+    // Creates only learn their id from the response
+    let responseBody
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return json(body)
+    }
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return
+
+      if (Array.isArray(res.locals.auditIds)) {
+        for (const createdId of res.locals.auditIds) {
+          const after = canLoad ? await model.findById(createdId).lean().catch(() => null) : null
+          await recordAdminChange(req, { entity, entityId: createdId, before: null, after, statusCode: res.statusCode })
+        }
+        return
+      }
+
+      const entityId = id || before?._id || responseBody?._id
+      let after = null
+      if (canLoad && (entityId || findEntity)) {
+        try {
+          after = await load(entityId)
+        } catch (error) {
+          after = null
+        }
+      }
+
+      await recordAdminChange(req, { entity, entityId, before, after, statusCode: res.statusCode })
+    })
+
+    next()
+  }
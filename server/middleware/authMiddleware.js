@@ -1,5 +1,12 @@
 import jwt from "jsonwebtoken"
 import User from "../models/userModel.js"
+import { verifyGuestToken } from "../utils/guestCheckout.js"
+import { isSessionActive } from "../utils/sessions.js"
+import { hasPermission } from "../utils/permissions.js"
+
+// Access tokens come from generateToken and name their session and scope. Other tokens signed
+// with the same secret (two-factor challenges, guest and tracking links) carry an audience.
+const isAccessToken = (decoded) => !decoded.aud && Boolean(decoded.sid) && Boolean(decoded.scope)
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -20,6 +27,19 @@ export const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
       console.log("✅ Token decoded successfully, user ID:", decoded.id)
 
+      if (!isAccessToken(decoded)) {
+        console.log("❌ Not an access token")
+        return res.status(401).json({ message: "Not authorized, invalid token" })
+      }
+
+      // Tokens of a session that was logged out stop working right away
+      if (!(await isSessionActive(decoded.sid))) {
+        console.log("❌ Session ended:", decoded.sid)
+        return res.status(401).json({ message: "Not authorized, session ended" })
+      }
+      req.sessionId = decoded.sid
+      req.sessionScope = decoded.scope
+
       // Find user
       req.user = await User.findById(decoded.id).select("-password")
 
@@ -52,12 +72,20 @@ export const protect = async (req, res, next) => {
   }
 }
 
+// Staff signed in to the store rather than the admin login skipped its two-factor check
+const isStoreSession = (req) => req.sessionScope === "user"
+
 // Admin middleware
 export const admin = (req, res, next) => {
   try {
     console.log("👑 Admin check for user:", req.user?.email)
     console.log("👑 User isAdmin:", req.user?.isAdmin)
 
+    if (isStoreSession(req)) {
+      console.log("❌ Admin access denied - store session")
+      return res.status(403).json({ message: "Access denied - please sign in through the admin login" })
+    }
+
     if (req.user && req.user.isAdmin === true) {
       console.log("✅ Admin access granted")
       next()
@@ -70,3 +98,59 @@ export const admin = (req, res, next) => {
     res.status(500).json({ message: "Server error in admin verification" })
   }
 }
+
+// Admin routes limited to staff whose role has one of these permissions, e.g. authorize("orders.manage")
+export const authorize =
+  (...permissions) =>
+  (req, res, next) => {
+    if (isStoreSession(req)) {
+      console.log("❌ Access denied for", req.user?.email, "- store session")
+      return res.status(403).json({ message: "Access denied - please sign in through the admin login" })
+    }
+
+    if (req.user && req.user.isAdmin === true && hasPermission(req.user, ...permissions)) {
+      return next()
+    }
+
+    console.log("❌ Access denied for", req.user?.email, "- needs", permissions.join(" or "))
+    res.status(403).json({ message: "Access denied - your role does not allow this" })
+  }
+
+// Public routes that tailor the answer to a logged in user: sets req.user when a valid token
+// is sent and carries on anonymously otherwise
+export const optionalAuth = async (req, res, next) => {
+  const authorization = req.headers.authorization
+  const token = authorization && authorization.startsWith("Bearer") ? authorization.split(" ")[1] : null
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      // A logged out session counts as anonymous, as it would on a protected route
+      if (isAccessToken(decoded) && (await isSessionActive(decoded.sid))) {
+        req.sessionId = decoded.sid
+        req.sessionScope = decoded.scope
+        req.user = await User.findById(decoded.id).select("-password")
+      }
+    } catch (error) {
+      req.user = undefined
+    }
+  }
+
+  next()
+}
+
+// Logged in user, or a guest who verified their email or phone at checkout (X-Guest-Token header).
+// Guests get req.guest ({ email } or { phone }) instead of req.user.
+export const protectOrGuest = (req, res, next) => {
+  const guestToken = req.headers["x-guest-token"]
+
+  if (!req.headers.authorization && guestToken) {
+    req.guest = verifyGuestToken(guestToken)
+    if (!req.guest) {
+      return res.status(401).json({ message: "Your guest checkout session has expired, please verify again" })
+    }
+    return next()
+  }
+
+  return protect(req, res, next)
+}
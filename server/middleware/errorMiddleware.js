@@ -5,7 +5,8 @@ const notFound = (req, res, next) => {
 }
 
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode
+  // Errors thrown from utils carry their own status, route errors set it on res
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode)
   res.status(statusCode)
 
   // Enhanced logging for debugging
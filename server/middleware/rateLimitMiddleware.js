@@ -0,0 +1,38 @@
+// Fixed window rate limiter kept in memory. Counts are per server process, so limits
+// need a shared store (e.g. Redis) once the API runs on more than one instance.
+// keyGenerator returning nothing lets the request through uncounted.
+export const rateLimit = ({ windowMs, max, message = "Too many requests, please try again later.", keyGenerator }) => {
+  const hits = new Map()
+  const getKey = keyGenerator || ((req) => req.ip)
+
+  const cleanup = setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key)
+    }
+  }, windowMs)
+  cleanup.unref()
+
+  return (req, res, next) => {
+    const key = getKey(req)
+    if (!key) return next()
+
+    const now = Date.now()
+    let entry = hits.get(key)
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      hits.set(key, entry)
+    }
+    entry.count += 1
+
+    res.set("RateLimit-Limit", String(max))
+    res.set("RateLimit-Remaining", String(Math.max(0, max - entry.count)))
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)))
+      return res.status(429).json({ message })
+    }
+
+    next()
+  }
+}
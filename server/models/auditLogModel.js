@@ -0,0 +1,50 @@
+import mongoose from "mongoose"
+
+// One change made from the admin panel: who did it, to what, and which fields changed
+const auditLogSchema = mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Kept as they were at the time, the account may be renamed or deleted later
+    actorName: String,
+    actorEmail: String,
+    actorRole: String,
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: true,
+    },
+    method: String,
+    route: String,
+    statusCode: Number,
+    entity: {
+      type: String,
+      required: true,
+    },
+    entityId: String,
+    entityLabel: String,
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema)
+
+export default AuditLog
@@ -0,0 +1,43 @@
+import mongoose from "mongoose"
+
+// Shopping cart of a logged in customer, kept on the server so it follows them across devices
+const cartSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // Product variant (color/size/volume combination) when the product has variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        quantity: { type: Number, required: true, min: 1 },
+        // Unit price the customer last saw, to tell them when it changes
+        price: { type: Number },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Last time the customer changed the cart
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const Cart = mongoose.model("Cart", cartSchema)
+
+export default Cart
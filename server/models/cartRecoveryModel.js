@@ -0,0 +1,78 @@
+import mongoose from "mongoose"
+
+export const CART_RECOVERY_STATUSES = ["active", "recovered", "expired"]
+
+// One reminder sequence for an abandoned cart: the cart as it was left, the emails sent
+// for it and the order that brought the customer back, if any
+const cartRecoverySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    // Cart activity this sequence is for, changing the cart afterwards starts a new one
+    cartActivityAt: {
+      type: Date,
+      required: true,
+    },
+    items: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        name: String,
+        quantity: Number,
+        price: Number,
+      },
+    ],
+    cartValue: {
+      type: Number,
+      default: 0,
+    },
+    reminders: [
+      {
+        // 0-based position in the configured sequence
+        step: Number,
+        sentAt: Date,
+      },
+    ],
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    couponCode: String,
+    status: {
+      type: String,
+      enum: CART_RECOVERY_STATUSES,
+      default: "active",
+      index: true,
+    },
+    // First time the restore link was opened
+    clickedAt: Date,
+    recoveredOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    recoveredRevenue: {
+      type: Number,
+      default: 0,
+    },
+    recoveredAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+cartRecoverySchema.index({ cart: 1, cartActivityAt: 1 }, { unique: true })
+cartRecoverySchema.index({ createdAt: -1 })
+
+const CartRecovery = mongoose.model("CartRecovery", cartRecoverySchema)
+
+export default CartRecovery
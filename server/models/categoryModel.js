@@ -54,6 +54,7 @@
 
 
 import mongoose from "mongoose"
+import filterAttributeSchema from "./filterAttributeSchema.js"
 
 const categorySchema = mongoose.Schema(
   {
@@ -83,6 +84,8 @@ const categorySchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Specifications the shop filters this category's products by
+    filterAttributes: [filterAttributeSchema],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -0,0 +1,22 @@
+import mongoose from "mongoose"
+
+// Named sequences incremented atomically, e.g. the yearly order number counter
+const counterSchema = mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const Counter = mongoose.model("Counter", counterSchema)
+
+export default Counter
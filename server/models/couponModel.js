@@ -56,10 +56,18 @@ const couponSchema = mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Personal coupons (e.g. sent in abandoned cart reminders) only work for this customer
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.assignedTo
+      },
     },
   },
   {
@@ -0,0 +1,39 @@
+import mongoose from "mongoose"
+
+// A specification shoppers can filter on, defined on a Category or SubCategory
+const filterAttributeSchema = mongoose.Schema(
+  {
+    // Specification key on products, e.g. "RAM"
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // What the shop filter is titled
+    label: {
+      type: String,
+      trim: true,
+    },
+    // Number values are converted to unit ("1TB" -> "1024 GB"), text values kept as written
+    type: {
+      type: String,
+      enum: ["text", "number"],
+      default: "text",
+    },
+    unit: {
+      type: String,
+      default: "",
+    },
+    // Other specification keys meaning the same, e.g. "Memory" for RAM
+    aliases: [String],
+    // Text values as they should read, "windows 11" is shown as "Windows 11"
+    values: [String],
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+)
+
+export default filterAttributeSchema
@@ -0,0 +1,40 @@
+import mongoose from "mongoose"
+
+// One time code sent to a guest's email or phone before they can check out
+const guestVerificationSchema = mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["email", "phone"],
+      required: true,
+    },
+    // Normalized email or phone the code was sent to
+    target: {
+      type: String,
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+guestVerificationSchema.index({ channel: 1, target: 1 })
+// Expired codes are removed by MongoDB
+guestVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const GuestVerification = mongoose.model("GuestVerification", guestVerificationSchema)
+
+export default GuestVerification
@@ -5,12 +5,31 @@
 
 import mongoose from "mongoose"
 
+// Allowed moves between these live in utils/orderStatus.js
+export const ORDER_STATUSES = [
+  "Processing",
+  "Confirmed",
+  "Ready for Shipment",
+  "Shipped",
+  "Out for Delivery",
+  "Delivered",
+  "On Hold",
+  "Cancelled",
+  "Rejected",
+  "Returned",
+]
+
 const orderSchema = mongoose.Schema(
   {
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Placed through guest checkout, user is set once the guest claims the order with an account
+    isGuest: {
+      type: Boolean,
+      default: false,
+    },
     orderItems: [
       {
         name: { type: String, required: true },
@@ -22,6 +41,18 @@ const orderSchema = mongoose.Schema(
           required: true,
           ref: "Product",
         },
+        // Product variant (color/size/volume combination) when the product has variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        variantLabel: { type: String },
+        sku: { type: String },
+        // Stock was taken for this line when the order was placed
+        stockReserved: { type: Boolean, default: false },
+        // Units of this line already refunded
+        refundedQuantity: { type: Number, default: 0 },
+        // Units of this line sent back by the customer and put back on the shelf
+        restockedQuantity: { type: Number, default: 0 },
       },
     ],
     shippingAddress: {
@@ -48,13 +79,60 @@ const orderSchema = mongoose.Schema(
       type: String,
       required: true,
       default: "Cash on Delivery",
-      enum: ["Cash on Delivery", "Credit Card", "Debit Card", "PayPal", "Bank Transfer"],
+      enum: ["Cash on Delivery", "Credit Card", "Debit Card", "PayPal", "Bank Transfer", "Tamara", "Tabby"],
     },
     paymentResult: {
       id: String,
       status: String,
       update_time: String,
       email_address: String,
+      provider: String,
+      // Provider side references used to match incoming webhooks
+      tamara_order_id: { type: String, index: true },
+      tabby_payment_id: { type: String, index: true },
+      ngenius_order_ref: { type: String, index: true },
+      fake_payment_id: { type: String, index: true },
+      bank_transfer_ref: { type: String },
+    },
+    // Payment status changes reported by the providers, oldest first
+    paymentHistory: [
+      {
+        provider: { type: String },
+        eventId: { type: String },
+        status: { type: String },
+        providerStatus: { type: String },
+        amount: { type: Number },
+        note: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Money paid back to the customer, newest last
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        type: { type: String, enum: ["full", "partial"], required: true },
+        items: [
+          {
+            orderItem: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String },
+            quantity: { type: Number },
+            amount: { type: Number },
+          },
+        ],
+        shippingAmount: { type: Number, default: 0 },
+        reason: { type: String },
+        provider: { type: String },
+        reference: { type: String },
+        // Online refunds go through the provider, cash and transfers are paid out by hand
+        method: { type: String, enum: ["provider", "manual"], default: "provider" },
+        note: { type: String },
+        processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0,
     },
     itemsPrice: {
       type: Number,
@@ -78,6 +156,10 @@ const orderSchema = mongoose.Schema(
     couponCode: {
       type: String,
     },
+    deliveryCharge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryCharge",
+    },
     totalPrice: {
       type: Number,
       required: true,
@@ -95,19 +177,37 @@ const orderSchema = mongoose.Schema(
       type: String,
       required: true,
       default: "Processing",
-      enum: [
-        "Processing",
-        "Confirmed",
-        "Shipped",
-        "Out for Delivery",
-        "Delivered",
-        "Cancelled",
-        "Returned",
-        "Ready for Shipment"
-      ],
+      enum: ORDER_STATUSES,
+    },
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        previousStatus: { type: String },
+        reason: { type: String },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedByName: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Sequential number shown to customers, e.g. GZ-2026-000123 (see utils/orderNumber.js)
+    orderNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Normalized customer email and phone (see utils/orderTracking.js), used to look orders up for tracking
+    contactEmail: {
+      type: String,
+      index: true,
+    },
+    contactPhone: {
+      type: String,
+      index: true,
     },
     trackingId: {
       type: String,
+      index: true,
     },
     estimatedDelivery: {
       type: Date,
@@ -118,6 +218,11 @@ const orderSchema = mongoose.Schema(
     cancelReason: {
       type: String,
     },
+    // Reserved stock has been returned after a cancellation or return
+    stockReleased: {
+      type: Boolean,
+      default: false,
+    },
     notes: {
       type: String,
     },
@@ -0,0 +1,47 @@
+import mongoose from "mongoose"
+
+// Every webhook event received from a payment provider, kept so replays are ignored
+const paymentEventSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    reference: {
+      type: String,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    providerStatus: {
+      type: String,
+    },
+    status: {
+      type: String,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Set while a request is applying the event, so concurrent copies of it are skipped
+    claimedAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema)
+
+export default PaymentEvent
@@ -184,6 +184,62 @@
 
 
 import mongoose from "mongoose"
+import { getFilterAttributes, toProductAttributes } from "../utils/productAttributes.js"
+
+// Sellable child SKU for one color/size/volume combination
+const variantSchema = mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      trim: true,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+    },
+    color: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Color",
+    },
+    size: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Size",
+    },
+    volume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Volume",
+    },
+    price: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    offerPrice: {
+      type: Number,
+      default: 0,
+    },
+    countInStock: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    image: {
+      type: String,
+    },
+    galleryImages: [
+      {
+        type: String,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
 
 const productSchema = mongoose.Schema(
   {
@@ -294,6 +350,28 @@ const productSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Tax",
     },
+    warranty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warranty",
+    },
+    // Options offered for this product, the sellable combinations live in variants
+    colors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Color",
+      },
+    ],
+    sizes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Size",
+      },
+    ],
+    volume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Volume",
+    },
+    variants: [variantSchema],
     deliveryCharge: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "DeliveryCharge",
@@ -337,6 +415,15 @@ const productSchema = mongoose.Schema(
         value: { type: String },
       },
     ],
+    // Specifications normalized by the category's filter attributes, what the shop filters on
+    attributes: [
+      {
+        _id: false,
+        key: { type: String },
+        value: { type: String },
+        number: { type: Number },
+      },
+    ],
     reviews: [
       {
         name: { type: String, required: true },
@@ -362,6 +449,46 @@ const productSchema = mongoose.Schema(
   },
 )
 
+// Every variant must pick at least one option and be unique within the product
+productSchema.pre("validate", function (next) {
+  const seenOptions = new Set()
+  const seenSkus = new Set()
+
+  for (const variant of this.variants || []) {
+    let message = null
+    const optionKey = [variant.color, variant.size, variant.volume].map((id) => (id ? id.toString() : "")).join(":")
+
+    if (!variant.color && !variant.size && !variant.volume) {
+      message = "Each variant needs a color, size or volume"
+    } else if (seenOptions.has(optionKey)) {
+      message = "Duplicate variant for the same color, size and volume"
+    } else if (variant.sku && seenSkus.has(variant.sku)) {
+      message = `Duplicate variant SKU ${variant.sku}`
+    }
+
+    if (message) {
+      const error = new Error(message)
+      error.statusCode = 400
+      return next(error)
+    }
+
+    seenOptions.add(optionKey)
+    if (variant.sku) seenSkus.add(variant.sku)
+  }
+
+  next()
+})
+
+// Filter attributes follow the specifications and categories they come from
+productSchema.pre("save", async function () {
+  if (!this.isNew && !this.isModified(["specifications", "parentCategory", "category"])) return
+
+  const attributes = await getFilterAttributes([this.parentCategory], this.category ? [this.category] : [])
+  this.attributes = toProductAttributes(this.specifications, attributes)
+})
+
+productSchema.index({ "attributes.key": 1, "attributes.value": 1 })
+
 const Product = mongoose.model("Product", productSchema)
 
 export default Product
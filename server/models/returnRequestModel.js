@@ -0,0 +1,78 @@
+import mongoose from "mongoose"
+
+export const RETURN_REASONS = [
+  "Damaged or defective",
+  "Wrong item received",
+  "Not as described",
+  "Changed my mind",
+  "Other",
+]
+
+// A customer's request to send back delivered items of an order
+const returnRequestSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Order",
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    items: [
+      {
+        orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String, required: true },
+        image: { type: String },
+        price: { type: Number },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    reason: {
+      type: String,
+      required: true,
+      enum: RETURN_REASONS,
+    },
+    comment: {
+      type: String,
+      maxlength: 1000,
+    },
+    photos: [{ type: String }],
+    status: {
+      type: String,
+      required: true,
+      default: "Requested",
+      enum: ["Requested", "Approved", "Rejected", "Received", "Refunded"],
+      index: true,
+    },
+    statusHistory: [
+      {
+        status: { type: String },
+        note: { type: String },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Items came back in a sellable state and went back into stock
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refundAmount: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema)
+
+export default ReturnRequest
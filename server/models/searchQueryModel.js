@@ -0,0 +1,39 @@
+import mongoose from "mongoose"
+
+// Searches shoppers ran, one document per distinct query, for popular search suggestions
+const searchQuerySchema = mongoose.Schema(
+  {
+    // Lowercase words of the query, what searches are grouped by
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Hashed visitors who ran it, kept only until there are enough to suggest the query
+    clients: {
+      type: [String],
+      default: undefined,
+    },
+    // Products found the last time, searches that find nothing are not suggested
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+searchQuerySchema.index({ resultCount: 1, count: -1 })
+
+const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema)
+
+export default SearchQuery
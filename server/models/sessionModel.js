@@ -0,0 +1,51 @@
+import mongoose from "mongoose"
+
+export const SESSION_SCOPES = ["user", "admin"]
+
+// A logged in device. The refresh token is stored hashed and replaced on every use.
+const sessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // The shop and the admin panel each keep their own session and cookie
+    scope: {
+      type: String,
+      enum: SESSION_SCOPES,
+      default: "user",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Token the current one replaced, seeing it again means it was copied
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: String,
+    device: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+const Session = mongoose.model("Session", sessionSchema)
+
+export default Session
@@ -57,6 +57,11 @@ const settingsSchema = mongoose.Schema(
       instagram: String,
       youtube: String,
     },
+    // Staff must set up two-factor authentication before they can log in to the admin panel
+    requireStaffTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -1,4 +1,5 @@
 import mongoose from "mongoose"
+import filterAttributeSchema from "./filterAttributeSchema.js"
 
 const subCategorySchema = mongoose.Schema(
   {
@@ -40,6 +41,8 @@ const subCategorySchema = mongoose.Schema(
     deletedAt: {
       type: Date,
     },
+    // Added to the category's filter attributes, a key defined on both uses this one
+    filterAttributes: [filterAttributeSchema],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -1,5 +1,7 @@
 import mongoose from "mongoose"
 import bcrypt from "bcryptjs"
+import crypto from "crypto"
+import { STAFF_ROLES } from "../utils/permissions.js"
 
 const userSchema = mongoose.Schema(
   {
@@ -21,6 +23,11 @@ const userSchema = mongoose.Schema(
       required: true,
       default: false,
     },
+    // What an admin can do in the panel, see utils/permissions.js
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
@@ -64,8 +71,44 @@ const userSchema = mongoose.Schema(
         ref: "Product",
       },
     ],
-    resetPasswordToken: String,
+    resetPasswordToken: {
+      type: String,
+      index: true,
+    },
     resetPasswordExpires: Date,
+    // New address waiting for the owner to open the confirmation link sent to it
+    pendingEmail: String,
+    emailChangeToken: {
+      type: String,
+      index: true,
+    },
+    emailChangeExpires: Date,
+    // Admin panel two-factor authentication, secrets are encrypted and never selected by default
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret being set up, becomes the secret once a code from it is entered
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last code accepted, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -104,22 +147,35 @@ userSchema.methods.verifyEmailCode = function (code) {
   return this.emailVerificationCode === code
 }
 
-// Method to generate password reset token
+// Reset tokens are stored hashed, a leaked database does not let anyone reset passwords
+export const hashPasswordResetToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+export const hashEmailChangeToken = hashPasswordResetToken
+
+// Method to generate password reset token. Returns the token for the email link, only its hash is kept.
 userSchema.methods.generatePasswordResetToken = function () {
-  // Generate random token
-  const resetToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15)
+  const resetToken = crypto.randomBytes(32).toString("hex")
 
-  // Hash token and set to resetPasswordToken field
-  this.resetPasswordToken = resetToken
+  this.resetPasswordToken = hashPasswordResetToken(resetToken)
   this.resetPasswordExpires = new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
 
   return resetToken
 }
 
+// Method to start an email change. Returns the token for the confirmation link, only its hash is kept.
+userSchema.methods.generateEmailChangeToken = function (newEmail) {
+  const token = crypto.randomBytes(32).toString("hex")
+
+  this.pendingEmail = newEmail
+  this.emailChangeToken = hashEmailChangeToken(token)
+  this.emailChangeExpires = new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+
+  return token
+}
+
 // Encrypt password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(10)
@@ -266,17 +266,67 @@
 
 
 import express from "express"
+import mongoose from "mongoose"
 import asyncHandler from "express-async-handler"
 import User from "../models/userModel.js"
 import Order from "../models/orderModel.js"
 import Product from "../models/productModel.js"
-import generateToken from "../utils/generateToken.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
-import { sendOrderNotification, sendTrackingUpdateEmail } from "../utils/emailService.js"
+import { protect, admin, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { sendOrderNotification, sendTrackingUpdateEmail, sendRefundEmail } from "../utils/emailService.js"
+import { ORDER_STATUSES } from "../models/orderModel.js"
+import { ORDER_TRANSITIONS, REASON_REQUIRED_STATUSES, transitionOrderStatus } from "../utils/orderStatus.js"
+import { refundOrder } from "../utils/refunds.js"
+import { getRecoveryReport } from "../utils/abandonedCarts.js"
+import { endSession, refreshSession, startSession } from "../utils/sessions.js"
+import { PERMISSIONS, ROLES, getStaffAccess, getUserRole } from "../utils/permissions.js"
+import { getAuditLogs } from "../utils/auditLog.js"
+import { requestEmailChange } from "../utils/emailChange.js"
+import { rateLimit } from "../middleware/rateLimitMiddleware.js"
+import Settings from "../models/settingsModel.js"
+import {
+  createTwoFactorChallenge,
+  disableTwoFactor,
+  enableTwoFactor,
+  findUserByChallenge,
+  findUserWithTwoFactor,
+  getChallengeUserId,
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes,
+  startTwoFactorSetup,
+  verifyTwoFactor,
+} from "../utils/twoFactor.js"
 
 const router = express.Router()
 
-// @desc    Auth admin & get token
+// Staff with full access, admins from before roles existed have no role and count too
+const ADMINISTRATORS = { isAdmin: true, role: { $in: ["admin", null] } }
+
+// Six digit codes are quick to guess without a limit
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many two-factor attempts. Please try again in a few minutes.",
+})
+
+// Two-factor changes are audited on the staff account, secrets included so the log shows they changed
+const auditTwoFactor = audit(User, { findEntity: (req) => findUserWithTwoFactor(req.user._id) })
+
+// Start the admin session once every sign in step is done
+const sendAdminLogin = async (req, res, user, extra = {}) => {
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    isAdmin: user.isAdmin,
+    ...getStaffAccess(user),
+    ...extra,
+    token: await startSession(req, res, user, "admin"),
+  })
+}
+
+// @desc    Auth admin & get token, or the two-factor step still to do
 // @route   POST /api/admin/login
 // @access  Public
 router.post(
@@ -287,13 +337,15 @@ router.post(
     const user = await User.findOne({ email })
 
     if (user && (await user.matchPassword(password)) && user.isAdmin) {
-      res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        token: generateToken(user._id),
-      })
+      // The password alone is not enough, the challenge token carries it to the next step
+      if (user.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: createTwoFactorChallenge(user) })
+      }
+      if (await isTwoFactorRequired()) {
+        return res.json({ twoFactorSetupRequired: true, challengeToken: createTwoFactorChallenge(user) })
+      }
+
+      await sendAdminLogin(req, res, user)
     } else {
       res.status(401)
       throw new Error("Invalid admin credentials")
@@ -301,6 +353,85 @@ router.post(
   }),
 )
 
+// @desc    Finish an admin login with an authenticator or recovery code
+// @route   POST /api/admin/login/2fa
+// @access  Public (challenge token)
+router.post(
+  "/login/2fa",
+  twoFactorLimiter,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    const user = await findUserByChallenge(challengeToken)
+    const method = await verifyTwoFactor(user, { code, recoveryCode })
+
+    await sendAdminLogin(req, res, user, {
+      ...(method === "recoveryCode" && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length - 1 }),
+    })
+  }),
+)
+
+// @desc    Start two-factor setup during a login that requires it
+// @route   POST /api/admin/login/2fa/setup
+// @access  Public (challenge token)
+router.post(
+  "/login/2fa/setup",
+  twoFactorLimiter,
+  asyncHandler(async (req, res) => {
+    const user = await findUserByChallenge(req.body.challengeToken)
+    res.json(await startTwoFactorSetup(user))
+  }),
+)
+
+// @desc    Turn two-factor on during a login that requires it, and finish the login
+// @route   POST /api/admin/login/2fa/enable
+// @access  Public (challenge token)
+router.post(
+  "/login/2fa/enable",
+  twoFactorLimiter,
+  audit(User, { findEntity: (req) => findUserWithTwoFactor(getChallengeUserId(req.body.challengeToken)) }),
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body
+
+    const user = await findUserByChallenge(challengeToken)
+    const recoveryCodes = await enableTwoFactor(user, code)
+    // Logged as done by the staff member signing in
+    req.user = user
+
+    await sendAdminLogin(req, res, user, { recoveryCodes })
+  }),
+)
+
+// @desc    Get a new admin access token with the admin refresh token cookie
+// @route   POST /api/admin/refresh
+// @access  Public (refresh token cookie)
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const { user, token } = await refreshSession(req, res, "admin")
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      ...getStaffAccess(user),
+      token,
+    })
+  }),
+)
+
+// @desc    Log out of the admin panel on this device
+// @route   POST /api/admin/logout
+// @access  Public (refresh token cookie)
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    await endSession(req, res, "admin")
+    res.json({ message: "Logged out" })
+  }),
+)
+
 // @desc    Get admin profile
 // @route   GET /api/admin/profile
 // @access  Private/Admin
@@ -317,6 +448,7 @@ router.get(
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
+        ...getStaffAccess(user),
       })
     } else {
       res.status(404)
@@ -325,13 +457,132 @@ router.get(
   }),
 )
 
+// @desc    Get two-factor status of the logged in staff account
+// @route   GET /api/admin/2fa
+// @access  Private/Admin
+router.get(
+  "/2fa",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactor(req.user._id)
+    res.json(await getTwoFactorStatus(user))
+  }),
+)
+
+// @desc    Start two-factor setup for the logged in staff account
+// @route   POST /api/admin/2fa/setup
+// @access  Private/Admin
+router.post(
+  "/2fa/setup",
+  protect,
+  admin,
+  auditTwoFactor,
+  asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactor(req.user._id)
+    res.json(await startTwoFactorSetup(user))
+  }),
+)
+
+// @desc    Turn two-factor on with a code from the authenticator app
+// @route   POST /api/admin/2fa/enable
+// @access  Private/Admin
+router.post(
+  "/2fa/enable",
+  protect,
+  admin,
+  twoFactorLimiter,
+  auditTwoFactor,
+  asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactor(req.user._id)
+    const recoveryCodes = await enableTwoFactor(user, req.body.code)
+    res.json({ ...(await getTwoFactorStatus(user)), recoveryCodes })
+  }),
+)
+
+// @desc    Replace the recovery codes, the old ones stop working
+// @route   POST /api/admin/2fa/recovery-codes
+// @access  Private/Admin
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  admin,
+  twoFactorLimiter,
+  auditTwoFactor,
+  asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactor(req.user._id)
+    await verifyTwoFactor(user, { code: req.body.code })
+
+    const recoveryCodes = await regenerateRecoveryCodes(user)
+    res.json({ ...(await getTwoFactorStatus(user)), recoveryCodes })
+  }),
+)
+
+// @desc    Turn two-factor off, needs the password and a current code
+// @route   POST /api/admin/2fa/disable
+// @access  Private/Admin
+router.post(
+  "/2fa/disable",
+  protect,
+  admin,
+  twoFactorLimiter,
+  auditTwoFactor,
+  asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body
+
+    if (await isTwoFactorRequired()) {
+      res.status(400)
+      throw new Error("Two-factor authentication is required for all staff and cannot be turned off")
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id)
+    if (!(await user.matchPassword(password))) {
+      res.status(401)
+      throw new Error("Your password is not right")
+    }
+    await verifyTwoFactor(user, { code, recoveryCode })
+
+    await disableTwoFactor(user)
+    res.json(await getTwoFactorStatus(user))
+  }),
+)
+
+// @desc    Require two-factor for every staff login
+// @route   PUT /api/admin/2fa/requirement
+// @access  Private/Admin (settings.manage)
+router.put(
+  "/2fa/requirement",
+  protect,
+  authorize("settings.manage"),
+  audit(Settings, { findEntity: () => Settings.findOne({}) }),
+  asyncHandler(async (req, res) => {
+    const required = req.body.required === true
+
+    // Otherwise the next login would be the one to find out the setup is needed
+    if (required && !req.user.twoFactor?.enabled) {
+      res.status(400)
+      throw new Error("Turn on two-factor authentication for your own account first")
+    }
+
+    let settings = await Settings.findOne({})
+    if (!settings) {
+      settings = new Settings({})
+    }
+    settings.requireStaffTwoFactor = required
+    settings.updatedBy = req.user._id
+    await settings.save()
+
+    res.json({ required: settings.requireStaffTwoFactor })
+  }),
+)
+
 // @desc    Get dashboard stats
 // @route   GET /api/admin/stats
 // @access  Private/Admin
 router.get(
   "/stats",
   protect,
-  admin,
+  authorize("dashboard.view"),
   asyncHandler(async (req, res) => {
     const totalOrders = await Order.countDocuments()
     const totalProducts = await Product.countDocuments()
@@ -350,16 +601,31 @@ router.get(
   }),
 )
 
-// @desc    Get all users
+// @desc    Get all users, customers and staff, with each staff member's role
 // @route   GET /api/admin/users
 // @access  Private/Admin
 router.get(
   "/users",
   protect,
-  admin,
+  authorize("users.view"),
+  asyncHandler(async (req, res) => {
+    const users = await User.find({}).select("-password").sort({ createdAt: -1 })
+    res.json(users.map((user) => ({ ...user.toObject(), role: getUserRole(user) })))
+  }),
+)
+
+// @desc    Staff roles and the permissions each one grants
+// @route   GET /api/admin/roles
+// @access  Private/Admin
+router.get(
+  "/roles",
+  protect,
+  authorize("roles.manage"),
   asyncHandler(async (req, res) => {
-    const users = await User.find({ isAdmin: false }).select("-password").sort({ createdAt: -1 })
-    res.json(users)
+    res.json({
+      roles: Object.entries(ROLES).map(([key, role]) => ({ key, ...role })),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    })
   }),
 )
 
@@ -369,7 +635,7 @@ router.get(
 router.get(
   "/orders",
   protect,
-  admin,
+  authorize("orders.view"),
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 50, status, search } = req.query
 
@@ -404,36 +670,47 @@ router.get(
 router.get(
   "/orders/recent",
   protect,
-  admin,
+  authorize("dashboard.view", "orders.view"),
   asyncHandler(async (req, res) => {
     const orders = await Order.find({}).populate("user", "name email").sort({ createdAt: -1 }).limit(5)
     res.json(orders)
   }),
 )
 
+// @desc    Order statuses, the moves allowed between them and which moves need a reason
+// @route   GET /api/admin/orders/statuses
+// @access  Private/Admin
+router.get(
+  "/orders/statuses",
+  protect,
+  authorize("orders.view"),
+  asyncHandler(async (req, res) => {
+    res.json({ statuses: ORDER_STATUSES, transitions: ORDER_TRANSITIONS, reasonRequired: REASON_REQUIRED_STATUSES })
+  }),
+)
+
 // @desc    Update order status
 // @route   PUT /api/admin/orders/:id/status
 // @access  Private/Admin
 router.put(
   "/orders/:id/status",
   protect,
-  admin,
+  authorize("orders.manage"),
+  audit(Order),
   asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id)
 
     if (order) {
-      const previousStatus = order.status
-      order.status = req.body.status
-
-      // Update delivered date if status is Delivered
-      if (req.body.status === "Delivered" && previousStatus !== "Delivered") {
-        order.deliveredAt = new Date()
-      }
+      // Checks the move is allowed, keeps stock in step and records who made it and why
+      const statusChanged = await transitionOrderStatus(order, req.body.status, {
+        reason: req.body.reason,
+        user: req.user,
+      })
 
       const updatedOrder = await order.save()
 
       // Send notification email only if status has changed
-      if (previousStatus !== req.body.status) {
+      if (statusChanged) {
         try {
           await sendOrderNotification(updatedOrder)
           console.log(`Order status update email sent for order ${updatedOrder._id}`)
@@ -457,7 +734,8 @@ router.put(
 router.put(
   "/orders/:id/tracking",
   protect,
-  admin,
+  authorize("orders.manage"),
+  audit(Order),
   asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id)
 
@@ -491,7 +769,8 @@ router.put(
 router.put(
   "/orders/:id",
   protect,
-  admin,
+  authorize("orders.manage"),
+  audit(Order),
   asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id)
 
@@ -520,13 +799,45 @@ router.put(
   }),
 )
 
+// @desc    Refund an order through its payment provider, in full or for some lines.
+//          Body: { items: [{ itemId, quantity }], includeShipping, reason }, no items refunds everything left
+// @route   POST /api/admin/orders/:id/refund
+// @access  Private/Admin
+router.post(
+  "/orders/:id/refund",
+  protect,
+  authorize("orders.refund"),
+  audit(Order),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).populate("user", "name email")
+
+    if (!order) {
+      res.status(404)
+      throw new Error("Order not found")
+    }
+
+    const { items, includeShipping, reason } = req.body
+    const refund = await refundOrder(order, { items, includeShipping: Boolean(includeShipping), reason }, req.user)
+
+    try {
+      await sendRefundEmail(order, refund)
+    } catch (emailError) {
+      console.error("Failed to send refund email:", emailError)
+      // Don't fail the refund if email fails
+    }
+
+    res.status(201).json({ refund, order })
+  }),
+)
+
 // @desc    Send order notification email
 // @route   POST /api/admin/orders/:id/notify
 // @access  Private/Admin
 router.post(
   "/orders/:id/notify",
   protect,
-  admin,
+  authorize("orders.manage"),
+  audit(Order),
   asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id)
 
@@ -555,7 +866,7 @@ router.post(
 router.get(
   "/orders/stats",
   protect,
-  admin,
+  authorize("orders.view"),
   asyncHandler(async (req, res) => {
     const totalOrders = await Order.countDocuments()
     const pendingOrders = await Order.countDocuments({ status: "Processing" })
@@ -588,17 +899,72 @@ router.get(
   }),
 )
 
+// @desc    Abandoned cart reminders sent and the revenue they recovered
+// @route   GET /api/admin/abandoned-carts/report?from=2026-01-01&to=2026-01-31
+// @access  Private/Admin
+router.get(
+  "/abandoned-carts/report",
+  protect,
+  authorize("marketing.manage"),
+  asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000)
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      res.status(400)
+      throw new Error("Invalid date range")
+    }
+    // A bare date means the whole of that day
+    if (req.query.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999)
+    }
+
+    res.json(await getRecoveryReport({ from, to }))
+  }),
+)
+
+// @desc    Audit log of admin changes, newest first. Filters: search, entity, entityId, action, actor, from, to
+// @route   GET /api/admin/audit-logs?search=&entity=Product&action=update&page=1
+// @access  Private/Admin
+router.get(
+  "/audit-logs",
+  protect,
+  authorize("audit.view"),
+  asyncHandler(async (req, res) => {
+    const { search, entity, entityId, action, actor, page, limit } = req.query
+    const from = req.query.from ? new Date(req.query.from) : undefined
+    const to = req.query.to ? new Date(req.query.to) : undefined
+
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      res.status(400)
+      throw new Error("Invalid date range")
+    }
+    if (actor && !mongoose.Types.ObjectId.isValid(actor)) {
+      res.status(400)
+      throw new Error("Invalid actor")
+    }
+    // A bare date means the whole of that day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999)
+    }
+
+    res.json(await getAuditLogs({ search, entity, entityId, action, actor, from, to, page, limit }))
+  }),
+)
+
 // @desc    Delete user (Admin)
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
 router.delete(
   "/users/:id",
   protect,
-  admin,
+  authorize("users.manage"),
+  audit(User),
   asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id)
 
     if (user) {
+      // Covers deleting yourself and the last administrator, staff lose their role before they can go
       if (user.isAdmin) {
         res.status(400)
         throw new Error("Cannot delete admin user")
@@ -618,7 +984,7 @@ router.delete(
 router.get(
   "/users/:id",
   protect,
-  admin,
+  authorize("users.view"),
   asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id).select("-password")
 
@@ -637,21 +1003,24 @@ router.get(
 router.put(
   "/users/:id",
   protect,
-  admin,
+  authorize("users.manage"),
+  audit(User),
   asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id)
 
     if (user) {
       user.name = req.body.name || user.name
-      user.email = req.body.email || user.email
-      user.isAdmin = Boolean(req.body.isAdmin)
 
       const updatedUser = await user.save()
+      // The new address is used once its owner confirms it from the email sent there
+      const emailChangeRequested = await requestEmailChange(updatedUser, req.body.email)
 
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        pendingEmail: updatedUser.pendingEmail,
+        emailChangeRequested,
         isAdmin: updatedUser.isAdmin,
       })
     } else {
@@ -661,4 +1030,52 @@ router.put(
   }),
 )
 
+// @desc    Give a user a staff role, or take admin panel access away with role null
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+router.put(
+  "/users/:id/role",
+  protect,
+  authorize("roles.manage"),
+  audit(User),
+  asyncHandler(async (req, res) => {
+    const { role } = req.body
+
+    if (role && !ROLES[role]) {
+      res.status(400)
+      throw new Error("Unknown role")
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      res.status(404)
+      throw new Error("User not found")
+    }
+    if (user._id.equals(req.user._id)) {
+      res.status(400)
+      throw new Error("You cannot change your own role")
+    }
+    if (getUserRole(user) === "admin" && role !== "admin") {
+      const otherAdministrators = await User.countDocuments({ ...ADMINISTRATORS, _id: { $ne: user._id } })
+      if (otherAdministrators === 0) {
+        res.status(400)
+        throw new Error("This is the last administrator. Make someone else an Administrator first.")
+      }
+    }
+
+    user.isAdmin = Boolean(role)
+    user.role = role || undefined
+    const updatedUser = await user.save()
+
+    res.json({
+      _id: updatedUser._id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      isAdmin: updatedUser.isAdmin,
+      role: getUserRole(updatedUser),
+    })
+  }),
+)
+
 export default router
@@ -2,7 +2,8 @@ import express from "express"
 import asyncHandler from "express-async-handler"
 import Banner from "../models/bannerModel.js"
 import Category from "../models/categoryModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -40,7 +41,7 @@ router.get(
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("marketing.manage"),
   asyncHandler(async (req, res) => {
     const banners = await Banner.find({})
       .populate("category", "name slug")
@@ -76,7 +77,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("marketing.manage"),
+  audit(Banner),
   asyncHandler(async (req, res) => {
     const { category, ...bannerData } = req.body
 
@@ -110,7 +112,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("marketing.manage"),
+  audit(Banner),
   asyncHandler(async (req, res) => {
     const banner = await Banner.findById(req.params.id)
 
@@ -152,7 +155,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("marketing.manage"),
+  audit(Banner),
   asyncHandler(async (req, res) => {
     const banner = await Banner.findById(req.params.id)
 
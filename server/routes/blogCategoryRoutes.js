@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import BlogCategory from "../models/blogCategoryModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -42,7 +43,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogCategory),
   asyncHandler(async (req, res) => {
     const { name, slug, description, image, parentCategory, metaTitle, metaDescription } = req.body
 
@@ -74,7 +76,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogCategory),
   asyncHandler(async (req, res) => {
     const category = await BlogCategory.findById(req.params.id)
 
@@ -96,7 +99,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogCategory),
   asyncHandler(async (req, res) => {
     const category = await BlogCategory.findById(req.params.id)
 
@@ -3,7 +3,8 @@ import asyncHandler from "express-async-handler"
 import BlogRating from "../models/blogRatingModel.js"
 import Blog from "../models/blogModel.js"
 import mongoose from "mongoose"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -13,7 +14,7 @@ const router = express.Router()
 router.get(
   "/",
   protect,
-  admin,
+  authorize("blog.manage"),
   asyncHandler(async (req, res) => {
     const ratings = await BlogRating.find({})
       .populate("blog", "title slug")
@@ -30,7 +31,7 @@ router.get(
 router.get(
   "/stats",
   protect,
-  admin,
+  authorize("blog.manage"),
   asyncHandler(async (req, res) => {
     const totalRatings = await BlogRating.countDocuments({})
     const totalComments = await BlogRating.countDocuments({ comment: { $exists: true, $ne: "" } })
@@ -113,7 +114,8 @@ router.post(
 router.patch(
   "/:id/approve",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogRating),
   asyncHandler(async (req, res) => {
     const { isApproved } = req.body
 
@@ -134,7 +136,8 @@ router.patch(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogRating),
   asyncHandler(async (req, res) => {
     const rating = await BlogRating.findById(req.params.id)
 
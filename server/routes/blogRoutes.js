@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Blog from "../models/blogModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -110,7 +111,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(Blog),
   asyncHandler(async (req, res) => {
     const {
       blogName,
@@ -176,7 +178,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(Blog),
   asyncHandler(async (req, res) => {
     const blog = await Blog.findById(req.params.id)
 
@@ -241,7 +244,8 @@ router.put(
 router.patch(
   "/:id/status",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(Blog),
   asyncHandler(async (req, res) => {
     const { status } = req.body
 
@@ -266,7 +270,8 @@ router.patch(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(Blog),
   asyncHandler(async (req, res) => {
     const blog = await Blog.findById(req.params.id)
 
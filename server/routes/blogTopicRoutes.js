@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import BlogTopic from "../models/blogTopicModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -39,7 +40,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogTopic),
   asyncHandler(async (req, res) => {
     const { name, slug, description, color } = req.body
 
@@ -68,7 +70,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogTopic),
   asyncHandler(async (req, res) => {
     const topic = await BlogTopic.findById(req.params.id)
 
@@ -90,7 +93,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("blog.manage"),
+  audit(BlogTopic),
   asyncHandler(async (req, res) => {
     const topic = await BlogTopic.findById(req.params.id)
 
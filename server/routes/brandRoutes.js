@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Brand from "../models/brandModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const brands = await Brand.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(brands)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Brand),
   asyncHandler(async (req, res) => {
     const { name, description, logo, website, sortOrder } = req.body
 
@@ -67,7 +69,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Brand),
   asyncHandler(async (req, res) => {
     const brand = await Brand.findById(req.params.id)
 
@@ -105,7 +108,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Brand),
   asyncHandler(async (req, res) => {
     const brand = await Brand.findById(req.params.id)
 
@@ -125,7 +129,7 @@ router.delete(
 router.get(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const brand = await Brand.findById(req.params.id)
     if (brand) {
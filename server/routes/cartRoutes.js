@@ -0,0 +1,118 @@
+import express from "express"
+import asyncHandler from "express-async-handler"
+import { protect } from "../middleware/authMiddleware.js"
+import {
+  addCartItem,
+  clearCart,
+  getCartView,
+  getOrCreateCart,
+  mergeCartItems,
+  removeCartItem,
+  updateCartItem,
+} from "../utils/cart.js"
+import { findRecoveryByRestoreToken } from "../utils/abandonedCarts.js"
+import Cart from "../models/cartModel.js"
+
+const router = express.Router()
+
+// @desc    Get the logged in user's cart, re-priced and stock checked
+// @route   GET /api/cart
+// @access  Private
+router.get(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    const cart = await getOrCreateCart(req.user._id)
+    res.json(await getCartView(cart))
+  }),
+)
+
+// @desc    Open the restore link of an abandoned cart reminder. Refills the cart if it was emptied
+//          since, so the items are there once the customer logs in.
+// @route   POST /api/cart/restore
+// @access  Public
+router.post(
+  "/restore",
+  asyncHandler(async (req, res) => {
+    const recovery = await findRecoveryByRestoreToken(req.body.token)
+    if (!recovery) {
+      res.status(404)
+      throw new Error("This link has expired")
+    }
+
+    if (!recovery.clickedAt) {
+      recovery.clickedAt = new Date()
+      await recovery.save()
+    }
+
+    let cart = (await Cart.findById(recovery.cart)) || (await getOrCreateCart(recovery.user))
+    if (cart.items.length === 0) {
+      cart = await mergeCartItems(cart, recovery.items)
+    }
+
+    res.json({ cart: await getCartView(cart), couponCode: recovery.couponCode })
+  }),
+)
+
+// @desc    Add a product (or one of its variants) to the cart
+// @route   POST /api/cart/items
+// @access  Private
+router.post(
+  "/items",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { productId, variantId, quantity } = req.body
+    const cart = await addCartItem(await getOrCreateCart(req.user._id), { productId, variantId, quantity })
+    res.status(201).json(await getCartView(cart))
+  }),
+)
+
+// @desc    Merge the cart built before logging in into the user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+router.post(
+  "/merge",
+  protect,
+  asyncHandler(async (req, res) => {
+    const cart = await mergeCartItems(await getOrCreateCart(req.user._id), req.body.items)
+    res.json(await getCartView(cart))
+  }),
+)
+
+// @desc    Change the quantity of a cart line
+// @route   PUT /api/cart/items/:itemId
+// @access  Private
+router.put(
+  "/items/:itemId",
+  protect,
+  asyncHandler(async (req, res) => {
+    const cart = await updateCartItem(await getOrCreateCart(req.user._id), req.params.itemId, req.body.quantity)
+    res.json(await getCartView(cart))
+  }),
+)
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private
+router.delete(
+  "/items/:itemId",
+  protect,
+  asyncHandler(async (req, res) => {
+    const cart = await removeCartItem(await getOrCreateCart(req.user._id), req.params.itemId)
+    res.json(await getCartView(cart))
+  }),
+)
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private
+router.delete(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    const cart = await clearCart(await getOrCreateCart(req.user._id))
+    res.json(await getCartView(cart))
+  }),
+)
+
+export default router
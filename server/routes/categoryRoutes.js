@@ -1,7 +1,9 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Category from "../models/categoryModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { getSpecificationKeys, refreshProductAttributes, sanitizeFilterAttributes } from "../utils/productAttributes.js"
 
 const router = express.Router()
 
@@ -11,7 +13,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const categories = await Category.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(categories)
@@ -35,13 +37,31 @@ router.get(
 router.get(
   "/trash",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const trashedCategories = await Category.find({ isDeleted: true }).sort({ deletedAt: -1 })
     res.json(trashedCategories)
   })
 )
 
+// @desc    Specification keys this category's products use, to define filter attributes from
+// @route   GET /api/categories/:id/spec-keys
+// @access  Private/Admin
+router.get(
+  "/:id/spec-keys",
+  protect,
+  authorize("catalog.manage"),
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id)
+    if (!category) {
+      res.status(404)
+      throw new Error("Category not found")
+    }
+
+    res.json(await getSpecificationKeys({ parentCategory: category._id }))
+  }),
+)
+
 // @desc    Fetch single category
 // @route   GET /api/categories/:id
 // @access  Public
@@ -65,9 +85,10 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Category),
   asyncHandler(async (req, res) => {
-    const { name, description, image, slug } = req.body
+    const { name, description, image, slug, filterAttributes } = req.body
 
     if (!name || name.trim() === "") {
       res.status(400)
@@ -93,6 +114,7 @@ router.post(
       image: image || "",
       slug: categorySlug,
       isActive: true,
+      filterAttributes: sanitizeFilterAttributes(filterAttributes),
       createdBy: req.user._id,
     })
 
@@ -107,9 +129,10 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Category),
   asyncHandler(async (req, res) => {
-    const { name, description, image, slug, isActive } = req.body
+    const { name, description, image, slug, isActive, filterAttributes } = req.body
 
     const category = await Category.findById(req.params.id)
 
@@ -132,8 +155,16 @@ router.put(
       category.image = image !== undefined ? image : category.image
       category.slug = slug || category.slug
       category.isActive = isActive !== undefined ? isActive : category.isActive
+      // Products keep normalized attribute values, they are recomputed when the definitions change
+      let attributesChanged = false
+      if (filterAttributes !== undefined) {
+        const sanitized = sanitizeFilterAttributes(filterAttributes)
+        attributesChanged = JSON.stringify(sanitized) !== JSON.stringify(category.toObject().filterAttributes || [])
+        category.filterAttributes = sanitized
+      }
 
       const updatedCategory = await category.save()
+      if (attributesChanged) await refreshProductAttributes({ parentCategory: category._id })
       res.json(updatedCategory)
     } else {
       res.status(404)
@@ -148,7 +179,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Category),
   asyncHandler(async (req, res) => {
     const category = await Category.findById(req.params.id)
 
@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Color from "../models/colorModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const colors = await Color.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(colors)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Color),
   asyncHandler(async (req, res) => {
     const { name, hexCode } = req.body
 
@@ -56,7 +58,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Color),
   asyncHandler(async (req, res) => {
     const color = await Color.findById(req.params.id)
 
@@ -82,7 +85,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Color),
   asyncHandler(async (req, res) => {
     const color = await Color.findById(req.params.id)
 
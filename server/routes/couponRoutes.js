@@ -2,8 +2,9 @@ import express from "express"
 import asyncHandler from "express-async-handler"
 import Coupon from "../models/couponModel.js"
 import Category from "../models/categoryModel.js"
-import Product from "../models/productModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize, optionalAuth } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { findValidCoupon, priceOrderItems, calculateCouponDiscount } from "../utils/orderPricing.js"
 
 const router = express.Router()
 
@@ -27,7 +28,7 @@ router.get(
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("coupons.manage"),
   asyncHandler(async (req, res) => {
     const coupons = await Coupon.find({})
       .populate("categories", "name")
@@ -44,7 +45,7 @@ router.get(
 router.get(
   "/admin/inactive",
   protect,
-  admin,
+  authorize("coupons.manage"),
   asyncHandler(async (req, res) => {
     const coupons = await Coupon.find({ isActive: false })
       .populate("categories", "name")
@@ -61,7 +62,7 @@ router.get(
 router.get(
   "/admin/expired",
   protect,
-  admin,
+  authorize("coupons.manage"),
   asyncHandler(async (req, res) => {
     const coupons = await Coupon.find({
       validUntil: { $lt: new Date() },
@@ -79,76 +80,28 @@ router.get(
 // @access  Public
 router.post(
   "/validate",
+  optionalAuth,
   asyncHandler(async (req, res) => {
     const { code, cartItems } = req.body
 
-    const coupon = await Coupon.findOne({
-      code: code.toUpperCase(),
-      isActive: true,
-      validFrom: { $lte: new Date() },
-      validUntil: { $gte: new Date() },
-    }).populate("categories", "name")
-
-    if (!coupon) {
+    if (!code || !Array.isArray(cartItems) || cartItems.length === 0) {
       res.status(400)
-      throw new Error("Invalid or expired coupon code")
-    }
-
-    // Check usage limit
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-      res.status(400)
-      throw new Error("Coupon usage limit exceeded")
-    }
-
-    // Calculate eligible items and discount
-    let eligibleItems = []
-    let totalEligibleAmount = 0
-
-    if (coupon.categories && coupon.categories.length > 0) {
-      // Category-specific coupon
-      for (const item of cartItems) {
-        const product = await Product.findById(item.product).populate("category")
-        if (product && product.category && coupon.categories.some(c => c._id.toString() === product.category._id.toString())) {
-          eligibleItems.push(item)
-          totalEligibleAmount += product.price * item.qty
-        }
-      }
-    } else {
-      // General coupon applies to all items
-      eligibleItems = cartItems
-      for (const item of cartItems) {
-        const product = await Product.findById(item.product)
-        if (product) {
-          totalEligibleAmount += product.price * item.qty
-        }
-      }
+      throw new Error("Coupon code and cart items are required")
     }
 
-    if (eligibleItems.length === 0) {
-      res.status(400)
-      throw new Error(
-        coupon.categories && coupon.categories.length > 0
-          ? `This coupon is only valid for: ${coupon.categories.map(c => c.name).join(", ")}`
-          : "No eligible items in cart"
-      )
-    }
+    const coupon = await findValidCoupon(code, req.user)
 
-    // Check minimum order amount
-    if (coupon.minimumAmount && totalEligibleAmount < coupon.minimumAmount) {
-      res.status(400)
-      throw new Error(`Minimum order amount of ${coupon.minimumAmount} required for this coupon`)
-    }
+    // Same pricing rules the order endpoint applies
+    const pricedItems = await priceOrderItems(
+      cartItems.map((item) => ({ product: item.product, quantity: item.qty ?? item.quantity })),
+    )
+    const { discountAmount, eligibleItems: eligiblePricedItems, totalEligibleAmount } = calculateCouponDiscount(
+      coupon,
+      pricedItems,
+    )
 
-    // Calculate discount
-    let discountAmount = 0
-    if (coupon.discountType === "percentage") {
-      discountAmount = (totalEligibleAmount * coupon.discountValue) / 100
-      if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
-        discountAmount = coupon.maxDiscountAmount
-      }
-    } else {
-      discountAmount = Math.min(coupon.discountValue, totalEligibleAmount)
-    }
+    const eligibleProductIds = eligiblePricedItems.map((item) => item.product._id.toString())
+    const eligibleItems = cartItems.filter((item) => eligibleProductIds.includes(String(item.product)))
 
     res.json({
       valid: true,
@@ -172,7 +125,8 @@ router.post(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("coupons.manage"),
+  audit(Coupon),
   asyncHandler(async (req, res) => {
     const { categories, ...couponData } = req.body
 
@@ -214,7 +168,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("coupons.manage"),
+  audit(Coupon),
   asyncHandler(async (req, res) => {
     const coupon = await Coupon.findById(req.params.id)
 
@@ -272,7 +227,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("coupons.manage"),
+  audit(Coupon),
   asyncHandler(async (req, res) => {
     const coupon = await Coupon.findById(req.params.id)
 
@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import DeliveryCharge from "../models/deliveryChargeModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -22,7 +23,7 @@ router.get(
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("settings.manage"),
   asyncHandler(async (req, res) => {
     const deliveryCharges = await DeliveryCharge.find({}).populate("createdBy", "name email").sort({ createdAt: -1 })
     res.json(deliveryCharges)
@@ -52,7 +53,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(DeliveryCharge),
   asyncHandler(async (req, res) => {
     const { name, description, charge, minOrderAmount, maxOrderAmount, applicableAreas, deliveryTime } = req.body
 
@@ -85,7 +87,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(DeliveryCharge),
   asyncHandler(async (req, res) => {
     const { name, description, charge, minOrderAmount, maxOrderAmount, applicableAreas, deliveryTime, isActive } =
       req.body
@@ -132,7 +135,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(DeliveryCharge),
   asyncHandler(async (req, res) => {
     const deliveryCharge = await DeliveryCharge.findById(req.params.id)
 
@@ -152,7 +156,8 @@ router.delete(
 router.patch(
   "/:id/toggle",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(DeliveryCharge),
   asyncHandler(async (req, res) => {
     const deliveryCharge = await DeliveryCharge.findById(req.params.id)
 
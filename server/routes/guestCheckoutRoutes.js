@@ -0,0 +1,52 @@
+import express from "express"
+import asyncHandler from "express-async-handler"
+import { rateLimit } from "../middleware/rateLimitMiddleware.js"
+import { confirmGuestVerification, startGuestVerification } from "../utils/guestCheckout.js"
+
+const router = express.Router()
+
+const VERIFICATION_WINDOW_MS = 15 * 60 * 1000
+
+// Every code costs an email or a text message, keep senders from flooding an inbox or phone
+const sendCodeLimiter = rateLimit({
+  windowMs: VERIFICATION_WINDOW_MS,
+  max: 5,
+  message: "Too many verification codes requested. Please try again in a few minutes.",
+})
+const confirmCodeLimiter = rateLimit({
+  windowMs: VERIFICATION_WINDOW_MS,
+  max: 20,
+  message: "Too many verification attempts. Please try again in a few minutes.",
+})
+
+// @desc    Send a checkout verification code to a guest's email or phone
+// @route   POST /api/guest-checkout/verification
+// @access  Public
+router.post(
+  "/verification",
+  sendCodeLimiter,
+  asyncHandler(async (req, res) => {
+    const { channel, value } = req.body
+    const { target } = await startGuestVerification({ channel, value })
+
+    res.json({
+      message: channel === "email" ? `We sent a code to ${target}` : "We sent a code to your phone",
+    })
+  }),
+)
+
+// @desc    Confirm the code and get a guest token for placing and paying for orders
+// @route   POST /api/guest-checkout/verification/confirm
+// @access  Public
+router.post(
+  "/verification/confirm",
+  confirmCodeLimiter,
+  asyncHandler(async (req, res) => {
+    const { channel, value, code } = req.body
+    const { guestToken, target } = await confirmGuestVerification({ channel, value, code })
+
+    res.json({ guestToken, channel, [channel]: target })
+  }),
+)
+
+export default router
@@ -290,27 +290,83 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Order from "../models/orderModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, protectOrGuest, authorize, optionalAuth } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 import { sendOrderPlacedEmail, sendOrderStatusUpdateEmail } from "../utils/emailService.js"
+import { calculateOrderPricing, claimCouponUse, hasPriceMismatch, releaseCouponUse } from "../utils/orderPricing.js"
+import { reserveStock, releaseReservedItems } from "../utils/inventory.js"
+import { initialStatusEntry, transitionOrderStatus } from "../utils/orderStatus.js"
+import { getPaymentProvider } from "../utils/payments/index.js"
+import { generateOrderNumber } from "../utils/orderNumber.js"
+import {
+  findOrderByTrackingToken,
+  createTrackingToken,
+  findOrderForTracking,
+  getOrderContact,
+  toTrackingView,
+} from "../utils/orderTracking.js"
+import { rateLimit } from "../middleware/rateLimitMiddleware.js"
+import { guestOwnsContact } from "../utils/guestCheckout.js"
+import { markCartRecovered } from "../utils/abandonedCarts.js"
 
 const router = express.Router()
 
-// @desc    Create new order
+const TRACKING_WINDOW_MS = 15 * 60 * 1000
+
+// Tracking is public, so cap how often one client can try, and how often one order
+// number can be tried from anywhere, to keep contact details from being guessed
+const trackingIpLimiter = rateLimit({
+  windowMs: TRACKING_WINDOW_MS,
+  max: 20,
+  message: "Too many tracking attempts. Please try again in a few minutes.",
+})
+const trackingReferenceLimiter = rateLimit({
+  windowMs: TRACKING_WINDOW_MS,
+  max: 10,
+  message: "Too many tracking attempts for this order. Please try again in a few minutes.",
+  keyGenerator: (req) => (req.body?.orderId ? String(req.body.orderId).trim().toUpperCase() : null),
+})
+
+// @desc    Price a cart on the server before placing the order
+// @route   POST /api/orders/quote
+// @access  Public
+router.post(
+  "/quote",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const { orderItems, deliveryType, shippingAddress, deliveryChargeId, couponCode } = req.body
+
+    const pricing = await calculateOrderPricing({
+      orderItems,
+      deliveryType,
+      shippingAddress,
+      deliveryChargeId,
+      couponCode,
+      user: req.user,
+    })
+
+    const { coupon, ...quote } = pricing
+    res.json(quote)
+  }),
+)
+
+// @desc    Create new order, for a logged in user or a verified guest
 // @route   POST /api/orders
-// @access  Private
+// @access  Private/Guest
 router.post(
   "/",
-  protect,
+  protectOrGuest,
   asyncHandler(async (req, res) => {
     const {
       orderItems,
       shippingAddress,
       pickupDetails,
       deliveryType,
-      itemsPrice,
-      shippingPrice,
       totalPrice,
       customerNotes,
+      couponCode,
+      deliveryChargeId,
+      paymentMethod,
     } = req.body
 
     if (!orderItems || orderItems.length === 0) {
@@ -348,19 +404,100 @@ router.post(
       }
     }
 
-    const order = new Order({
+    // Guests verified one email or phone, the order has to be placed with it
+    const contact = getOrderContact(
+      { shippingAddress: deliveryType === "home" ? shippingAddress : undefined, pickupDetails },
+      req.user || req.guest,
+    )
+    if (req.guest && !guestOwnsContact(req.guest, contact)) {
+      res.status(403)
+      throw new Error("Please place the order with the email or phone you verified")
+    }
+
+    // Never trust client totals: re-price every line from the catalog
+    const pricing = await calculateOrderPricing({
       orderItems,
-      user: req.user._id,
       deliveryType,
+      shippingAddress,
+      deliveryChargeId,
+      couponCode,
+      user: req.user,
+    })
+
+    if (hasPriceMismatch(totalPrice, pricing.totalPrice)) {
+      const { coupon, ...quote } = pricing
+      return res.status(409).json({
+        message: "Prices in your cart have changed. Please review the updated total before placing the order.",
+        pricing: quote,
+      })
+    }
+
+    // Count the coupon use before the order exists, so its usage limit holds against concurrent checkouts
+    if (pricing.coupon && !(await claimCouponUse(pricing.coupon))) {
+      res.status(409)
+      throw new Error("This coupon has just reached its usage limit, please remove it and try again")
+    }
+
+    // Take the stock now, a shopper who lost the race for the last units gets a 409
+    let reservedItems
+    try {
+      reservedItems = await reserveStock(pricing.orderItems)
+    } catch (error) {
+      if (pricing.coupon) await releaseCouponUse(pricing.coupon)
+      throw error
+    }
+
+    // Nothing was placed after all, give the stock and the coupon use back
+    const releaseClaims = async () => {
+      await releaseReservedItems(reservedItems)
+      if (pricing.coupon) await releaseCouponUse(pricing.coupon)
+    }
+
+    let orderNumber
+    try {
+      orderNumber = await generateOrderNumber()
+    } catch (error) {
+      await releaseClaims()
+      throw error
+    }
+
+    const order = new Order({
+      orderNumber,
+      ...contact,
+      orderItems: reservedItems,
+      user: req.user?._id,
+      isGuest: !req.user,
+      deliveryType,
+      paymentMethod: getPaymentProvider(paymentMethod)?.paymentMethod || "Cash on Delivery",
       shippingAddress: deliveryType === "home" ? shippingAddress : undefined,
       pickupDetails: deliveryType === "pickup" ? pickupDetails : undefined,
-      itemsPrice,
-      shippingPrice,
-      totalPrice,
+      itemsPrice: pricing.itemsPrice,
+      taxPrice: pricing.taxPrice,
+      shippingPrice: pricing.shippingPrice,
+      discountAmount: pricing.discountAmount,
+      couponCode: pricing.couponCode,
+      deliveryCharge: pricing.deliveryCharge,
+      totalPrice: pricing.totalPrice,
       customerNotes,
+      statusHistory: [initialStatusEntry(req.user)],
     })
 
-    const createdOrder = await order.save()
+    let createdOrder
+    try {
+      createdOrder = await order.save()
+    } catch (error) {
+      await releaseClaims()
+      throw error
+    }
+
+    if (req.user) {
+      try {
+        await markCartRecovered(createdOrder)
+      } catch (recoveryError) {
+        console.error("Failed to record cart recovery:", recoveryError)
+        // Don't fail the order creation over reporting
+      }
+    }
 
     // Populate the user information for the created order
     await createdOrder.populate("user", "name email")
@@ -378,7 +515,10 @@ router.post(
       // Don't fail the order creation if email fails
     }
 
-    res.status(201).json(createdOrder)
+    // Guests have no order history to come back to, the tracking link opens this order
+    res.status(201).json(
+      req.user ? createdOrder : { ...createdOrder.toObject(), trackingToken: createTrackingToken(createdOrder) },
+    )
   }),
 )
 
@@ -388,9 +528,10 @@ router.post(
 router.put(
   "/:id/status",
   protect,
-  admin,
+  authorize("orders.manage"),
+  audit(Order),
   asyncHandler(async (req, res) => {
-    const { status, trackingId } = req.body
+    const { status, trackingId, reason } = req.body
 
     const order = await Order.findById(req.params.id)
       .populate("user", "name email")
@@ -401,8 +542,8 @@ router.put(
       throw new Error("Order not found")
     }
 
-    const oldStatus = order.status
-    order.status = status
+    // Checks the move is allowed, keeps stock in step and records who made it and why
+    const statusChanged = await transitionOrderStatus(order, status, { reason, user: req.user })
 
     if (trackingId) {
       order.trackingId = trackingId
@@ -411,7 +552,7 @@ router.put(
     const updatedOrder = await order.save()
 
     // Send status update email if status changed
-    if (oldStatus !== status) {
+    if (statusChanged) {
       try {
         await sendOrderStatusUpdateEmail(updatedOrder)
         console.log(`Order status update email sent for order ${updatedOrder._id}`)
@@ -437,139 +578,38 @@ router.get(
   }),
 )
 
-// @desc    Track order by email and order ID
+// @desc    Track an order by its number (or tracking ID) and the customer's email or phone,
+//          or by the signed link from the order emails
 // @route   POST /api/orders/track
 // @access  Public
 router.post(
   "/track",
+  trackingIpLimiter,
+  trackingReferenceLimiter,
   asyncHandler(async (req, res) => {
-    const { email, orderId } = req.body
-
-    if (!email || !orderId) {
-      res.status(400)
-      throw new Error("Email and Order ID are required")
-    }
-
-    // Clean the order ID - remove # if present and handle different formats
-    const cleanOrderId = orderId.toString().replace(/^#/, "").trim()
-
-    console.log(`Tracking order with email: ${email}, orderId: ${cleanOrderId}`)
-
-    let order = null
-
-    try {
-      // First try to find by MongoDB ObjectId if it looks like one
-      if (cleanOrderId.match(/^[0-9a-fA-F]{24}$/)) {
-        console.log("Searching by MongoDB ObjectId...")
-
-        // Search in multiple ways for the email
-        order = await Order.findOne({
-          _id: cleanOrderId,
-          $or: [{ "shippingAddress.email": email }, { "pickupDetails.email": email }],
-        })
-          .populate("orderItems.product", "name image")
-          .populate("user", "name email")
-
-        // If not found with address emails, try with user email
-        if (!order) {
-          const orderWithUser = await Order.findById(cleanOrderId)
-            .populate("orderItems.product", "name image")
-            .populate("user", "name email")
-
-          if (orderWithUser && orderWithUser.user && orderWithUser.user.email === email) {
-            order = orderWithUser
-          }
-        }
-      }
-
-      // If not found by ObjectId, try other methods
-      if (!order) {
-        console.log("Searching by other methods...")
-
-        // Get all orders for this email from different sources
-        const orders = await Order.find({
-          $or: [{ "shippingAddress.email": email }, { "pickupDetails.email": email }],
-        })
-          .populate("orderItems.product", "name image")
-          .populate("user", "name email")
-
-        // Also get orders where user email matches
-        const userOrders = await Order.find({})
-          .populate("orderItems.product", "name image")
-          .populate("user", "name email")
-
-        const userMatchOrders = userOrders.filter((o) => o.user && o.user.email === email)
-
-        // Combine all orders
-        const allOrders = [...orders, ...userMatchOrders]
-
-        // Remove duplicates
-        const uniqueOrders = allOrders.filter(
-          (order, index, self) => index === self.findIndex((o) => o._id.toString() === order._id.toString()),
-        )
-
-        console.log(`Found ${uniqueOrders.length} orders for email ${email}`)
-
-        // Find order that matches the ID pattern
-        order = uniqueOrders.find((o) => {
-          const orderIdStr = o._id.toString()
-          return (
-            orderIdStr === cleanOrderId ||
-            orderIdStr.toLowerCase().includes(cleanOrderId.toLowerCase()) ||
-            cleanOrderId.toLowerCase().includes(orderIdStr.toLowerCase()) ||
-            (o.trackingId && o.trackingId.includes(cleanOrderId)) ||
-            (o.orderNumber && o.orderNumber.includes(cleanOrderId)) ||
-            orderIdStr.slice(-6) === cleanOrderId || // Last 6 characters
-            orderIdStr.slice(-8) === cleanOrderId // Last 8 characters
-          )
-        })
-      }
+    const { token, orderId, email, phone } = req.body
 
+    if (token) {
+      const order = await findOrderByTrackingToken(token)
       if (!order) {
-        console.log("Order not found, trying partial match...")
-
-        // Last resort: try partial matching on all orders
-        const allOrders = await Order.find({})
-          .populate("orderItems.product", "name image")
-          .populate("user", "name email")
-
-        const matchingOrders = allOrders.filter((o) => {
-          // Check if email matches in any field
-          const emailMatch =
-            (o.shippingAddress && o.shippingAddress.email === email) ||
-            (o.pickupDetails && o.pickupDetails.email === email) ||
-            (o.user && o.user.email === email)
-
-          if (!emailMatch) return false
-
-          // Check if order ID matches in any way
-          const orderIdStr = o._id.toString()
-          return (
-            orderIdStr.includes(cleanOrderId) ||
-            cleanOrderId.includes(orderIdStr) ||
-            (o.trackingId && (o.trackingId.includes(cleanOrderId) || cleanOrderId.includes(o.trackingId)))
-          )
-        })
-
-        if (matchingOrders.length > 0) {
-          order = matchingOrders[0] // Take the first match
-          console.log(`Found order via partial match: ${order._id}`)
-        }
+        res.status(401)
+        throw new Error("This tracking link is invalid or has expired. Please enter your order details instead.")
       }
+      return res.json(toTrackingView(order))
+    }
 
-      if (!order) {
-        console.log("No order found after all attempts")
-        res.status(404)
-        throw new Error("Order not found with the provided email and order ID. Please check your email and order ID.")
-      }
+    if (!orderId || (!email && !phone)) {
+      res.status(400)
+      throw new Error("Order number and email or phone are required")
+    }
 
-      console.log(`Successfully found order: ${order._id}`)
-      res.json(order)
-    } catch (error) {
-      console.error("Error in order tracking:", error)
-      res.status(500)
-      throw new Error("Error occurred while tracking order. Please try again.")
+    const order = await findOrderForTracking({ orderId, email, phone })
+    if (!order) {
+      res.status(404)
+      throw new Error("Order not found with the provided details. Please check your order number and email or phone.")
     }
+
+    res.json(toTrackingView(order))
   }),
 )
 
@@ -597,7 +637,7 @@ router.get(
 router.get(
   "/",
   protect,
-  admin,
+  authorize("orders.view"),
   asyncHandler(async (req, res) => {
     const orders = await Order.find({})
       .populate("user", "name email")
@@ -614,7 +654,7 @@ router.get(
 router.get(
   "/stats",
   protect,
-  admin,
+  authorize("orders.view"),
   asyncHandler(async (req, res) => {
     const stats = await Order.aggregate([
       {
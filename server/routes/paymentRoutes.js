@@ -1,166 +1,182 @@
 import express from "express"
-import axios from "axios"
+import asyncHandler from "express-async-handler"
+import mongoose from "mongoose"
 import Order from "../models/orderModel.js"
-import { protect } from "../middleware/authMiddleware.js"
+import { protect, protectOrGuest, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { processPaymentWebhook, applyPaymentStatus } from "../utils/paymentWebhooks.js"
+import { getPaymentProvider, getPaymentProviders } from "../utils/payments/index.js"
+import { CLOSED_ORDER_STATUSES } from "../utils/orderStatus.js"
+import { guestOwnsOrder } from "../utils/guestCheckout.js"
+import { createTrackingToken } from "../utils/orderTracking.js"
 
 const router = express.Router()
 
-// Tamara Payment Routes
-router.post("/tamara/checkout", protect, async (req, res) => {
-  try {
-    const tamaraConfig = {
-      headers: {
-        Authorization: `Bearer ${process.env.TAMARA_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-    }
-
-    const tamaraResponse = await axios.post(`${process.env.TAMARA_API_URL}/checkout`, req.body, tamaraConfig)
-
-    res.json(tamaraResponse.data)
-  } catch (error) {
-    console.error("Tamara payment error:", error.response?.data || error.message)
-    res.status(500).json({
-      message: "Tamara payment failed",
-      error: error.response?.data || error.message,
-    })
+// Load an order the current user, or the verified guest who placed it, may pay for
+const findOwnOrder = async (req, res, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(orderId || ""))) {
+    res.status(400)
+    throw new Error("Invalid order id")
   }
-})
-
-router.post("/tamara/webhook", async (req, res) => {
-  try {
-    const { order_id, order_status, payment_status } = req.body
-
-    // Find and update order
-    const order = await Order.findOne({ "paymentResult.tamara_order_id": order_id })
-    if (order) {
-      order.paymentResult = {
-        ...order.paymentResult,
-        status: payment_status,
-        update_time: new Date().toISOString(),
-      }
-      order.isPaid = payment_status === "approved"
-      order.paidAt = payment_status === "approved" ? new Date() : null
-      await order.save()
-    }
 
-    res.status(200).json({ received: true })
-  } catch (error) {
-    console.error("Tamara webhook error:", error)
-    res.status(500).json({ error: "Webhook processing failed" })
+  const order = await Order.findById(orderId).populate("user", "name email")
+  const canAccess = req.guest
+    ? guestOwnsOrder(req.guest, order || {})
+    : order?.user?._id.toString() === req.user._id.toString() || req.user.isAdmin
+  if (!order || !canAccess) {
+    res.status(404)
+    throw new Error("Order not found")
   }
-})
-
-// Tabby Payment Routes
-router.post("/tabby/sessions", protect, async (req, res) => {
-  try {
-    const tabbyConfig = {
-      headers: {
-        Authorization: `Bearer ${process.env.TABBY_SECRET_KEY}`,
-        "Content-Type": "application/json",
-      },
-    }
 
-    const tabbyResponse = await axios.post(`${process.env.TABBY_API_URL}/api/v2/checkout`, req.body, tabbyConfig)
+  return order
+}
 
-    res.json(tabbyResponse.data)
-  } catch (error) {
-    console.error("Tabby payment error:", error.response?.data || error.message)
-    res.status(500).json({
-      message: "Tabby payment failed",
-      error: error.response?.data || error.message,
-    })
+// Provider named in the route, 404 when unknown or disabled
+const findProvider = (res, name) => {
+  const provider = getPaymentProvider(name)
+  if (!provider) {
+    res.status(404)
+    throw new Error("Unknown payment method")
   }
-})
-
-router.post("/tabby/webhook", async (req, res) => {
-  try {
-    const { id, status, order } = req.body
-
-    // Find and update order
-    const dbOrder = await Order.findOne({ "paymentResult.tabby_payment_id": id })
-    if (dbOrder) {
-      dbOrder.paymentResult = {
-        ...dbOrder.paymentResult,
-        status: status,
-        update_time: new Date().toISOString(),
-      }
-      dbOrder.isPaid = status === "AUTHORIZED"
-      dbOrder.paidAt = status === "AUTHORIZED" ? new Date() : null
-      await dbOrder.save()
-    }
-
-    res.status(200).json({ received: true })
-  } catch (error) {
-    console.error("Tabby webhook error:", error)
-    res.status(500).json({ error: "Webhook processing failed" })
-  }
-})
-
-// N-Genius Payment Routes
-router.post("/ngenius/orders", protect, async (req, res) => {
-  try {
-    // First, get access token
-    const authResponse = await axios.post(
-      `${process.env.NGENIUS_API_URL}/identity/auth/access-token`,
-      {
-        realmName: process.env.NGENIUS_REALM,
-      },
-      {
-        headers: {
-          Authorization: `Basic ${Buffer.from(`${process.env.NGENIUS_API_KEY}:${process.env.NGENIUS_API_SECRET}`).toString("base64")}`,
-          "Content-Type": "application/vnd.ni-identity.v1+json",
-        },
-      },
+  return provider
+}
+
+// @desc    Payment methods offered at checkout
+// @route   GET /api/payment/methods
+// @access  Public
+router.get(
+  "/methods",
+  asyncHandler(async (req, res) => {
+    res.json(
+      getPaymentProviders().map((provider) => ({
+        name: provider.name,
+        label: provider.label,
+        online: provider.online,
+      })),
     )
+  }),
+)
+
+// @desc    Start paying a saved order. Amounts always come from the order, and the
+//          provider reference is stored so the webhooks can find the order again.
+// @route   POST /api/payment/:provider/session
+// @access  Private/Guest
+router.post(
+  "/:provider/session",
+  protectOrGuest,
+  asyncHandler(async (req, res) => {
+    const provider = findProvider(res, req.params.provider)
+    const order = await findOwnOrder(req, res, req.body.orderId)
+
+    if (order.isPaid) {
+      res.status(400)
+      throw new Error("Order is already paid")
+    }
+    if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+      res.status(400)
+      throw new Error("Order can no longer be paid")
+    }
 
-    const accessToken = authResponse.data.access_token
-
-    // Create payment order
-    const orderResponse = await axios.post(
-      `${process.env.NGENIUS_API_URL}/transactions/outlets/${process.env.NGENIUS_OUTLET_ID}/orders`,
-      req.body,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/vnd.ni-payment.v2+json",
-          Accept: "application/vnd.ni-payment.v2+json",
-        },
-      },
-    )
+    const { reference, checkoutUrl, instructions } = await provider.createSession(order)
+    if (provider.online && (!reference || !checkoutUrl)) {
+      res.status(502)
+      throw new Error("Payment provider did not return a checkout link")
+    }
 
-    res.json(orderResponse.data)
-  } catch (error) {
-    console.error("N-Genius payment error:", error.response?.data || error.message)
-    res.status(500).json({
-      message: "N-Genius payment failed",
-      error: error.response?.data || error.message,
+    order.paymentMethod = provider.paymentMethod
+    if (provider.referenceField && reference) {
+      order.set(`paymentResult.${provider.referenceField}`, reference)
+    }
+    order.set("paymentResult.provider", provider.name)
+    order.set("paymentResult.status", "pending")
+    order.set("paymentResult.update_time", new Date().toISOString())
+    order.paymentHistory.push({
+      provider: provider.name,
+      status: "pending",
+      amount: order.totalPrice,
+      note: provider.online ? "Payment session created" : `${provider.label} selected`,
     })
-  }
-})
-
-router.post("/ngenius/webhook", async (req, res) => {
-  try {
-    const { orderReference, state, amount } = req.body
-
-    // Find and update order
-    const order = await Order.findOne({ "paymentResult.ngenius_order_ref": orderReference })
-    if (order) {
-      order.paymentResult = {
-        ...order.paymentResult,
-        status: state,
-        update_time: new Date().toISOString(),
-      }
-      order.isPaid = state === "PURCHASED"
-      order.paidAt = state === "PURCHASED" ? new Date() : null
-      await order.save()
+    await order.save()
+
+    res.status(201).json({
+      orderId: order._id,
+      provider: provider.name,
+      reference,
+      checkout_url: checkoutUrl,
+      instructions,
+    })
+  }),
+)
+
+// @desc    Provider webhook, verified per provider and de-duplicated by event id
+// @route   POST /api/payment/:provider/webhook
+// @access  Public (signed by the provider)
+router.post(
+  "/:provider/webhook",
+  asyncHandler(async (req, res) => {
+    const result = await processPaymentWebhook(req.params.provider, req)
+    res.status(200).json({ received: true, duplicate: result.duplicate })
+  }),
+)
+
+// @desc    Payment status of an order for the payment result page
+// @route   GET /api/payment/:orderId/status
+// @access  Private/Guest
+router.get(
+  "/:orderId/status",
+  protectOrGuest,
+  asyncHandler(async (req, res) => {
+    const order = await findOwnOrder(req, res, req.params.orderId)
+    const provider = getPaymentProvider(order.paymentResult?.provider)
+
+    res.json({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentMethod: order.paymentMethod,
+      provider: order.paymentResult?.provider,
+      paymentStatus: order.isPaid ? "paid" : order.paymentResult?.status || "pending",
+      isPaid: order.isPaid,
+      paidAt: order.paidAt,
+      totalPrice: order.totalPrice,
+      instructions: provider?.getInstructions && !order.isPaid ? provider.getInstructions(order) : undefined,
+      // Guests have no order history, they follow their order on the tracking page
+      trackingToken: req.guest ? createTrackingToken(order) : undefined,
+    })
+  }),
+)
+
+// @desc    Capture the payment of an order: collect authorized BNPL payments,
+//          or confirm cash on delivery / bank transfer money was received
+// @route   POST /api/payment/:orderId/capture
+// @access  Private/Admin
+router.post(
+  "/:orderId/capture",
+  protect,
+  authorize("orders.manage"),
+  audit(Order, { getId: (req) => req.params.orderId }),
+  asyncHandler(async (req, res) => {
+    const order = await findOwnOrder(req, res, req.params.orderId)
+    const provider = findProvider(res, order.paymentResult?.provider || "cod")
+
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : order.totalPrice
+    if (!(amount > 0) || amount > order.totalPrice) {
+      res.status(400)
+      throw new Error("Invalid capture amount")
     }
 
-    res.status(200).json({ received: true })
-  } catch (error) {
-    console.error("N-Genius webhook error:", error)
-    res.status(500).json({ error: "Webhook processing failed" })
-  }
-})
+    const result = await provider.capture(order, amount)
+    applyPaymentStatus(order, {
+      provider: provider.name,
+      status: result.status,
+      eventId: result.reference,
+      amount,
+      note: result.note || `Captured by ${req.user.name || req.user.email}`,
+    })
+    await order.save()
+
+    res.json(order)
+  }),
+)
 
 export default router
@@ -4,7 +4,8 @@ import Product from "../models/productModel.js"
 import Category from "../models/categoryModel.js"
 import Brand from "../models/brandModel.js"
 import SubCategory from "../models/subCategoryModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 import multer from "multer"
 import XLSX from "xlsx"
 import fs from "fs"
@@ -14,6 +15,11 @@ import Color from "../models/colorModel.js"
 import Warranty from "../models/warrantyModel.js"
 import Size from "../models/sizeModel.js"
 import Volume from "../models/volumeModel.js"
+import { variantPopulate } from "../utils/productVariants.js"
+import { searchProducts } from "../utils/productSearch.js"
+import { listProducts } from "../utils/productListing.js"
+import { compareProducts } from "../utils/productComparison.js"
+import escapeRegex from "../utils/escapeRegex.js"
 
 const router = express.Router()
 
@@ -84,7 +90,7 @@ function generateSlug(name) {
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const { category, featured, search, limit, brand } = req.query
 
@@ -93,7 +99,7 @@ router.get(
     // Filter by category
     if (category && category !== "all") {
       // First try to find category by name, then by ID
-      let categoryDoc = await Category.findOne({ name: { $regex: new RegExp(`^${category}$`, "i") } })
+      let categoryDoc = await Category.findOne({ name: { $regex: new RegExp(`^${escapeRegex(category)}$`, "i") } })
 
       if (!categoryDoc) {
         // If not found by name, try by ID (if it's a valid ObjectId)
@@ -120,7 +126,7 @@ router.get(
         query.brand = brand
       } else if (typeof brand === "string") {
         // If it's a name, look up the brand by name
-        const brandDoc = await Brand.findOne({ name: { $regex: new RegExp(`^${brand}$`, "i") } })
+        const brandDoc = await Brand.findOne({ name: { $regex: new RegExp(`^${escapeRegex(brand)}$`, "i") } })
         if (brandDoc) {
           query.brand = brandDoc._id
         } else {
@@ -137,12 +143,14 @@ router.get(
 
     // Search functionality
     if (typeof search === "string" && search.trim() !== "") {
-      const regex = new RegExp(search, "i")
+      const regex = new RegExp(escapeRegex(search.trim()), "i")
       // Find matching brands by name
       const matchingBrands = await Brand.find({ name: regex }).select("_id")
       const brandIds = matchingBrands.map(b => b._id)
       query.$or = [
         { name: regex },
+        { sku: regex },
+        { barcode: regex },
         { description: regex },
         { brand: { $in: brandIds } },
       ]
@@ -164,12 +172,17 @@ router.get(
   }),
 )
 
-// @desc    Fetch all products
+// @desc    Fetch all products. With page or cursor: filtered, sorted and paged with facet counts
 // @route   GET /api/products
 // @access  Public
 router.get(
   "/",
   asyncHandler(async (req, res) => {
+    // Shop listing, see listProducts for the filters it takes
+    if (req.query.page !== undefined || req.query.cursor !== undefined) {
+      return res.json(await listProducts(req.query))
+    }
+
     const { category, featured, search, limit, brand } = req.query
 
     const query = { isActive: true } // Only active products for public
@@ -177,7 +190,7 @@ router.get(
     // Filter by category
     if (category && category !== "all") {
       // First try to find category by name, then by ID
-      let categoryDoc = await Category.findOne({ name: { $regex: new RegExp(`^${category}$`, "i") } })
+      let categoryDoc = await Category.findOne({ name: { $regex: new RegExp(`^${escapeRegex(category)}$`, "i") } })
 
       if (!categoryDoc) {
         // If not found by name, try by ID (if it's a valid ObjectId)
@@ -204,7 +217,7 @@ router.get(
         query.brand = brand
       } else if (typeof brand === "string") {
         // If it's a name, look up the brand by name
-        const brandDoc = await Brand.findOne({ name: { $regex: new RegExp(`^${brand}$`, "i") } })
+        const brandDoc = await Brand.findOne({ name: { $regex: new RegExp(`^${escapeRegex(brand)}$`, "i") } })
         if (brandDoc) {
           query.brand = brandDoc._id
         } else {
@@ -219,17 +232,11 @@ router.get(
       query.featured = true
     }
 
-    // Search functionality
+    // Search by name, SKU, barcode, brand, tags and specifications, typos forgiven
+    let searchResults = null
     if (typeof search === "string" && search.trim() !== "") {
-      const regex = new RegExp(search, "i")
-      // Find matching brands by name
-      const matchingBrands = await Brand.find({ name: regex }).select("_id")
-      const brandIds = matchingBrands.map(b => b._id)
-      query.$or = [
-        { name: regex },
-        { description: regex },
-        { brand: { $in: brandIds } },
-      ]
+      searchResults = await searchProducts(search)
+      query._id = { $in: searchResults.map((result) => result.id) }
     }
 
     let productsQuery = Product.find(query)
@@ -237,6 +244,20 @@ router.get(
       .populate("subCategory", "name slug")
       .populate("brand", "name slug")
 
+    // Best match first, with where the search words were found for highlighting
+    if (searchResults) {
+      const products = await productsQuery.lean()
+      const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+      const ranked = searchResults
+        .filter((result) => productsById.has(result.id))
+        .map((result) => ({
+          ...productsById.get(result.id),
+          searchScore: result.score,
+          searchHighlights: result.highlights,
+        }))
+      return res.json(limit ? ranked.slice(0, Number.parseInt(limit)) : ranked)
+    }
+
     // Apply limit if specified
     if (limit) {
       productsQuery = productsQuery.limit(Number.parseInt(limit))
@@ -247,13 +268,27 @@ router.get(
   }),
 )
 
+// @desc    Compare products side by side with a normalized specification table
+// @route   GET /api/products/compare?ids=id1,id2
+// @access  Public
+router.get(
+  "/compare",
+  asyncHandler(async (req, res) => {
+    const ids = [].concat(req.query.ids || []).flatMap((value) => String(value).split(","))
+    res.json(await compareProducts(ids))
+  }),
+)
+
 // @desc    Fetch single product by ID
 // @route   GET /api/products/:id
 // @access  Public
 router.get(
   "/:id",
   asyncHandler(async (req, res) => {
-    const product = await Product.findById(req.params.id).populate("category", "name slug").populate("brand", "name")
+    const product = await Product.findById(req.params.id)
+      .populate("category", "name slug")
+      .populate("brand", "name")
+      .populate(variantPopulate)
 
     if (product && product.isActive) {
       res.json(product)
@@ -273,6 +308,7 @@ router.get(
     const product = await Product.findOne({ slug: req.params.slug, isActive: true })
       .populate("category", "name slug")
       .populate("brand", "name")
+      .populate(variantPopulate)
 
     if (product) {
       res.json(product)
@@ -330,7 +366,8 @@ router.post(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Product),
   asyncHandler(async (req, res) => {
     const { parentCategory, category, ...productData } = req.body
 
@@ -387,7 +424,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Product),
   asyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id)
 
@@ -452,7 +490,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Product),
   asyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id)
 
@@ -490,7 +529,7 @@ router.get(
 router.post(
   "/bulk-preview",
   protect,
-  admin,
+  authorize("catalog.manage"),
   excelUpload.single("file"),
   asyncHandler(async (req, res) => {
     console.log("--- BULK PREVIEW START ---")
@@ -752,7 +791,7 @@ router.post(
 router.post(
   "/bulk-preview-csv",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     console.log("--- CSV BULK PREVIEW START ---")
     const { csvData } = req.body
@@ -1011,7 +1050,8 @@ router.post(
 router.post(
   "/bulk-save",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Product),
   asyncHandler(async (req, res) => {
     const products = req.body.products
     if (!Array.isArray(products) || products.length === 0) {
@@ -1019,6 +1059,7 @@ router.post(
     }
 
     const results = []
+    const createdIds = []
     let success = 0
     let failed = 0
     const allowedStockStatus = ["Available Product", "Out of Stock", "PreOrder"]
@@ -1068,6 +1109,10 @@ router.post(
           offerPrice: prod.offerPrice || 0,
           discount: prod.discount || 0,
           tax: prod.tax,
+          warranty: prod.warranty,
+          colors: prod.color ? [prod.color] : [],
+          sizes: prod.size ? [prod.size] : [],
+          volume: prod.volume,
           stockStatus,
           showStockOut: prod.showStockOut !== undefined ? Boolean(prod.showStockOut) : true,
           canPurchase: prod.canPurchase !== undefined ? Boolean(prod.canPurchase) : true,
@@ -1088,6 +1133,7 @@ router.post(
 
         await product.save()
         results.push({ index: i, status: "success", product: product })
+        createdIds.push(product._id)
         success++
       } catch (error) {
         results.push({ index: i, status: "failed", reason: error.message, product: prod })
@@ -1121,6 +1167,8 @@ router.post(
       }),
     )
 
+    // One audit entry per created product
+    res.locals.auditIds = createdIds
     res.json({
       message: `Bulk save complete`,
       total: products.length,
@@ -1,7 +1,8 @@
 import express from 'express';
 import asyncHandler from 'express-async-handler';
 import RequestCallback from '../models/requestCallbackModel.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { audit } from '../middleware/auditMiddleware.js';
 
 const router = express.Router();
 
@@ -19,7 +20,7 @@ router.post(
 router.get(
   '/',
   protect,
-  admin,
+  authorize('callbacks.manage'),
   asyncHandler(async (req, res) => {
     const callbacks = await RequestCallback.find().sort({ createdAt: -1 });
     res.json(callbacks);
@@ -30,7 +31,8 @@ router.get(
 router.patch(
   '/:id/status',
   protect,
-  admin,
+  authorize('callbacks.manage'),
+  audit(RequestCallback),
   asyncHandler(async (req, res) => {
     const { status } = req.body;
     const callback = await RequestCallback.findById(req.params.id);
@@ -48,7 +50,8 @@ router.patch(
 router.delete(
   '/:id',
   protect,
-  admin,
+  authorize('callbacks.manage'),
+  audit(RequestCallback),
   asyncHandler(async (req, res) => {
     const callback = await RequestCallback.findById(req.params.id);
     if (!callback) {
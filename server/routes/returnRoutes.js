@@ -0,0 +1,169 @@
+import express from "express"
+import asyncHandler from "express-async-handler"
+import mongoose from "mongoose"
+import Order from "../models/orderModel.js"
+import ReturnRequest, { RETURN_REASONS } from "../models/returnRequestModel.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { hasPermission } from "../utils/permissions.js"
+import { returnPhotoUpload } from "../utils/cloudinary.js"
+import { sendRefundEmail } from "../utils/emailService.js"
+import {
+  MAX_RETURN_PHOTOS,
+  createReturnRequest,
+  getReturnDeadline,
+  getReturnableItems,
+  updateReturnStatus,
+} from "../utils/returns.js"
+
+const router = express.Router()
+
+// Load one of the current user's orders
+const findOwnOrder = async (req, res, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(orderId || ""))) {
+    res.status(400)
+    throw new Error("Invalid order id")
+  }
+
+  const order = await Order.findById(orderId)
+  if (!order || order.user?.toString() !== req.user._id.toString()) {
+    res.status(404)
+    throw new Error("Order not found")
+  }
+
+  return order
+}
+
+// @desc    Items of an order that can still be returned, and the return requests made for it
+// @route   GET /api/returns/order/:orderId
+// @access  Private
+router.get(
+  "/order/:orderId",
+  protect,
+  asyncHandler(async (req, res) => {
+    const order = await findOwnOrder(req, res, req.params.orderId)
+    const [items, requests] = await Promise.all([
+      getReturnableItems(order),
+      ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 }),
+    ])
+
+    res.json({ items, requests, reasons: RETURN_REASONS, deadline: getReturnDeadline(order) })
+  }),
+)
+
+// @desc    Upload photos of the items to return
+// @route   POST /api/returns/photos
+// @access  Private
+router.post(
+  "/photos",
+  protect,
+  returnPhotoUpload.array("images", MAX_RETURN_PHOTOS),
+  asyncHandler(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      res.status(400)
+      throw new Error("No files uploaded")
+    }
+
+    res.json({ urls: req.files.map((file) => file.path) })
+  }),
+)
+
+// @desc    Request a return for delivered items
+// @route   POST /api/returns
+// @access  Private
+router.post(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { orderId, items, reason, comment, photos } = req.body
+
+    if (!RETURN_REASONS.includes(reason)) {
+      res.status(400)
+      throw new Error("Please select a reason for the return")
+    }
+
+    const order = await findOwnOrder(req, res, orderId)
+    const returnRequest = await createReturnRequest(order, req.user, { items, reason, comment, photos })
+
+    res.status(201).json(returnRequest)
+  }),
+)
+
+// @desc    Get logged in user's return requests
+// @route   GET /api/returns/my
+// @access  Private
+router.get(
+  "/my",
+  protect,
+  asyncHandler(async (req, res) => {
+    const requests = await ReturnRequest.find({ user: req.user._id }).sort({ createdAt: -1 })
+    res.json(requests)
+  }),
+)
+
+// @desc    Return requests for the admin review queue, optionally by status
+// @route   GET /api/returns?status=Requested
+// @access  Private/Admin
+router.get(
+  "/",
+  protect,
+  authorize("orders.view"),
+  asyncHandler(async (req, res) => {
+    const filter = req.query.status ? { status: req.query.status } : {}
+    const requests = await ReturnRequest.find(filter)
+      .populate("user", "name email")
+      .populate("order", "orderNumber totalPrice paymentMethod isPaid refundedAmount deliveredAt shippingAddress")
+      .sort({ createdAt: -1 })
+    res.json(requests)
+  }),
+)
+
+// @desc    Approve, reject, receive (restock) or refund a return request
+// @route   PUT /api/returns/:id/status
+// @access  Private/Admin
+router.put(
+  "/:id/status",
+  protect,
+  authorize("orders.manage"),
+  audit(ReturnRequest),
+  asyncHandler(async (req, res) => {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+    if (!returnRequest) {
+      res.status(404)
+      throw new Error("Return request not found")
+    }
+
+    const order = await Order.findById(returnRequest.order).populate("user", "name email")
+    if (!order) {
+      res.status(404)
+      throw new Error("Order not found")
+    }
+
+    const { status, note, restock } = req.body
+    // Refunding moves money, which takes the same permission as refunding the order itself
+    if (status === "Refunded" && !hasPermission(req.user, "orders.refund")) {
+      res.status(403)
+      throw new Error("Access denied - your role does not allow refunds")
+    }
+
+    const { refund } = await updateReturnStatus(
+      returnRequest,
+      order,
+      { status, note, restock: restock !== false },
+      req.user,
+    )
+
+    if (refund) {
+      try {
+        await sendRefundEmail(order, refund)
+      } catch (emailError) {
+        console.error("Failed to send refund email:", emailError)
+        // Don't fail the return update if email fails
+      }
+    }
+
+    res.json(returnRequest)
+  }),
+)
+
+export default router
@@ -0,0 +1,41 @@
+import express from "express"
+import asyncHandler from "express-async-handler"
+import { rateLimit } from "../middleware/rateLimitMiddleware.js"
+import { getSuggestions, recordSearch } from "../utils/searchSuggestions.js"
+
+const router = express.Router()
+
+// Counts feed the popular searches everyone sees, keep one visitor from pushing their own
+const recordSearchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: "Too many searches. Please try again in a minute.",
+})
+
+// @desc    Products, categories, subcategories, brands, blog posts and popular searches matching what was typed
+// @route   GET /api/search/suggest?q=
+// @access  Public
+router.get(
+  "/suggest",
+  asyncHandler(async (req, res) => {
+    res.json(await getSuggestions(req.query.q))
+  }),
+)
+
+// @desc    Log a search a shopper ran, for popular search suggestions
+// @route   POST /api/search/queries
+// @access  Public
+router.post(
+  "/queries",
+  recordSearchLimiter,
+  asyncHandler(async (req, res) => {
+    if (!(await recordSearch(req.body.query, req.ip))) {
+      res.status(400)
+      throw new Error("Search query is required")
+    }
+
+    res.status(201).json({ message: "Search recorded" })
+  }),
+)
+
+export default router
@@ -3,7 +3,8 @@ import asyncHandler from "express-async-handler"
 import Settings from "../models/settingsModel.js"
 import User from "../models/userModel.js"
 import bcrypt from "bcryptjs"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, admin, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -31,7 +32,8 @@ router.get(
 router.put(
   "/",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(Settings, { findEntity: () => Settings.findOne({}) }),
   asyncHandler(async (req, res) => {
     let settings = await Settings.findOne({})
 
@@ -39,9 +41,9 @@ router.put(
       settings = new Settings({})
     }
 
-    // Update settings fields
+    // Update settings fields, the staff two-factor requirement has its own checked route
     Object.keys(req.body).forEach((key) => {
-      if (key !== "updatedBy") {
+      if (key !== "updatedBy" && key !== "requireStaffTwoFactor") {
         settings[key] = req.body[key]
       }
     })
@@ -60,6 +62,7 @@ router.put(
   "/password",
   protect,
   admin,
+  audit(User, { getId: (req) => req.user._id }),
   asyncHandler(async (req, res) => {
     const { currentPassword, newPassword } = req.body
 
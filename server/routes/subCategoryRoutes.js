@@ -478,7 +478,9 @@ import express from "express"
 import asyncHandler from "express-async-handler"
 import SubCategory from "../models/subCategoryModel.js"
 import Category from "../models/categoryModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+import { getSpecificationKeys, refreshProductAttributes, sanitizeFilterAttributes } from "../utils/productAttributes.js"
 
 const router = express.Router()
 
@@ -488,7 +490,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const subCategories = await SubCategory.find({ isDeleted: { $ne: true } })
       .populate("category", "name slug")
@@ -497,13 +499,56 @@ router.get(
   }),
 )
 
+// @desc    Fetch single subcategory (Admin only - includes inactive)
+// @route   GET /api/subcategories/admin/:id
+// @access  Private/Admin
+router.get(
+  "/admin/:id",
+  protect,
+  authorize("catalog.manage"),
+  asyncHandler(async (req, res) => {
+    const subcategory = await SubCategory.findById(req.params.id).populate("category", "name slug filterAttributes")
+
+    if (subcategory && !subcategory.isDeleted) {
+      res.json(subcategory)
+    } else {
+      res.status(404)
+      throw new Error("Subcategory not found")
+    }
+  }),
+)
+
+// @desc    Specification keys this subcategory's products use, to define filter attributes from
+// @route   GET /api/subcategories/:id/spec-keys
+// @access  Private/Admin
+router.get(
+  "/:id/spec-keys",
+  protect,
+  authorize("catalog.manage"),
+  asyncHandler(async (req, res) => {
+    const subcategory = await SubCategory.findById(req.params.id)
+    if (!subcategory) {
+      res.status(404)
+      throw new Error("Subcategory not found")
+    }
+
+    res.json(await getSpecificationKeys({ $or: [{ category: subcategory._id }, { subCategory: subcategory._id }] }))
+  }),
+)
+
 // @desc    Fetch all subcategories
 // @route   GET /api/subcategories
 // @access  Public
 router.get(
   "/",
   asyncHandler(async (req, res) => {
-    const subCategories = await SubCategory.find({ isActive: true, isDeleted: { $ne: true } })
+    const query = { isActive: true, isDeleted: { $ne: true } }
+    // The shop lists the subcategories of the category picked
+    if (typeof req.query.category === "string" && req.query.category.match(/^[0-9a-fA-F]{24}$/)) {
+      query.category = req.query.category
+    }
+
+    const subCategories = await SubCategory.find(query)
       .populate("category", "name slug")
       .sort({ sortOrder: 1, name: 1 })
     res.json(subCategories)
@@ -516,9 +561,10 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(SubCategory),
   asyncHandler(async (req, res) => {
-    const { name, description, category, image, slug } = req.body
+    const { name, description, category, image, slug, filterAttributes } = req.body
 
     if (!name || name.trim() === "") {
       res.status(400)
@@ -558,6 +604,7 @@ router.post(
       image: image || "",
       slug: subCategorySlug,
       isActive: true,
+      filterAttributes: sanitizeFilterAttributes(filterAttributes),
       createdBy: req.user._id,
     })
 
@@ -573,9 +620,10 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(SubCategory),
   asyncHandler(async (req, res) => {
-    const { name, description, category, image, slug, isActive } = req.body
+    const { name, description, category, image, slug, isActive, filterAttributes } = req.body
 
     const subcategory = await SubCategory.findById(req.params.id)
 
@@ -609,8 +657,19 @@ router.put(
       subcategory.image = image !== undefined ? image : subcategory.image
       subcategory.slug = slug || subcategory.slug
       subcategory.isActive = isActive !== undefined ? isActive : subcategory.isActive
+      // Products keep normalized attribute values, they are recomputed when the definitions or category change
+      let attributesChanged = subcategory.isModified("category")
+      if (filterAttributes !== undefined) {
+        const sanitized = sanitizeFilterAttributes(filterAttributes)
+        attributesChanged ||=
+          JSON.stringify(sanitized) !== JSON.stringify(subcategory.toObject().filterAttributes || [])
+        subcategory.filterAttributes = sanitized
+      }
 
       const updatedSubCategory = await subcategory.save()
+      if (attributesChanged) {
+        await refreshProductAttributes({ $or: [{ category: subcategory._id }, { subCategory: subcategory._id }] })
+      }
       await updatedSubCategory.populate("category", "name")
       res.json(updatedSubCategory)
     } else {
@@ -626,7 +685,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(SubCategory),
   asyncHandler(async (req, res) => {
     const subcategory = await SubCategory.findById(req.params.id)
 
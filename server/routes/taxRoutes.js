@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Tax from "../models/taxModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("settings.manage"),
   asyncHandler(async (req, res) => {
     const taxes = await Tax.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(taxes)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(Tax),
   asyncHandler(async (req, res) => {
     const { name, rate, type, description } = req.body
 
@@ -58,7 +60,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(Tax),
   asyncHandler(async (req, res) => {
     const tax = await Tax.findById(req.params.id)
 
@@ -86,7 +89,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("settings.manage"),
+  audit(Tax),
   asyncHandler(async (req, res) => {
     const tax = await Tax.findById(req.params.id)
 
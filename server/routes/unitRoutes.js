@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Unit from "../models/unitModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const units = await Unit.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(units)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Unit),
   asyncHandler(async (req, res) => {
     const { name, symbol, type } = req.body
 
@@ -57,7 +59,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Unit),
   asyncHandler(async (req, res) => {
     const unit = await Unit.findById(req.params.id)
 
@@ -84,7 +87,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Unit),
   asyncHandler(async (req, res) => {
     const unit = await Unit.findById(req.params.id)
 
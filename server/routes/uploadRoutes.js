@@ -1,6 +1,11 @@
 import express from "express"
 import { upload, deleteFromCloudinary } from "../utils/cloudinary.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
+
+// Images go into products, blog posts and banners
+const canUpload = authorize("catalog.manage", "blog.manage", "marketing.manage")
+const auditImage = audit("Image", { getId: (req) => req.params.publicId })
 
 const router = express.Router()
 
@@ -15,7 +20,8 @@ router.post(
     next()
   },
   protect,
-  admin,
+  canUpload,
+  auditImage,
   upload.single("image"),
   (req, res) => {
     try {
@@ -62,7 +68,8 @@ router.post(
     next()
   },
   protect,
-  admin,
+  canUpload,
+  auditImage,
   upload.array("images", 5),
   (req, res) => {
     try {
@@ -106,7 +113,7 @@ router.post(
 // @desc    Delete image
 // @route   DELETE /api/upload/:publicId
 // @access  Private/Admin
-router.delete("/:publicId", protect, admin, async (req, res) => {
+router.delete("/:publicId", protect, canUpload, auditImage, async (req, res) => {
   try {
     const { publicId } = req.params
     console.log("🗑️ Delete request for:", publicId)
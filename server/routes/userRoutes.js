@@ -1,12 +1,52 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
-import User from "../models/userModel.js"
+import mongoose from "mongoose"
+import User, { hashPasswordResetToken } from "../models/userModel.js"
+import config from "../config/config.js"
 import generateToken from "../utils/generateToken.js"
 import { protect } from "../middleware/authMiddleware.js"
-import { sendVerificationEmail } from "../utils/emailService.js"
+import { rateLimit } from "../middleware/rateLimitMiddleware.js"
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/emailService.js"
+import { claimGuestOrders } from "../utils/guestCheckout.js"
+import { confirmEmailChange, requestEmailChange } from "../utils/emailChange.js"
+import {
+  clearRefreshCookie,
+  endSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  startSession,
+} from "../utils/sessions.js"
+import escapeRegex from "../utils/escapeRegex.js"
 
 const router = express.Router()
 
+const PASSWORD_RESET_WINDOW_MS = 15 * 60 * 1000
+const MIN_PASSWORD_LENGTH = 6
+
+// Every request sends an email, keep anyone from flooding an inbox
+const forgotPasswordLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_WINDOW_MS,
+  max: 5,
+  message: "Too many password reset requests. Please try again in a few minutes.",
+})
+const resetPasswordLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_WINDOW_MS,
+  max: 20,
+  message: "Too many password reset attempts. Please try again in a few minutes.",
+})
+
+// Orders placed at guest checkout with this email become part of the account
+const attachGuestOrders = async (user) => {
+  try {
+    await claimGuestOrders(user)
+  } catch (error) {
+    console.error("Failed to attach guest orders:", error)
+    // Don't fail the sign in, the orders are attached on the next one
+  }
+}
+
 // @desc    Register a new user
 // @route   POST /api/users/register
 // @access  Public
@@ -81,6 +121,7 @@ router.post(
       user.emailVerificationCode = undefined
       user.emailVerificationExpires = undefined
       await user.save()
+      await attachGuestOrders(user)
 
       res.json({
         _id: user._id,
@@ -88,7 +129,7 @@ router.post(
         email: user.email,
         isAdmin: user.isAdmin,
         isEmailVerified: user.isEmailVerified,
-        token: generateToken(user._id),
+        token: await startSession(req, res, user),
       })
     } else {
       res.status(400)
@@ -151,13 +192,15 @@ router.post(
         throw new Error("Please verify your email before logging in")
       }
 
+      await attachGuestOrders(user)
+
       res.json({
         _id: user._id,
         name: user.name,
         email: user.email,
         isAdmin: user.isAdmin,
         isEmailVerified: user.isEmailVerified,
-        token: generateToken(user._id),
+        token: await startSession(req, res, user),
       })
     } else {
       res.status(401)
@@ -166,6 +209,175 @@ router.post(
   }),
 )
 
+// @desc    Get a new access token with the refresh token cookie
+// @route   POST /api/users/refresh
+// @access  Public (refresh token cookie)
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const { user, token } = await refreshSession(req, res, "user")
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      isEmailVerified: user.isEmailVerified,
+      token,
+    })
+  }),
+)
+
+// @desc    Log out this device
+// @route   POST /api/users/logout
+// @access  Public (refresh token cookie)
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    await endSession(req, res, "user")
+    res.json({ message: "Logged out" })
+  }),
+)
+
+// @desc    Log out of all devices
+// @route   POST /api/users/logout-all
+// @access  Private
+router.post(
+  "/logout-all",
+  protect,
+  asyncHandler(async (req, res) => {
+    await revokeAllSessions(req.user._id)
+    clearRefreshCookie(res, "user")
+    res.json({ message: "Logged out of all devices" })
+  }),
+)
+
+// @desc    Devices the user is logged in on
+// @route   GET /api/users/sessions
+// @access  Private
+router.get(
+  "/sessions",
+  protect,
+  asyncHandler(async (req, res) => {
+    res.json(await listSessions(req.user._id, req.sessionId))
+  }),
+)
+
+// @desc    Log out one device
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await revokeSession(req.user._id, req.params.id))) {
+      res.status(404)
+      throw new Error("Session not found")
+    }
+
+    res.json({ message: "Device logged out" })
+  }),
+)
+
+// @desc    Email a password reset link. Answers the same whether or not the account exists.
+// @route   POST /api/users/forgot-password
+// @access  Public
+router.post(
+  "/forgot-password",
+  forgotPasswordLimiter,
+  asyncHandler(async (req, res) => {
+    const { email } = req.body
+
+    if (!email || typeof email !== "string") {
+      res.status(400)
+      throw new Error("Please enter your email address")
+    }
+
+    const message = "If an account exists for this email, we have sent a link to reset the password."
+    // Emails are stored as typed at registration, "Jane@Mail.com" still finds jane@mail.com
+    const user =
+      (await User.findOne({ email: email.trim() })) ||
+      (await User.findOne({ email: new RegExp(`^${escapeRegex(email.trim())}$`, "i") }))
+
+    if (!user) {
+      return res.json({ message })
+    }
+
+    const resetToken = user.generatePasswordResetToken()
+    await user.save()
+
+    try {
+      const resetUrl = `${config.FRONTEND_URL}/reset-password?token=${resetToken}`
+      await sendPasswordResetEmail(user.email, user.name, resetUrl)
+    } catch (emailError) {
+      // Answered like any other request, an error here would tell that the account exists
+      console.error("Failed to send password reset email:", emailError)
+      user.resetPasswordToken = undefined
+      user.resetPasswordExpires = undefined
+      await user.save()
+    }
+
+    res.json({ message })
+  }),
+)
+
+// @desc    Choose a new password with the token from the reset email
+// @route   POST /api/users/reset-password
+// @access  Public
+router.post(
+  "/reset-password",
+  resetPasswordLimiter,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body
+
+    if (!token || typeof token !== "string") {
+      res.status(400)
+      throw new Error("This password reset link is invalid or has expired")
+    }
+    if (!password || typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      res.status(400)
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+    }
+
+    // Take the token off the account in the same step it is checked, so it works only once
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken: hashPasswordResetToken(token),
+        resetPasswordExpires: { $gt: new Date() },
+      },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+      { new: true },
+    )
+
+    if (!user) {
+      res.status(400)
+      throw new Error("This password reset link is invalid or has expired")
+    }
+
+    user.password = password
+    // Opening the link proves the customer owns the email address
+    user.isEmailVerified = true
+    await user.save()
+    // Whoever knew the old password is logged out too
+    await revokeAllSessions(user._id)
+
+    res.json({ message: "Your password has been reset. You can now log in." })
+  }),
+)
+
+// @desc    Switch the account to the new email address with the token from the confirmation email
+// @route   POST /api/users/confirm-email-change
+// @access  Public
+router.post(
+  "/confirm-email-change",
+  resetPasswordLimiter,
+  asyncHandler(async (req, res) => {
+    const user = await confirmEmailChange(req.body.token)
+
+    res.json({ message: "Your email address has been changed.", email: user.email })
+  }),
+)
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -182,6 +394,7 @@ router.get(
         email: user.email,
         isAdmin: user.isAdmin,
         isEmailVerified: user.isEmailVerified,
+        pendingEmail: user.pendingEmail,
         phone: user.phone,
         address: user.address,
         dateOfBirth: user.dateOfBirth,
@@ -207,7 +420,6 @@ router.put(
 
     if (user) {
       user.name = req.body.name || user.name
-      user.email = req.body.email || user.email
       user.phone = req.body.phone || user.phone
       user.address = req.body.address || user.address
       user.dateOfBirth = req.body.dateOfBirth || user.dateOfBirth
@@ -215,10 +427,20 @@ router.put(
       user.preferences = req.body.preferences || user.preferences
 
       if (req.body.password) {
+        if (!(await user.matchPassword(req.body.currentPassword || ""))) {
+          res.status(400)
+          throw new Error("Current password is incorrect")
+        }
         user.password = req.body.password
       }
 
       const updatedUser = await user.save()
+      if (req.body.password) {
+        // Whoever knew the old password is logged out, this device stays in
+        await revokeAllSessions(updatedUser._id, req.sessionId)
+      }
+      // A new email address is used only once it is confirmed
+      const emailChangeRequested = await requestEmailChange(updatedUser, req.body.email)
 
       res.json({
         _id: updatedUser._id,
@@ -226,91 +448,14 @@ router.put(
         email: updatedUser.email,
         isAdmin: updatedUser.isAdmin,
         isEmailVerified: updatedUser.isEmailVerified,
+        pendingEmail: updatedUser.pendingEmail,
+        emailChangeRequested,
         phone: updatedUser.phone,
         address: updatedUser.address,
         dateOfBirth: updatedUser.dateOfBirth,
         gender: updatedUser.gender,
         preferences: updatedUser.preferences,
-        token: generateToken(updatedUser._id),
-      })
-    } else {
-      res.status(404)
-      throw new Error("User not found")
-    }
-  }),
-)
-
-// @desc    Get all users (Admin only)
-// @route   GET /api/users
-// @access  Private/Admin
-router.get(
-  "/",
-  protect,
-  asyncHandler(async (req, res) => {
-    const users = await User.find({}).select("-password")
-    res.json(users)
-  }),
-)
-
-// @desc    Delete user (Admin only)
-// @route   DELETE /api/users/:id
-// @access  Private/Admin
-router.delete(
-  "/:id",
-  protect,
-  asyncHandler(async (req, res) => {
-    const user = await User.findById(req.params.id)
-
-    if (user) {
-      await User.findByIdAndDelete(req.params.id)
-      res.json({ message: "User removed" })
-    } else {
-      res.status(404)
-      throw new Error("User not found")
-    }
-  }),
-)
-
-// @desc    Get user by ID (Admin only)
-// @route   GET /api/users/:id
-// @access  Private/Admin
-router.get(
-  "/:id",
-  protect,
-  asyncHandler(async (req, res) => {
-    const user = await User.findById(req.params.id).select("-password")
-
-    if (user) {
-      res.json(user)
-    } else {
-      res.status(404)
-      throw new Error("User not found")
-    }
-  }),
-)
-
-// @desc    Update user (Admin only)
-// @route   PUT /api/users/:id
-// @access  Private/Admin
-router.put(
-  "/:id",
-  protect,
-  asyncHandler(async (req, res) => {
-    const user = await User.findById(req.params.id)
-
-    if (user) {
-      user.name = req.body.name || user.name
-      user.email = req.body.email || user.email
-      user.isAdmin = Boolean(req.body.isAdmin)
-
-      const updatedUser = await user.save()
-
-      res.json({
-        _id: updatedUser._id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        isAdmin: updatedUser.isAdmin,
-        isEmailVerified: updatedUser.isEmailVerified,
+        token: generateToken(updatedUser._id, req.sessionId, req.sessionScope),
       })
     } else {
       res.status(404)
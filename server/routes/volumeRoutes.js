@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Volume from "../models/volumeModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const volumes = await Volume.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(volumes)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Volume),
   asyncHandler(async (req, res) => {
     const { name, value, unit } = req.body
 
@@ -57,7 +59,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Volume),
   asyncHandler(async (req, res) => {
     const volume = await Volume.findById(req.params.id)
 
@@ -84,7 +87,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Volume),
   asyncHandler(async (req, res) => {
     const volume = await Volume.findById(req.params.id)
 
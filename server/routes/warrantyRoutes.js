@@ -1,7 +1,8 @@
 import express from "express"
 import asyncHandler from "express-async-handler"
 import Warranty from "../models/warrantyModel.js"
-import { protect, admin } from "../middleware/authMiddleware.js"
+import { protect, authorize } from "../middleware/authMiddleware.js"
+import { audit } from "../middleware/auditMiddleware.js"
 
 const router = express.Router()
 
@@ -11,7 +12,7 @@ const router = express.Router()
 router.get(
   "/admin",
   protect,
-  admin,
+  authorize("catalog.manage"),
   asyncHandler(async (req, res) => {
     const warranties = await Warranty.find({ isDeleted: { $ne: true } }).sort({ sortOrder: 1, name: 1 })
     res.json(warranties)
@@ -35,7 +36,8 @@ router.get(
 router.post(
   "/",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Warranty),
   asyncHandler(async (req, res) => {
     const { name, duration, durationType, description } = req.body
 
@@ -58,7 +60,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Warranty),
   asyncHandler(async (req, res) => {
     const warranty = await Warranty.findById(req.params.id)
 
@@ -86,7 +89,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  admin,
+  authorize("catalog.manage"),
+  audit(Warranty),
   asyncHandler(async (req, res) => {
     const warranty = await Warranty.findById(req.params.id)
 
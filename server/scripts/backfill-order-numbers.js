@@ -0,0 +1,45 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import Order from "../models/orderModel.js"
+import { generateOrderNumber } from "../utils/orderNumber.js"
+
+dotenv.config()
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI)
+    console.log(`MongoDB Connected: ${conn.connection.host}`)
+  } catch (error) {
+    console.error(error)
+    process.exit(1)
+  }
+}
+
+// Give orders placed before sequential numbering a number, oldest first, from the counter
+// of the year they were placed in. Safe to run again, numbered orders are skipped.
+const backfillOrderNumbers = async () => {
+  try {
+    await connectDB()
+    await Order.syncIndexes()
+
+    const orders = await Order.find({ orderNumber: { $exists: false } })
+      .select("_id createdAt")
+      .sort({ createdAt: 1, _id: 1 })
+
+    console.log(`Found ${orders.length} orders without an order number`)
+
+    for (const order of orders) {
+      const orderNumber = await generateOrderNumber(order.createdAt || order._id.getTimestamp())
+      await Order.updateOne({ _id: order._id, orderNumber: { $exists: false } }, { $set: { orderNumber } })
+      console.log(`${order._id} -> ${orderNumber}`)
+    }
+
+    console.log("Order number backfill completed")
+    process.exit(0)
+  } catch (error) {
+    console.error("Error backfilling order numbers:", error)
+    process.exit(1)
+  }
+}
+
+backfillOrderNumbers()
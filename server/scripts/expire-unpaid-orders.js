@@ -0,0 +1,32 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import { expireUnpaidOrders } from "../utils/pendingPayments.js"
+
+dotenv.config()
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI)
+    console.log(`MongoDB Connected: ${conn.connection.host}`)
+  } catch (error) {
+    console.error(error)
+    process.exit(1)
+  }
+}
+
+// One run of the unpaid order job, for cron when PENDING_PAYMENT_JOB_INTERVAL_MINUTES=0
+const expireOrders = async () => {
+  try {
+    await connectDB()
+
+    const { expired } = await expireUnpaidOrders()
+
+    console.log(`Cancelled ${expired} unpaid order(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error cancelling unpaid orders:", error)
+    process.exit(1)
+  }
+}
+
+expireOrders()
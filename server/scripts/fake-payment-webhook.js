@@ -0,0 +1,86 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import Order from "../models/orderModel.js"
+import { signFakeWebhook } from "../utils/payments/fake.js"
+
+dotenv.config()
+
+// Sends a signed webhook from the local fake payment provider to a running server.
+// The server needs FAKE_PAYMENTS_ENABLED=true and the same FAKE_PAYMENT_WEBHOOK_SECRET.
+//
+//   node scripts/fake-payment-webhook.js --order <orderId> --status paid
+//   node scripts/fake-payment-webhook.js --payment <paymentId> --status failed --event evt_1
+//
+// --order links a fake payment id to the order first (needs MONGO_URI).
+// Reuse --event to check that replayed events are ignored.
+// Statuses: pending, authorized, paid, failed, cancelled, refunded
+
+const parseArgs = () => {
+  const args = {}
+  const argv = process.argv.slice(2)
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1]
+  }
+  return args
+}
+
+const linkFakePayment = async (orderId) => {
+  await mongoose.connect(process.env.MONGO_URI)
+  const order = await Order.findById(orderId)
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`)
+  }
+
+  if (!order.paymentResult?.fake_payment_id) {
+    order.set("paymentResult.fake_payment_id", `fake_${order._id}`)
+    await order.save()
+  }
+
+  const paymentId = order.paymentResult.fake_payment_id
+  await mongoose.disconnect()
+  return { paymentId, amount: order.totalPrice }
+}
+
+const sendFakeWebhook = async () => {
+  try {
+    const args = parseArgs()
+    if (!args.status || (!args.order && !args.payment)) {
+      console.log("Usage: node scripts/fake-payment-webhook.js (--order <id> | --payment <id>) --status <status>")
+      process.exit(1)
+    }
+
+    let paymentId = args.payment
+    let amount = args.amount ? Number(args.amount) : undefined
+    if (args.order) {
+      const linked = await linkFakePayment(args.order)
+      paymentId = linked.paymentId
+      amount = amount ?? linked.amount
+    }
+
+    const body = JSON.stringify({
+      eventId: args.event || `evt_${crypto.randomBytes(8).toString("hex")}`,
+      paymentId,
+      status: args.status,
+      amount,
+    })
+
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`
+    const response = await fetch(`${apiUrl}/api/payment/fake/webhook`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Fake-Signature": signFakeWebhook(body),
+      },
+      body,
+    })
+
+    console.log(`${response.status} ${await response.text()}`)
+    process.exit(response.ok ? 0 : 1)
+  } catch (error) {
+    console.error("❌ Fake webhook failed:", error.message)
+    process.exit(1)
+  }
+}
+
+sendFakeWebhook()
@@ -0,0 +1,32 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import { processAbandonedCarts } from "../utils/abandonedCarts.js"
+
+dotenv.config()
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI)
+    console.log(`MongoDB Connected: ${conn.connection.host}`)
+  } catch (error) {
+    console.error(error)
+    process.exit(1)
+  }
+}
+
+// One run of the abandoned cart reminder job, for cron when ABANDONED_CART_JOB_INTERVAL_MINUTES=0
+const sendCartReminders = async () => {
+  try {
+    await connectDB()
+
+    const { sent } = await processAbandonedCarts()
+
+    console.log(`Sent ${sent} abandoned cart reminder(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error sending abandoned cart reminders:", error)
+    process.exit(1)
+  }
+}
+
+sendCartReminders()
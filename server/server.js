@@ -1,9 +1,12 @@
 import express from "express"
 import cors from "cors"
+import cookieParser from "cookie-parser"
 import dotenv from "dotenv"
 import connectDB from "./config/db.js"
 import config from "./config/config.js"
 import { notFound, errorHandler } from "./middleware/errorMiddleware.js"
+import { startAbandonedCartJob } from "./utils/abandonedCarts.js"
+import { startPendingPaymentJob } from "./utils/pendingPayments.js"
 
 // Routes
 import userRoutes from "./routes/userRoutes.js"
@@ -30,7 +33,11 @@ import settingsRoutes from "./routes/settingsRoutes.js"
 import wishlistRoutes from "./routes/wishlistRoutes.js"
 import requestCallbackRoutes from "./routes/requestCallbackRoutes.js"
 import paymentRoutes from "./routes/paymentRoutes.js"
+import returnRoutes from "./routes/returnRoutes.js"
+import guestCheckoutRoutes from "./routes/guestCheckoutRoutes.js"
+import cartRoutes from "./routes/cartRoutes.js"
 import adminRoutes from "./routes/adminRoutes.js"
+import searchRoutes from "./routes/searchRoutes.js"
 
 dotenv.config()
 
@@ -75,7 +82,7 @@ app.use(cors({
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Guest-Token'],
   exposedHeaders: ['WWW-Authenticate', 'Server-Authorization'],
   maxAge: 5,
   credentials: true,
@@ -94,9 +101,26 @@ app.use(cors({
 
 
 
+// Client IPs for rate limiting come from X-Forwarded-For only when the proxy in front is trusted
+if (config.TRUST_PROXY) {
+  app.set("trust proxy", Number(config.TRUST_PROXY) || config.TRUST_PROXY)
+}
+
 // Body parser middleware
-app.use(express.json({ limit: "50mb" }))
+app.use(
+  express.json({
+    limit: "50mb",
+    // Payment webhooks are signed over the exact bytes that were sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payment")) {
+        req.rawBody = buf
+      }
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true, limit: "50mb" }))
+// Refresh tokens travel in httpOnly cookies
+app.use(cookieParser())
 
 // Routes
 app.use("/api/users", userRoutes)
@@ -123,7 +147,11 @@ app.use("/api/settings", settingsRoutes)
 app.use("/api/wishlist", wishlistRoutes)
 app.use("/api/request-callback", requestCallbackRoutes)
 app.use("/api/payment", paymentRoutes)
+app.use("/api/returns", returnRoutes)
+app.use("/api/guest-checkout", guestCheckoutRoutes)
+app.use("/api/cart", cartRoutes)
 app.use("/api/admin", adminRoutes)
+app.use("/api/search", searchRoutes)
 
 // Health check route
 app.get("/", (req, res) => {
@@ -142,4 +170,6 @@ const PORT = config.PORT
 
 app.listen(PORT, () => {
   console.log(`Server running in ${config.NODE_ENV} mode on port ${PORT}`)
+  startAbandonedCartJob()
+  startPendingPaymentJob()
 })
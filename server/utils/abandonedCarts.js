@@ -0,0 +1,293 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import config from "../config/config.js"
+import Cart from "../models/cartModel.js"
+import CartRecovery from "../models/cartRecoveryModel.js"
+import Coupon from "../models/couponModel.js"
+import Order from "../models/orderModel.js"
+import { getCartView } from "./cart.js"
+import { roundPrice } from "./orderPricing.js"
+import { CLOSED_ORDER_STATUSES } from "./orderStatus.js"
+import { sendAbandonedCartEmail } from "./emailService.js"
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const RESTORE_AUDIENCE = "cart-restore"
+
+// Carts left longer than the last reminder plus this are not picked up anymore
+const REMINDER_GRACE_HOURS = 24
+
+// Hours of inactivity before each reminder, e.g. "1,24,72"
+export const getReminderSchedule = () =>
+  String(config.ABANDONED_CART_REMINDER_HOURS || "")
+    .split(",")
+    .map((hours) => Number(hours.trim()))
+    .filter((hours) => Number.isFinite(hours) && hours > 0)
+    .sort((a, b) => a - b)
+
+export const createRestoreToken = (recovery) =>
+  jwt.sign({ recovery: recovery._id.toString() }, config.CART_RESTORE_TOKEN_SECRET, {
+    audience: RESTORE_AUDIENCE,
+    expiresIn: config.CART_RESTORE_LINK_EXPIRES_IN,
+  })
+
+export const getRestoreCartUrl = (recovery) =>
+  `${config.FRONTEND_URL}/cart/restore?token=${encodeURIComponent(createRestoreToken(recovery))}`
+
+export const findRecoveryByRestoreToken = async (token) => {
+  if (!config.CART_RESTORE_TOKEN_SECRET || typeof token !== "string") return null
+
+  try {
+    const { recovery } = jwt.verify(token, config.CART_RESTORE_TOKEN_SECRET, { audience: RESTORE_AUDIENCE })
+    return mongoose.Types.ObjectId.isValid(recovery) ? await CartRecovery.findById(recovery) : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Single-use discount only the cart owner can redeem
+const createRecoveryCoupon = (recovery, now) =>
+  Coupon.create({
+    code: `CART-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    description: "Abandoned cart reminder",
+    discountType: "percentage",
+    discountValue: config.ABANDONED_CART_COUPON_PERCENT,
+    usageLimit: 1,
+    validFrom: now,
+    validUntil: new Date(now.getTime() + config.ABANDONED_CART_COUPON_VALID_DAYS * DAY),
+    assignedTo: recovery.user,
+  })
+
+// Lines the customer can still buy as they are
+const getPurchasableItems = (view) =>
+  view.items.filter((item) => item.issues.every((issue) => issue.type === "priceChanged"))
+
+// Send the reminder that is due for one cart, if any. Returns true when an email went out.
+const remindCart = async (cart, schedule, now) => {
+  const user = cart.user
+  if (!user?.email || user.preferences?.newsletter === false) return false
+
+  const idleHours = (now - cart.lastActivityAt) / HOUR
+  // Reminders missed while the job was not running are skipped, only the latest due one is sent
+  const step = schedule.findLastIndex((hours) => hours <= idleHours)
+  if (step < 0) return false
+
+  const existing = await CartRecovery.findOne({ cart: cart._id, cartActivityAt: cart.lastActivityAt })
+  if (existing && (existing.status !== "active" || existing.reminders.some((reminder) => reminder.step >= step))) {
+    return false
+  }
+
+  // Ordered since the last cart change: the cart is just left over
+  if (await Order.exists({ user: user._id, createdAt: { $gte: cart.lastActivityAt } })) return false
+
+  const view = await getCartView(cart)
+  const items = getPurchasableItems(view)
+  if (items.length === 0) return false
+
+  const recovery =
+    existing ||
+    (await CartRecovery.findOneAndUpdate(
+      { cart: cart._id, cartActivityAt: cart.lastActivityAt },
+      {
+        $setOnInsert: {
+          user: user._id,
+          items: items.map((item) => ({
+            product: item.product,
+            variant: item.variant,
+            name: item.name,
+            quantity: item.quantity,
+            price: item.price,
+          })),
+          cartValue: roundPrice(items.reduce((acc, item) => acc + item.price * item.quantity, 0)),
+        },
+      },
+      { new: true, upsert: true },
+    ))
+
+  // Claim the step before sending so two job runs never send the same reminder
+  const claimed = await CartRecovery.findOneAndUpdate(
+    { _id: recovery._id, status: "active", "reminders.step": { $not: { $gte: step } } },
+    { $push: { reminders: { step, sentAt: now } } },
+    { new: true },
+  )
+  if (!claimed) return false
+
+  try {
+    let coupon = null
+    if (step + 1 === config.ABANDONED_CART_COUPON_STEP) {
+      coupon =
+        (claimed.coupon && (await Coupon.findById(claimed.coupon))) || (await createRecoveryCoupon(claimed, now))
+      claimed.coupon = coupon._id
+      claimed.couponCode = coupon.code
+      await claimed.save()
+    }
+
+    await sendAbandonedCartEmail(user, {
+      items,
+      itemsPrice: claimed.cartValue,
+      coupon,
+      restoreUrl: getRestoreCartUrl(claimed),
+      isLastReminder: step === schedule.length - 1,
+    })
+  } catch (error) {
+    await CartRecovery.updateOne({ _id: claimed._id }, { $pull: { reminders: { step } } })
+    throw error
+  }
+
+  return true
+}
+
+// One run of the reminder job: sends the reminders that are due and closes sequences nobody
+// came back from
+export const processAbandonedCarts = async (now = new Date()) => {
+  const schedule = getReminderSchedule()
+  if (schedule.length === 0) return { sent: 0 }
+
+  const attributionStart = new Date(now.getTime() - config.ABANDONED_CART_ATTRIBUTION_DAYS * DAY)
+  await CartRecovery.updateMany(
+    {
+      status: "active",
+      "reminders.0": { $exists: true },
+      reminders: { $not: { $elemMatch: { sentAt: { $gte: attributionStart } } } },
+    },
+    { $set: { status: "expired" } },
+  )
+
+  const carts = await Cart.find({
+    "items.0": { $exists: true },
+    lastActivityAt: {
+      $lte: new Date(now.getTime() - schedule[0] * HOUR),
+      $gte: new Date(now.getTime() - (schedule[schedule.length - 1] + REMINDER_GRACE_HOURS) * HOUR),
+    },
+  }).populate("user", "name email preferences")
+
+  let sent = 0
+  for (const cart of carts) {
+    try {
+      if (await remindCart(cart, schedule, now)) sent += 1
+    } catch (error) {
+      console.error(`Failed to send abandoned cart reminder for cart ${cart._id}:`, error)
+    }
+  }
+
+  return { sent }
+}
+
+let jobTimer = null
+let jobRunning = false
+
+// Run the reminder job inside the API process every ABANDONED_CART_JOB_INTERVAL_MINUTES
+export const startAbandonedCartJob = () => {
+  const minutes = config.ABANDONED_CART_JOB_INTERVAL_MINUTES
+  if (jobTimer || !minutes || minutes <= 0) return
+
+  jobTimer = setInterval(async () => {
+    if (jobRunning) return
+    jobRunning = true
+    try {
+      const { sent } = await processAbandonedCarts()
+      if (sent > 0) console.log(`Sent ${sent} abandoned cart reminder(s)`)
+    } catch (error) {
+      console.error("Abandoned cart job failed:", error)
+    } finally {
+      jobRunning = false
+    }
+  }, minutes * 60 * 1000)
+  jobTimer.unref()
+}
+
+// Credit an order to the reminder sequence that brought the customer back: the one whose
+// coupon was used, otherwise the latest one with a reminder inside the attribution window
+export const markCartRecovered = async (order) => {
+  const userId = order.user?._id || order.user
+  if (!userId) return null
+
+  const update = {
+    $set: {
+      status: "recovered",
+      recoveredOrder: order._id,
+      recoveredRevenue: order.totalPrice,
+      recoveredAt: new Date(),
+    },
+  }
+
+  if (order.couponCode) {
+    const byCoupon = await CartRecovery.findOneAndUpdate(
+      { user: userId, couponCode: order.couponCode, status: { $ne: "recovered" } },
+      update,
+      { new: true },
+    )
+    if (byCoupon) return byCoupon
+  }
+
+  const attributionStart = new Date(Date.now() - config.ABANDONED_CART_ATTRIBUTION_DAYS * DAY)
+  return CartRecovery.findOneAndUpdate(
+    { user: userId, status: "active", "reminders.sentAt": { $gte: attributionStart } },
+    update,
+    { new: true, sort: { updatedAt: -1 } },
+  )
+}
+
+// Reminder and recovery figures for sequences started between from and to
+export const getRecoveryReport = async ({ from, to }) => {
+  const recoveries = await CartRecovery.find({ createdAt: { $gte: from, $lte: to } })
+    .populate("user", "name email")
+    .populate("recoveredOrder", "orderNumber totalPrice status couponCode createdAt")
+    .sort({ createdAt: -1 })
+
+  // Orders that were cancelled or returned did not bring any revenue
+  const isRecovered = (recovery) =>
+    recovery.status === "recovered" &&
+    recovery.recoveredOrder &&
+    !CLOSED_ORDER_STATUSES.includes(recovery.recoveredOrder.status)
+
+  const schedule = getReminderSchedule()
+  const byStep = schedule.map((hours, step) => {
+    const lastStepSent = recoveries.filter(
+      (recovery) => Math.max(...recovery.reminders.map((reminder) => reminder.step), -1) === step,
+    )
+    return {
+      step: step + 1,
+      hours,
+      sent: recoveries.filter((recovery) => recovery.reminders.some((reminder) => reminder.step === step)).length,
+      recovered: lastStepSent.filter(isRecovered).length,
+    }
+  })
+
+  const recovered = recoveries.filter(isRecovered)
+  const remindedCarts = recoveries.filter((recovery) => recovery.reminders.length > 0)
+
+  return {
+    from,
+    to,
+    summary: {
+      remindedCarts: remindedCarts.length,
+      remindersSent: recoveries.reduce((acc, recovery) => acc + recovery.reminders.length, 0),
+      abandonedValue: roundPrice(remindedCarts.reduce((acc, recovery) => acc + recovery.cartValue, 0)),
+      clickedCarts: recoveries.filter((recovery) => recovery.clickedAt).length,
+      recoveredCarts: recovered.length,
+      recoveredRevenue: roundPrice(recovered.reduce((acc, recovery) => acc + recovery.recoveredRevenue, 0)),
+      recoveryRate: remindedCarts.length > 0 ? roundPrice((recovered.length / remindedCarts.length) * 100) : 0,
+      couponsIssued: recoveries.filter((recovery) => recovery.couponCode).length,
+      couponsRedeemed: recovered.filter(
+        (recovery) => recovery.couponCode && recovery.recoveredOrder.couponCode === recovery.couponCode,
+      ).length,
+    },
+    byStep,
+    recoveries: recoveries.slice(0, 100).map((recovery) => ({
+      _id: recovery._id,
+      user: recovery.user,
+      cartValue: recovery.cartValue,
+      itemCount: recovery.items.reduce((acc, item) => acc + item.quantity, 0),
+      remindersSent: recovery.reminders.length,
+      lastReminderAt: recovery.reminders[recovery.reminders.length - 1]?.sentAt,
+      couponCode: recovery.couponCode,
+      clickedAt: recovery.clickedAt,
+      status: recovery.status,
+      recoveredOrder: recovery.recoveredOrder,
+      recoveredRevenue: isRecovered(recovery) ? recovery.recoveredRevenue : 0,
+      createdAt: recovery.createdAt,
+    })),
+  }
+}
@@ -0,0 +1,133 @@
+import AuditLog from "../models/auditLogModel.js"
+import { getUserRole } from "./permissions.js"
+import escapeRegex from "./escapeRegex.js"
+
+// Secrets never go into the log, only the fact that they changed
+const REDACTED_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpires",
+  "emailVerificationCode",
+  "emailVerificationExpires",
+  "emailChangeToken",
+  "emailChangeExpires",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+  "twoFactor.lastUsedStep",
+]
+// Bookkeeping that changes on every save
+const IGNORED_FIELDS = ["__v", "updatedAt"]
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+// { a: { b: 1 }, c: [2] } -> { "a.b": 1, "c.0": 2 }, ObjectIds and dates as strings
+const flatten = (value, prefix = "", result = {}) => {
+  if ((isPlainObject(value) || Array.isArray(value)) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, result))
+  } else if (prefix) {
+    result[prefix] = value
+  }
+  return result
+}
+
+const toFlatFields = (doc) => (doc ? flatten(JSON.parse(JSON.stringify(doc))) : {})
+
+const isIgnored = (field) => IGNORED_FIELDS.includes(field.split(".")[0])
+const isRedacted = (field) =>
+  REDACTED_FIELDS.some((redacted) => field === redacted || field.startsWith(`${redacted}.`))
+
+// Fields that differ between two versions of a document, either side may be null for creates and deletes
+export const diffDocuments = (before, after) => {
+  const beforeFields = toFlatFields(before)
+  const afterFields = toFlatFields(after)
+  const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])]
+
+  return fields
+    .filter((field) => !isIgnored(field))
+    .filter((field) => JSON.stringify(beforeFields[field]) !== JSON.stringify(afterFields[field]))
+    .map((field) =>
+      isRedacted(field)
+        ? { field, before: "[redacted]", after: "[redacted]" }
+        : { field, before: beforeFields[field], after: afterFields[field] },
+    )
+}
+
+// What the admin panel calls the record, for the log list and search
+const getEntityLabel = (doc) => {
+  if (!doc) return undefined
+  const label = doc.name || doc.title || doc.code || doc.orderNumber || doc.email || doc.originalname
+  return label === undefined ? undefined : String(label)
+}
+
+const getAction = (method, before, after) => {
+  if (before && !after) return "delete"
+  if (!before && after) return method === "POST" ? "create" : "update"
+  if (before && after) return "update"
+  return { POST: "create", DELETE: "delete" }[method] || "update"
+}
+
+// Write the log entry for an admin request. Never throws, a failed log must not fail the change.
+export const recordAdminChange = async (req, { entity, entityId, before, after, statusCode }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user?._id,
+      actorName: req.user?.name,
+      actorEmail: req.user?.email,
+      actorRole: getUserRole(req.user) || undefined,
+      action: getAction(req.method, before, after),
+      method: req.method,
+      route: req.originalUrl,
+      statusCode,
+      entity,
+      entityId: entityId ? String(entityId) : undefined,
+      entityLabel: getEntityLabel(after) || getEntityLabel(before),
+      changes: diffDocuments(before, after),
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    })
+  } catch (error) {
+    console.error(`Failed to write audit log for ${req.method} ${req.originalUrl}:`, error)
+  }
+}
+
+// Log entries for the admin audit page, newest first.
+// Filters: search (who, what, route), entity, entityId, action, actor, from, to
+export const getAuditLogs = async ({ search, entity, entityId, action, actor, from, to, page = 1, limit = 50 }) => {
+  const query = {}
+
+  if (entity) query.entity = entity
+  if (entityId) query.entityId = entityId
+  if (action) query.action = action
+  if (actor) query.actor = actor
+  if (from || to) {
+    query.createdAt = {}
+    if (from) query.createdAt.$gte = from
+    if (to) query.createdAt.$lte = to
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i")
+    query.$or = [
+      { entityLabel: pattern },
+      { entityId: pattern },
+      { actorName: pattern },
+      { actorEmail: pattern },
+      { route: pattern },
+      { "changes.field": pattern },
+    ]
+  }
+
+  const pageNumber = Math.max(1, Number(page) || 1)
+  const pageSize = Math.min(200, Math.max(1, Number(limit) || 50))
+
+  const [logs, total, entities] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    AuditLog.countDocuments(query),
+    AuditLog.distinct("entity"),
+  ])
+
+  return { logs, total, page: pageNumber, pages: Math.ceil(total / pageSize), entities: entities.sort() }
+}
@@ -0,0 +1,234 @@
+import mongoose from "mongoose"
+import Cart from "../models/cartModel.js"
+import Product from "../models/productModel.js"
+import { getEffectivePrice, roundPrice } from "./orderPricing.js"
+import { variantPopulate, getActiveVariants, findVariant, getVariantLabel } from "./productVariants.js"
+import { createHttpError } from "./httpError.js"
+
+const MAX_LINE_QUANTITY = 99
+
+const getLineKey = (product, variant) => `${product}-${variant || ""}`
+
+// Units that can be sold right now, pre-orders are not stock tracked
+const getAvailableStock = (product, variant) => {
+  if (product.stockStatus === "PreOrder") return Infinity
+  if (product.stockStatus === "Out of Stock") return 0
+  return Math.max(0, (variant ? variant.countInStock : product.countInStock) || 0)
+}
+
+// Variants without their own price sell at the parent product price
+const getCurrentPrice = (product, variant) => roundPrice(getEffectivePrice(variant && variant.price > 0 ? variant : product))
+
+const parseQuantity = (quantity) => {
+  const parsed = Number(quantity)
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw createHttpError("Invalid quantity")
+  }
+  return Math.min(parsed, MAX_LINE_QUANTITY)
+}
+
+export const getOrCreateCart = (userId) =>
+  Cart.findOneAndUpdate({ user: userId }, { $setOnInsert: { user: userId } }, { new: true, upsert: true })
+
+// Product and variant a new cart line points at, checked to be on sale
+const findCartProduct = async (productId, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(productId || ""))) {
+    throw createHttpError("Invalid product")
+  }
+
+  const product = await Product.findById(productId)
+  if (!product || !product.isActive || product.canPurchase === false) {
+    throw createHttpError("This product is not available", 404)
+  }
+
+  const variant = findVariant(product, variantId)
+  if (variantId && (!variant || variant.isActive === false)) {
+    throw createHttpError("The selected option is no longer available", 404)
+  }
+  if (!variant && getActiveVariants(product).length > 0) {
+    throw createHttpError(`Please select the options for ${product.name}`)
+  }
+
+  return { product, variant }
+}
+
+const touch = (cart) => {
+  cart.lastActivityAt = new Date()
+}
+
+export const addCartItem = async (cart, { productId, variantId, quantity = 1 }) => {
+  const { product, variant } = await findCartProduct(productId, variantId)
+  const addedQuantity = parseQuantity(quantity)
+  const key = getLineKey(product._id, variant?._id)
+
+  const line = cart.items.find((item) => getLineKey(item.product, item.variant) === key)
+  if (line) {
+    line.quantity = Math.min(line.quantity + addedQuantity, MAX_LINE_QUANTITY)
+  } else {
+    cart.items.push({
+      product: product._id,
+      variant: variant?._id,
+      quantity: addedQuantity,
+      price: getCurrentPrice(product, variant),
+    })
+  }
+
+  touch(cart)
+  return cart.save()
+}
+
+const findCartLine = (cart, itemId) => {
+  const line = mongoose.Types.ObjectId.isValid(String(itemId || "")) ? cart.items.id(itemId) : null
+  if (!line) {
+    throw createHttpError("Cart item not found", 404)
+  }
+  return line
+}
+
+export const updateCartItem = async (cart, itemId, quantity) => {
+  const line = findCartLine(cart, itemId)
+  line.quantity = parseQuantity(quantity)
+  touch(cart)
+  return cart.save()
+}
+
+export const removeCartItem = async (cart, itemId) => {
+  findCartLine(cart, itemId).deleteOne()
+  touch(cart)
+  return cart.save()
+}
+
+export const clearCart = async (cart) => {
+  cart.items = []
+  touch(cart)
+  return cart.save()
+}
+
+// Fold the cart a shopper built before logging in into their saved cart. Lines in both keep
+// the larger quantity, so merging the same browser cart twice does not double it.
+export const mergeCartItems = async (cart, items) => {
+  if (!Array.isArray(items)) {
+    throw createHttpError("Invalid cart items")
+  }
+
+  for (const item of items) {
+    let quantity
+    try {
+      quantity = parseQuantity(item.quantity)
+    } catch (error) {
+      continue
+    }
+
+    const key = getLineKey(item.product, item.variant)
+    const line = cart.items.find((entry) => getLineKey(entry.product, entry.variant) === key)
+    if (line) {
+      line.quantity = Math.max(line.quantity, quantity)
+      continue
+    }
+
+    // Products that went away since they were put in the browser cart are dropped
+    try {
+      const { product, variant } = await findCartProduct(item.product, item.variant)
+      cart.items.push({
+        product: product._id,
+        variant: variant?._id,
+        quantity,
+        price: getCurrentPrice(product, variant),
+      })
+    } catch (error) {
+      if (!error.statusCode) throw error
+    }
+  }
+
+  touch(cart)
+  return cart.save()
+}
+
+// Cart as the shopper sees it: every line re-priced and stock checked against the catalog,
+// with issues flagged. Lines are flagged rather than changed, except that the remembered
+// price moves to the current one so a price change is reported once.
+export const getCartView = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map((item) => item.product) } })
+    .select(
+      "name sku slug image galleryImages price offerPrice stockStatus countInStock maxPurchaseQty isActive canPurchase brand variants",
+    )
+    .populate("brand", "name")
+    .populate(variantPopulate)
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]))
+
+  let pricesMoved = false
+  const items = cart.items.map((item) => {
+    const product = productMap.get(item.product.toString())
+    const variant = product && item.variant ? findVariant(product, item.variant) : null
+    const issues = []
+
+    if (
+      !product ||
+      !product.isActive ||
+      product.canPurchase === false ||
+      (item.variant && (!variant || variant.isActive === false))
+    ) {
+      return {
+        _id: item._id,
+        product: item.product,
+        variant: item.variant,
+        name: product?.name || "Product",
+        image: product?.image,
+        quantity: item.quantity,
+        price: item.price || 0,
+        issues: [{ type: "unavailable", message: "This item is no longer available" }],
+      }
+    }
+
+    const price = getCurrentPrice(product, variant)
+    if (item.price !== undefined && item.price !== price) {
+      issues.push({
+        type: "priceChanged",
+        previousPrice: item.price,
+        message: `Price changed from AED ${item.price} to AED ${price}`,
+      })
+      item.price = price
+      pricesMoved = true
+    }
+
+    const available = getAvailableStock(product, variant)
+    if (available <= 0) {
+      issues.push({ type: "outOfStock", message: "Out of stock" })
+    } else if (item.quantity > available) {
+      issues.push({ type: "insufficientStock", available, message: `Only ${available} left in stock` })
+    }
+
+    return {
+      _id: item._id,
+      product: product._id,
+      variant: variant?._id,
+      variantLabel: getVariantLabel(variant),
+      name: product.name,
+      slug: product.slug,
+      brand: product.brand,
+      sku: variant?.sku || product.sku,
+      image: variant?.image || product.image || product.galleryImages?.[0],
+      price,
+      offerPrice: variant && variant.price > 0 ? variant.offerPrice : product.offerPrice,
+      quantity: item.quantity,
+      countInStock: Number.isFinite(available) ? available : undefined,
+      maxPurchaseQty: product.maxPurchaseQty,
+      issues,
+    }
+  })
+
+  if (pricesMoved) {
+    await cart.save()
+  }
+
+  return {
+    _id: cart._id,
+    items,
+    itemsPrice: roundPrice(
+      items
+        .filter((item) => !item.issues.some((issue) => issue.type === "unavailable"))
+        .reduce((acc, item) => acc + item.price * item.quantity, 0),
+    ),
+    updatedAt: cart.updatedAt,
+  }
+}
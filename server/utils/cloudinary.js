@@ -42,38 +42,58 @@ const testCloudinaryConfig = () => {
 testCloudinaryConfig()
 
 // Configure Cloudinary storage for multer
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: "ecommerce",
-    allowed_formats: ["jpg", "jpeg", "png", "gif", "webp"],
-    transformation: [
-      {
-        width: 1200,
-        height: 1200,
-        crop: "limit",
-        quality: "auto:good",
-      },
-    ],
-  },
-})
+const createStorage = (folder) =>
+  new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: {
+      folder,
+      allowed_formats: ["jpg", "jpeg", "png", "gif", "webp"],
+      transformation: [
+        {
+          width: 1200,
+          height: 1200,
+          crop: "limit",
+          quality: "auto:good",
+        },
+      ],
+    },
+  })
+
+const createUpload = (folder) =>
+  multer({
+    storage: createStorage(folder),
+    limits: {
+      fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+      console.log("📁 File received:", file.originalname, file.mimetype)
+
+      if (file.mimetype.startsWith("image/")) {
+        cb(null, true)
+      } else {
+        cb(new Error("Only image files are allowed!"), false)
+      }
+    },
+  })
 
 // Create multer upload middleware
-export const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    console.log("📁 File received:", file.originalname, file.mimetype)
-
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true)
-    } else {
-      cb(new Error("Only image files are allowed!"), false)
-    }
-  },
-})
+export const upload = createUpload("ecommerce")
+
+// Return photos live in their own folder so return requests can only reference our uploads
+export const RETURN_PHOTO_FOLDER = "ecommerce/returns"
+export const returnPhotoUpload = createUpload(RETURN_PHOTO_FOLDER)
+
+// Whether a URL points at an image uploaded into the given folder of our Cloudinary account
+export const isCloudinaryUpload = (url, folder) => {
+  const prefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/`
+  if (typeof url !== "string" || !url.startsWith(prefix)) {
+    return false
+  }
+
+  // Delivery URLs carry an optional version segment before the public id
+  const publicPath = url.slice(prefix.length).replace(/^v\d+\//, "")
+  return publicPath.startsWith(`${folder}/`) && !publicPath.includes("..")
+}
 
 // Helper function to delete image from Cloudinary
 export const deleteFromCloudinary = async (publicId) => {
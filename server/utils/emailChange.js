@@ -0,0 +1,74 @@
+import config from "../config/config.js"
+import User, { hashEmailChangeToken } from "../models/userModel.js"
+import { sendEmailChangeEmail, sendEmailChangeNoticeEmail } from "./emailService.js"
+import { createHttpError } from "./httpError.js"
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const isEmailTaken = async (email, userId) => Boolean(await User.exists({ email, _id: { $ne: userId } }))
+
+// Start moving an account to a new address, whether the customer or an admin asked for it.
+// The email only changes once the link sent to the new address is opened, the current address
+// is told about the request. Returns false when the address is the one the account already has.
+export const requestEmailChange = async (user, newEmail) => {
+  const email = typeof newEmail === "string" ? newEmail.trim() : ""
+
+  if (!email || email === user.email) return false
+  if (!EMAIL_PATTERN.test(email)) {
+    throw createHttpError("Please enter a valid email address")
+  }
+  if (await isEmailTaken(email, user._id)) {
+    throw createHttpError("An account with this email already exists")
+  }
+
+  const token = user.generateEmailChangeToken(email)
+  await user.save()
+
+  try {
+    await sendEmailChangeEmail(email, user.name, `${config.FRONTEND_URL}/confirm-email?token=${token}`)
+  } catch (emailError) {
+    user.pendingEmail = undefined
+    user.emailChangeToken = undefined
+    user.emailChangeExpires = undefined
+    await user.save()
+    throw createHttpError("Failed to send the confirmation email. Please try again.", 500)
+  }
+
+  try {
+    await sendEmailChangeNoticeEmail(user.email, user.name, email)
+  } catch (emailError) {
+    console.error("Failed to send email change notice:", emailError)
+    // The change still needs the new address confirmed, the notice is a courtesy
+  }
+
+  return true
+}
+
+// Finish an email change with the token from the confirmation link. Works once.
+export const confirmEmailChange = async (token) => {
+  if (!token || typeof token !== "string") {
+    throw createHttpError("This confirmation link is invalid or has expired")
+  }
+
+  const user = await User.findOneAndUpdate(
+    { emailChangeToken: hashEmailChangeToken(token), emailChangeExpires: { $gt: new Date() } },
+    { $unset: { emailChangeToken: 1, emailChangeExpires: 1 } },
+    { new: true },
+  )
+
+  if (!user || !user.pendingEmail) {
+    throw createHttpError("This confirmation link is invalid or has expired")
+  }
+  // Someone may have registered the address since the change was requested
+  if (await isEmailTaken(user.pendingEmail, user._id)) {
+    user.pendingEmail = undefined
+    await user.save()
+    throw createHttpError("An account with this email already exists", 409)
+  }
+
+  user.email = user.pendingEmail
+  user.pendingEmail = undefined
+  // Opening the link proves the owner has the new address
+  user.isEmailVerified = true
+  return user.save()
+}
@@ -270,6 +270,8 @@
 
 
 import nodemailer from "nodemailer"
+import { getOrderNumber } from "./orderNumber.js"
+import { getTrackingUrl } from "./orderTracking.js"
 
 // Create transporter
 const createTransporter = () => {
@@ -554,6 +556,143 @@ const getEmailTemplate = (type, data) => {
         </html>
       `
 
+    case "passwordReset":
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Reset Your Password</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name || "User"}!</h2>
+              <p>We received a request to reset the password of your Graba2z account. Click the button below to choose a new one:</p>
+              <div class="action-buttons">
+                <a href="${data.resetUrl}" class="button">Reset Password</a>
+              </div>
+              <p>This link will expire in 30 minutes and can only be used once.</p>
+              <p>If you didn't ask to reset your password, you can ignore this email. Your password stays the same.</p>
+            </div>
+            <div class="footer">
+              <div class="contact-info">
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
+    case "emailChange":
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Your New Email</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name || "User"}!</h2>
+              <p>Please confirm that you want to use this address for your Graba2z account:</p>
+              <div class="action-buttons">
+                <a href="${data.confirmUrl}" class="button">Confirm Email</a>
+              </div>
+              <p>This link will expire in 24 hours. Until then your account keeps its current email address.</p>
+              <p>If you didn't ask for this change, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <div class="contact-info">
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
+    case "emailChangeNotice":
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Email Change Requested</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name || "User"}!</h2>
+              <p>A request was made to change the email address of your Graba2z account to <strong>${data.newEmail}</strong>.</p>
+              <p>The change only happens once the new address is confirmed.</p>
+              <p>If this wasn't you, please contact us right away so we can secure your account.</p>
+            </div>
+            <div class="footer">
+              <div class="contact-info">
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
+    case "guestVerification":
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Checkout Verification</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+            </div>
+            <div class="content">
+              <h2>Hello!</h2>
+              <p>Enter the code below at checkout to confirm this email address and place your order as a guest:</p>
+              <div style="background-color: #f0f0f0; padding: 20px; font-size: 24px; font-weight: bold; text-align: center; letter-spacing: 3px; border-radius: 5px; margin: 20px 0;">
+                ${data.code || "000000"}
+              </div>
+              <p>This code will expire in 10 minutes.</p>
+              <p>If you didn't try to place an order with us, please ignore this email.</p>
+            </div>
+            <div class="footer">
+              <div class="contact-info">
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
     case "orderConfirmation":
       const orderItems = Array.isArray(data.orderItems) ? data.orderItems : []
       const orderItemsHtml = orderItems
@@ -607,7 +746,7 @@ const getEmailTemplate = (type, data) => {
               
               <div class="action-buttons">
                 <a href="${process.env.FRONTEND_URL || "https://graba2z.ae"}" class="button">Visit Website</a>
-                <a href="${process.env.FRONTEND_URL || "https://graba2z.ae"}/track-order" class="button">Track Your Order</a>
+                <a href="${data.trackingUrl || `${process.env.FRONTEND_URL || "https://graba2z.ae"}/track-order`}" class="button">Track Your Order</a>
               </div>
 
               ${
@@ -739,7 +878,7 @@ const getEmailTemplate = (type, data) => {
               }
 
               <div class="action-buttons">
-                <a href="${process.env.FRONTEND_URL || "https://graba2z.ae"}/track-order" class="button">Track Your Order</a>
+                <a href="${data.trackingUrl || `${process.env.FRONTEND_URL || "https://graba2z.ae"}/track-order`}" class="button">Track Your Order</a>
               </div>
             </div>
             <div class="footer">
@@ -762,6 +901,169 @@ const getEmailTemplate = (type, data) => {
         </html>
       `
 
+    case "refundIssued":
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Refund Issued</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+              <div class="order-icon">💸</div>
+            </div>
+            <div class="content">
+              <div class="order-number">Order #${data.orderNumber || "N/A"}</div>
+              <div class="greeting">Hello ${data.customerName || "Customer"}!</div>
+              <div class="processing-text">
+                We have issued a ${data.refund.type === "full" ? "full" : "partial"} refund for your order.
+              </div>
+
+              <div class="info-section">
+                <div class="info-title">Refund Amount</div>
+                <div class="info-content" style="font-weight: bold; color: #8BC34A;">${Number(data.refund.amount).toFixed(2)}AED</div>
+              </div>
+
+              ${
+                data.refund.items?.length
+                  ? `
+              <div class="info-section">
+                <div class="info-title">Refunded Items</div>
+                <div class="info-content">
+                  ${data.refund.items.map((item) => `${item.name} &times; ${item.quantity}`).join("<br>")}
+                </div>
+              </div>
+              `
+                  : ""
+              }
+
+              ${
+                data.refund.reason
+                  ? `
+              <div class="info-section">
+                <div class="info-title">Reason</div>
+                <div class="info-content">${data.refund.reason}</div>
+              </div>
+              `
+                  : ""
+              }
+
+              <div class="info-section">
+                <div class="info-content">
+                  ${
+                    data.refund.method === "manual"
+                      ? "Our team will contact you to pay the refund out."
+                      : "The money goes back to your original payment method and can take 5 to 10 business days to show up."
+                  }
+                </div>
+              </div>
+            </div>
+            <div class="footer">
+              <h3>Get in Touch</h3>
+              <div class="social-icons">
+                <a href="https://facebook.com/graba2z" class="social-icon">f</a>
+                <a href="https://twitter.com/graba2z" class="social-icon">t</a>
+                <a href="https://instagram.com/graba2z" class="social-icon">@</a>
+                <a href="https://linkedin.com/company/graba2z" class="social-icon">in</a>
+              </div>
+              <div class="contact-info">
+                <p><strong>This email was sent by:</strong><br>
+                <a href="mailto:order@grabatoz.ae">order@grabatoz.ae</a></p>
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
+    case "abandonedCart":
+      const cartItemsHtml = (data.items || [])
+        .map(
+          (item) => `
+        <div class="product-item">
+          <img src="${item.image || "/placeholder.svg?height=80&width=80"}" alt="${item.name}" class="product-image" />
+          <div class="product-details">
+            <div class="product-name">${item.name}</div>
+            ${item.variantLabel ? `<div class="product-quantity">${item.variantLabel}</div>` : ""}
+            <div class="product-quantity">Quantity: ${item.quantity}</div>
+            <div class="product-price">${Number(item.price || 0).toFixed(2)}AED</div>
+          </div>
+        </div>
+      `,
+        )
+        .join("")
+
+      return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Cart Is Waiting</title>
+          ${baseStyle}
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://graba2z.ae/logo.png" alt="Graba2z" class="logo" />
+              <div class="order-icon">🛒</div>
+            </div>
+            <div class="content">
+              <div class="greeting">Hello ${data.customerName || "Customer"}!</div>
+              <div class="processing-text">
+                ${
+                  data.isLastReminder
+                    ? "This is the last reminder about the items you left in your cart. They are still available, but we can't hold them for long."
+                    : "You left some items in your cart. They are saved and ready whenever you are."
+                }
+              </div>
+
+              <div class="product-section">
+                ${cartItemsHtml}
+              </div>
+
+              <div class="info-section">
+                <div class="info-title">Cart Total</div>
+                <div class="info-content" style="font-weight: bold;">${Number(data.itemsPrice || 0).toFixed(2)}AED</div>
+              </div>
+
+              ${
+                data.coupon
+                  ? `
+              <div class="info-section">
+                <div class="info-title">A Little Something For You</div>
+                <div class="info-content">
+                  Use code <strong>${data.coupon.code}</strong> for ${data.coupon.discountValue}% off your order.
+                  It can be used once, until ${new Date(data.coupon.validUntil).toLocaleDateString()}.
+                </div>
+              </div>
+              `
+                  : ""
+              }
+
+              <div class="action-buttons">
+                <a href="${data.restoreUrl}" class="button">Return to My Cart</a>
+              </div>
+            </div>
+            <div class="footer">
+              <div class="contact-info">
+                <p>You are receiving this email because you left items in your Graba2z cart.</p>
+                <p><strong>For any questions please send an email to:</strong><br>
+                <a href="mailto:support@grabatoz.ae">support@grabatoz.ae</a></p>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+
     default:
       return `
         <!DOCTYPE html>
@@ -835,12 +1137,60 @@ export const sendVerificationEmail = async (email, name, code) => {
   }
 }
 
+// Send password reset link
+export const sendPasswordResetEmail = async (email, name, resetUrl) => {
+  try {
+    const html = getEmailTemplate("passwordReset", { name, resetUrl })
+    await sendEmail(email, "Reset Your Password - Graba2z", html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send password reset email:", error)
+    throw error
+  }
+}
+
+// Send the link that confirms a new account email address
+export const sendEmailChangeEmail = async (email, name, confirmUrl) => {
+  try {
+    const html = getEmailTemplate("emailChange", { name, confirmUrl })
+    await sendEmail(email, "Confirm Your New Email - Graba2z", html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send email change confirmation:", error)
+    throw error
+  }
+}
+
+// Tell the current address that the account email is about to change
+export const sendEmailChangeNoticeEmail = async (email, name, newEmail) => {
+  try {
+    const html = getEmailTemplate("emailChangeNotice", { name, newEmail })
+    await sendEmail(email, "Email Change Requested - Graba2z", html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send email change notice:", error)
+    throw error
+  }
+}
+
+// Send guest checkout verification code
+export const sendGuestVerificationEmail = async (email, code) => {
+  try {
+    const html = getEmailTemplate("guestVerification", { code })
+    await sendEmail(email, "Your Checkout Code - Graba2z", html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send guest verification email:", error)
+    throw error
+  }
+}
+
 // Send order placed email
 export const sendOrderPlacedEmail = async (order) => {
   try {
-    const orderNumber = order._id.toString().slice(-6)
+    const orderNumber = getOrderNumber(order)
     const customerName = order.shippingAddress?.name || order.pickupDetails?.name || "Customer"
-    const customerEmail = order.shippingAddress?.email || order.pickupDetails?.email || order.user?.email
+    const customerEmail = order.shippingAddress?.email || order.user?.email || order.contactEmail
 
     if (!customerEmail) {
       console.error("No customer email found for order:", order._id)
@@ -852,6 +1202,7 @@ export const sendOrderPlacedEmail = async (order) => {
       orderNumber,
       customerName,
       customerEmail,
+      trackingUrl: getTrackingUrl(order),
     })
 
     await sendEmail(customerEmail, `Order Confirmation #${orderNumber} - Graba2z`, html)
@@ -865,9 +1216,9 @@ export const sendOrderPlacedEmail = async (order) => {
 // Send order status update email
 export const sendOrderStatusUpdateEmail = async (order) => {
   try {
-    const orderNumber = order._id.toString().slice(-6)
+    const orderNumber = getOrderNumber(order)
     const customerName = order.shippingAddress?.name || order.pickupDetails?.name || order.user?.name || "Customer"
-    const customerEmail = order.shippingAddress?.email || order.pickupDetails?.email || order.user?.email
+    const customerEmail = order.shippingAddress?.email || order.user?.email || order.contactEmail
 
     if (!customerEmail) {
       console.error("No customer email found for order:", order._id)
@@ -878,6 +1229,7 @@ export const sendOrderStatusUpdateEmail = async (order) => {
       ...order.toObject(),
       orderNumber,
       customerName,
+      trackingUrl: getTrackingUrl(order),
     })
 
     const statusMessages = {
@@ -886,9 +1238,11 @@ export const sendOrderStatusUpdateEmail = async (order) => {
       shipped: "Order Shipped",
       delivered: "Order Delivered",
       cancelled: "Order Cancelled",
+      "on hold": "Order On Hold",
+      rejected: "Order Rejected",
     }
 
-    const subject = `${statusMessages[order.status] || "Order Update"} #${orderNumber} - Graba2z`
+    const subject = `${statusMessages[order.status?.toLowerCase()] || "Order Update"} #${orderNumber} - Graba2z`
     await sendEmail(customerEmail, subject, html)
     return { success: true }
   } catch (error) {
@@ -897,14 +1251,61 @@ export const sendOrderStatusUpdateEmail = async (order) => {
   }
 }
 
+// Send refund issued email
+export const sendRefundEmail = async (order, refund) => {
+  try {
+    const orderNumber = getOrderNumber(order)
+    const customerName = order.shippingAddress?.name || order.pickupDetails?.name || order.user?.name || "Customer"
+    const customerEmail = order.shippingAddress?.email || order.user?.email || order.contactEmail
+
+    if (!customerEmail) {
+      console.error("No customer email found for order:", order._id)
+      return { success: false, error: "No customer email" }
+    }
+
+    const html = getEmailTemplate("refundIssued", { orderNumber, customerName, refund })
+    await sendEmail(customerEmail, `Refund Issued #${orderNumber} - Graba2z`, html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send refund email:", error)
+    throw error
+  }
+}
+
+// Send an abandoned cart reminder
+export const sendAbandonedCartEmail = async (user, { items, itemsPrice, coupon, restoreUrl, isLastReminder }) => {
+  try {
+    const html = getEmailTemplate("abandonedCart", {
+      customerName: user.name,
+      items,
+      itemsPrice,
+      coupon,
+      restoreUrl,
+      isLastReminder,
+    })
+    const subject = coupon ? "A discount on the items in your cart - Graba2z" : "You left something in your cart - Graba2z"
+    await sendEmail(user.email, subject, html)
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send abandoned cart email:", error)
+    throw error
+  }
+}
+
 // Backward compatibility exports
 export const sendOrderNotification = sendOrderStatusUpdateEmail
 export const sendTrackingUpdateEmail = sendOrderStatusUpdateEmail
 
 export default {
   sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendEmailChangeNoticeEmail,
+  sendGuestVerificationEmail,
   sendOrderPlacedEmail,
   sendOrderStatusUpdateEmail,
+  sendRefundEmail,
+  sendAbandonedCartEmail,
   sendOrderNotification,
   sendTrackingUpdateEmail,
 }
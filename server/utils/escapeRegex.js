@@ -0,0 +1,4 @@
+// Text to match literally in a RegExp, e.g. a search term or a name from the query string
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+export default escapeRegex
@@ -1,9 +1,14 @@
 import jwt from "jsonwebtoken"
+import config from "../config/config.js"
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
-  })
+// Short lived access token, tied to the session it was issued for and whether that
+// session came from the store ("user") or the admin login ("admin")
+const generateToken = (id, sessionId, scope) => {
+  return jwt.sign(
+    { id, ...(sessionId && { sid: sessionId.toString() }), ...(scope && { scope }) },
+    process.env.JWT_SECRET,
+    { expiresIn: config.ACCESS_TOKEN_EXPIRES_IN },
+  )
 }
 
 export default generateToken
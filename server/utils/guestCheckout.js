@@ -0,0 +1,114 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import GuestVerification from "../models/guestVerificationModel.js"
+import Order from "../models/orderModel.js"
+import config from "../config/config.js"
+import { sendGuestVerificationEmail } from "./emailService.js"
+import { sendSms } from "./smsService.js"
+import { normalizeEmail, normalizePhone } from "./orderTracking.js"
+import { createHttpError } from "./httpError.js"
+
+const GUEST_AUDIENCE = "guest-checkout"
+const CODE_TTL_MS = 10 * 60 * 1000
+const MAX_CODE_ATTEMPTS = 5
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const GUEST_CHANNELS = ["email", "phone"]
+
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex")
+
+const normalizeTarget = (channel, value) => {
+  if (!GUEST_CHANNELS.includes(channel)) {
+    throw createHttpError("Choose email or phone to verify")
+  }
+
+  const target = channel === "email" ? normalizeEmail(value) : normalizePhone(value)
+  const isValid = channel === "email" ? EMAIL_PATTERN.test(target) : target.length >= 7 && target.length <= 15
+  if (!isValid) {
+    throw createHttpError(channel === "email" ? "Please enter a valid email address" : "Please enter a valid phone number")
+  }
+  return target
+}
+
+// Numbers typed without a country code are local (UAE) numbers
+const toSmsNumber = (value) => {
+  const raw = String(value).trim()
+  const digits = raw.replace(/\D/g, "")
+  if (raw.startsWith("+")) return `+${digits}`
+  if (raw.startsWith("00")) return `+${digits.slice(2)}`
+  return `+971${normalizePhone(raw)}`
+}
+
+// Send a fresh 6 digit code to the guest's email or phone, replacing any earlier one
+export const startGuestVerification = async ({ channel, value }) => {
+  const target = normalizeTarget(channel, value)
+  const code = crypto.randomInt(100000, 1000000).toString()
+
+  await GuestVerification.deleteMany({ channel, target })
+  await GuestVerification.create({
+    channel,
+    target,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MS),
+  })
+
+  if (channel === "email") {
+    await sendGuestVerificationEmail(target, code)
+  } else {
+    await sendSms(toSmsNumber(value), `Your Graba2z checkout code is ${code}. It expires in 10 minutes.`)
+  }
+
+  return { channel, target }
+}
+
+// Check the code and hand out the guest token used to place and pay for orders
+export const confirmGuestVerification = async ({ channel, value, code }) => {
+  const target = normalizeTarget(channel, value)
+
+  // Count the attempt before comparing, so parallel guesses can't get past the limit
+  const verification = await GuestVerification.findOneAndUpdate(
+    { channel, target, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true },
+  )
+
+  if (!verification || verification.codeHash !== hashCode(String(code || "").trim())) {
+    throw createHttpError("Invalid or expired verification code")
+  }
+
+  await GuestVerification.deleteOne({ _id: verification._id })
+
+  const guestToken = jwt.sign({ [channel]: target }, config.GUEST_TOKEN_SECRET, {
+    audience: GUEST_AUDIENCE,
+    expiresIn: config.GUEST_TOKEN_EXPIRES_IN,
+  })
+
+  return { guestToken, channel, target }
+}
+
+// Verified guest ({ email } or { phone }) from a guest token, or null
+export const verifyGuestToken = (token) => {
+  if (!config.GUEST_TOKEN_SECRET || !token) return null
+
+  try {
+    const { email, phone } = jwt.verify(token, config.GUEST_TOKEN_SECRET, { audience: GUEST_AUDIENCE })
+    return email ? { email } : phone ? { phone } : null
+  } catch (error) {
+    return null
+  }
+}
+
+// A guest may only use orders placed as a guest with the contact they verified
+export const guestOwnsContact = (guest, { contactEmail, contactPhone }) =>
+  Boolean(guest && ((guest.email && guest.email === contactEmail) || (guest.phone && guest.phone === contactPhone)))
+
+export const guestOwnsOrder = (guest, order) => !order.user && guestOwnsContact(guest, order)
+
+// Move guest orders placed with this user's (verified) email into their account
+export const claimGuestOrders = async (user) => {
+  const contactEmail = normalizeEmail(user.email)
+  if (!contactEmail || !user.isEmailVerified) return 0
+
+  const result = await Order.updateMany({ user: null, contactEmail }, { $set: { user: user._id } })
+  return result.modifiedCount
+}
@@ -0,0 +1,6 @@
+// Error carrying the HTTP status the route should answer with, errorHandler sends it
+export const createHttpError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
@@ -0,0 +1,195 @@
+import Product from "../models/productModel.js"
+import Order from "../models/orderModel.js"
+import { createHttpError } from "./httpError.js"
+
+// Order statuses that hand the reserved stock back to the shelf
+export const STOCK_RELEASING_STATUSES = ["Cancelled", "Rejected", "Returned"]
+
+// Order lines may carry a populated product document
+const getProductId = (item) => item.product?._id || item.product
+
+// Atomically take stock for one order line, only when enough units are left
+const decrementStock = async (item) => {
+  const { variant, quantity } = item
+  const product = getProductId(item)
+
+  if (variant) {
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: product,
+        stockStatus: "Available Product",
+        variants: { $elemMatch: { _id: variant, isActive: { $ne: false }, countInStock: { $gte: quantity } } },
+      },
+      { $inc: { "variants.$.countInStock": -quantity } },
+      { new: true },
+    )
+    if (!updated) return false
+
+    // The product sells out once none of its active variants has stock left
+    await Product.updateOne(
+      {
+        _id: product,
+        stockStatus: "Available Product",
+        variants: { $not: { $elemMatch: { isActive: { $ne: false }, countInStock: { $gt: 0 } } } },
+      },
+      { $set: { stockStatus: "Out of Stock" } },
+    )
+    return true
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product, stockStatus: "Available Product", countInStock: { $gte: quantity } },
+    { $inc: { countInStock: -quantity } },
+    { new: true },
+  )
+  if (!updated) return false
+
+  await Product.updateOne(
+    { _id: product, stockStatus: "Available Product", countInStock: { $lte: 0 } },
+    { $set: { stockStatus: "Out of Stock" } },
+  )
+  return true
+}
+
+// Put stock for one order line back and reopen sales if it had sold out
+const incrementStock = async (item) => {
+  const { variant, quantity } = item
+  const product = getProductId(item)
+
+  if (variant) {
+    await Product.updateOne(
+      { _id: product, "variants._id": variant },
+      { $inc: { "variants.$.countInStock": quantity } },
+    )
+  } else {
+    await Product.updateOne({ _id: product }, { $inc: { countInStock: quantity } })
+  }
+
+  await Product.updateOne(
+    {
+      _id: product,
+      stockStatus: "Out of Stock",
+      $or: [{ countInStock: { $gt: 0 } }, { variants: { $elemMatch: { isActive: { $ne: false }, countInStock: { $gt: 0 } } } }],
+    },
+    { $set: { stockStatus: "Available Product" } },
+  )
+}
+
+// Why a line could not be reserved: pre-order lines are simply not stock tracked
+const explainFailedReservation = async (item) => {
+  const { variant, quantity, name } = item
+  const current = await Product.findById(getProductId(item)).select("name stockStatus countInStock variants").lean()
+
+  if (!current) {
+    throw createHttpError(`${name} is no longer available`, 409)
+  }
+  if (current.stockStatus === "PreOrder") {
+    return false
+  }
+
+  const available = variant
+    ? current.variants.find((entry) => entry._id.toString() === variant.toString())?.countInStock || 0
+    : current.countInStock
+
+  if (current.stockStatus === "Out of Stock" || available <= 0) {
+    throw createHttpError(`${name} just sold out`, 409)
+  }
+  throw createHttpError(`Only ${available} left in stock for ${name}, you requested ${quantity}`, 409)
+}
+
+// Units of a line still held by the order, returned units were restocked already
+const getHeldLine = (item) => ({
+  product: getProductId(item),
+  variant: item.variant,
+  name: item.name,
+  quantity: item.quantity - (item.restockedQuantity || 0),
+})
+
+// Give back the stock held by reserved lines, e.g. when saving the new order failed
+export const releaseReservedItems = async (items) => {
+  for (const item of items) {
+    const line = getHeldLine(item)
+    if (item.stockReserved && line.quantity > 0) {
+      await incrementStock(line)
+    }
+  }
+}
+
+// Reserve stock for every line of a new order, rolling back on the first shortage.
+// Returns the lines flagged with stockReserved so they can be released later.
+export const reserveStock = async (orderItems) => {
+  const reservedItems = []
+
+  try {
+    for (const item of orderItems) {
+      const reserved = (await decrementStock(item)) || (await explainFailedReservation(item))
+      reservedItems.push({ ...item, stockReserved: reserved })
+    }
+  } catch (error) {
+    await releaseReservedItems(reservedItems)
+    throw error
+  }
+
+  return reservedItems
+}
+
+// Return an order's reserved stock. Claimed atomically so it only ever happens once.
+export const releaseOrderStock = async (order) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockReleased: { $ne: true } },
+    { $set: { stockReleased: true } },
+  )
+  if (claimed.modifiedCount === 0) return
+
+  order.stockReleased = true
+  await releaseReservedItems(order.orderItems)
+}
+
+// Reserve stock again for an order brought back from Cancelled/Returned
+const reserveOrderStockAgain = async (order) => {
+  const items = order.orderItems.filter((item) => item.stockReserved && getHeldLine(item).quantity > 0)
+  const reserved = []
+
+  try {
+    for (const item of items) {
+      const line = getHeldLine(item)
+      if (await decrementStock(line)) {
+        reserved.push({ ...line, stockReserved: true })
+      } else {
+        item.stockReserved = await explainFailedReservation(line)
+      }
+    }
+  } catch (error) {
+    await releaseReservedItems(reserved)
+    throw error
+  }
+
+  order.stockReleased = false
+}
+
+// Keep stock in step with an order status change made by an admin
+export const syncStockWithStatus = async (order, previousStatus) => {
+  const wasReleasing = STOCK_RELEASING_STATUSES.includes(previousStatus)
+  const isReleasing = STOCK_RELEASING_STATUSES.includes(order.status)
+
+  if (isReleasing && !wasReleasing) {
+    await releaseOrderStock(order)
+  } else if (!isReleasing && order.stockReleased) {
+    await reserveOrderStockAgain(order)
+  }
+}
+
+// Put returned units back into stock. Orders that already gave their stock back
+// (cancelled or returned as a whole) are left alone so nothing is restocked twice.
+export const restockReturnedItems = async (order, lines) => {
+  for (const { orderItem, quantity } of lines) {
+    const item = order.orderItems.id(orderItem)
+    if (!item) continue
+
+    const restockable = Math.min(quantity, item.quantity - (item.restockedQuantity || 0))
+    if (!item.stockReserved || order.stockReleased || restockable <= 0) continue
+
+    await incrementStock({ product: getProductId(item), variant: item.variant, quantity: restockable })
+    item.restockedQuantity = (item.restockedQuantity || 0) + restockable
+  }
+}
@@ -0,0 +1,30 @@
+import Counter from "../models/counterModel.js"
+import config from "../config/config.js"
+
+const ORDER_NUMBER_DIGITS = 6
+
+export const formatOrderNumber = (year, seq) =>
+  `${config.ORDER_NUMBER_PREFIX}-${year}-${String(seq).padStart(ORDER_NUMBER_DIGITS, "0")}`
+
+// Next number from the counter of the given year. The $inc is atomic, so two checkouts
+// can never get the same number. Two first orders of a year can both try to create the
+// counter, the loser of that race retries once and then finds it.
+export const generateOrderNumber = async (date = new Date()) => {
+  const year = date.getFullYear()
+
+  const nextSeq = () =>
+    Counter.findOneAndUpdate({ _id: `order-${year}` }, { $inc: { seq: 1 } }, { new: true, upsert: true })
+
+  let counter
+  try {
+    counter = await nextSeq()
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    counter = await nextSeq()
+  }
+
+  return formatOrderNumber(year, counter.seq)
+}
+
+// Number shown to people, orders placed before numbering keep their short id
+export const getOrderNumber = (order) => order.orderNumber || order._id.toString().slice(-6)
@@ -0,0 +1,306 @@
+import mongoose from "mongoose"
+import Product from "../models/productModel.js"
+import Coupon from "../models/couponModel.js"
+import DeliveryCharge from "../models/deliveryChargeModel.js"
+import Settings from "../models/settingsModel.js"
+import { variantPopulate, getActiveVariants, findVariant, getVariantLabel } from "./productVariants.js"
+import { createHttpError } from "./httpError.js"
+
+// Round a money amount to 2 decimals
+export const roundPrice = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100
+
+// Offer price only wins when it is a real discount on the selling price
+export const getEffectivePrice = (product) => {
+  if (product.offerPrice > 0 && product.offerPrice < product.price) {
+    return product.offerPrice
+  }
+  return product.price
+}
+
+// Tax already included in a line total (selling prices are stored tax inclusive)
+const getIncludedTax = (tax, lineTotal, quantity) => {
+  if (!tax || !tax.isActive || !tax.rate) return 0
+
+  if (tax.type === "fixed") {
+    return tax.rate * quantity
+  }
+
+  return (lineTotal * tax.rate) / (100 + tax.rate)
+}
+
+// Re-read every product and price the requested lines from the database
+export const priceOrderItems = async (orderItems) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw createHttpError("No order items")
+  }
+
+  const productIds = orderItems.map((item) => String(item.product || ""))
+  const invalidId = productIds.find((id) => !mongoose.Types.ObjectId.isValid(id))
+  if (invalidId !== undefined) {
+    throw createHttpError(`Invalid product in order: ${invalidId}`)
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .populate("tax")
+    .populate("deliveryCharge")
+    .populate(variantPopulate)
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]))
+
+  // maxPurchaseQty caps the product as a whole, across all of its variant lines
+  const quantityByProduct = new Map()
+  orderItems.forEach((item) => {
+    const productId = String(item.product)
+    quantityByProduct.set(productId, (quantityByProduct.get(productId) || 0) + Number(item.quantity || 0))
+  })
+
+  return orderItems.map((item) => {
+    const product = productMap.get(String(item.product))
+
+    if (!product || !product.isActive) {
+      throw createHttpError(`Product ${item.name || item.product} is no longer available`)
+    }
+
+    if (product.canPurchase === false) {
+      throw createHttpError(`${product.name} cannot be purchased online`)
+    }
+
+    const quantity = Number(item.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(`Invalid quantity for ${product.name}`)
+    }
+
+    if (product.maxPurchaseQty > 0 && quantityByProduct.get(String(item.product)) > product.maxPurchaseQty) {
+      throw createHttpError(`You can buy at most ${product.maxPurchaseQty} of ${product.name} per order`)
+    }
+
+    let variant = null
+    if (item.variant) {
+      variant = findVariant(product, item.variant)
+      if (!variant || variant.isActive === false) {
+        throw createHttpError(`Selected option for ${product.name} is no longer available`)
+      }
+    } else if (getActiveVariants(product).length > 0) {
+      throw createHttpError(`Please select the options for ${product.name}`)
+    }
+
+    // Variants without their own price sell at the parent product price
+    const priceSource = variant && variant.price > 0 ? variant : product
+    const price = roundPrice(getEffectivePrice(priceSource))
+    const lineTotal = roundPrice(price * quantity)
+    const variantLabel = getVariantLabel(variant)
+
+    return {
+      product,
+      variant,
+      name: variantLabel ? `${product.name} (${variantLabel})` : product.name,
+      image: variant?.image || product.image || product.galleryImages?.[0] || item.image || "/placeholder.svg",
+      price,
+      quantity,
+      lineTotal,
+      taxAmount: getIncludedTax(product.tax, lineTotal, quantity),
+    }
+  })
+}
+
+// Discount a coupon gives on already priced items
+export const calculateCouponDiscount = (coupon, pricedItems) => {
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw createHttpError("Coupon usage limit exceeded")
+  }
+
+  const couponCategoryIds = (coupon.categories || []).map((category) => (category._id || category).toString())
+
+  // Coupons are attached to main categories, products carry both levels
+  const eligibleItems =
+    couponCategoryIds.length > 0
+      ? pricedItems.filter((item) =>
+          [item.product.parentCategory, item.product.category]
+            .filter(Boolean)
+            .some((categoryId) => couponCategoryIds.includes(categoryId.toString())),
+        )
+      : pricedItems
+
+  if (eligibleItems.length === 0) {
+    throw createHttpError(
+      couponCategoryIds.length > 0
+        ? `This coupon is only valid for: ${coupon.categories.map((c) => c.name || c).join(", ")}`
+        : "No eligible items in cart",
+    )
+  }
+
+  const totalEligibleAmount = roundPrice(eligibleItems.reduce((acc, item) => acc + item.lineTotal, 0))
+
+  if (coupon.minOrderAmount && totalEligibleAmount < coupon.minOrderAmount) {
+    throw createHttpError(`Minimum order amount of ${coupon.minOrderAmount} required for this coupon`)
+  }
+
+  let discountAmount = 0
+  if (coupon.discountType === "percentage") {
+    discountAmount = (totalEligibleAmount * coupon.discountValue) / 100
+    if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+      discountAmount = coupon.maxDiscountAmount
+    }
+  } else {
+    discountAmount = Math.min(coupon.discountValue, totalEligibleAmount)
+  }
+
+  return {
+    discountAmount: roundPrice(discountAmount),
+    eligibleItems,
+    totalEligibleAmount,
+  }
+}
+
+// Count one use of a coupon while it is still under its usage limit, checked in the same
+// update so concurrent checkouts cannot go over it. Returns false when the limit was reached.
+export const claimCouponUse = async (coupon) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { usageLimit: 0 }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+  )
+  return result.modifiedCount > 0
+}
+
+// Give a claimed use back when the order it was for could not be placed
+export const releaseCouponUse = (coupon) => Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } })
+
+// Look up an active, currently valid coupon by code. Personal coupons only work for their owner.
+export const findValidCoupon = async (code, user) => {
+  const now = new Date()
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+    isActive: true,
+    validFrom: { $lte: now },
+    validUntil: { $gte: now },
+  }).populate("categories", "name")
+
+  if (!coupon) {
+    throw createHttpError("Invalid or expired coupon code")
+  }
+  if (coupon.assignedTo && coupon.assignedTo.toString() !== user?._id?.toString()) {
+    throw createHttpError("Please log in to the account this coupon was sent to")
+  }
+
+  return coupon
+}
+
+// Does a delivery charge rule cover this order amount and address?
+const isChargeApplicable = (charge, itemsPrice, areas) => {
+  if (!charge || !charge.isActive) return false
+  if (itemsPrice < (charge.minOrderAmount || 0)) return false
+  if (charge.maxOrderAmount !== null && charge.maxOrderAmount !== undefined && itemsPrice > charge.maxOrderAmount) {
+    return false
+  }
+  if (charge.applicableAreas && charge.applicableAreas.length > 0) {
+    return charge.applicableAreas.some((area) => areas.includes(area.trim().toLowerCase()))
+  }
+  return true
+}
+
+// Shipping for the order from the DeliveryCharge rules
+export const calculateShipping = async ({ deliveryType, shippingAddress, deliveryChargeId, pricedItems, itemsPrice }) => {
+  if (deliveryType === "pickup") {
+    return { shippingPrice: 0, deliveryCharge: null }
+  }
+
+  const settings = await Settings.findOne({})
+  if (settings && settings.freeShippingThreshold > 0 && itemsPrice >= settings.freeShippingThreshold) {
+    return { shippingPrice: 0, deliveryCharge: null }
+  }
+
+  const areas = [shippingAddress?.city, shippingAddress?.state]
+    .filter(Boolean)
+    .map((area) => String(area).trim().toLowerCase())
+
+  // Products linked to their own delivery charge override the generic options
+  const linkedCharges = pricedItems
+    .map((item) => item.product.deliveryCharge)
+    .filter((charge) => isChargeApplicable(charge, itemsPrice, areas))
+  const linkedCharge = linkedCharges.sort((a, b) => b.charge - a.charge)[0] || null
+
+  let selectedCharge = null
+  if (deliveryChargeId) {
+    if (!mongoose.Types.ObjectId.isValid(String(deliveryChargeId))) {
+      throw createHttpError("Invalid delivery option")
+    }
+    selectedCharge = await DeliveryCharge.findById(deliveryChargeId)
+    if (!isChargeApplicable(selectedCharge, itemsPrice, areas)) {
+      throw createHttpError("Selected delivery option is not available for this order")
+    }
+  } else if (!linkedCharge) {
+    const activeCharges = await DeliveryCharge.find({ isActive: true }).sort({ createdAt: -1 })
+    selectedCharge = activeCharges.find((charge) => isChargeApplicable(charge, itemsPrice, areas)) || null
+  }
+
+  const deliveryCharge = [linkedCharge, selectedCharge]
+    .filter(Boolean)
+    .sort((a, b) => b.charge - a.charge)[0]
+
+  return {
+    shippingPrice: deliveryCharge ? roundPrice(deliveryCharge.charge) : 0,
+    deliveryCharge: deliveryCharge || null,
+  }
+}
+
+// Server-authoritative totals for an order or checkout quote
+export const calculateOrderPricing = async ({
+  orderItems,
+  deliveryType = "home",
+  shippingAddress,
+  deliveryChargeId,
+  couponCode,
+  user,
+}) => {
+  const pricedItems = await priceOrderItems(orderItems)
+  const itemsPrice = roundPrice(pricedItems.reduce((acc, item) => acc + item.lineTotal, 0))
+  const taxPrice = roundPrice(pricedItems.reduce((acc, item) => acc + item.taxAmount, 0))
+
+  let coupon = null
+  let discountAmount = 0
+  if (couponCode) {
+    coupon = await findValidCoupon(couponCode, user)
+    discountAmount = calculateCouponDiscount(coupon, pricedItems).discountAmount
+  }
+
+  const { shippingPrice, deliveryCharge } = await calculateShipping({
+    deliveryType,
+    shippingAddress,
+    deliveryChargeId,
+    pricedItems,
+    itemsPrice,
+  })
+
+  const totalPrice = roundPrice(Math.max(itemsPrice + shippingPrice - discountAmount, 0))
+
+  return {
+    orderItems: pricedItems.map((item) => ({
+      product: item.product._id,
+      variant: item.variant ? item.variant._id : undefined,
+      variantLabel: item.variant ? getVariantLabel(item.variant) : undefined,
+      sku: item.variant?.sku || item.product.sku,
+      name: item.name,
+      image: item.image,
+      price: item.price,
+      quantity: item.quantity,
+    })),
+    itemsPrice,
+    taxPrice,
+    shippingPrice,
+    discountAmount,
+    totalPrice,
+    coupon,
+    couponCode: coupon ? coupon.code : undefined,
+    deliveryCharge: deliveryCharge ? deliveryCharge._id : undefined,
+  }
+}
+
+// Client totals differ from ours by more than rounding noise
+export const hasPriceMismatch = (clientTotal, serverTotal) => {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === "") return false
+  return Math.abs(Number(clientTotal) - serverTotal) > 0.01
+}
+
+export default calculateOrderPricing
@@ -0,0 +1,73 @@
+import { ORDER_STATUSES } from "../models/orderModel.js"
+import { syncStockWithStatus } from "./inventory.js"
+import { createHttpError } from "./httpError.js"
+
+// Where an order can go from each status. On Hold resumes at any step before shipping,
+// a cancellation can be undone by reopening the order.
+export const ORDER_TRANSITIONS = {
+  Processing: ["Confirmed", "On Hold", "Cancelled", "Rejected"],
+  Confirmed: ["Ready for Shipment", "On Hold", "Cancelled"],
+  "Ready for Shipment": ["Shipped", "On Hold", "Cancelled"],
+  Shipped: ["Out for Delivery", "Delivered", "Returned"],
+  "Out for Delivery": ["Delivered", "Returned"],
+  Delivered: ["Returned"],
+  "On Hold": ["Processing", "Confirmed", "Ready for Shipment", "Cancelled", "Rejected"],
+  Cancelled: ["Processing"],
+  Rejected: [],
+  Returned: [],
+}
+
+// Moves an admin has to explain
+export const REASON_REQUIRED_STATUSES = ["On Hold", "Cancelled", "Rejected"]
+
+// Orders that will not be fulfilled
+export const CLOSED_ORDER_STATUSES = ["Cancelled", "Rejected", "Returned"]
+
+export const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from]?.includes(to))
+
+// First history entry of a new order
+export const initialStatusEntry = (user) => ({
+  status: "Processing",
+  changedBy: user?._id,
+  changedByName: user?.name,
+})
+
+// Move an order to a new status: checks the move is allowed, keeps stock in step and records
+// who did it and why. Returns false when the order already has that status.
+export const transitionOrderStatus = async (order, status, { reason, user } = {}) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw createHttpError("Invalid order status")
+  }
+
+  const previousStatus = order.status
+  if (previousStatus === status) return false
+
+  if (!canTransition(previousStatus, status)) {
+    throw createHttpError(`An order cannot go from ${previousStatus} to ${status}`)
+  }
+
+  const trimmedReason = typeof reason === "string" ? reason.trim() : ""
+  if (REASON_REQUIRED_STATUSES.includes(status) && !trimmedReason) {
+    throw createHttpError(`Please give a reason for moving the order to ${status}`)
+  }
+
+  order.status = status
+  await syncStockWithStatus(order, previousStatus)
+
+  if (status === "Delivered") {
+    order.deliveredAt = new Date()
+  }
+  if (status === "Cancelled" || status === "Rejected") {
+    order.cancelReason = trimmedReason
+  }
+
+  order.statusHistory.push({
+    status,
+    previousStatus,
+    reason: trimmedReason || undefined,
+    changedBy: user?._id,
+    changedByName: user?.name,
+  })
+
+  return true
+}
@@ -0,0 +1,105 @@
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import Order from "../models/orderModel.js"
+import config from "../config/config.js"
+
+const TRACKING_AUDIENCE = "order-tracking"
+
+export const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "")
+
+// Local number digits, so +971 50 123 4567, 00971501234567 and 050 123 4567 all compare equal
+export const normalizePhone = (phone) =>
+  String(phone || "")
+    .replace(/\D/g, "")
+    .replace(/^00/, "")
+    .replace(/^971/, "")
+    .replace(/^0+/, "")
+
+// Contact details stored on the order, indexed so tracking never has to look at the user
+export const getOrderContact = ({ shippingAddress, pickupDetails }, user) => ({
+  contactEmail: normalizeEmail(shippingAddress?.email || user?.email) || undefined,
+  contactPhone: normalizePhone(shippingAddress?.phone || pickupDetails?.phone || user?.phone) || undefined,
+})
+
+// Orders placed before contact details were stored still match on their address or account
+const orderMatchesContact = (order, { email, phone }) => {
+  if (email) {
+    const emails = [order.contactEmail, order.shippingAddress?.email, order.user?.email].map(normalizeEmail)
+    if (emails.includes(email)) return true
+  }
+  if (phone) {
+    const phones = [order.contactPhone, order.shippingAddress?.phone, order.pickupDetails?.phone].map(normalizePhone)
+    if (phones.includes(phone)) return true
+  }
+  return false
+}
+
+// Order number (GZ-2026-000123), courier tracking ID or the full order id, all indexed
+const getReferenceFilter = (reference) => {
+  const cleanReference = String(reference || "")
+    .replace(/^#/, "")
+    .trim()
+  if (!cleanReference) return null
+
+  if (/^[0-9a-fA-F]{24}$/.test(cleanReference) && mongoose.Types.ObjectId.isValid(cleanReference)) {
+    return { _id: cleanReference }
+  }
+  return { $or: [{ orderNumber: cleanReference.toUpperCase() }, { trackingId: cleanReference }] }
+}
+
+// Order matching the reference and the customer's email or phone, or null
+export const findOrderForTracking = async ({ orderId, email, phone }) => {
+  const filter = getReferenceFilter(orderId)
+  const contact = { email: normalizeEmail(email), phone: normalizePhone(phone) }
+  if (!filter || (!contact.email && !contact.phone)) return null
+
+  const orders = await Order.find(filter).limit(5).populate("user", "email")
+  return orders.find((order) => orderMatchesContact(order, contact)) || null
+}
+
+export const findOrderByTrackingToken = async (token) => {
+  if (!config.TRACKING_TOKEN_SECRET || typeof token !== "string") return null
+
+  try {
+    const { order } = jwt.verify(token, config.TRACKING_TOKEN_SECRET, { audience: TRACKING_AUDIENCE })
+    return mongoose.Types.ObjectId.isValid(order) ? await Order.findById(order) : null
+  } catch (error) {
+    return null
+  }
+}
+
+export const createTrackingToken = (order) =>
+  jwt.sign({ order: order._id.toString() }, config.TRACKING_TOKEN_SECRET, {
+    audience: TRACKING_AUDIENCE,
+    expiresIn: config.TRACKING_LINK_EXPIRES_IN,
+  })
+
+// Link to the tracking page that opens this order without asking for the customer's details
+export const getTrackingUrl = (order) => {
+  if (!config.TRACKING_TOKEN_SECRET) return undefined
+  return `${config.FRONTEND_URL}/track-order?token=${encodeURIComponent(createTrackingToken(order))}`
+}
+
+// What the public tracking page gets to see of an order
+export const toTrackingView = (order) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  deliveryType: order.deliveryType,
+  trackingId: order.trackingId,
+  estimatedDelivery: order.estimatedDelivery,
+  deliveredAt: order.deliveredAt,
+  createdAt: order.createdAt,
+  totalPrice: order.totalPrice,
+  shippingAddress: order.shippingAddress?.address
+    ? {
+        name: order.shippingAddress.name,
+        address: order.shippingAddress.address,
+        city: order.shippingAddress.city,
+        state: order.shippingAddress.state,
+        zipCode: order.shippingAddress.zipCode,
+      }
+    : undefined,
+  orderItems: order.orderItems.map(({ name, image, price, quantity }) => ({ name, image, price, quantity })),
+  statusHistory: (order.statusHistory || []).map(({ status, createdAt }) => ({ status, createdAt })),
+})
@@ -0,0 +1,120 @@
+import Order from "../models/orderModel.js"
+import PaymentEvent from "../models/paymentEventModel.js"
+import { getPaymentProvider } from "./payments/index.js"
+import { CURRENCY } from "./payments/helpers.js"
+import { roundPrice } from "./orderPricing.js"
+import { createHttpError } from "./httpError.js"
+import { reopenExpiredOrder } from "./pendingPayments.js"
+
+// A retry may take over an event whose first attempt died before releasing it
+const STALE_CLAIM_MS = 5 * 60 * 1000
+
+// A capture settles the order only when it took the whole total, in the shop's currency
+const coversOrderTotal = (order, amount, currency) =>
+  amount !== undefined &&
+  amount !== null &&
+  roundPrice(amount) === roundPrice(order.totalPrice) &&
+  (!currency || String(currency).toUpperCase() === CURRENCY)
+
+// Record a payment status on the order and move isPaid accordingly. Only a capture of the full
+// total pays the order, an authorization still waits for the capture and any other amount is
+// left as "review" for an admin. A late failure or cancellation never undoes a payment.
+export const applyPaymentStatus = (order, { provider, status, providerStatus, eventId, amount, currency, note }) => {
+  const ignored = order.isPaid && (status === "failed" || status === "cancelled" || status === "pending")
+  const mismatch = status === "paid" && !order.isPaid && !coversOrderTotal(order, amount, currency)
+
+  let historyNote = note
+  if (ignored) {
+    historyNote = "Ignored, order is already paid"
+  } else if (mismatch) {
+    const paid = amount === undefined || amount === null ? "an unknown amount" : `${amount} ${currency || CURRENCY}`
+    historyNote = `Captured ${paid}, the order total is ${order.totalPrice} ${CURRENCY}`
+  }
+
+  order.paymentHistory.push({ provider, eventId, status, providerStatus, amount, note: historyNote })
+
+  if (ignored) return order
+
+  order.set("paymentResult.provider", provider)
+  order.set("paymentResult.status", mismatch ? "review" : status)
+  order.set("paymentResult.update_time", new Date().toISOString())
+
+  if (status === "paid" && !mismatch && !order.isPaid) {
+    order.isPaid = true
+    order.paidAt = new Date()
+  }
+
+  return order
+}
+
+// Verify, de-duplicate and apply one provider webhook
+export const processPaymentWebhook = async (providerName, req) => {
+  const provider = getPaymentProvider(providerName)
+  if (!provider || !provider.online) {
+    throw createHttpError("Unknown payment provider", 404)
+  }
+
+  if (!provider.verifyWebhook(req)) {
+    throw createHttpError("Invalid webhook signature", 401)
+  }
+
+  const { reference, eventId, providerStatus, amount, currency } = provider.parseWebhook(req.body || {})
+  if (!reference || !eventId) {
+    throw createHttpError("Malformed webhook payload", 400)
+  }
+
+  const status = provider.mapStatus(providerStatus)
+
+  let event
+  try {
+    event = await PaymentEvent.create({
+      provider: providerName,
+      eventId,
+      reference,
+      providerStatus,
+      status,
+      payload: req.body,
+      claimedAt: new Date(),
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    // Seen before: a replay once processed, otherwise a retry after we failed midway. The retry
+    // claims the event first, so two copies arriving together do not both apply it.
+    event = await PaymentEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId,
+        processedAt: null,
+        $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }],
+      },
+      { $set: { claimedAt: new Date() } },
+      { new: true },
+    )
+    if (!event) {
+      return { duplicate: true }
+    }
+  }
+
+  let order
+  try {
+    order = await Order.findOne({ [`paymentResult.${provider.referenceField}`]: reference })
+    if (order) {
+      applyPaymentStatus(order, { provider: providerName, status, providerStatus, eventId, amount, currency })
+      await reopenExpiredOrder(order)
+      await order.save()
+      event.order = order._id
+    } else {
+      console.warn(`No order found for ${providerName} payment ${reference}`)
+    }
+  } catch (error) {
+    // Let the provider's retry pick the event up again
+    await PaymentEvent.updateOne({ _id: event._id }, { $set: { claimedAt: null } })
+    throw error
+  }
+
+  event.processedAt = new Date()
+  await event.save()
+
+  return { duplicate: false, orderId: order?._id, status }
+}
@@ -0,0 +1,43 @@
+import config from "../../config/config.js"
+import { CURRENCY } from "./helpers.js"
+
+// Bank transfer: the shopper gets our account details and a payment reference to quote,
+// an admin captures the payment once the money shows up on the statement
+const bankTransfer = {
+  name: "bank_transfer",
+  label: "Bank Transfer",
+  paymentMethod: "Bank Transfer",
+  referenceField: "bank_transfer_ref",
+  online: false,
+
+  createSession: async (order) => {
+    const reference = order.orderNumber || `BT-${order._id.toString().slice(-8).toUpperCase()}`
+    return {
+      reference,
+      instructions: bankTransfer.getInstructions(order, reference),
+    }
+  },
+
+  getInstructions: (order, reference = order.paymentResult?.bank_transfer_ref) => ({
+    accountName: config.BANK_TRANSFER_ACCOUNT_NAME,
+    bankName: config.BANK_TRANSFER_BANK_NAME,
+    iban: config.BANK_TRANSFER_IBAN,
+    swift: config.BANK_TRANSFER_SWIFT,
+    amount: order.totalPrice,
+    currency: CURRENCY,
+    reference,
+  }),
+
+  capture: async () => ({ status: "paid", note: "Bank transfer received" }),
+
+  // Transfers back to the shopper are made from the bank portal, the refund is only recorded
+  refund: async () => ({ status: "refunded", note: "Refund to be transferred manually" }),
+
+  verifyWebhook: () => false,
+
+  parseWebhook: () => ({}),
+
+  mapStatus: () => "pending",
+}
+
+export default bankTransfer
@@ -0,0 +1,23 @@
+// Cash on delivery: nothing to do at checkout, the courier collects the money and an
+// admin captures the payment once it has been handed in
+const cod = {
+  name: "cod",
+  label: "Cash On Delivery",
+  paymentMethod: "Cash on Delivery",
+  online: false,
+
+  createSession: async () => ({}),
+
+  capture: async () => ({ status: "paid", note: "Cash collected on delivery" }),
+
+  // Cash refunds are paid out by hand, the refund is only recorded
+  refund: async () => ({ status: "refunded", note: "Refund to be paid out manually" }),
+
+  verifyWebhook: () => false,
+
+  parseWebhook: () => ({}),
+
+  mapStatus: () => "pending",
+}
+
+export default cod
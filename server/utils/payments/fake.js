@@ -0,0 +1,56 @@
+import crypto from "crypto"
+import config from "../../config/config.js"
+import { getRedirectUrls, mapWith, secretsMatch } from "./helpers.js"
+import { createHttpError } from "../httpError.js"
+
+// HMAC the fake provider signs its webhooks with
+export const signFakeWebhook = (rawBody, secret = config.FAKE_PAYMENT_WEBHOOK_SECRET) =>
+  crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+
+const fakeId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`
+
+// Local stand-in for a real gateway. There is no hosted page, the shopper lands straight on
+// the result page and the outcome is driven by scripts/fake-payment-webhook.js
+const fake = {
+  name: "fake",
+  label: "Test Payment",
+  paymentMethod: "Credit Card",
+  referenceField: "fake_payment_id",
+  online: true,
+  enabled: () => config.FAKE_PAYMENTS_ENABLED,
+
+  createSession: async (order) => {
+    if (!config.FAKE_PAYMENTS_ENABLED) {
+      throw createHttpError("Fake payments are disabled", 404)
+    }
+    return { reference: `fake_${order._id}`, checkoutUrl: getRedirectUrls(order).success }
+  },
+
+  capture: async () => ({ reference: fakeId("cap"), status: "paid" }),
+
+  refund: async () => ({ reference: fakeId("ref"), status: "refunded" }),
+
+  verifyWebhook: (req) =>
+    config.FAKE_PAYMENTS_ENABLED &&
+    Boolean(req.rawBody) &&
+    secretsMatch(req.get("X-Fake-Signature"), signFakeWebhook(req.rawBody)),
+
+  parseWebhook: (body) => ({
+    reference: body.paymentId,
+    eventId: body.eventId,
+    providerStatus: body.status,
+    amount: body.amount,
+    currency: body.currency,
+  }),
+
+  mapStatus: mapWith({
+    pending: "pending",
+    authorized: "authorized",
+    paid: "paid",
+    failed: "failed",
+    cancelled: "cancelled",
+    refunded: "refunded",
+  }),
+}
+
+export default fake
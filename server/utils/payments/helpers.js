@@ -0,0 +1,56 @@
+import crypto from "crypto"
+import config from "../../config/config.js"
+import { createHttpError } from "../httpError.js"
+
+export const CURRENCY = "AED"
+
+export const money = (amount) => Number(amount || 0).toFixed(2)
+
+// Constant time comparison for shared secrets
+export const secretsMatch = (received, expected) => {
+  if (!received || !expected) return false
+  const receivedBuffer = Buffer.from(String(received))
+  const expectedBuffer = Buffer.from(String(expected))
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+}
+
+// Look up a provider status in a normalized status map, case insensitive
+export const mapWith = (statusMap) => (providerStatus) =>
+  statusMap[String(providerStatus || "").toLowerCase()] || "pending"
+
+// Where the provider sends the shopper back to, the result page polls the order status
+export const getRedirectUrls = (order) => {
+  const resultUrl = `${config.FRONTEND_URL}/payment/result?orderId=${order._id}`
+  return {
+    success: `${resultUrl}&result=success`,
+    failure: `${resultUrl}&result=failure`,
+    cancel: `${resultUrl}&result=cancel`,
+  }
+}
+
+// Contact details from the shipping address, falling back to the account
+export const getCustomer = (order) => {
+  const name = order.shippingAddress?.name || order.user?.name || "Customer"
+  const [firstName, ...rest] = name.trim().split(" ")
+  return {
+    firstName: firstName || "Customer",
+    lastName: rest.join(" "),
+    name,
+    email: order.shippingAddress?.email || order.user?.email,
+    phone: order.shippingAddress?.phone || order.pickupDetails?.phone || "",
+    address: order.shippingAddress?.address || order.pickupDetails?.location || "",
+    city: order.shippingAddress?.city || "Dubai",
+    zipCode: order.shippingAddress?.zipCode || "",
+  }
+}
+
+// Surface provider failures as a 502, the provider message only goes to the logs
+export const callProvider = async (providerName, action, request) => {
+  try {
+    const { data } = await request()
+    return data
+  } catch (error) {
+    console.error(`${providerName} ${action} error:`, error.response?.data || error.message)
+    throw createHttpError(`${providerName} ${action} failed, please try again or use another payment method`, 502)
+  }
+}
@@ -0,0 +1,33 @@
+import tamara from "./tamara.js"
+import tabby from "./tabby.js"
+import ngenius from "./ngenius.js"
+import cod from "./cod.js"
+import bankTransfer from "./bankTransfer.js"
+import fake from "./fake.js"
+
+// Every payment provider implements the same interface:
+//   createSession(order)          -> { reference, checkoutUrl } for hosted pages, or { reference, instructions }
+//   capture(order, amount)        -> { reference, status, note }
+//   refund(order, amount, reason) -> { reference, status, note }
+//   verifyWebhook(req)            -> true when the request really comes from the provider
+//   parseWebhook(body)            -> { reference, eventId, providerStatus, amount, currency }
+//   mapStatus(providerStatus)     -> pending | authorized | paid | failed | cancelled | refunded
+// plus name, label, paymentMethod (stored on the order), referenceField (paymentResult key
+// holding the provider reference) and online (shopper is redirected to the provider).
+// A new gateway is one module registered here.
+const providers = [tamara, tabby, ngenius, cod, bankTransfer, fake]
+
+const isEnabled = (provider) => (provider.enabled ? provider.enabled() : true)
+
+// Enabled provider by name, or undefined
+export const getPaymentProvider = (name) => providers.find((provider) => provider.name === name && isEnabled(provider))
+
+// Providers offered at checkout
+export const getPaymentProviders = () => providers.filter(isEnabled)
+
+// Order payment methods settled at a provider while the shopper waits, disabled providers included
+export const ONLINE_PAYMENT_METHODS = [
+  ...new Set(providers.filter((provider) => provider.online).map((provider) => provider.paymentMethod)),
+]
+
+export default getPaymentProvider
@@ -0,0 +1,134 @@
+import axios from "axios"
+import config from "../../config/config.js"
+import { CURRENCY, callProvider, getCustomer, getRedirectUrls, mapWith, secretsMatch } from "./helpers.js"
+import { createHttpError } from "../httpError.js"
+
+const NGENIUS_PAYMENT_TYPE = "application/vnd.ni-payment.v2+json"
+
+// N-Genius expects amounts in minor units
+const minorUnits = (value) => Math.round(Number(value || 0) * 100)
+
+const getAccessToken = async () => {
+  const data = await callProvider("N-Genius", "authentication", () =>
+    axios.post(
+      `${config.NGENIUS_API_URL}/identity/auth/access-token`,
+      { realmName: config.NGENIUS_REALM },
+      {
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${config.NGENIUS_API_KEY}:${config.NGENIUS_API_SECRET}`).toString("base64")}`,
+          "Content-Type": "application/vnd.ni-identity.v1+json",
+        },
+      },
+    ),
+  )
+  return data.access_token
+}
+
+const ngeniusHeaders = (accessToken) => ({
+  headers: {
+    Authorization: `Bearer ${accessToken}`,
+    "Content-Type": NGENIUS_PAYMENT_TYPE,
+    Accept: NGENIUS_PAYMENT_TYPE,
+  },
+})
+
+// Card payments on the N-Genius hosted payment page
+const ngenius = {
+  name: "ngenius",
+  label: "Pay By Card",
+  paymentMethod: "Credit Card",
+  referenceField: "ngenius_order_ref",
+  online: true,
+
+  createSession: async (order) => {
+    const customer = getCustomer(order)
+    const urls = getRedirectUrls(order)
+    const accessToken = await getAccessToken()
+
+    const data = await callProvider("N-Genius", "checkout", () =>
+      axios.post(
+        `${config.NGENIUS_API_URL}/transactions/outlets/${config.NGENIUS_OUTLET_ID}/orders`,
+        {
+          action: "PURCHASE",
+          amount: { currencyCode: CURRENCY, value: minorUnits(order.totalPrice) },
+          merchantOrderReference: order._id.toString(),
+          emailAddress: customer.email,
+          billingAddress: {
+            firstName: customer.firstName,
+            lastName: customer.lastName,
+            address1: customer.address,
+            city: customer.city,
+            countryCode: "AE",
+          },
+          merchantAttributes: {
+            redirectUrl: urls.success,
+            cancelUrl: urls.cancel,
+            skipConfirmationPage: true,
+          },
+        },
+        ngeniusHeaders(accessToken),
+      ),
+    )
+
+    return { reference: data.reference, checkoutUrl: data._links?.payment?.href }
+  },
+
+  // Orders are created with the PURCHASE action, the card is charged right away
+  capture: async () => ({ status: "paid" }),
+
+  refund: async (order, refundAmount) => {
+    const accessToken = await getAccessToken()
+    const outletUrl = `${config.NGENIUS_API_URL}/transactions/outlets/${config.NGENIUS_OUTLET_ID}`
+
+    const ngeniusOrder = await callProvider("N-Genius", "refund", () =>
+      axios.get(`${outletUrl}/orders/${order.paymentResult.ngenius_order_ref}`, ngeniusHeaders(accessToken)),
+    )
+
+    // The refund link lives on the captured payment of the order
+    const payment = ngeniusOrder._embedded?.payment?.[0]
+    const refundUrl =
+      payment?._links?.["cnp:refund"]?.href || payment?._embedded?.["cnp:capture"]?.[0]?._links?.["cnp:refund"]?.href
+    if (!refundUrl) {
+      throw createHttpError("This card payment cannot be refunded online", 400)
+    }
+
+    const data = await callProvider("N-Genius", "refund", () =>
+      axios.post(
+        refundUrl,
+        { amount: { currencyCode: CURRENCY, value: minorUnits(refundAmount) } },
+        ngeniusHeaders(accessToken),
+      ),
+    )
+    return { reference: data.reference || data._id, status: "refunded" }
+  },
+
+  // N-Genius sends back the custom header configured on the outlet webhook
+  verifyWebhook: (req) => secretsMatch(req.get(config.NGENIUS_WEBHOOK_HEADER), config.NGENIUS_WEBHOOK_SECRET),
+
+  parseWebhook: (body) => {
+    const reference = body.order?.reference || body.orderReference
+    const providerStatus = body.eventName || body.order?.state || body.state
+    return {
+      reference,
+      eventId: body.eventId || `${reference}:${providerStatus}`,
+      providerStatus,
+      amount: body.order?.amount?.value !== undefined ? body.order.amount.value / 100 : body.amount,
+      currency: body.order?.amount?.currencyCode,
+    }
+  },
+
+  mapStatus: mapWith({
+    purchased: "paid",
+    captured: "paid",
+    authorised: "authorized",
+    declined: "failed",
+    failed: "failed",
+    purchase_declined: "failed",
+    authorisation_failed: "failed",
+    reversed: "cancelled",
+    cancelled: "cancelled",
+    refunded: "refunded",
+  }),
+}
+
+export default ngenius
@@ -0,0 +1,117 @@
+import axios from "axios"
+import config from "../../config/config.js"
+import {
+  CURRENCY,
+  callProvider,
+  getCustomer,
+  getRedirectUrls,
+  mapWith,
+  money,
+  secretsMatch,
+} from "./helpers.js"
+import { createHttpError } from "../httpError.js"
+
+const tabbyHeaders = () => ({
+  headers: { Authorization: `Bearer ${config.TABBY_SECRET_KEY}`, "Content-Type": "application/json" },
+})
+
+// Tabby, split the purchase into 4 payments
+const tabby = {
+  name: "tabby",
+  label: "Tabby",
+  paymentMethod: "Tabby",
+  referenceField: "tabby_payment_id",
+  online: true,
+
+  createSession: async (order) => {
+    const customer = getCustomer(order)
+
+    const data = await callProvider("Tabby", "checkout", () =>
+      axios.post(
+        `${config.TABBY_API_URL}/api/v2/checkout`,
+        {
+          payment: {
+            amount: money(order.totalPrice),
+            currency: CURRENCY,
+            description: `Order ${order._id}`,
+            buyer: { name: customer.name, email: customer.email, phone: customer.phone },
+            shipping_address: { city: customer.city, address: customer.address, zip: customer.zipCode },
+            order: {
+              reference_id: order._id.toString(),
+              tax_amount: money(order.taxPrice),
+              shipping_amount: money(order.shippingPrice),
+              discount_amount: money(order.discountAmount),
+              updated_at: new Date().toISOString(),
+              items: order.orderItems.map((item) => ({
+                title: item.name,
+                quantity: item.quantity,
+                unit_price: money(item.price),
+                reference_id: item.product.toString(),
+                image_url: item.image,
+              })),
+            },
+            buyer_history: { registered_since: order.createdAt, loyalty_level: 0 },
+            order_history: [],
+            meta: { order_id: order._id.toString(), customer: customer.email },
+          },
+          lang: "en",
+          merchant_code: config.TABBY_MERCHANT_CODE,
+          merchant_urls: getRedirectUrls(order),
+        },
+        tabbyHeaders(),
+      ),
+    )
+
+    if (data.status === "rejected") {
+      throw createHttpError("Tabby is not available for this order, please try another payment method", 400)
+    }
+
+    return {
+      reference: data.payment?.id,
+      checkoutUrl: data.configuration?.available_products?.installments?.[0]?.web_url,
+    }
+  },
+
+  capture: async (order, captureAmount = order.totalPrice) => {
+    const data = await callProvider("Tabby", "capture", () =>
+      axios.post(
+        `${config.TABBY_API_URL}/api/v2/payments/${order.paymentResult.tabby_payment_id}/captures`,
+        { amount: money(captureAmount) },
+        tabbyHeaders(),
+      ),
+    )
+    return { reference: data.captures?.[data.captures.length - 1]?.id, status: "paid" }
+  },
+
+  refund: async (order, refundAmount, reason) => {
+    const data = await callProvider("Tabby", "refund", () =>
+      axios.post(
+        `${config.TABBY_API_URL}/api/v2/payments/${order.paymentResult.tabby_payment_id}/refunds`,
+        { amount: money(refundAmount), reason: reason || "Refund" },
+        tabbyHeaders(),
+      ),
+    )
+    return { reference: data.refunds?.[data.refunds.length - 1]?.id, status: "refunded" }
+  },
+
+  // Tabby sends back the header configured when the webhook was registered
+  verifyWebhook: (req) => secretsMatch(req.get(config.TABBY_WEBHOOK_HEADER), config.TABBY_WEBHOOK_SECRET),
+
+  parseWebhook: (body) => ({
+    reference: body.id,
+    eventId: `${body.id}:${body.status}:${body.captures?.length || 0}:${body.refunds?.length || 0}`,
+    providerStatus: body.status,
+    amount: body.amount !== undefined ? Number(body.amount) : undefined,
+    currency: body.currency,
+  }),
+
+  mapStatus: mapWith({
+    // Paid once an admin captures it, Tabby closes the payment after the capture
+    authorized: "authorized",
+    closed: "paid",
+    rejected: "failed",
+    expired: "failed",
+  }),
+}
+
+export default tabby
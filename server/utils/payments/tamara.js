@@ -0,0 +1,138 @@
+import axios from "axios"
+import jwt from "jsonwebtoken"
+import config from "../../config/config.js"
+import { CURRENCY, callProvider, getCustomer, getRedirectUrls, mapWith } from "./helpers.js"
+
+const tamaraHeaders = () => ({
+  headers: { Authorization: `Bearer ${config.TAMARA_API_KEY}`, "Content-Type": "application/json" },
+})
+
+const amount = (value) => ({ amount: Number(value || 0), currency: CURRENCY })
+
+// Tamara, buy now pay later in installments
+const tamara = {
+  name: "tamara",
+  label: "Tamara",
+  paymentMethod: "Tamara",
+  referenceField: "tamara_order_id",
+  online: true,
+
+  createSession: async (order) => {
+    const customer = getCustomer(order)
+
+    const data = await callProvider("Tamara", "checkout", () =>
+      axios.post(
+        `${config.TAMARA_API_URL}/checkout`,
+        {
+          order_reference_id: order._id.toString(),
+          order_number: order._id.toString(),
+          total_amount: amount(order.totalPrice),
+          shipping_amount: amount(order.shippingPrice),
+          tax_amount: amount(order.taxPrice),
+          discount: { name: order.couponCode || "Discount", amount: amount(order.discountAmount) },
+          description: `Order ${order._id}`,
+          country_code: "AE",
+          payment_type: "PAY_BY_INSTALMENTS",
+          consumer: {
+            first_name: customer.firstName,
+            last_name: customer.lastName,
+            phone_number: customer.phone,
+            email: customer.email,
+          },
+          shipping_address: {
+            first_name: customer.firstName,
+            last_name: customer.lastName,
+            line1: customer.address,
+            city: customer.city,
+            country_code: "AE",
+          },
+          items: order.orderItems.map((item) => ({
+            name: item.name,
+            type: "Physical",
+            reference_id: item.product.toString(),
+            sku: item.sku || item.product.toString(),
+            quantity: item.quantity,
+            unit_price: amount(item.price),
+            total_amount: amount(item.price * item.quantity),
+          })),
+          merchant_url: {
+            ...getRedirectUrls(order),
+            notification: `${config.BACKEND_URL}/api/payment/tamara/webhook`,
+          },
+        },
+        tamaraHeaders(),
+      ),
+    )
+
+    return { reference: data.order_id, checkoutUrl: data.checkout_url }
+  },
+
+  capture: async (order, captureAmount = order.totalPrice) => {
+    const data = await callProvider("Tamara", "capture", () =>
+      axios.post(
+        `${config.TAMARA_API_URL}/payments/capture`,
+        {
+          order_id: order.paymentResult.tamara_order_id,
+          total_amount: amount(captureAmount),
+          shipping_info: { shipped_at: new Date().toISOString(), shipping_company: "Graba2z" },
+        },
+        tamaraHeaders(),
+      ),
+    )
+    return { reference: data.capture_id, status: "paid" }
+  },
+
+  refund: async (order, refundAmount, reason) => {
+    const data = await callProvider("Tamara", "refund", () =>
+      axios.post(
+        `${config.TAMARA_API_URL}/payments/simplified-refund/${order.paymentResult.tamara_order_id}`,
+        { total_amount: amount(refundAmount), comment: reason || "Refund" },
+        tamaraHeaders(),
+      ),
+    )
+    return { reference: data.refund_id, status: "refunded" }
+  },
+
+  // Tamara signs notifications with a JWT made from the merchant notification token
+  verifyWebhook: (req) => {
+    const token = req.query.tamaraToken || (req.headers.authorization || "").replace(/^Bearer\s+/i, "")
+    if (!token || !config.TAMARA_NOTIFICATION_TOKEN) return false
+    try {
+      jwt.verify(token, config.TAMARA_NOTIFICATION_TOKEN, { algorithms: ["HS256"] })
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
+  parseWebhook: (body) => {
+    const providerStatus = body.order_status || body.payment_status || body.event_type
+    return {
+      reference: body.order_id,
+      eventId: body.event_id || `${body.order_id}:${body.event_type || providerStatus}`,
+      providerStatus,
+      amount: body.data?.captured_amount?.amount,
+      currency: body.data?.captured_amount?.currency,
+    }
+  },
+
+  mapStatus: mapWith({
+    // Approved and authorised orders are paid once an admin captures them
+    approved: "authorized",
+    authorised: "authorized",
+    order_approved: "authorized",
+    order_authorised: "authorized",
+    fully_captured: "paid",
+    order_captured: "paid",
+    declined: "failed",
+    order_declined: "failed",
+    expired: "failed",
+    order_expired: "failed",
+    canceled: "cancelled",
+    order_canceled: "cancelled",
+    fully_refunded: "refunded",
+    order_refunded: "refunded",
+  }),
+}
+
+export default tamara
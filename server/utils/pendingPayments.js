@@ -0,0 +1,69 @@
+import config from "../config/config.js"
+import Order from "../models/orderModel.js"
+import { ONLINE_PAYMENT_METHODS } from "./payments/index.js"
+import { transitionOrderStatus } from "./orderStatus.js"
+
+const MINUTE = 60 * 1000
+
+export const PAYMENT_EXPIRED_REASON = "Payment was not completed in time"
+
+// Cancel online-payment orders the shopper never paid for, which gives their reserved stock back.
+// Orders the provider has authorized, or took money for that needs a review, are left for an admin.
+export const expireUnpaidOrders = async (now = new Date()) => {
+  const orders = await Order.find({
+    paymentMethod: { $in: ONLINE_PAYMENT_METHODS },
+    isPaid: false,
+    status: "Processing",
+    stockReleased: { $ne: true },
+    "paymentResult.status": { $nin: ["authorized", "paid", "review"] },
+    createdAt: { $lte: new Date(now.getTime() - config.PENDING_PAYMENT_EXPIRES_MINUTES * MINUTE) },
+  })
+
+  let expired = 0
+  for (const order of orders) {
+    try {
+      await transitionOrderStatus(order, "Cancelled", { reason: PAYMENT_EXPIRED_REASON })
+      await order.save()
+      expired += 1
+    } catch (error) {
+      console.error(`Failed to expire unpaid order ${order._id}:`, error)
+    }
+  }
+
+  return { expired }
+}
+
+// A payment that lands after its order expired takes the stock again when there is still enough.
+// Otherwise the order stays cancelled and paid, for an admin to refund.
+export const reopenExpiredOrder = async (order) => {
+  if (!order.isPaid || order.status !== "Cancelled" || order.cancelReason !== PAYMENT_EXPIRED_REASON) return
+
+  try {
+    await transitionOrderStatus(order, "Processing", { reason: "Paid after the order had expired" })
+  } catch (error) {
+    console.error(`Paid order ${order._id} could not be reopened, it needs a refund:`, error.message)
+  }
+}
+
+let jobTimer = null
+let jobRunning = false
+
+// Run the expiry job inside the API process every PENDING_PAYMENT_JOB_INTERVAL_MINUTES
+export const startPendingPaymentJob = () => {
+  const minutes = config.PENDING_PAYMENT_JOB_INTERVAL_MINUTES
+  if (jobTimer || !minutes || minutes <= 0) return
+
+  jobTimer = setInterval(async () => {
+    if (jobRunning) return
+    jobRunning = true
+    try {
+      const { expired } = await expireUnpaidOrders()
+      if (expired > 0) console.log(`Cancelled ${expired} unpaid order(s)`)
+    } catch (error) {
+      console.error("Unpaid order job failed:", error)
+    } finally {
+      jobRunning = false
+    }
+  }, minutes * MINUTE)
+  jobTimer.unref()
+}
@@ -0,0 +1,65 @@
+// What staff can do in the admin panel. Routes ask for a permission, roles bundle them.
+export const PERMISSIONS = {
+  "dashboard.view": "See the dashboard and sales figures",
+  "orders.view": "See orders and return requests",
+  "orders.manage": "Update orders, tracking, payments and return requests",
+  "orders.refund": "Refund orders",
+  "catalog.manage": "Edit products, prices, categories, brands and attributes",
+  "coupons.manage": "Create and edit coupons",
+  "marketing.manage": "Edit banners and see abandoned cart reports",
+  "blog.manage": "Write and publish blog posts, moderate ratings",
+  "callbacks.manage": "Handle callback requests",
+  "users.view": "See customer accounts",
+  "users.manage": "Edit and delete customer accounts",
+  "roles.manage": "Give staff roles and admin panel access",
+  "settings.manage": "Change store settings, tax and delivery charges",
+  "audit.view": "See the audit log of changes made in the admin panel",
+}
+
+export const ROLES = {
+  admin: {
+    label: "Administrator",
+    permissions: Object.keys(PERMISSIONS),
+  },
+  order_manager: {
+    label: "Order manager",
+    permissions: ["dashboard.view", "orders.view", "orders.manage", "orders.refund", "callbacks.manage"],
+  },
+  catalog_editor: {
+    label: "Catalog editor",
+    permissions: ["dashboard.view", "catalog.manage"],
+  },
+  blog_writer: {
+    label: "Blog writer",
+    permissions: ["dashboard.view", "blog.manage"],
+  },
+  support: {
+    label: "Support",
+    permissions: ["dashboard.view", "orders.view", "callbacks.manage", "users.view"],
+  },
+}
+
+export const STAFF_ROLES = Object.keys(ROLES)
+
+// Admins from before roles existed have isAdmin but no role, they keep full access
+export const getUserRole = (user) => {
+  if (!user?.isAdmin) return null
+  return ROLES[user.role] ? user.role : "admin"
+}
+
+export const getUserPermissions = (user) => {
+  const role = getUserRole(user)
+  return role ? ROLES[role].permissions : []
+}
+
+// True when the user has at least one of the permissions
+export const hasPermission = (user, ...permissions) => {
+  const granted = getUserPermissions(user)
+  return permissions.some((permission) => granted.includes(permission))
+}
+
+// Role and permissions sent with the admin profile, for the panel to show only what the user can use
+export const getStaffAccess = (user) => ({
+  role: getUserRole(user),
+  permissions: getUserPermissions(user),
+})
@@ -0,0 +1,203 @@
+import mongoose from "mongoose"
+import Category from "../models/categoryModel.js"
+import SubCategory from "../models/subCategoryModel.js"
+import { createHttpError } from "./httpError.js"
+
+export const ATTRIBUTE_TYPES = ["text", "number"]
+
+const MAX_ATTRIBUTES = 30
+const MAX_KEY_LENGTH = 50
+const REFRESH_BATCH_SIZE = 500
+
+// Units a number can come in, by what they measure, as a factor of the first unit of each
+const UNITS = {
+  mb: { measure: "data", factor: 1 },
+  gb: { measure: "data", factor: 1024 },
+  tb: { measure: "data", factor: 1024 * 1024 },
+  mm: { measure: "length", factor: 0.1 },
+  cm: { measure: "length", factor: 1 },
+  m: { measure: "length", factor: 100 },
+  '"': { measure: "length", factor: 2.54 },
+  in: { measure: "length", factor: 2.54 },
+  inch: { measure: "length", factor: 2.54 },
+  inches: { measure: "length", factor: 2.54 },
+  hz: { measure: "frequency", factor: 1 },
+  khz: { measure: "frequency", factor: 1e3 },
+  mhz: { measure: "frequency", factor: 1e6 },
+  ghz: { measure: "frequency", factor: 1e9 },
+  g: { measure: "weight", factor: 1 },
+  kg: { measure: "weight", factor: 1000 },
+  lb: { measure: "weight", factor: 453.592 },
+  lbs: { measure: "weight", factor: 453.592 },
+  w: { measure: "power", factor: 1 },
+  kw: { measure: "power", factor: 1000 },
+  mah: { measure: "charge", factor: 1 },
+  ah: { measure: "charge", factor: 1000 },
+}
+
+const collapseSpaces = (text) => String(text ?? "").replace(/\s+/g, " ").trim()
+
+// Spec keys as compared, "Screen Size" and "screen-size" alike
+export const toKeyToken = (key) => String(key ?? "").toLowerCase().replace(/[^a-z0-9]/g, "")
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map(collapseSpaces)
+    .filter(Boolean)
+
+// Attributes as an admin sent them for a category or subcategory, checked and tidied
+export const sanitizeFilterAttributes = (input) => {
+  if (input === undefined || input === null) return []
+  if (!Array.isArray(input)) throw createHttpError("Filter attributes must be a list")
+  if (input.length > MAX_ATTRIBUTES) throw createHttpError(`At most ${MAX_ATTRIBUTES} filter attributes`)
+
+  const seenKeys = new Set()
+  return input.map((attribute, index) => {
+    const key = collapseSpaces(attribute?.key)
+    if (!key) throw createHttpError(`Filter attribute ${index + 1} needs a specification key`)
+    if (key.length > MAX_KEY_LENGTH) throw createHttpError(`Filter attribute key "${key}" is too long`)
+    if (seenKeys.has(toKeyToken(key))) throw createHttpError(`Filter attribute "${key}" is listed twice`)
+    seenKeys.add(toKeyToken(key))
+
+    const type = attribute.type || "text"
+    if (!ATTRIBUTE_TYPES.includes(type)) throw createHttpError(`Unknown filter attribute type "${type}"`)
+
+    const unit = type === "number" ? collapseSpaces(attribute.unit) : ""
+    return {
+      key,
+      label: collapseSpaces(attribute.label) || key,
+      type,
+      unit,
+      aliases: toStringList(attribute.aliases).filter((alias) => toKeyToken(alias) !== toKeyToken(key)),
+      values: type === "text" ? toStringList(attribute.values) : [],
+      sortOrder: Number.isFinite(Number(attribute.sortOrder)) ? Number(attribute.sortOrder) : index,
+    }
+  })
+}
+
+const round = (number) => Math.round(number * 100) / 100
+
+// A raw spec value in the attribute's terms, e.g. "1TB SSD" as 1024 for "Storage" in GB.
+// Returns null when the value does not fit, a number attribute given a value without a number.
+export const normalizeAttributeValue = (attribute, raw) => {
+  const text = collapseSpaces(raw)
+  if (!text) return null
+
+  if (attribute.type !== "number") {
+    // One of the admin's values when it only differs in case or spacing
+    const known = attribute.values?.find((value) => value.toLowerCase() === text.toLowerCase())
+    return { value: known || text }
+  }
+
+  const toUnit = UNITS[attribute.unit?.toLowerCase()]
+  const matches = [...text.replace(/(\d),(\d{3})(?!\d)/g, "$1$2").matchAll(/(\d+(?:[.,]\d+)?)\s*("|[a-z]+)?/gi)]
+  // "DDR4 16GB" is 16 GB, the number in the attribute's measure comes first
+  const match =
+    (toUnit && matches.find((candidate) => UNITS[candidate[2]?.toLowerCase()]?.measure === toUnit.measure)) ||
+    matches[0]
+  if (!match) return null
+
+  let number = Number(match[1].replace(",", "."))
+  const fromUnit = UNITS[match[2]?.toLowerCase()]
+  if (toUnit && match[2]) {
+    // "8 cores" or "2 kg" for a GB attribute is not a size
+    if (fromUnit?.measure !== toUnit.measure) return null
+    number = (number * fromUnit.factor) / toUnit.factor
+  }
+
+  number = round(number)
+  return { value: attribute.unit ? `${number} ${attribute.unit}` : String(number), number }
+}
+
+// Filter attributes for products in these categories and subcategories, the subcategory's
+// definition winning over its category's for the same key
+export const getFilterAttributes = async (categoryIds = [], subCategoryIds = []) => {
+  const subCategories =
+    subCategoryIds.length > 0
+      ? await SubCategory.find({ _id: { $in: subCategoryIds } }).select("category filterAttributes").lean()
+      : []
+
+  const allCategoryIds = [
+    ...new Set([...categoryIds, ...subCategories.map((subCategory) => subCategory.category)].filter(Boolean).map(String)),
+  ]
+  const categories =
+    allCategoryIds.length > 0
+      ? await Category.find({ _id: { $in: allCategoryIds } }).select("filterAttributes").lean()
+      : []
+
+  const byKey = new Map()
+  for (const owner of [...subCategories, ...categories]) {
+    for (const attribute of owner.filterAttributes || []) {
+      const token = toKeyToken(attribute.key)
+      if (!byKey.has(token)) byKey.set(token, attribute)
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+}
+
+// A product's attribute values from its specifications, first matching spec per attribute
+export const toProductAttributes = (specifications = [], attributes = []) =>
+  attributes.flatMap((attribute) => {
+    const tokens = new Set([attribute.key, ...(attribute.aliases || [])].map(toKeyToken))
+    for (const specification of specifications) {
+      if (!tokens.has(toKeyToken(specification.key))) continue
+      const normalized = normalizeAttributeValue(attribute, specification.value)
+      if (normalized) return [{ key: attribute.key, ...normalized }]
+    }
+    return []
+  })
+
+// Recompute stored attributes after a category's or subcategory's definitions changed.
+// The model is looked up by name, the product model itself uses this module.
+export const refreshProductAttributes = async (filter) => {
+  const Product = mongoose.model("Product")
+  const attributesFor = new Map()
+  let operations = []
+  let updated = 0
+
+  const flush = async () => {
+    if (operations.length === 0) return
+    await Product.bulkWrite(operations)
+    updated += operations.length
+    operations = []
+  }
+
+  const cursor = Product.find(filter).select("parentCategory category specifications").lean().cursor()
+  for await (const product of cursor) {
+    const cacheKey = `${product.parentCategory}:${product.category}`
+    if (!attributesFor.has(cacheKey)) {
+      attributesFor.set(
+        cacheKey,
+        await getFilterAttributes([product.parentCategory], product.category ? [product.category] : []),
+      )
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        // Not an edit of the product, updatedAt stays
+        update: { $set: { attributes: toProductAttributes(product.specifications, attributesFor.get(cacheKey)) } },
+        timestamps: false,
+      },
+    })
+    if (operations.length >= REFRESH_BATCH_SIZE) await flush()
+  }
+  await flush()
+
+  return updated
+}
+
+// Specification keys products in scope use, most used first, to pick attributes from
+export const getSpecificationKeys = async (filter) => {
+  const Product = mongoose.model("Product")
+  const keys = await Product.aggregate([
+    { $match: filter },
+    { $unwind: "$specifications" },
+    { $group: { _id: "$specifications.key", count: { $sum: 1 }, example: { $first: "$specifications.value" } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 200 },
+  ])
+
+  return keys.filter((key) => collapseSpaces(key._id)).map(({ _id, count, example }) => ({ key: _id, count, example }))
+}
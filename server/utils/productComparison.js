@@ -0,0 +1,117 @@
+import Product from "../models/productModel.js"
+import { getFilterAttributes, normalizeAttributeValue, toKeyToken } from "./productAttributes.js"
+import { createHttpError } from "./httpError.js"
+import { getEffectivePrice } from "./orderPricing.js"
+
+export const MAX_COMPARE_PRODUCTS = 4
+
+const COMPARE_FIELDS = [
+  "name slug image price offerPrice discount rating numReviews stockStatus",
+  "specifications brand warranty parentCategory category",
+].join(" ")
+
+const collapseSpaces = (text) => String(text ?? "").replace(/\s+/g, " ").trim()
+
+// Warranties from before durationType existed have none, their name says it all
+const formatWarranty = (warranty) => {
+  if (!warranty) return null
+  if (!warranty.duration || !warranty.durationType) return warranty.name || null
+  const unit = warranty.duration === 1 ? warranty.durationType.replace(/s$/, "") : warranty.durationType
+  return `${warranty.duration} ${unit}`
+}
+
+// Rows compared ignoring case and spacing, a missing value counts as a difference
+const isDifferent = (values) =>
+  new Set(values.map((value) => (value === null ? null : collapseSpaces(value).toLowerCase()))).size > 1
+
+// Specification rows, one per spec, the category's filter attributes first and normalized ("8GB" and "8 gb" agree).
+// Other keys are matched loosely, "Screen Size" and "screen-size" make one row.
+const buildSpecificationRows = (products, attributes) => {
+  const rows = new Map()
+  const rowFor = (token, label) => {
+    if (!rows.has(token)) rows.set(token, { key: token, label, values: products.map(() => null) })
+    return rows.get(token)
+  }
+
+  attributes.forEach((attribute) => rowFor(toKeyToken(attribute.key), attribute.label || attribute.key))
+  const attributeByToken = new Map(
+    attributes.flatMap((attribute) =>
+      [attribute.key, ...(attribute.aliases || [])].map((key) => [toKeyToken(key), attribute]),
+    ),
+  )
+
+  products.forEach((product, index) => {
+    for (const specification of product.specifications || []) {
+      const raw = collapseSpaces(specification.value)
+      const token = toKeyToken(specification.key)
+      if (!raw || !token) continue
+
+      const attribute = attributeByToken.get(token)
+      const row = attribute ? rows.get(toKeyToken(attribute.key)) : rowFor(token, collapseSpaces(specification.key))
+      // First value wins when a product lists a spec twice, e.g. as RAM and as Memory
+      if (row.values[index] !== null) continue
+      row.values[index] = (attribute && normalizeAttributeValue(attribute, raw)?.value) || raw
+    }
+  })
+
+  return [...rows.values()]
+}
+
+// Products side by side for the compare page: an overview and a normalized specification table.
+// ids keep their order, so a shared link shows the columns the way they were picked.
+export const compareProducts = async (ids) => {
+  const uniqueIds = [...new Set(ids.map(String).map((id) => id.trim()).filter(Boolean))]
+  if (uniqueIds.length === 0) throw createHttpError("Pick products to compare")
+  if (uniqueIds.length > MAX_COMPARE_PRODUCTS) {
+    throw createHttpError(`Up to ${MAX_COMPARE_PRODUCTS} products can be compared`)
+  }
+  if (uniqueIds.some((id) => !/^[0-9a-fA-F]{24}$/.test(id))) {
+    throw createHttpError("Invalid product in compare link")
+  }
+
+  const found = await Product.find({ _id: { $in: uniqueIds }, isActive: true })
+    .select(COMPARE_FIELDS)
+    .populate("brand", "name")
+    .populate("warranty", "name duration durationType")
+    .populate("parentCategory", "name")
+    .populate("category", "name")
+    .lean()
+
+  // Products taken down since the link was shared are left out
+  const byId = new Map(found.map((product) => [product._id.toString(), product]))
+  const products = uniqueIds.map((id) => byId.get(id)).filter(Boolean)
+
+  const attributes = await getFilterAttributes(
+    products.map((product) => product.parentCategory?._id),
+    products.map((product) => product.category?._id).filter(Boolean),
+  )
+
+  const overviewRows = [
+    {
+      key: "price",
+      label: "Price",
+      values: products.map((product) => String(getEffectivePrice(product))),
+    },
+    {
+      key: "rating",
+      label: "Rating",
+      values: products.map((product) => (product.numReviews > 0 ? `${product.rating} (${product.numReviews})` : null)),
+    },
+    { key: "warranty", label: "Warranty", values: products.map((product) => formatWarranty(product.warranty)) },
+    { key: "brand", label: "Brand", values: products.map((product) => product.brand?.name || null) },
+    { key: "category", label: "Category", values: products.map((product) => product.category?.name || null) },
+    { key: "availability", label: "Availability", values: products.map((product) => product.stockStatus || null) },
+  ]
+
+  const toRow = (group) => (row) => ({ ...row, group, different: isDifferent(row.values) })
+  const hasValues = (row) => row.values.some((value) => value !== null)
+
+  return {
+    products: products.map(({ specifications, ...product }) => product),
+    missing: uniqueIds.filter((id) => !byId.has(id)),
+    rows: [
+      ...overviewRows.filter(hasValues).map(toRow("overview")),
+      ...buildSpecificationRows(products, attributes).filter(hasValues).map(toRow("specifications")),
+    ],
+  }
+}
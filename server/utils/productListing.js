@@ -0,0 +1,332 @@
+import mongoose from "mongoose"
+import Product from "../models/productModel.js"
+import Category from "../models/categoryModel.js"
+import SubCategory from "../models/subCategoryModel.js"
+import Brand from "../models/brandModel.js"
+import { searchProducts } from "./productSearch.js"
+import { getFilterAttributes } from "./productAttributes.js"
+import { createHttpError } from "./httpError.js"
+import escapeRegex from "./escapeRegex.js"
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 60
+const RATING_STEPS = [4, 3, 2, 1]
+
+// Shop filter values for stockStatus
+const STOCK_STATUSES = {
+  in: "Available Product",
+  out: "Out of Stock",
+  preorder: "PreOrder",
+}
+
+// Sort keys the shop offers, _id last so pages never overlap on ties
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  "price-low": { effectivePrice: 1, _id: 1 },
+  "price-high": { effectivePrice: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  rating: { rating: -1, _id: -1 },
+  relevance: { searchRank: 1, _id: 1 },
+}
+
+// Names sort the way shoppers expect, "apple" next to "Apple"
+const COLLATION = { locale: "en", strength: 2 }
+
+// Fields a product card needs, the listing leaves out long texts and reviews
+const LISTING_PROJECTION = { description: 0, reviews: 0, buyingPrice: 0 }
+
+const isObjectId = (value) => typeof value === "string" && /^[0-9a-fA-F]{24}$/.test(value)
+const toObjectId = (value) => new mongoose.Types.ObjectId(value)
+
+// Query string values as a list, "a" and ["a", "b"] alike
+const toList = (value) => (value === undefined || value === "" ? [] : [].concat(value).map(String).filter(Boolean))
+
+const toNumber = (value) => {
+  if (value === undefined || value === "") return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+// Ids for names or ids, e.g. brand=Dell&brand=64f...; unknown names match nothing
+const resolveIds = async (Model, values) => {
+  const ids = values.filter(isObjectId)
+  const names = values.filter((value) => !isObjectId(value))
+  if (names.length > 0) {
+    const docs = await Model.find({
+      name: { $in: names.map((name) => new RegExp(`^${escapeRegex(name)}$`, "i")) },
+    }).select("_id")
+    ids.push(...docs.map((doc) => doc._id.toString()))
+  }
+  return ids.map(toObjectId)
+}
+
+// A category name or id is a main category, or failing that a subcategory (navbar links send both kinds)
+const resolveCategory = async (value) => {
+  if (isObjectId(value)) {
+    if (await Category.exists({ _id: value })) return { parentCategory: toObjectId(value) }
+    return { subCategories: [toObjectId(value)] }
+  }
+
+  const pattern = new RegExp(`^${escapeRegex(value)}$`, "i")
+  const category = await Category.findOne({ name: pattern, isDeleted: { $ne: true } }).select("_id")
+  if (category) return { parentCategory: category._id }
+
+  const subCategories = await SubCategory.find({ name: pattern, isDeleted: { $ne: true } }).select("_id")
+  return { subCategories: subCategories.map((subCategory) => subCategory._id) }
+}
+
+// Products are in a subcategory through category, or subCategory on older products
+const inSubCategories = (ids) => ({ $or: [{ category: { $in: ids } }, { subCategory: { $in: ids } }] })
+
+// spec[RAM]=8 GB&spec[RAM]=16 GB -> every named spec must have one of its values, as [filter name, condition].
+// Filter attributes of the category match normalized values, other keys the raw specifications.
+const toSpecFilters = (spec, attributes) => {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return []
+  return Object.entries(spec)
+    .map(([key, values]) => [key, toList(values)])
+    .filter(([, values]) => values.length > 0)
+    .map(([key, values]) => {
+      const attribute = attributes.find((candidate) => candidate.key.toLowerCase() === key.toLowerCase())
+      return attribute
+        ? [`spec:${attribute.key}`, { attributes: { $elemMatch: { key: attribute.key, value: { $in: values } } } }]
+        : [`spec:${key}`, { specifications: { $elemMatch: { key, value: { $in: values } } } }]
+    })
+}
+
+// Keyset cursor: the sort values of the last product on the page
+const encodeCursor = (product, sort) =>
+  Buffer.from(JSON.stringify(Object.keys(sort).map((field) => product[field]))).toString("base64url")
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+    const fields = Object.keys(sort)
+    if (!Array.isArray(values) || values.length !== fields.length) throw new Error("Wrong length")
+
+    return fields.map((field, i) => {
+      if (field === "_id") return toObjectId(values[i])
+      if (field === "createdAt") return new Date(values[i])
+      return values[i]
+    })
+  } catch (error) {
+    throw createHttpError("This page link is no longer valid, please reload the shop")
+  }
+}
+
+// Products after the cursor in sort order: (a > x) or (a = x and b > y) ...
+const afterCursor = (sort, values) => {
+  const fields = Object.keys(sort)
+  return {
+    $or: fields.map((field, i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map((previous, j) => [previous, values[j]])),
+      [field]: { [sort[field] > 0 ? "$gt" : "$lt"]: values[i] },
+    })),
+  }
+}
+
+// Filters a shopper can combine, each one also a facet.
+// A facet counts with every filter but its own, so picking one brand still shows what the others have.
+const buildFacetFilters = async (params, { subCategoryIds, attributes }) => {
+  const filters = {}
+
+  const brands = toList(params.brand)
+  if (brands.length > 0) filters.brand = { brand: { $in: await resolveIds(Brand, brands) } }
+
+  if (toList(params.subcategory).length > 0) filters.subCategory = inSubCategories(subCategoryIds)
+
+  const minPrice = toNumber(params.minPrice)
+  const maxPrice = toNumber(params.maxPrice)
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = {
+      effectivePrice: {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice }),
+      },
+    }
+  }
+
+  const stockStatuses = toList(params.stock)
+    .map((stock) => STOCK_STATUSES[stock])
+    .filter(Boolean)
+  if (stockStatuses.length > 0) filters.stock = { stockStatus: { $in: stockStatuses } }
+
+  if (params.onSale === "true") filters.onSale = { onSale: true }
+
+  const rating = toNumber(params.rating)
+  if (rating !== undefined) filters.rating = { rating: { $gte: rating } }
+
+  for (const [name, condition] of toSpecFilters(params.spec, attributes)) filters[name] = condition
+
+  return filters
+}
+
+const matchAllBut = (filters, except) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, condition]) => condition)
+  return { $match: conditions.length > 0 ? { $and: conditions } : {} }
+}
+
+const countBy = (field) => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+
+// Names for the brand and subcategory facet counts
+const nameFacet = async (Model, counts) => {
+  const docs = await Model.find({ _id: { $in: counts.map((count) => count._id).filter(Boolean) } }).select("name")
+  const names = new Map(docs.map((doc) => [doc._id.toString(), doc.name]))
+
+  return counts
+    .filter((count) => count._id && names.has(count._id.toString()))
+    .map((count) => ({ _id: count._id, name: names.get(count._id.toString()), count: count.count }))
+}
+
+// Shop listing: filtered, sorted and paged products with facet counts for the filter sidebar.
+// Params (query string): search, category, parent_category, featured, subcategory[], brand[],
+// minPrice, maxPrice, stock[] (in | out | preorder), onSale, rating, spec[key][], sort, page or cursor, limit
+export const listProducts = async (params) => {
+  const base = { isActive: true }
+
+  const parentCategoryParam = toList(params.parent_category)[0]
+  const categoryParam = toList(params.category)[0]
+  const categoryConditions = []
+  // Categories in view, their filter attributes become facets
+  const scope = { categoryIds: [], subCategoryIds: [] }
+  for (const value of [parentCategoryParam, categoryParam]) {
+    if (!value || value === "all") continue
+    const { parentCategory, subCategories } = await resolveCategory(value)
+    categoryConditions.push(parentCategory ? { parentCategory } : inSubCategories(subCategories))
+    if (parentCategory) scope.categoryIds.push(parentCategory)
+    else scope.subCategoryIds.push(...subCategories)
+  }
+  if (categoryConditions.length > 0) base.$and = categoryConditions
+
+  if (params.featured === "true") base.featured = true
+
+  let searchResults = null
+  const search = typeof params.search === "string" ? params.search.trim() : ""
+  if (search) {
+    searchResults = await searchProducts(search)
+    base._id = { $in: searchResults.map((result) => toObjectId(result.id)) }
+  }
+
+  const sortKey = SORTS[params.sort] && (params.sort !== "relevance" || searchResults) ? params.sort : null
+  const sort = SORTS[sortKey || (searchResults ? "relevance" : "newest")]
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(params.limit) || DEFAULT_PAGE_SIZE))
+  const page = Math.max(1, Number.parseInt(params.page) || 1)
+  const cursor = params.cursor ? decodeCursor(params.cursor, sort) : null
+
+  const subCategoryIds = await resolveIds(SubCategory, toList(params.subcategory))
+  const attributes =
+    scope.categoryIds.length > 0 || scope.subCategoryIds.length > 0
+      ? await getFilterAttributes(scope.categoryIds, [...scope.subCategoryIds, ...subCategoryIds])
+      : []
+  const filters = await buildFacetFilters(params, { subCategoryIds, attributes })
+
+  const hasOffer = { $and: [{ $gt: ["$offerPrice", 0] }, { $lt: ["$offerPrice", "$price"] }] }
+  const pipeline = [
+    { $match: base },
+    {
+      $addFields: {
+        // What the shopper pays, the offer price when it is below the regular price
+        effectivePrice: { $cond: [hasOffer, "$offerPrice", "$price"] },
+        onSale: hasOffer,
+        ...(searchResults && { searchRank: { $indexOfArray: [base._id.$in, "$_id"] } }),
+      },
+    },
+    {
+      $facet: {
+        products: [
+          matchAllBut(filters),
+          ...(cursor ? [{ $match: afterCursor(sort, cursor) }] : []),
+          { $sort: sort },
+          ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+          // One extra tells whether there is a next page
+          { $limit: limit + 1 },
+          { $project: LISTING_PROJECTION },
+        ],
+        total: [matchAllBut(filters), { $count: "count" }],
+        brands: [matchAllBut(filters, "brand"), ...countBy("brand")],
+        subCategories: [matchAllBut(filters, "subCategory"), ...countBy("category")],
+        stock: [matchAllBut(filters, "stock"), ...countBy("stockStatus")],
+        onSale: [matchAllBut(filters, "onSale"), { $match: { onSale: true } }, { $count: "count" }],
+        ratings: [
+          matchAllBut(filters, "rating"),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                RATING_STEPS.map((step) => [`min${step}`, { $sum: { $cond: [{ $gte: ["$rating", step] }, 1, 0] } }]),
+              ),
+            },
+          },
+        ],
+        price: [
+          matchAllBut(filters, "price"),
+          { $group: { _id: null, min: { $min: "$effectivePrice" }, max: { $max: "$effectivePrice" } } },
+        ],
+        ...Object.fromEntries(
+          attributes.map((attribute, i) => [
+            `attribute${i}`,
+            [
+              matchAllBut(filters, `spec:${attribute.key}`),
+              { $unwind: "$attributes" },
+              { $match: { "attributes.key": attribute.key } },
+              { $group: { _id: "$attributes.value", number: { $first: "$attributes.number" }, count: { $sum: 1 } } },
+              // Numbers in order, 8 GB before 16 GB, text values A to Z
+              { $sort: { number: 1, _id: 1 } },
+            ],
+          ]),
+        ),
+      },
+    },
+  ]
+
+  const [result] = await Product.aggregate(pipeline).collation(COLLATION)
+
+  const hasMore = result.products.length > limit
+  const pageProducts = result.products.slice(0, limit)
+  await Product.populate(pageProducts, [
+    { path: "category", select: "name slug" },
+    { path: "subCategory", select: "name slug" },
+    { path: "brand", select: "name slug" },
+  ])
+
+  const searchById = new Map((searchResults || []).map((searchResult) => [searchResult.id, searchResult]))
+  const products = pageProducts.map(({ searchRank, ...product }) => {
+    const searchResult = searchById.get(product._id.toString())
+    return searchResult
+      ? { ...product, searchScore: searchResult.score, searchHighlights: searchResult.highlights }
+      : product
+  })
+
+  const total = result.total[0]?.count || 0
+  const stockCounts = Object.fromEntries(result.stock.map((count) => [count._id, count.count]))
+  const ratingCounts = result.ratings[0] || {}
+
+  return {
+    products,
+    total,
+    limit,
+    sort: Object.keys(SORTS).find((key) => SORTS[key] === sort),
+    ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+    nextCursor: hasMore ? encodeCursor(pageProducts[pageProducts.length - 1], sort) : null,
+    facets: {
+      brands: await nameFacet(Brand, result.brands),
+      subCategories: await nameFacet(SubCategory, result.subCategories),
+      stock: Object.fromEntries(
+        Object.entries(STOCK_STATUSES).map(([key, status]) => [key, stockCounts[status] || 0]),
+      ),
+      onSale: result.onSale[0]?.count || 0,
+      ratings: RATING_STEPS.map((step) => ({ min: step, count: ratingCounts[`min${step}`] || 0 })),
+      price: { min: result.price[0]?.min ?? 0, max: result.price[0]?.max ?? 0 },
+      attributes: attributes
+        .map(({ key, label, type, unit }, i) => ({
+          key,
+          label: label || key,
+          type,
+          unit,
+          values: result[`attribute${i}`].map((value) => ({ value: value._id, count: value.count })),
+        }))
+        .filter((attribute) => attribute.values.length > 0),
+    },
+  }
+}
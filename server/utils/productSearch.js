@@ -0,0 +1,282 @@
+import Product from "../models/productModel.js"
+import Brand from "../models/brandModel.js"
+
+// Product search over an inverted index kept in memory. The catalog is small enough to hold,
+// and unlike a Mongo text index it can rank by field, match prefixes and forgive typos.
+// Each server process builds its own copy from the database.
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  name: 10,
+  sku: 8,
+  barcode: 8,
+  brand: 6,
+  tags: 4,
+  specifications: 2,
+}
+const FIELD_LABELS = { name: "Name", sku: "SKU", barcode: "Barcode", brand: "Brand", tags: "Tag" }
+
+// A query word matching the start of a longer word, or one or two letters off, counts for less
+const PREFIX_MATCH = 0.7
+const TYPO_MATCHES = { 1: 0.5, 2: 0.3 }
+// Words this long may have one typo, longer ones two. Words with digits are model numbers and must match.
+const ONE_TYPO_LENGTH = 4
+const TWO_TYPO_LENGTH = 8
+const MIN_PREFIX_LENGTH = 2
+// Names that start with the whole query rank above ones that only contain its words
+const NAME_PREFIX_BONUS = 5
+
+// Dropped from queries, product data rarely has them where shoppers type them
+const STOP_WORDS = new Set(["a", "an", "and", "the", "for", "with", "of", "in", "to", "or"])
+
+// How often the index checks the catalog for changes
+const FRESHNESS_CHECK_MS = 30 * 1000
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+const normalize = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+
+// Words of a text with where they are in it, for highlighting
+const tokenize = (text) =>
+  Array.from(String(text || "").matchAll(WORD_PATTERN), (match) => ({
+    term: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  })).filter((token) => token.term)
+
+// "ABC-12/3" is also found as "abc123", shoppers type codes without the separators
+const compactCode = (text) => tokenize(text).map((token) => token.term).join("")
+
+// Edit distance with swapped neighbours counting as one edit, gives up past max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1)
+      }
+      nextRow[j] = value
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    previousRow = row
+    row = nextRow
+  }
+  return row[b.length]
+}
+
+// Searchable texts of a product: { field, label, text, weight, compact }
+const getProductFields = (product) => {
+  const fields = [{ field: "name", text: product.name }]
+
+  const codes = (field, values) =>
+    [...new Set(values.filter(Boolean))].forEach((text) => fields.push({ field, text, compact: true }))
+  codes("sku", [product.sku, ...(product.variants || []).map((variant) => variant.sku)])
+  codes("barcode", [product.barcode, ...(product.variants || []).map((variant) => variant.barcode)])
+
+  if (product.brand?.name) fields.push({ field: "brand", text: product.brand.name })
+  ;(product.tags || []).forEach((tag) => fields.push({ field: "tags", text: tag }))
+  ;(product.specifications || []).forEach((spec) => {
+    if (spec.value) fields.push({ field: "specifications", label: spec.key, text: `${spec.value}` })
+  })
+
+  return fields
+    .filter((entry) => entry.text)
+    .map((entry) => ({
+      ...entry,
+      text: String(entry.text),
+      label: entry.label || FIELD_LABELS[entry.field],
+      weight: FIELD_WEIGHTS[entry.field],
+    }))
+}
+
+const buildIndex = (products) => {
+  // term -> Map(product index -> best field weight)
+  const postings = new Map()
+  const documents = products.map((product, docIndex) => {
+    const fields = getProductFields(product)
+
+    fields.forEach((entry) => {
+      const terms = tokenize(entry.text).map((token) => token.term)
+      if (entry.compact) terms.push(compactCode(entry.text))
+
+      terms.forEach((term) => {
+        if (!postings.has(term)) postings.set(term, new Map())
+        const posting = postings.get(term)
+        posting.set(docIndex, Math.max(posting.get(docIndex) || 0, entry.weight))
+      })
+    })
+
+    const nameWords = tokenize(product.name).map((token) => token.term).join(" ")
+    return { id: product._id.toString(), nameWords, fields }
+  })
+
+  // Sorted for prefix lookups, bucketed by length for typo lookups
+  const terms = [...postings.keys()].sort()
+  const termsByLength = new Map()
+  terms.forEach((term) => {
+    if (!termsByLength.has(term.length)) termsByLength.set(term.length, [])
+    termsByLength.get(term.length).push(term)
+  })
+
+  return { documents, postings, terms, termsByLength }
+}
+
+// Index terms a query word matches and how well: Map(term -> quality between 0 and 1)
+const findMatchingTerms = (index, word) => {
+  const matches = new Map()
+  if (index.postings.has(word)) matches.set(word, 1)
+
+  if (word.length >= MIN_PREFIX_LENGTH) {
+    // First term not sorting before the word, then every term starting with it
+    let low = 0
+    let high = index.terms.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (index.terms[middle] < word) low = middle + 1
+      else high = middle
+    }
+    for (let i = low; i < index.terms.length && index.terms[i].startsWith(word); i += 1) {
+      if (!matches.has(index.terms[i])) matches.set(index.terms[i], PREFIX_MATCH)
+    }
+  }
+
+  const maxTypos = /\d/.test(word) ? 0 : word.length >= TWO_TYPO_LENGTH ? 2 : word.length >= ONE_TYPO_LENGTH ? 1 : 0
+  for (let length = word.length - maxTypos; length <= word.length + maxTypos; length += 1) {
+    ;(index.termsByLength.get(length) || []).forEach((term) => {
+      if (matches.has(term)) return
+      const distance = editDistance(word, term, maxTypos)
+      if (distance <= maxTypos) matches.set(term, TYPO_MATCHES[distance])
+    })
+  }
+
+  return matches
+}
+
+// Where the matched words are in each field that has one, best field first
+const getHighlights = (document, matchedTerms) =>
+  document.fields
+    .map((entry) => {
+      const ranges = tokenize(entry.text)
+        .filter((token) => matchedTerms.has(token.term))
+        .map((token) => [token.start, token.end])
+      if (ranges.length === 0 && entry.compact && matchedTerms.has(compactCode(entry.text))) {
+        ranges.push([0, entry.text.length])
+      }
+      return { field: entry.field, label: entry.label, text: entry.text, ranges, weight: entry.weight }
+    })
+    .filter((highlight) => highlight.ranges.length > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ weight, ...highlight }) => highlight)
+
+let cachedIndex = null
+let cachedSignature = null
+let lastCheckedAt = 0
+let pendingBuild = null
+
+// Changes whenever a product or brand is added, edited, hidden or removed
+const getCatalogSignature = async () => {
+  const [count, latestProduct, latestBrand] = await Promise.all([
+    Product.countDocuments({ isActive: true }),
+    Product.findOne({}).sort({ updatedAt: -1 }).select("updatedAt").lean(),
+    Brand.findOne({}).sort({ updatedAt: -1 }).select("updatedAt").lean(),
+  ])
+  return [count, latestProduct?.updatedAt?.getTime(), latestBrand?.updatedAt?.getTime()].join(":")
+}
+
+const loadIndex = async () => {
+  const signature = await getCatalogSignature()
+  if (cachedIndex && signature === cachedSignature) return cachedIndex
+
+  const products = await Product.find({ isActive: true })
+    .select("name sku barcode tags specifications brand variants.sku variants.barcode")
+    .populate("brand", "name")
+    .lean()
+
+  cachedIndex = buildIndex(products)
+  cachedSignature = signature
+  return cachedIndex
+}
+
+// The index, rebuilt when the catalog has changed since it was last checked
+const getIndex = async () => {
+  if (cachedIndex && Date.now() - lastCheckedAt < FRESHNESS_CHECK_MS) return cachedIndex
+
+  // Requests arriving during a rebuild wait for the same one
+  if (!pendingBuild) {
+    pendingBuild = loadIndex()
+      .then((index) => {
+        lastCheckedAt = Date.now()
+        return index
+      })
+      .finally(() => {
+        pendingBuild = null
+      })
+  }
+  return pendingBuild
+}
+
+// Words of a search the way the index stores them
+export const getQueryWords = (query) => {
+  const words = tokenize(query).map((token) => token.term)
+  const meaningful = words.filter((word) => !STOP_WORDS.has(word))
+  return meaningful.length > 0 ? meaningful : words
+}
+
+// Active products matching every word of the query, best match first:
+// [{ id, score, highlights: [{ field, label, text, ranges: [[start, end]] }] }]
+export const searchProducts = async (query) => {
+  const words = getQueryWords(query)
+  if (words.length === 0) return []
+
+  const index = await getIndex()
+  // product index -> { score, matchedTerms }
+  let candidates = null
+
+  for (const word of words) {
+    const wordScores = new Map()
+    const wordTerms = new Map()
+
+    findMatchingTerms(index, word).forEach((quality, term) => {
+      index.postings.get(term).forEach((weight, docIndex) => {
+        if (candidates && !candidates.has(docIndex)) return
+        const score = quality * weight
+        if (score > (wordScores.get(docIndex) || 0)) wordScores.set(docIndex, score)
+        if (!wordTerms.has(docIndex)) wordTerms.set(docIndex, [])
+        wordTerms.get(docIndex).push(term)
+      })
+    })
+
+    const nextCandidates = new Map()
+    wordScores.forEach((score, docIndex) => {
+      const previous = candidates?.get(docIndex) || { score: 0, matchedTerms: new Set() }
+      wordTerms.get(docIndex).forEach((term) => previous.matchedTerms.add(term))
+      nextCandidates.set(docIndex, { score: previous.score + score, matchedTerms: previous.matchedTerms })
+    })
+    candidates = nextCandidates
+    if (candidates.size === 0) return []
+  }
+
+  const phrase = words.join(" ")
+  return [...candidates.entries()]
+    .map(([docIndex, { score, matchedTerms }]) => {
+      const document = index.documents[docIndex]
+      return {
+        id: document.id,
+        score: score + (document.nameWords.startsWith(phrase) ? NAME_PREFIX_BONUS : 0),
+        highlights: getHighlights(document, matchedTerms),
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+}
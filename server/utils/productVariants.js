@@ -0,0 +1,24 @@
+// Populate paths for the option catalogs a variant points at
+export const variantPopulate = [
+  { path: "variants.color", select: "name hexCode" },
+  { path: "variants.size", select: "name code" },
+  { path: "variants.volume", select: "name value unit" },
+]
+
+// Active variants a shopper can pick from
+export const getActiveVariants = (product) => (product.variants || []).filter((variant) => variant.isActive !== false)
+
+// Find a variant of a product by its id
+export const findVariant = (product, variantId) => {
+  if (!variantId || !product.variants) return null
+  return product.variants.find((variant) => variant._id.toString() === String(variantId)) || null
+}
+
+// Human readable option summary, e.g. "Black / XL / 500 ml"
+export const getVariantLabel = (variant) => {
+  if (!variant) return ""
+  return [variant.color, variant.size, variant.volume]
+    .filter(Boolean)
+    .map((option) => option.name || option.toString())
+    .join(" / ")
+}
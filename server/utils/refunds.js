@@ -0,0 +1,154 @@
+import Order from "../models/orderModel.js"
+import { roundPrice } from "./orderPricing.js"
+import { applyPaymentStatus } from "./paymentWebhooks.js"
+import { getPaymentProvider } from "./payments/index.js"
+import { createHttpError } from "./httpError.js"
+
+// Refunds are recorded by hand when the order was never paid through a provider we can call,
+// e.g. orders from before providers were tracked
+const manualRefund = {
+  name: "manual",
+  online: false,
+  refund: async () => ({ status: "refunded", note: "Refund to be paid out manually" }),
+}
+
+const getRefundProvider = (order) => {
+  const provider = getPaymentProvider(order.paymentResult?.provider)
+  if (!provider) return manualRefund
+  if (provider.online && !order.paymentResult?.[provider.referenceField]) return manualRefund
+  return provider
+}
+
+export const getRefundableAmount = (order) => roundPrice(Math.max(order.totalPrice - (order.refundedAmount || 0), 0))
+
+const getRefundedShipping = (order) => order.refunds.reduce((acc, refund) => acc + (refund.shippingAmount || 0), 0)
+
+// Coupon discounts are spread over the lines in proportion to their value,
+// so a line refund pays back what the customer actually paid for it
+const getLineRefund = (order, item, quantity) => {
+  const discountRatio = order.itemsPrice > 0 ? Math.min((order.discountAmount || 0) / order.itemsPrice, 1) : 0
+  return roundPrice(item.price * quantity * (1 - discountRatio))
+}
+
+// Work out the lines and amount of a refund request.
+// Without items everything still refundable is paid back.
+const buildRefund = (order, { items, includeShipping }) => {
+  const remaining = getRefundableAmount(order)
+  if (remaining <= 0) {
+    throw createHttpError("Order has already been fully refunded")
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      type: "full",
+      amount: remaining,
+      shippingAmount: roundPrice(Math.max((order.shippingPrice || 0) - getRefundedShipping(order), 0)),
+      items: order.orderItems
+        .filter((item) => item.quantity > (item.refundedQuantity || 0))
+        .map((item) => {
+          const quantity = item.quantity - (item.refundedQuantity || 0)
+          return { orderItem: item._id, name: item.name, quantity, amount: getLineRefund(order, item, quantity) }
+        }),
+    }
+  }
+
+  const refundItems = items.map(({ itemId, quantity }) => {
+    const item = order.orderItems.id(itemId)
+    if (!item) {
+      throw createHttpError("Order item not found")
+    }
+
+    const refundQuantity = Number(quantity)
+    const available = item.quantity - (item.refundedQuantity || 0)
+    if (!Number.isInteger(refundQuantity) || refundQuantity < 1 || refundQuantity > available) {
+      throw createHttpError(`Only ${available} of ${item.name} can be refunded`)
+    }
+
+    return {
+      orderItem: item._id,
+      name: item.name,
+      quantity: refundQuantity,
+      amount: getLineRefund(order, item, refundQuantity),
+    }
+  })
+
+  if (new Set(refundItems.map((item) => item.orderItem.toString())).size !== refundItems.length) {
+    throw createHttpError("Each order item can only be listed once")
+  }
+
+  const shippingAmount = includeShipping
+    ? roundPrice(Math.max((order.shippingPrice || 0) - getRefundedShipping(order), 0))
+    : 0
+  const itemsAmount = refundItems.reduce((acc, item) => acc + item.amount, 0)
+  const amount = roundPrice(Math.min(itemsAmount + shippingAmount, remaining))
+
+  return { type: amount >= remaining ? "full" : "partial", amount, shippingAmount, items: refundItems }
+}
+
+// Pay money back for a paid order, in full or for some of its lines, through the provider
+// the order was paid with. The refunded amount is claimed atomically before the provider is
+// called so two admins cannot refund the same money twice.
+export const refundOrder = async (order, { items, includeShipping, reason } = {}, user) => {
+  if (!order.isPaid) {
+    throw createHttpError("Only paid orders can be refunded")
+  }
+
+  const refund = buildRefund(order, { items, includeShipping })
+  if (!(refund.amount > 0)) {
+    throw createHttpError("Nothing left to refund")
+  }
+
+  const previousAmount = order.refundedAmount || 0
+  const claimed = await Order.updateOne(
+    { _id: order._id, refundedAmount: previousAmount || { $in: [0, null] } },
+    { $inc: { refundedAmount: refund.amount } },
+  )
+  if (claimed.modifiedCount === 0) {
+    throw createHttpError("Order was refunded meanwhile, please reload it", 409)
+  }
+
+  const provider = getRefundProvider(order)
+  let result
+  try {
+    result = await provider.refund(order, refund.amount, reason)
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refund.amount } })
+    throw error
+  }
+
+  // The claim above already stored the new total, keep save() from writing it again
+  order.refundedAmount = roundPrice(previousAmount + refund.amount)
+  order.unmarkModified("refundedAmount")
+
+  refund.items.forEach((refundItem) => {
+    const item = order.orderItems.id(refundItem.orderItem)
+    item.refundedQuantity = (item.refundedQuantity || 0) + refundItem.quantity
+  })
+
+  order.refunds.push({
+    ...refund,
+    reason,
+    provider: provider.name,
+    reference: result.reference,
+    method: provider.online ? "provider" : "manual",
+    note: result.note,
+    processedBy: user?._id,
+  })
+
+  const historyEntry = {
+    provider: provider.name,
+    status: "refunded",
+    eventId: result.reference,
+    amount: refund.amount,
+    note: `${refund.type === "full" ? "Full" : "Partial"} refund${reason ? `: ${reason}` : ""}`,
+  }
+  if (getRefundableAmount(order) <= 0) {
+    applyPaymentStatus(order, historyEntry)
+  } else {
+    // Partly refunded orders stay paid, the refund only shows in the payment history
+    order.paymentHistory.push(historyEntry)
+  }
+
+  await order.save()
+  return order.refunds[order.refunds.length - 1]
+}
@@ -0,0 +1,181 @@
+import Product from "../models/productModel.js"
+import ReturnRequest from "../models/returnRequestModel.js"
+import config from "../config/config.js"
+import { restockReturnedItems } from "./inventory.js"
+import { refundOrder } from "./refunds.js"
+import { applyPaymentStatus } from "./paymentWebhooks.js"
+import { createHttpError } from "./httpError.js"
+import { RETURN_PHOTO_FOLDER, isCloudinaryUpload } from "./cloudinary.js"
+
+// How many photos a customer can attach to one return request
+export const MAX_RETURN_PHOTOS = 5
+
+// Where a return request can go from each status
+export const RETURN_TRANSITIONS = {
+  Requested: ["Approved", "Rejected"],
+  Approved: ["Received", "Rejected"],
+  Received: ["Refunded"],
+  Rejected: [],
+  Refunded: [],
+}
+
+export const getReturnDeadline = (order) =>
+  order.deliveredAt ? new Date(order.deliveredAt.getTime() + config.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) : null
+
+// Lines of a delivered order the customer may still send back, with how many units.
+// Units already in an open or finished return request are not returnable again.
+export const getReturnableItems = async (order) => {
+  const deadline = getReturnDeadline(order)
+  if (order.status !== "Delivered" || !deadline || deadline < new Date()) {
+    return []
+  }
+
+  const [products, requests] = await Promise.all([
+    Product.find({ _id: { $in: order.orderItems.map((item) => item.product) } })
+      .select("refundable")
+      .lean(),
+    // Refunded requests already count through the lines' refundedQuantity
+    ReturnRequest.find({ order: order._id, status: { $nin: ["Rejected", "Refunded"] } })
+      .select("items")
+      .lean(),
+  ])
+
+  const requested = {}
+  requests.forEach((request) =>
+    request.items.forEach((item) => {
+      const key = item.orderItem.toString()
+      requested[key] = (requested[key] || 0) + item.quantity
+    }),
+  )
+
+  return order.orderItems
+    .filter((item) => products.find((product) => product._id.equals(item.product))?.refundable !== false)
+    .map((item) => ({
+      itemId: item._id,
+      name: item.name,
+      image: item.image,
+      price: item.price,
+      available: item.quantity - (item.refundedQuantity || 0) - (requested[item._id.toString()] || 0),
+    }))
+    .filter((item) => item.available > 0)
+}
+
+// Open a return request for some lines of one of the customer's orders
+export const createReturnRequest = async (order, user, { items, reason, comment, photos = [] }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError("Select the items you want to return")
+  }
+
+  // Photos must come from POST /api/returns/photos, not from anywhere on the web
+  if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+    throw createHttpError(`You can attach up to ${MAX_RETURN_PHOTOS} photos`)
+  }
+  if (!photos.every((url) => isCloudinaryUpload(url, RETURN_PHOTO_FOLDER))) {
+    throw createHttpError("Upload the photos of your return before sending the request")
+  }
+
+  const returnable = await getReturnableItems(order)
+  if (returnable.length === 0) {
+    throw createHttpError(
+      `Returns can only be requested for delivered orders within ${config.RETURN_WINDOW_DAYS} days of delivery`,
+    )
+  }
+
+  const requestItems = items.map(({ itemId, quantity }) => {
+    const item = order.orderItems.id(itemId)
+    const eligible = item && returnable.find((entry) => entry.itemId.equals(item._id))
+    if (!eligible) {
+      throw createHttpError("One of the selected items cannot be returned")
+    }
+
+    const returnQuantity = Number(quantity)
+    if (!Number.isInteger(returnQuantity) || returnQuantity < 1 || returnQuantity > eligible.available) {
+      throw createHttpError(`You can return up to ${eligible.available} of ${item.name}`)
+    }
+
+    return {
+      orderItem: item._id,
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      image: item.image,
+      price: item.price,
+      quantity: returnQuantity,
+    }
+  })
+
+  if (new Set(requestItems.map((item) => item.orderItem.toString())).size !== requestItems.length) {
+    throw createHttpError("Each item can only be listed once")
+  }
+
+  return ReturnRequest.create({
+    order: order._id,
+    user: user._id,
+    items: requestItems,
+    reason,
+    comment,
+    photos,
+    statusHistory: [{ status: "Requested", changedBy: user._id }],
+  })
+}
+
+// Move a return request to its next status. Receiving the parcel puts the items back into
+// stock (unless restock is false, e.g. for damaged goods), refunding pays the lines back through
+// the order's payment provider. The status is claimed atomically so side effects run once.
+export const updateReturnStatus = async (returnRequest, order, { status, note, restock = true }, user) => {
+  const previousStatus = returnRequest.status
+  if (!RETURN_TRANSITIONS[previousStatus]?.includes(status)) {
+    throw createHttpError(`A ${previousStatus.toLowerCase()} return cannot be moved to ${status}`)
+  }
+
+  const claimed = await ReturnRequest.updateOne(
+    { _id: returnRequest._id, status: previousStatus },
+    { $set: { status } },
+  )
+  if (claimed.modifiedCount === 0) {
+    throw createHttpError("Return request was updated meanwhile, please reload it", 409)
+  }
+  returnRequest.status = status
+
+  let refund
+  try {
+    if (status === "Received" && restock) {
+      await restockReturnedItems(order, returnRequest.items)
+      await order.save()
+      returnRequest.restocked = true
+    }
+
+    if (status === "Refunded") {
+      if (!order.isPaid) {
+        // Returns are of delivered orders, the courier took the cash even when nobody recorded it
+        if (order.paymentMethod !== "Cash on Delivery") {
+          throw createHttpError("Capture the payment of this order before refunding the return")
+        }
+        applyPaymentStatus(order, {
+          provider: "cod",
+          status: "paid",
+          amount: order.totalPrice,
+          note: "Cash collected on delivery, recorded to refund a return",
+        })
+      }
+
+      refund = await refundOrder(
+        order,
+        {
+          items: returnRequest.items.map((item) => ({ itemId: item.orderItem, quantity: item.quantity })),
+          reason: note || `Return: ${returnRequest.reason}`,
+        },
+        user,
+      )
+      returnRequest.refundAmount = refund.amount
+    }
+  } catch (error) {
+    await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { status: previousStatus } })
+    throw error
+  }
+
+  returnRequest.statusHistory.push({ status, note, changedBy: user._id })
+  await returnRequest.save()
+
+  return { returnRequest, refund }
+}
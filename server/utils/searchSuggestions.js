@@ -0,0 +1,119 @@
+import crypto from "crypto"
+import config from "../config/config.js"
+import Product from "../models/productModel.js"
+import Category from "../models/categoryModel.js"
+import SubCategory from "../models/subCategoryModel.js"
+import Brand from "../models/brandModel.js"
+import Blog from "../models/blogModel.js"
+import SearchQuery from "../models/searchQueryModel.js"
+import { getQueryWords, searchProducts } from "./productSearch.js"
+import escapeRegex from "./escapeRegex.js"
+
+const SUGGESTION_LIMITS = {
+  popular: 5,
+  products: 5,
+  categories: 3,
+  subCategories: 3,
+  brands: 3,
+  blogs: 3,
+}
+const MAX_QUERY_LENGTH = 100
+// A query has to be searched by this many different visitors before it is suggested to others
+const MIN_POPULAR_CLIENTS = 3
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], subCategories: [], brands: [], blogs: [] }
+
+// Query as searches are grouped, e.g. "  HP  Laptops!" -> "hp laptops"
+const normalizeQuery = (query) => getQueryWords(String(query || "").slice(0, MAX_QUERY_LENGTH)).join(" ")
+
+// Visitors are told apart by a keyed hash of their IP address, the address itself is not stored
+const hashClient = (clientId) =>
+  crypto.createHmac("sha256", String(config.JWT_SECRET)).update(String(clientId)).digest("hex").slice(0, 32)
+
+// Count a search a shopper ran. Returns false when there was nothing to search for.
+// Visitors are remembered until there are enough of them to make the query popular.
+export const recordSearch = async (query, clientId) => {
+  const normalized = normalizeQuery(query)
+  if (!normalized) return false
+
+  const results = await searchProducts(normalized)
+  await SearchQuery.updateOne(
+    { query: normalized },
+    { $inc: { count: 1 }, $set: { resultCount: results.length, lastSearchedAt: new Date() } },
+    { upsert: true },
+  )
+  await SearchQuery.updateOne(
+    { query: normalized, [`clients.${MIN_POPULAR_CLIENTS - 1}`]: { $exists: false } },
+    { $addToSet: { clients: hashClient(clientId) } },
+  )
+  return true
+}
+
+// Most searched queries that find something, starting with the prefix when there is one.
+// Shown as grouped ("hp laptops"), never as one visitor typed them.
+const getPopularQueries = async (prefix) =>
+  (
+    await SearchQuery.find({
+      resultCount: { $gt: 0 },
+      [`clients.${MIN_POPULAR_CLIENTS - 1}`]: { $exists: true },
+      ...(prefix && { query: { $regex: `^${escapeRegex(prefix)}` } }),
+    })
+      .sort({ count: -1 })
+      .limit(SUGGESTION_LIMITS.popular)
+      .select("query count")
+      .lean()
+  ).map(({ query, count }) => ({ query, count }))
+
+// Best matching active products with where the name matched
+const getProductSuggestions = async (query) => {
+  const results = (await searchProducts(query)).slice(0, SUGGESTION_LIMITS.products)
+  if (results.length === 0) return []
+
+  const products = await Product.find({ _id: { $in: results.map((result) => result.id) }, isActive: true })
+    .select("name slug image price offerPrice")
+    .lean()
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  return results
+    .filter((result) => productsById.has(result.id))
+    .map((result) => ({
+      ...productsById.get(result.id),
+      highlights: result.highlights.find((highlight) => highlight.field === "name")?.ranges || [],
+    }))
+}
+
+// What to show under the search box as the shopper types. An empty query gets popular searches only.
+export const getSuggestions = async (query) => {
+  const normalized = normalizeQuery(query)
+  if (!normalized) {
+    return { ...EMPTY_SUGGESTIONS, query: "", popular: await getPopularQueries() }
+  }
+
+  // Any word in the name starting with what was typed
+  const namePattern = new RegExp(`(^|\\W)${escapeRegex(String(query).trim())}`, "i")
+
+  const [popular, products, categories, subCategories, brands, blogs] = await Promise.all([
+    getPopularQueries(normalized),
+    getProductSuggestions(normalized),
+    Category.find({ name: namePattern, isActive: true, isDeleted: { $ne: true } })
+      .select("name slug")
+      .limit(SUGGESTION_LIMITS.categories)
+      .lean(),
+    SubCategory.find({ name: namePattern, isActive: true, isDeleted: { $ne: true } })
+      .select("name slug category")
+      .populate("category", "name slug")
+      .limit(SUGGESTION_LIMITS.subCategories)
+      .lean(),
+    Brand.find({ name: namePattern, isActive: true })
+      .select("name slug logo")
+      .limit(SUGGESTION_LIMITS.brands)
+      .lean(),
+    Blog.find({ title: namePattern, status: "published" })
+      .select("title slug mainImage")
+      .sort({ createdAt: -1 })
+      .limit(SUGGESTION_LIMITS.blogs)
+      .lean(),
+  ])
+
+  return { query: String(query).trim(), popular, products, categories, subCategories, brands, blogs }
+}
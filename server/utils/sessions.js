@@ -0,0 +1,183 @@
+import crypto from "crypto"
+import config from "../config/config.js"
+import Session from "../models/sessionModel.js"
+import User from "../models/userModel.js"
+import generateToken from "./generateToken.js"
+import { createHttpError } from "./httpError.js"
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Another tab may still send the token that was just replaced, that is not a stolen token
+const REUSE_GRACE_MS = 30 * 1000
+
+// Each scope has its own cookie, only sent to the routes that use it
+const REFRESH_COOKIES = {
+  user: { name: "refreshToken", path: "/api/users" },
+  admin: { name: "adminRefreshToken", path: "/api/admin" },
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+const createRefreshToken = () => crypto.randomBytes(48).toString("hex")
+
+const getExpiry = () => new Date(Date.now() + config.REFRESH_TOKEN_EXPIRES_DAYS * DAY)
+
+// Checked in order, Chromium based browsers also claim to be Chrome and Safari
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+]
+const SYSTEMS = [
+  ["Windows", /Windows/],
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+]
+
+const matchName = (patterns, userAgent) => patterns.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+// Readable name for the sessions list, e.g. "Chrome on Windows"
+export const getDeviceLabel = (userAgent = "") => {
+  const browser = matchName(BROWSERS, userAgent)
+  const os = matchName(SYSTEMS, userAgent)
+
+  if (!browser && !os) return "Unknown device"
+  return os ? `${browser || "Browser"} on ${os}` : browser
+}
+
+const getCookieOptions = (scope) => ({
+  httpOnly: true,
+  secure: config.NODE_ENV === "production" || config.REFRESH_COOKIE_SAME_SITE === "none",
+  sameSite: config.REFRESH_COOKIE_SAME_SITE,
+  path: REFRESH_COOKIES[scope].path,
+})
+
+const setRefreshCookie = (res, scope, token, expires) => {
+  res.cookie(REFRESH_COOKIES[scope].name, token, { ...getCookieOptions(scope), expires })
+}
+
+export const clearRefreshCookie = (res, scope = "user") => {
+  res.clearCookie(REFRESH_COOKIES[scope].name, getCookieOptions(scope))
+}
+
+// Log a user in on this device: sets the refresh cookie and returns an access token
+export const startSession = async (req, res, user, scope = "user") => {
+  const refreshToken = createRefreshToken()
+  const userAgent = req.get("user-agent") || ""
+
+  const session = await Session.create({
+    user: user._id,
+    scope,
+    tokenHash: hashToken(refreshToken),
+    userAgent,
+    device: getDeviceLabel(userAgent),
+    ip: req.ip,
+    expiresAt: getExpiry(),
+  })
+
+  setRefreshCookie(res, scope, refreshToken, session.expiresAt)
+  return generateToken(user._id, session._id, scope)
+}
+
+// Trade the refresh cookie for a new access token. The refresh token is replaced every time,
+// an old one coming back ends the session since someone else has a copy of it.
+export const refreshSession = async (req, res, scope = "user") => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIES[scope].name]
+  if (!refreshToken) {
+    throw createHttpError("Not logged in", 401)
+  }
+
+  const now = new Date()
+  const tokenHash = hashToken(refreshToken)
+  const nextToken = createRefreshToken()
+
+  let session = await Session.findOneAndUpdate(
+    { tokenHash, scope, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: getExpiry(),
+      },
+    },
+    { new: true },
+  )
+
+  if (session) {
+    setRefreshCookie(res, scope, nextToken, session.expiresAt)
+  } else {
+    session = await Session.findOne({ previousTokenHash: tokenHash, scope, revokedAt: null })
+    if (!session || now - session.lastUsedAt > REUSE_GRACE_MS) {
+      if (session) {
+        session.revokedAt = now
+        await session.save()
+      }
+      clearRefreshCookie(res, scope)
+      throw createHttpError("Your session has expired, please log in again", 401)
+    }
+  }
+
+  const user = await User.findById(session.user).select("-password")
+  if (!user || (scope === "admin" && !user.isAdmin)) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now } })
+    clearRefreshCookie(res, scope)
+    throw createHttpError("Your session has expired, please log in again", 401)
+  }
+
+  return { user, token: generateToken(user._id, session._id, scope) }
+}
+
+// Log out this device
+export const endSession = async (req, res, scope = "user") => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIES[scope].name]
+  if (refreshToken) {
+    await Session.updateOne(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    )
+  }
+  clearRefreshCookie(res, scope)
+}
+
+// Log out one of the user's devices. Returns false when there is no such session.
+export const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  )
+  return result.modifiedCount > 0
+}
+
+// Log out everywhere, e.g. from the profile page or after a password reset.
+// exceptSessionId keeps the device that asked logged in.
+export const revokeAllSessions = (userId, exceptSessionId) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date() } },
+  )
+
+export const isSessionActive = async (sessionId) =>
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }))
+
+// Devices the user is logged in on, most recently used first
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+    lastUsedAt: -1,
+  })
+
+  return sessions.map((session) => ({
+    _id: session._id,
+    scope: session.scope,
+    device: session.device,
+    ip: session.ip,
+    lastUsedAt: session.lastUsedAt,
+    createdAt: session.createdAt,
+    current: session._id.toString() === currentSessionId?.toString(),
+  }))
+}
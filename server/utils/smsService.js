@@ -0,0 +1,32 @@
+import axios from "axios"
+import config from "../config/config.js"
+
+export const isSmsEnabled = () =>
+  Boolean(config.TWILIO_ACCOUNT_SID && config.TWILIO_AUTH_TOKEN && config.TWILIO_FROM_NUMBER)
+
+// Send a text message through Twilio. Without credentials the message is only logged in
+// development, so phone verification can be tried locally.
+export const sendSms = async (to, body) => {
+  if (!isSmsEnabled()) {
+    if (config.NODE_ENV !== "production") {
+      console.log(`[sms] to ${to}: ${body}`)
+      return { success: true }
+    }
+    throw new Error("SMS is not configured")
+  }
+
+  try {
+    await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${config.TWILIO_ACCOUNT_SID}/Messages.json`,
+      new URLSearchParams({ To: to, From: config.TWILIO_FROM_NUMBER, Body: body }).toString(),
+      {
+        auth: { username: config.TWILIO_ACCOUNT_SID, password: config.TWILIO_AUTH_TOKEN },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      },
+    )
+    return { success: true }
+  } catch (error) {
+    console.error("Failed to send SMS:", error.response?.data || error.message)
+    throw new Error("SMS sending failed")
+  }
+}
@@ -0,0 +1,236 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import config from "../config/config.js"
+import User from "../models/userModel.js"
+import Settings from "../models/settingsModel.js"
+import { createHttpError } from "./httpError.js"
+
+// RFC 6238 time-based codes as used by Google Authenticator, 1Password, Authy...
+const TOTP_PERIOD_SECONDS = 30
+const TOTP_DIGITS = 6
+// Codes from the step before and after still work, phone clocks drift
+const TOTP_WINDOW = 1
+const RECOVERY_CODE_COUNT = 10
+const CHALLENGE_AUDIENCE = "admin-2fa"
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+// No 0/o, 1/l/i, easy to read off paper
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789"
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+
+const base32Encode = (buffer) => {
+  let bits = ""
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0")
+  })
+  return (bits.match(/.{1,5}/g) || []).map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, "0"), 2)]).join("")
+}
+
+const base32Decode = (text) => {
+  const bits = text
+    .toUpperCase()
+    .replace(/[^A-Z2-7]/g, "")
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("")
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)))
+}
+
+// Stored secrets are encrypted, a database dump alone does not give anyone working codes
+const getEncryptionKey = () => crypto.createHash("sha256").update(String(config.TWO_FACTOR_ENCRYPTION_KEY)).digest()
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".")
+}
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64"))
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+}
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS)
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0")
+}
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+
+// Time step the code belongs to, or null when it matches none in the window
+const findCodeStep = (secret, code) => {
+  const normalized = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const current = getTimeStep()
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step += 1) {
+    if (safeEqual(generateTotp(secret, step), normalized)) return step
+  }
+  return null
+}
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+
+const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex")
+
+// Ten one-time codes like "k7f2-9qxm-c3td", only their hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    Array.from({ length: 12 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)])
+      .join("")
+      .match(/.{4}/g)
+      .join("-"),
+  )
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+export const findUserWithTwoFactor = (id) => User.findById(id).select(SECRET_FIELDS)
+
+export const isTwoFactorRequired = async () => Boolean((await Settings.findOne({}))?.requireStaffTwoFactor)
+
+// Short lived proof that the password was right, exchanged for a session once the code is too.
+// Signed with its own secret and without an "id", so it can never pass as an access token.
+export const createTwoFactorChallenge = (user) =>
+  jwt.sign({ challenge: user._id.toString() }, config.TWO_FACTOR_CHALLENGE_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: config.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  })
+
+// Id of the user a challenge token was issued to, null when it is not valid
+export const getChallengeUserId = (token) => {
+  try {
+    const { challenge } = jwt.verify(String(token || ""), config.TWO_FACTOR_CHALLENGE_SECRET, {
+      audience: CHALLENGE_AUDIENCE,
+    })
+    return challenge
+  } catch (error) {
+    return null
+  }
+}
+
+// User behind a challenge token, with the two-factor secrets loaded. Throws when it is not valid.
+export const findUserByChallenge = async (token) => {
+  const id = getChallengeUserId(token)
+  if (!id) {
+    throw createHttpError("Your sign in has expired, please enter your password again", 401)
+  }
+
+  const user = await findUserWithTwoFactor(id)
+  if (!user || !user.isAdmin) {
+    throw createHttpError("Your sign in has expired, please enter your password again", 401)
+  }
+  return user
+}
+
+// New secret for the authenticator app. Nothing changes until a code from it is confirmed.
+export const startTwoFactorSetup = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw createHttpError("Two-factor authentication is already on")
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20))
+  user.twoFactor.pendingSecret = encryptSecret(secret)
+  await user.save()
+
+  const label = encodeURIComponent(`${config.TWO_FACTOR_ISSUER}:${user.email}`)
+  const issuer = encodeURIComponent(config.TWO_FACTOR_ISSUER)
+  return {
+    secret,
+    otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`,
+  }
+}
+
+// Turn two-factor on with a code from the secret being set up. Returns the recovery codes, shown once.
+export const enableTwoFactor = async (user, code) => {
+  if (!user.twoFactor?.pendingSecret) {
+    throw createHttpError("Start the two-factor setup first")
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret)
+  const step = findCodeStep(secret, code)
+  if (step === null) {
+    throw createHttpError("That code is not right, check the time on your phone and try again")
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+  user.twoFactor.enabled = true
+  user.twoFactor.secret = user.twoFactor.pendingSecret
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.recoveryCodes = hashes
+  user.twoFactor.lastUsedStep = step
+  user.twoFactor.enabledAt = new Date()
+  await user.save()
+
+  return codes
+}
+
+// Check a code from the authenticator app, or use up a recovery code. Each works only once.
+// Returns how it was verified ("code" or "recoveryCode"), throws when neither is right.
+export const verifyTwoFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw createHttpError("Two-factor authentication is not on for this account")
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) },
+      { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } },
+    )
+    if (result.modifiedCount === 0) {
+      throw createHttpError("That recovery code is not right or has been used", 401)
+    }
+    return "recoveryCode"
+  }
+
+  const step = findCodeStep(decryptSecret(user.twoFactor.secret), code)
+  // Claimed in the same step it is checked, two requests with one code cannot both get in
+  const claimed =
+    step !== null &&
+    (
+      await User.updateOne(
+        { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+        { $set: { "twoFactor.lastUsedStep": step } },
+      )
+    ).modifiedCount > 0
+
+  if (!claimed) {
+    throw createHttpError("That code is not right or has already been used", 401)
+  }
+  return "code"
+}
+
+// Replace all recovery codes, the old ones stop working. Returns the new ones.
+export const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = hashes
+  await user.save()
+  return codes
+}
+
+export const disableTwoFactor = async (user) => {
+  user.twoFactor.enabled = false
+  user.twoFactor.secret = undefined
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.recoveryCodes = []
+  user.twoFactor.lastUsedStep = undefined
+  user.twoFactor.enabledAt = undefined
+  await user.save()
+}
+
+export const getTwoFactorStatus = async (user) => ({
+  enabled: Boolean(user.twoFactor?.enabled),
+  enabledAt: user.twoFactor?.enabledAt,
+  recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+  required: await isTwoFactorRequired(),
+})